@@ -58,6 +58,15 @@ export default [
       },
     },
   },
+  // Local dev server and the Lambda entry point run under Node
+  {
+    files: ["js/server/dev/**/*.js", "js/server/lambda/ai-horizon-leaderboard.js"],
+    languageOptions: {
+      globals: {
+        ...globals.node,
+      },
+    },
+  },
   // Test files: enable vitest globals and Node environment
   {
     files: ["tests/**/*.js", "**/*.test.js"],
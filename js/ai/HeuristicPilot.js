@@ -0,0 +1,134 @@
+/** @typedef {import('../types.js').PilotObservation} PilotObservation */
+/** @typedef {import('../types.js').PilotAction} PilotAction */
+/** @typedef {import('../types.js').PilotController} PilotController */
+
+/**
+ * Built-in pilot: scores the nine stick directions by projecting the ship and every
+ * falling object a short way ahead, then holds the safest one. Asteroids on the
+ * projected path are heavily penalized; red stars (and, less so, regular stars)
+ * pull the ship toward them. Fires whenever a breakable asteroid is overhead.
+ * Deterministic, so piloted runs record and replay like any other.
+ * @implements {PilotController}
+ */
+export class HeuristicPilot {
+  /** URL query flag that starts the game with this pilot enabled (`?pilot=1`). */
+  static URL_PARAM = "pilot";
+  /** Projection samples and their spacing in seconds. */
+  static LOOKAHEAD_STEPS = 10;
+  static LOOKAHEAD_DT = 0.1;
+  /** Extra clearance (px) kept around asteroids. */
+  static SAFETY_MARGIN = 16;
+  /** Cost of a projected hit or near miss; earlier ones cost more. */
+  static HIT_COST = 10000;
+  static NEAR_MISS_COST = 600;
+  /** Pull toward stars, per pixel of distance. */
+  static RED_STAR_PULL = 0.2;
+  static STAR_PULL = 0.04;
+  /** Gentle pull toward the home position in the lower middle of the field. */
+  static HOME_PULL = 0.05;
+  /** Bonus for keeping the previous direction, to avoid jitter. */
+  static STEADY_BONUS = 5;
+
+  constructor() {
+    this.name = "Heuristic";
+    this._lastDx = 0;
+    this._lastDy = 0;
+  }
+
+  /** Forget the previous direction at the start of a run. */
+  reset() {
+    this._lastDx = 0;
+    this._lastDy = 0;
+  }
+
+  /**
+   * @param {PilotObservation} obs
+   * @returns {PilotAction}
+   */
+  act(obs) {
+    let bestCost = Infinity;
+    let bestDx = 0;
+    let bestDy = 0;
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        const cost = this._cost(obs, dx, dy);
+        if (cost < bestCost) {
+          bestCost = cost;
+          bestDx = dx;
+          bestDy = dy;
+        }
+      }
+    }
+    this._lastDx = bestDx;
+    this._lastDy = bestDy;
+    return {
+      left: bestDx < 0,
+      right: bestDx > 0,
+      up: bestDy < 0,
+      down: bestDy > 0,
+      fire: HeuristicPilot._targetOverhead(obs),
+    };
+  }
+
+  /**
+   * Cost of holding direction (dx, dy) for the lookahead window.
+   * @param {PilotObservation} obs
+   * @param {number} dx
+   * @param {number} dy
+   * @returns {number}
+   */
+  _cost(obs, dx, dy) {
+    const { player, view } = obs;
+    const maxX = view.width - player.width;
+    const maxY = view.height - player.height;
+    const margin = HeuristicPilot.SAFETY_MARGIN;
+    let cost = 0;
+    let px = player.x;
+    let py = player.y;
+    for (let k = 1; k <= HeuristicPilot.LOOKAHEAD_STEPS; k++) {
+      const t = k * HeuristicPilot.LOOKAHEAD_DT;
+      px = Math.min(maxX, Math.max(0, player.x + dx * player.speed * t));
+      py = Math.min(maxY, Math.max(0, player.y + dy * player.speed * t));
+      for (const a of obs.asteroids) {
+        const ay = a.y + a.speed * t;
+        // Gap between the rectangles on each axis (negative when overlapping)
+        const gapX = Math.max(a.x - (px + player.width), px - (a.x + a.width));
+        const gapY = Math.max(ay - (py + player.height), py - (ay + a.height));
+        if (gapX < 0 && gapY < 0) cost += HeuristicPilot.HIT_COST / k;
+        else if (gapX < margin && gapY < margin) cost += HeuristicPilot.NEAR_MISS_COST / k;
+      }
+    }
+
+    // Stars: pull toward where each will be at the end of the window
+    const t = HeuristicPilot.LOOKAHEAD_STEPS * HeuristicPilot.LOOKAHEAD_DT;
+    const cx = px + player.width / 2;
+    const cy = py + player.height / 2;
+    for (const s of obs.stars) {
+      const sx = s.x + s.width / 2;
+      const sy = s.y + s.height / 2 + s.speed * t;
+      if (sy > view.height) continue;
+      const pull = s.red ? HeuristicPilot.RED_STAR_PULL : HeuristicPilot.STAR_PULL;
+      cost += pull * Math.hypot(sx - cx, sy - cy);
+    }
+
+    const homeX = view.width / 2;
+    const homeY = view.height * 0.75;
+    cost += HeuristicPilot.HOME_PULL * Math.hypot(homeX - cx, homeY - cy);
+    if (dx === this._lastDx && dy === this._lastDy) cost -= HeuristicPilot.STEADY_BONUS;
+    return cost;
+  }
+
+  /**
+   * True when a breakable asteroid is above the ship within its width.
+   * @param {PilotObservation} obs
+   * @returns {boolean}
+   */
+  static _targetOverhead(obs) {
+    const { player } = obs;
+    for (const a of obs.asteroids) {
+      if (a.indestructible || a.y > player.y) continue;
+      if (a.x < player.x + player.width && a.x + a.width > player.x) return true;
+    }
+    return false;
+  }
+}
@@ -6,12 +6,15 @@
  * @type {Readonly<{
  *  COLORS: any,
  *  ASTEROID: any,
+ *  BOSS: any,
  *  BULLET: any,
+ *  DIFFICULTY: any,
  *  EXPLOSION: any,
  *  GAME: any,
  *  INPUT: any,
  *  NEBULA: any,
  *  PLAYER: any,
+ *  PRESETS: any,
  *  SIZES: any,
  *  SPEEDS: any,
  *  STAR: any,
@@ -110,6 +113,14 @@ const COLORS = deepFreeze({
     MID: "#222",
     TOP: "#000",
   },
+  // Boss encounters: weak points glow in WEAK_POINT; the health bar at the top of the
+  // view fills with HEALTH over HEALTH_BG, with PHASE_MARK ticks between phases
+  BOSS: {
+    WEAK_POINT: "#ff4d6d",
+    HEALTH: "#ff4d6d",
+    HEALTH_BG: "rgba(255, 255, 255, 0.15)",
+    PHASE_MARK: "rgba(255, 255, 255, 0.6)",
+  },
   BULLET: {
     GRAD_BOTTOM: "#ff4444",
     GRAD_MID: "#ff8e8e",
@@ -170,6 +181,12 @@ export const CONFIG = deepFreeze({
     DPR_MAX: 3,
     // Maximum DPR to use on mobile devices to limit canvas pixel size and improve performance
     DPR_MOBILE_MAX: 1.5,
+    // Playfield size range in CSS pixels; larger or smaller windows are letterboxed.
+    // Replays recorded on a view outside it are refused (see ReplayFormat)
+    MIN_WIDTH: 200,
+    MIN_HEIGHT: 200,
+    MAX_WIDTH: 3840,
+    MAX_HEIGHT: 2160,
   },
   ASTEROID: {
     HORIZONTAL_MARGIN: 40,
@@ -188,6 +205,56 @@ export const CONFIG = deepFreeze({
     INDESTRUCTIBLE_HITS: 10,
     SHIELD_FLASH_EXTRA_ALPHA: 0.4,
   },
+  // Boss encounters (see BossManager): a giant planet arrives at each of AT_SECONDS of
+  // elapsed run time, descends to HOVER_Y and fights through PHASES until its health
+  // is shot away (worth BONUS) or it leaves after STAY_SECONDS. A phase lasts HITS
+  // damage, cycles through its ATTACKS ("spray" or "ring") every ATTACK_SECONDS and
+  // exposes WEAK_POINTS ([dx, dy] from the center, as fractions of the radius) that
+  // take WEAK_POINT_DAMAGE per bullet instead of 1
+  BOSS: {
+    AT_SECONDS: [25, 120, 240],
+    SIZE: 200,
+    HOVER_Y: 30,
+    ENTRY_SPEED: 80,
+    // Side-to-side drift while fighting: fraction of the view width and radians/s
+    SWAY_AMPLITUDE: 0.25,
+    SWAY_RATE: 0.6,
+    STAY_SECONDS: 40,
+    // Hull damage when the ship flies into the boss
+    CONTACT_DAMAGE: 40,
+    // Regular asteroids keep coming, this much less often, while a boss is present
+    ASTEROID_SPAWN_FACTOR: 0.3,
+    WEAK_POINT_SIZE: 30,
+    WEAK_POINT_DAMAGE: 3,
+    BONUS: 1000,
+    PHASES: [
+      { HITS: 20, ATTACKS: ["spray"], ATTACK_SECONDS: 2, WEAK_POINTS: [[0, 0.6]] },
+      {
+        HITS: 25,
+        ATTACKS: ["ring"],
+        ATTACK_SECONDS: 2.5,
+        WEAK_POINTS: [
+          [-0.55, 0.35],
+          [0.55, 0.35],
+        ],
+      },
+      {
+        HITS: 30,
+        ATTACKS: ["spray", "ring"],
+        ATTACK_SECONDS: 1.8,
+        WEAK_POINTS: [
+          [-0.6, 0.25],
+          [0, 0.65],
+          [0.6, 0.25],
+        ],
+      },
+    ],
+    // Fragment spray: COUNT regular asteroids fanned over SPREAD radians around
+    // straight down, each direction off by up to JITTER radians
+    FRAGMENT: { COUNT: 7, SIZE: 20, SPEED: 200, SPREAD: 1.4, JITTER: 0.1 },
+    // Expanding rings from the boss's center with a GAP (radians) to slip through
+    RING: { SPEED: 150, THICKNESS: 12, GAP: 0.5, DAMAGE: 30 },
+  },
   BULLET: {
     HEIGHT: 15,
     SPAWN_OFFSET: 0,
@@ -196,6 +263,47 @@ export const CONFIG = deepFreeze({
     SHADOW_BLUR: 8,
   },
   COLORS: COLORS,
+  // Difficulty curves (see Difficulty). Each one maps elapsed run seconds (BY: "time")
+  // or the score (BY: "score") to a multiplier on the base value, interpolated linearly
+  // between its [x, multiplier] POINTS and held flat before the first and after the last.
+  DIFFICULTY: {
+    // Asteroid spawn rate (ASTEROID_SPAWN_RATE_DESKTOP/_MOBILE)
+    ASTEROID_SPAWN_RATE: {
+      BY: "time",
+      POINTS: [
+        [0, 1],
+        [20, 1.15],
+        [45, 1.4],
+        [60, 1.6],
+      ],
+    },
+    // Asteroid speed at spawn, including its random variation
+    ASTEROID_SPEED: {
+      BY: "time",
+      POINTS: [
+        [0, 1],
+        [60, 1.35],
+      ],
+    },
+    // How often planets (indestructible asteroids) come up among the asteroids
+    PLANET_FREQUENCY: {
+      BY: "time",
+      POINTS: [
+        [0, 1],
+        [30, 1],
+        [60, 1.5],
+      ],
+    },
+    // How often red bonus stars come up among the stars
+    RED_STAR_FREQUENCY: {
+      BY: "score",
+      POINTS: [
+        [0, 1],
+        [1500, 1.25],
+        [4000, 1.6],
+      ],
+    },
+  },
   EXPLOSION: {
     LIFE: 0.25,
     OFFSET: 25,
@@ -294,6 +402,17 @@ export const CONFIG = deepFreeze({
   PLAYER: {
     SPAWN_Y_OFFSET: 100,
     MOUSE_LERP: 6,
+    // Hull integrity: an asteroid hit deals DAMAGE_PER_SIZE per pixel of its width
+    // (planets PLANET_DAMAGE_FACTOR times that), knocks the ship back and leaves it
+    // unhittable for INVULNERABLE_SECONDS; the run ends when the hull reaches 0
+    HULL: {
+      MAX: 100,
+      DAMAGE_PER_SIZE: 0.5,
+      PLANET_DAMAGE_FACTOR: 1.5,
+      INVULNERABLE_SECONDS: 1,
+      KNOCKBACK: 40,
+      HIT_FLASH_SECONDS: 0.25,
+    },
     DRAW: {
       OUTLINE_WIDTH: 2.5,
       COCKPIT_RX: 4,
@@ -303,6 +422,33 @@ export const CONFIG = deepFreeze({
       GUN_OFFSET_Y: -8,
     },
   },
+  // Difficulty presets chosen on the start screen (see DifficultyPreset). Spawn rates
+  // and ASTEROID_SPEED multiply the platform's base values; INDESTRUCTIBLE_HITS,
+  // SHOT_COOLDOWN and TIMER_SECONDS replace ASTEROID.INDESTRUCTIBLE_HITS,
+  // GAME.SHOT_COOLDOWN and GAME.TIMER_SECONDS. Missing values keep the base one.
+  PRESETS: {
+    EASY: {
+      LABEL: "Easy",
+      ASTEROID_SPAWN_RATE: 0.7,
+      STAR_SPAWN_RATE: 1.2,
+      ASTEROID_SPEED: 0.8,
+      INDESTRUCTIBLE_HITS: 6,
+      SHOT_COOLDOWN: 160,
+      TIMER_SECONDS: 90,
+    },
+    NORMAL: {
+      LABEL: "Normal",
+    },
+    HARD: {
+      LABEL: "Hard",
+      ASTEROID_SPAWN_RATE: 1.4,
+      STAR_SPAWN_RATE: 0.85,
+      ASTEROID_SPEED: 1.25,
+      INDESTRUCTIBLE_HITS: 14,
+      SHOT_COOLDOWN: 250,
+      TIMER_SECONDS: 45,
+    },
+  },
   SIZES: {
     PLAYER: 25,
   },
@@ -0,0 +1,56 @@
+import { RNG } from "../utils/RNG.js";
+
+/**
+ * Daily challenge: one seed per UTC day, so every player faces the same asteroid and
+ * star sequence that day. The seed is the one `?seed=daily-YYYY-MM-DD` would give
+ * (non-numeric URL seeds are hashed the same way), and the server derives it from
+ * the date to check daily submissions.
+ */
+export class DailyChallenge {
+  static SEED_PREFIX = "daily-";
+  // Days a board accepts submissions: today and yesterday (UTC), so runs that finish
+  // just after midnight still count
+  static OPEN_DAYS = 2;
+
+  /**
+   * UTC date key for `date`, e.g. "2026-10-18".
+   * @param {Date} [date]
+   * @returns {string}
+   */
+  static dateKey(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * True when `key` is a real date in YYYY-MM-DD form.
+   * @param {any} key
+   * @returns {boolean}
+   */
+  static isDateKey(key) {
+    if (typeof key !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(key)) return false;
+    const t = Date.parse(`${key}T00:00:00Z`);
+    return Number.isFinite(t) && DailyChallenge.dateKey(new Date(t)) === key;
+  }
+
+  /**
+   * Gameplay seed for a day.
+   * @param {string} dateKey
+   * @returns {number}
+   */
+  static seed(dateKey) {
+    return RNG.fromString(`${DailyChallenge.SEED_PREFIX}${dateKey}`).getState();
+  }
+
+  /**
+   * True while the day's board still accepts scores.
+   * @param {string} dateKey
+   * @param {Date} [now]
+   * @returns {boolean}
+   */
+  static isOpen(dateKey, now = new Date()) {
+    if (!DailyChallenge.isDateKey(dateKey)) return false;
+    const today = Date.parse(`${DailyChallenge.dateKey(now)}T00:00:00Z`);
+    const days = (today - Date.parse(`${dateKey}T00:00:00Z`)) / 86400000;
+    return days >= 0 && days < DailyChallenge.OPEN_DAYS;
+  }
+}
@@ -0,0 +1,85 @@
+import { CONFIG } from "../constants.js";
+
+/**
+ * A difficulty curve as declared in CONFIG.DIFFICULTY: multipliers at points along
+ * elapsed run seconds or the score.
+ * @typedef {{ BY: "time"|"score", POINTS: ReadonlyArray<readonly [number, number]> }} DifficultyCurve
+ */
+
+/**
+ * How far a run has got, for evaluating curves. Missing values count as 0.
+ * @typedef {{ timeSec?: number, score?: number }} DifficultyProgress
+ */
+
+/**
+ * Multipliers in effect at one moment of a run.
+ * @typedef {Object} DifficultyLevels
+ * @property {number} asteroidSpawnRate
+ * @property {number} asteroidSpeed
+ * @property {number} planetFrequency
+ * @property {number} redStarFrequency
+ */
+
+/**
+ * Evaluates the designer-tuned difficulty curves in CONFIG.DIFFICULTY. Curves are
+ * piecewise linear and start at 1 at the beginning of a run, so early play matches
+ * the base CONFIG rates.
+ */
+export class Difficulty {
+  /**
+   * Value of `curve` at `progress`.
+   * @param {DifficultyCurve} curve
+   * @param {DifficultyProgress} progress
+   * @returns {number}
+   */
+  static at(curve, progress) {
+    const points = curve.POINTS;
+    if (!points || points.length === 0) return 1;
+    const x = (curve.BY === "score" ? progress.score : progress.timeSec) || 0;
+    if (x <= points[0][0]) return points[0][1];
+    for (let i = 1; i < points.length; i++) {
+      const [x1, y1] = points[i];
+      if (x <= x1) {
+        const [x0, y0] = points[i - 1];
+        return x1 > x0 ? y0 + ((y1 - y0) * (x - x0)) / (x1 - x0) : y1;
+      }
+    }
+    return points[points.length - 1][1];
+  }
+
+  /**
+   * Highest value `curve` reaches anywhere (for bounding what a run can score).
+   * @param {DifficultyCurve} curve
+   * @returns {number}
+   */
+  static peak(curve) {
+    const points = curve.POINTS;
+    return points && points.length > 0 ? Math.max(...points.map((p) => p[1])) : 1;
+  }
+
+  /**
+   * Every curve's multiplier at `progress`.
+   * @param {DifficultyProgress} progress
+   * @returns {DifficultyLevels}
+   */
+  static levels(progress) {
+    const curves = CONFIG.DIFFICULTY;
+    return {
+      asteroidSpawnRate: Difficulty.at(curves.ASTEROID_SPAWN_RATE, progress),
+      asteroidSpeed: Difficulty.at(curves.ASTEROID_SPEED, progress),
+      planetFrequency: Difficulty.at(curves.PLANET_FREQUENCY, progress),
+      redStarFrequency: Difficulty.at(curves.RED_STAR_FREQUENCY, progress),
+    };
+  }
+
+  /**
+   * Regular spawns before a bonus one (planet or red star) when the base cadence is
+   * `regularBefore` and the bonus comes `frequency` times as often.
+   * @param {number} regularBefore
+   * @param {number} frequency
+   * @returns {number}
+   */
+  static cadence(regularBefore, frequency) {
+    return Math.max(1, Math.round(regularBefore / (frequency > 0 ? frequency : 1)));
+  }
+}
@@ -0,0 +1,58 @@
+import { CONFIG } from "../constants.js";
+
+/** @typedef {"easy"|"normal"|"hard"} DifficultyPresetId */
+
+/**
+ * A preset's values with the base CONFIG filled in for anything it doesn't override.
+ * @typedef {Object} DifficultyPresetSettings
+ * @property {string} label
+ * @property {number} asteroidSpawnRate - Multiplier on the platform's asteroid spawn rate.
+ * @property {number} starSpawnRate - Multiplier on the platform's star spawn rate.
+ * @property {number} asteroidSpeed - Multiplier on asteroid speed at spawn.
+ * @property {number} indestructibleHits - Bullet hits a planet takes.
+ * @property {number} shotCooldown - Milliseconds between shots.
+ * @property {number} timerSeconds - Length of a timed run.
+ */
+
+/**
+ * Easy, Normal and Hard difficulty presets (declared in CONFIG.PRESETS). A run's
+ * preset is recorded in its replay and is part of every leaderboard key, so scores
+ * are only compared within a difficulty. Normal plays exactly as the base CONFIG.
+ */
+export class DifficultyPreset {
+  /** @type {ReadonlyArray<DifficultyPresetId>} */
+  static IDS = Object.freeze(["easy", "normal", "hard"]);
+  /** @type {DifficultyPresetId} */
+  static DEFAULT = "normal";
+
+  /**
+   * @param {unknown} id
+   * @returns {id is DifficultyPresetId}
+   */
+  static isPreset(id) {
+    return DifficultyPreset.IDS.includes(/** @type {DifficultyPresetId} */ (id));
+  }
+
+  /**
+   * Settings of preset `id`.
+   * @param {DifficultyPresetId} id
+   * @returns {DifficultyPresetSettings}
+   */
+  static settings(id) {
+    const preset = CONFIG.PRESETS[id.toUpperCase()] || {};
+    /**
+     * @param {string} key
+     * @param {number} base
+     */
+    const value = (key, base) => (typeof preset[key] === "number" ? preset[key] : base);
+    return {
+      label: preset.LABEL || id,
+      asteroidSpawnRate: value("ASTEROID_SPAWN_RATE", 1),
+      starSpawnRate: value("STAR_SPAWN_RATE", 1),
+      asteroidSpeed: value("ASTEROID_SPEED", 1),
+      indestructibleHits: value("INDESTRUCTIBLE_HITS", CONFIG.ASTEROID.INDESTRUCTIBLE_HITS || 10),
+      shotCooldown: value("SHOT_COOLDOWN", CONFIG.GAME.SHOT_COOLDOWN),
+      timerSeconds: value("TIMER_SECONDS", CONFIG.GAME.TIMER_SECONDS || 60),
+    };
+  }
+}
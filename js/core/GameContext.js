@@ -44,8 +44,9 @@ export function getGameContext(game) {
     // Platform
     isMobile: game._isMobile,
 
-    // Deterministic randomness
-    rng: game.rng,
+    // Deterministic randomness: backgrounds draw from their own stream so starfield
+    // and nebula rolls never shift gameplay
+    rng: game.rngs ? game.rngs.background : game.rng,
 
     // Background-related state used by BackgroundManager.draw
     background: {
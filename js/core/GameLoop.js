@@ -1,17 +1,38 @@
 import { CONFIG } from "../constants.js";
 
+/**
+ * Per-frame timing report passed to the `onStats` hook.
+ * @typedef {Object} LoopStats
+ * @property {number} frameDtMs - Real time since the previous frame.
+ * @property {number} scaledDtMs - Frame time after the time scale (0 while frozen or not updating).
+ * @property {number} steps - Fixed steps run this frame.
+ * @property {number} accMs - Time left in the accumulator after stepping.
+ * @property {number} droppedMs - Time discarded by the catch-up cap this frame.
+ * @property {number} timeScale
+ * @property {boolean} frozen
+ */
+
 /**
  * Fixed-timestep game loop with pause-aware accumulator.
  * Calls update in fixed steps and draw once per animation frame.
+ *
+ * For debugging, real time can be scaled before it feeds the accumulator, or the
+ * loop frozen so it only advances one fixed step per `stepOnce()`. Either way the
+ * update always receives the same fixed step, so the simulation stays deterministic.
  */
 export class GameLoop {
+  static MIN_TIME_SCALE = 0.25;
+  static MAX_TIME_SCALE = 2;
+
   /**
    * @param {{
    *   update: (dtMs:number, dtSec:number) => void,
    *   draw: (frameDtMs:number) => void,
    *   shouldUpdate?: () => boolean,
    *   stepMs?: number,
-   *   maxSubSteps?: number
+   *   maxSubSteps?: number,
+   *   timeScale?: number,
+   *   onStats?: (stats: LoopStats) => void
    * }} opts
    */
   constructor(opts) {
@@ -20,6 +41,12 @@ export class GameLoop {
     this._shouldUpdate = opts.shouldUpdate || null;
     this._stepMs = opts.stepMs || CONFIG.TIME.STEP_MS;
     this._maxSubSteps = Math.max(1, opts.maxSubSteps || CONFIG.TIME.MAX_SUB_STEPS);
+    this._onStats = opts.onStats || null;
+    this._timeScale = 1;
+    this.setTimeScale(opts.timeScale || 1);
+    this._frozen = false;
+    // Steps requested with stepOnce() while frozen, run on the next frame
+    this._pendingSteps = 0;
     this._acc = 0;
     this._last = 0;
     this._running = false;
@@ -27,6 +54,50 @@ export class GameLoop {
     this._tick = this._tick.bind(this);
   }
 
+  /** Multiplier applied to real time before it is simulated. */
+  get timeScale() {
+    return this._timeScale;
+  }
+
+  /**
+   * Set the time scale, clamped to [MIN_TIME_SCALE, MAX_TIME_SCALE].
+   * @param {number} scale
+   * @returns {number} The scale now in effect.
+   */
+  setTimeScale(scale) {
+    const s = Number.isFinite(scale) ? scale : 1;
+    this._timeScale = Math.min(GameLoop.MAX_TIME_SCALE, Math.max(GameLoop.MIN_TIME_SCALE, s));
+    return this._timeScale;
+  }
+
+  /** True while real time is ignored and only `stepOnce()` advances the game. */
+  get frozen() {
+    return this._frozen;
+  }
+
+  /**
+   * Freeze or unfreeze the loop. Drawing continues while frozen.
+   * @param {boolean} frozen
+   */
+  setFrozen(frozen) {
+    this._frozen = !!frozen;
+    this._acc = 0;
+    this._pendingSteps = 0;
+  }
+
+  /** While frozen, advance exactly one fixed step on the next frame. */
+  stepOnce() {
+    if (this._frozen) this._pendingSteps++;
+  }
+
+  /**
+   * Set or clear the per-frame stats hook.
+   * @param {((stats: LoopStats) => void) | null} onStats
+   */
+  setStatsHook(onStats) {
+    this._onStats = onStats;
+  }
+
   start() {
     if (this._running) return;
     this._running = true;
@@ -49,21 +120,53 @@ export class GameLoop {
     const frameDt = now - this._last;
     this._last = now;
 
+    let scaledDt = 0;
+    let steps = 0;
+    let dropped = 0;
     const canUpdate = !this._shouldUpdate || this._shouldUpdate();
-    if (canUpdate) {
+    if (canUpdate && this._frozen) {
+      const dtMs = this._stepMs;
+      while (this._pendingSteps > 0) {
+        this._pendingSteps--;
+        this._update(dtMs, dtMs / 1000);
+        steps++;
+        if (this._shouldUpdate && !this._shouldUpdate()) {
+          this._pendingSteps = 0;
+          break;
+        }
+      }
+    } else if (canUpdate) {
       const maxCatchup = this._stepMs * this._maxSubSteps;
-      this._acc += Math.min(frameDt, maxCatchup);
-      let steps = 0;
+      scaledDt = frameDt * this._timeScale;
+      dropped = Math.max(0, scaledDt - maxCatchup);
+      this._acc += scaledDt - dropped;
       while (this._acc >= this._stepMs && steps < this._maxSubSteps) {
         const dtMs = this._stepMs;
         this._update(dtMs, dtMs / 1000);
         this._acc -= this._stepMs;
         steps++;
+        // A step may end or pause the run; don't simulate past that point.
+        if (this._shouldUpdate && !this._shouldUpdate()) {
+          this._acc = 0;
+          break;
+        }
       }
     } else {
       this._acc = 0;
+      this._pendingSteps = 0;
     }
 
+    if (this._onStats) {
+      this._onStats({
+        frameDtMs: frameDt,
+        scaledDtMs: scaledDt,
+        steps,
+        accMs: this._acc,
+        droppedMs: dropped,
+        timeScale: this._timeScale,
+        frozen: this._frozen,
+      });
+    }
     this._draw(frameDt);
     if (this._running) this._rafId = requestAnimationFrame(this._tick);
   }
@@ -0,0 +1,54 @@
+import { InputPlayback } from "./InputPlayback.js";
+import { Simulation } from "./Simulation.js";
+/** @typedef {import('../types.js').InputRecording} InputRecording */
+
+/**
+ * A previous run replayed alongside the live one. It owns a private headless
+ * Simulation fed from the recording, stepped once per live tick, so its ship and
+ * score line up tick-for-tick with the player's when both use the same seed.
+ */
+export class Ghost {
+  /** Opacity the ghost ship is drawn with. */
+  static ALPHA = 0.35;
+
+  /**
+   * @param {InputRecording} recording
+   */
+  constructor(recording) {
+    this.playback = new InputPlayback(recording);
+    const view = this.playback.view || Simulation.DEFAULT_VIEW;
+    this.sim = new Simulation({
+      seed: this.playback.seed,
+      view: { width: view.width, height: view.height, dpr: 1 },
+      isMobile: this.playback.isMobile,
+      mode: this.playback.mode,
+      preset: this.playback.preset,
+    });
+    this.sim.start(this.playback.seed);
+  }
+
+  /** True while the ghost's run is still going. */
+  get active() {
+    return this.sim.state.isRunning() && !this.playback.done;
+  }
+
+  /** The ghost's score at the current tick. */
+  get score() {
+    return this.sim.score;
+  }
+
+  /** The ghost's ship (drawn translucent by the renderer). */
+  get player() {
+    return this.sim.player;
+  }
+
+  /** Advance the ghost by one tick; does nothing once its run is over. */
+  step() {
+    if (this.active) this.sim.stepPlayback(this.playback);
+  }
+
+  /** Release the ghost simulation's event subscriptions. */
+  dispose() {
+    this.sim.dispose();
+  }
+}
@@ -0,0 +1,86 @@
+/**
+ * Leaderboard initials: 1-3 letters A-Z that don't spell anything on the blocklist.
+ * The client filters what players type with the same rules the leaderboard Lambda
+ * enforces, so a blocked name is caught before it is submitted. The server's list
+ * can be extended through its environment (see `Initials.parseList`).
+ */
+export class Initials {
+  static PATTERN = /^[A-Z]{1,3}$/;
+  static MAX_LENGTH = 3;
+  // Slurs and obscenities that fit in three letters, including common misspellings
+  static BLOCKLIST = [
+    "ASS",
+    "CNT",
+    "COK",
+    "CUM",
+    "DIC",
+    "DIK",
+    "FAG",
+    "FCK",
+    "FKU",
+    "FUC",
+    "FUK",
+    "FUX",
+    "JIZ",
+    "KKK",
+    "KUM",
+    "KYS",
+    "NGR",
+    "NIG",
+    "PIS",
+    "SEX",
+    "SHT",
+    "TIT",
+    "VAG",
+    "WTF",
+  ];
+
+  /**
+   * Reduce typed text to candidate initials: letters only, uppercased, at most
+   * MAX_LENGTH of them.
+   * @param {any} raw
+   * @returns {string}
+   */
+  static normalize(raw) {
+    return String(raw || "")
+      .replace(/[^a-zA-Z]/g, "")
+      .toUpperCase()
+      .slice(0, Initials.MAX_LENGTH);
+  }
+
+  /**
+   * @param {string} initials
+   * @param {readonly string[]} [blocklist]
+   * @returns {boolean} True when `initials` spell a blocked word.
+   */
+  static isBlocked(initials, blocklist = Initials.BLOCKLIST) {
+    return blocklist.includes(String(initials).toUpperCase());
+  }
+
+  /**
+   * @param {any} initials
+   * @param {readonly string[]} [blocklist]
+   * @returns {boolean} True when `initials` may go on the leaderboard.
+   */
+  static isAllowed(initials, blocklist = Initials.BLOCKLIST) {
+    return (
+      typeof initials === "string" &&
+      Initials.PATTERN.test(initials) &&
+      !Initials.isBlocked(initials, blocklist)
+    );
+  }
+
+  /**
+   * Blocklist configured as comma- or whitespace-separated initials (e.g. the
+   * Lambda's BLOCKED_INITIALS variable), added to the built-in BLOCKLIST.
+   * @param {string|undefined|null} text
+   * @returns {string[]}
+   */
+  static parseList(text) {
+    const extra = String(text || "")
+      .split(/[\s,]+/)
+      .map((word) => word.toUpperCase())
+      .filter((word) => Initials.PATTERN.test(word));
+    return [...new Set([...Initials.BLOCKLIST, ...extra])];
+  }
+}
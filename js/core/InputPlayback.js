@@ -0,0 +1,60 @@
+import { DifficultyPreset } from "./DifficultyPreset.js";
+import { InputState } from "./InputState.js";
+/** @typedef {import('../types.js').InputRecording} InputRecording */
+
+/**
+ * Feeds a recorded run back into the game one tick at a time.
+ * Reconstructs the full input state from the recorded deltas.
+ */
+export class InputPlayback {
+  /**
+   * @param {InputRecording} recording
+   */
+  constructor(recording) {
+    this.recording = recording;
+    this.seed = recording.seed >>> 0;
+    this.view = recording.view;
+    this.isMobile = !!recording.isMobile;
+    /** @type {import('../types.js').GameMode} */
+    this.mode = recording.mode || "timed";
+    /** @type {import('../types.js').DifficultyPresetId} */
+    this.preset = recording.preset || DifficultyPreset.DEFAULT;
+    this.tick = 0;
+    this._cursor = 0;
+    this.input = new InputState();
+  }
+
+  /** True once every recorded tick has been applied. */
+  get done() {
+    return this.tick >= this.recording.ticks;
+  }
+
+  /**
+   * Apply the recorded input for the next tick and copy it onto `target`.
+   * Live input written to `target` between ticks is overwritten.
+   * @param {InputState} target
+   * @returns {number} Fire presses recorded just before this tick.
+   */
+  apply(target) {
+    let shots = 0;
+    const frame = this.recording.frames[this._cursor];
+    if (frame && frame.t === this.tick) {
+      this._cursor++;
+      if (frame.k) {
+        for (const code of Object.keys(frame.k)) this.input.setKey(code, frame.k[code]);
+      }
+      if (frame.m) {
+        this.input.mouse.x = frame.m[0];
+        this.input.mouse.y = frame.m[1];
+      }
+      if (typeof frame.f === "boolean") this.input.fireHeld = frame.f;
+      if (frame.s) shots = frame.s;
+    }
+    this.tick++;
+    target.keys = Object.assign({}, this.input.keys);
+    target.mouse.x = this.input.mouse.x;
+    target.mouse.y = this.input.mouse.y;
+    target.fireHeld = this.input.fireHeld;
+    return shots;
+  }
+}
@@ -0,0 +1,139 @@
+import { DifficultyPreset } from "./DifficultyPreset.js";
+/** @typedef {import('../types.js').InputFrame} InputFrame */
+/** @typedef {import('../types.js').InputRecording} InputRecording */
+
+/**
+ * Records per-tick input changes so a run can be replayed deterministically.
+ * Each captured frame only stores what changed since the previous tick.
+ */
+export class InputRecorder {
+  /**
+   * @param {number} seed - Gameplay RNG seed the run was started with.
+   * @param {{ view?: {width:number,height:number}, isMobile?: boolean, mode?: import('../types.js').GameMode, preset?: import('../types.js').DifficultyPresetId }} [meta]
+   */
+  constructor(seed, meta = {}) {
+    this.seed = seed >>> 0;
+    this.view = meta.view ? { width: meta.view.width, height: meta.view.height } : null;
+    this.isMobile = !!meta.isMobile;
+    /** @type {import('../types.js').GameMode} */
+    this.mode = meta.mode || "timed";
+    /** @type {import('../types.js').DifficultyPresetId} */
+    this.preset = meta.preset || DifficultyPreset.DEFAULT;
+    /** @type {InputFrame[]} */
+    this.frames = [];
+    this.ticks = 0;
+    /** @type {Record<string, boolean>} */
+    this._keys = {};
+    this._mouse = { x: 0, y: 0 };
+    this._fireHeld = false;
+    this._shots = 0;
+  }
+
+  /**
+   * Continue recording after the ticks already in `recording` (e.g. a resumed saved run).
+   * The last input state is rebuilt from the frames, so the next capture only stores
+   * what changed since then.
+   * @param {InputRecording} recording
+   * @param {number} [shots] - Fire presses noted after its last tick (see `pendingShots`).
+   * @returns {InputRecorder}
+   */
+  static resume(recording, shots = 0) {
+    const recorder = new InputRecorder(recording.seed, {
+      view: recording.view || undefined,
+      isMobile: recording.isMobile,
+      mode: recording.mode,
+      preset: recording.preset,
+    });
+    for (const frame of recording.frames) {
+      if (frame.k) Object.assign(recorder._keys, frame.k);
+      if (frame.m) recorder._mouse = { x: frame.m[0], y: frame.m[1] };
+      if (typeof frame.f === "boolean") recorder._fireHeld = frame.f;
+      recorder.frames.push(frame);
+    }
+    recorder.ticks = recording.ticks;
+    recorder._shots = shots;
+    return recorder;
+  }
+
+  /** Note a fire press (key/mouse/touch down) that arrived between ticks. */
+  noteShot() {
+    this._shots++;
+  }
+
+  /**
+   * Fire presses noted since the last capture. They have already fired, but only go in
+   * the recording with the next tick, so a run saved now must keep them too.
+   * @returns {number}
+   */
+  pendingShots() {
+    return this._shots;
+  }
+
+  /**
+   * Capture the input state for the tick about to run.
+   * @param {import('./InputState.js').InputState} input
+   */
+  capture(input) {
+    /** @type {InputFrame} */
+    const frame = { t: this.ticks };
+    let changed = false;
+    /** @type {Record<string, boolean>|undefined} */
+    let keys;
+    for (const code of Object.keys(input.keys)) {
+      const down = !!input.keys[code];
+      if (down !== !!this._keys[code]) {
+        if (!keys) keys = {};
+        keys[code] = down;
+        this._keys[code] = down;
+      }
+    }
+    // Keys that disappeared from the map count as released
+    for (const code of Object.keys(this._keys)) {
+      if (this._keys[code] && !(code in input.keys)) {
+        if (!keys) keys = {};
+        keys[code] = false;
+        this._keys[code] = false;
+      }
+    }
+    if (keys) {
+      frame.k = keys;
+      changed = true;
+    }
+    if (input.mouse.x !== this._mouse.x || input.mouse.y !== this._mouse.y) {
+      this._mouse.x = input.mouse.x;
+      this._mouse.y = input.mouse.y;
+      frame.m = [input.mouse.x, input.mouse.y];
+      changed = true;
+    }
+    if (!!input.fireHeld !== this._fireHeld) {
+      this._fireHeld = !!input.fireHeld;
+      frame.f = this._fireHeld;
+      changed = true;
+    }
+    if (this._shots > 0) {
+      frame.s = this._shots;
+      this._shots = 0;
+      changed = true;
+    }
+    if (changed) this.frames.push(frame);
+    this.ticks++;
+  }
+
+  /**
+   * Return the recording captured so far.
+   * @returns {InputRecording}
+   */
+  finish() {
+    /** @type {InputRecording} */
+    const recording = {
+      seed: this.seed,
+      ticks: this.ticks,
+      view: this.view ? { width: this.view.width, height: this.view.height } : null,
+      isMobile: this.isMobile,
+      frames: this.frames.slice(),
+    };
+    if (this.mode !== "timed") recording.mode = this.mode;
+    if (this.preset !== DifficultyPreset.DEFAULT) recording.preset = this.preset;
+    return recording;
+  }
+}
@@ -20,6 +20,22 @@ export class InputState {
     this.keys[code] = !!down;
   }
 
+  /**
+   * Replace the held controls with a pilot's action. Movement becomes arrow keys and
+   * the pointer is cleared, so the player moves exactly as with a keyboard.
+   * @param {import('../types.js').PilotAction} action
+   */
+  applyAction(action) {
+    this.keys = {
+      ArrowLeft: !!action.left,
+      ArrowRight: !!action.right,
+      ArrowUp: !!action.up,
+      ArrowDown: !!action.down,
+    };
+    this.clearMouse();
+    this.fireHeld = !!action.fire;
+  }
+
   /** Clear stored mouse position. */
   clearMouse() {
     this.mouse.x = 0;
@@ -0,0 +1,80 @@
+import { DailyChallenge } from "./DailyChallenge.js";
+
+/** @typedef {"day"|"week"|"all"} LeaderboardPeriod */
+
+/**
+ * Leaderboard periods: besides the all-time board, every score also goes on the
+ * board for the current UTC day and ISO week (weeks start Monday 00:00 UTC). Each
+ * period's board is identified by a key — "2026-10-18", "2026-W42" or "all" — so a
+ * new board starts by itself when the date rolls over, and earlier ones stay
+ * readable as archives.
+ */
+export class LeaderboardPeriods {
+  static DAY = "day";
+  static WEEK = "week";
+  static ALL = "all";
+  /** @type {LeaderboardPeriod[]} */
+  static LIST = ["day", "week", "all"];
+  // Archived boards kept per period (the current one included)
+  static ARCHIVE_COUNT = 8;
+
+  /**
+   * @param {any} period
+   * @returns {period is LeaderboardPeriod}
+   */
+  static isPeriod(period) {
+    return LeaderboardPeriods.LIST.includes(period);
+  }
+
+  /**
+   * Key of the `period` board that is current at `date`.
+   * @param {LeaderboardPeriod} period
+   * @param {Date} [date]
+   * @returns {string}
+   */
+  static key(period, date = new Date()) {
+    if (period === "day") return DailyChallenge.dateKey(date);
+    if (period === "week") return LeaderboardPeriods.weekKey(date);
+    return "all";
+  }
+
+  /**
+   * Key of the `period` board before the current one (yesterday's or last week's),
+   * or null for the all-time board.
+   * @param {LeaderboardPeriod} period
+   * @param {Date} [date]
+   * @returns {string|null}
+   */
+  static previousKey(period, date = new Date()) {
+    if (period === "all") return null;
+    const days = period === "week" ? 7 : 1;
+    return LeaderboardPeriods.key(period, new Date(date.getTime() - days * 86400000));
+  }
+
+  /**
+   * ISO 8601 week of `date` (UTC), e.g. "2026-W42".
+   * @param {Date} date
+   * @returns {string}
+   */
+  static weekKey(date) {
+    const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    // The ISO year and week are those of the Thursday in the same Monday-Sunday week
+    d.setUTCDate(d.getUTCDate() + 4 - (d.getUTCDay() || 7));
+    const yearStart = Date.UTC(d.getUTCFullYear(), 0, 1);
+    const week = Math.ceil(((d.getTime() - yearStart) / 86400000 + 1) / 7);
+    return `${d.getUTCFullYear()}-W${String(week).padStart(2, "0")}`;
+  }
+
+  /**
+   * True when `key` is well formed for `period`.
+   * @param {LeaderboardPeriod} period
+   * @param {any} key
+   * @returns {boolean}
+   */
+  static isKey(period, key) {
+    if (period === "day") return DailyChallenge.isDateKey(key);
+    if (period === "week")
+      return typeof key === "string" && /^\d{4}-W(0[1-9]|[1-4]\d|5[0-3])$/.test(key);
+    return key === "all";
+  }
+}
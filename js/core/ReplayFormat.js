@@ -0,0 +1,251 @@
+import { CONFIG } from "../constants.js";
+import { RNG } from "../utils/RNG.js";
+import { DifficultyPreset } from "./DifficultyPreset.js";
+import { SurvivalMode } from "./SurvivalMode.js";
+/** @typedef {import('../types.js').InputRecording} InputRecording */
+/** @typedef {import('../types.js').InputFrame} InputFrame */
+
+/**
+ * Serialized replay file layout (versions 1 and 2 share it):
+ * `{ format, version, config, seed, mobile, view:[w,h]|null, ticks, frames }`, plus
+ * `mode: "survival"` for survival runs and `preset` (see DifficultyPreset) for runs not
+ * played on the default difficulty.
+ * Each frame is `[ticksSincePreviousFrame, ...changes]` where a change is
+ * `"+Code"`/`"-Code"` (key down/up), `[x, y]` (pointer), `"f1"`/`"f0"` (fire held)
+ * or `"s<n>"` (fire presses since the last tick).
+ * @typedef {{ format:string, version:number, config:string, seed:number, mobile:boolean, view:[number,number]|null, ticks:number, frames:Array<Array<number|string|[number,number]>>, mode?:string, preset?:string }} ReplayFile
+ */
+
+/** @typedef {{ recording: InputRecording, error: null } | { recording: null, error: string }} ReplayParseResult */
+
+/**
+ * Versioned, compact file format for recorded runs.
+ * A replay is only meaningful against the exact CONFIG it was recorded with,
+ * so files carry a fingerprint of it and refuse to load when it differs. Survival
+ * replays also fingerprint the SurvivalMode settings.
+ */
+export class ReplayFormat {
+  static FORMAT = "ai-horizon-replay";
+  // 2: gameplay draws from its own RNG stream, so version 1 runs no longer reproduce
+  static VERSION = 2;
+
+  /**
+   * Short stable hash of the gameplay configuration.
+   * @param {object} [config]
+   * @param {import('../types.js').GameMode} [mode]
+   * @returns {string}
+   */
+  static fingerprint(config = CONFIG, mode = "timed") {
+    const settings =
+      mode === SurvivalMode.ID ? { config, survival: SurvivalMode.settings() } : config;
+    return RNG.hash(JSON.stringify(settings)).toString(16).padStart(8, "0");
+  }
+
+  /**
+   * Most fire presses one tick can record: only presses that fire are recorded, and the
+   * shot cooldown allows this many per tick.
+   * @param {import('../types.js').DifficultyPresetId} [preset]
+   * @returns {number}
+   */
+  static maxShotsPerTick(preset = DifficultyPreset.DEFAULT) {
+    const cooldown = DifficultyPreset.settings(preset).shotCooldown;
+    return Math.max(1, Math.ceil(CONFIG.TIME.STEP_MS / cooldown));
+  }
+
+  /**
+   * Whether the game can be played on a `width` x `height` view (CONFIG.VIEW's range).
+   * A much taller view keeps asteroids from ever reaching the ship, and a larger one
+   * keeps more of them in play, slowing the server's re-simulation down.
+   * @param {unknown} width
+   * @param {unknown} height
+   * @returns {boolean}
+   */
+  static isPlayableView(width, height) {
+    const { MIN_WIDTH, MIN_HEIGHT, MAX_WIDTH, MAX_HEIGHT } = CONFIG.VIEW;
+    const within = (
+      /** @type {unknown} */ n,
+      /** @type {number} */ min,
+      /** @type {number} */ max
+    ) => typeof n === "number" && Number.isFinite(n) && n >= min && n <= max;
+    return within(width, MIN_WIDTH, MAX_WIDTH) && within(height, MIN_HEIGHT, MAX_HEIGHT);
+  }
+
+  /**
+   * Most ticks a run can last: the preset's timer for a timed run (plus one tick for
+   * rounding), SurvivalMode.MAX_SECONDS for a survival run.
+   * @param {import('../types.js').GameMode} [mode]
+   * @param {import('../types.js').DifficultyPresetId} [preset]
+   * @returns {number}
+   */
+  static maxTicks(mode = "timed", preset = DifficultyPreset.DEFAULT) {
+    const seconds =
+      mode === SurvivalMode.ID
+        ? SurvivalMode.MAX_SECONDS
+        : DifficultyPreset.settings(preset).timerSeconds;
+    return Math.ceil((seconds * 1000) / CONFIG.TIME.STEP_MS) + 1;
+  }
+
+  /**
+   * Convert a recording into the serializable file shape.
+   * @param {InputRecording} recording
+   * @returns {ReplayFile}
+   */
+  static encode(recording) {
+    let prevT = 0;
+    const frames = recording.frames.map((frame) => {
+      /** @type {Array<number|string|[number,number]>} */
+      const out = [frame.t - prevT];
+      prevT = frame.t;
+      if (frame.k) {
+        for (const code of Object.keys(frame.k)) out.push((frame.k[code] ? "+" : "-") + code);
+      }
+      if (frame.m) out.push([frame.m[0], frame.m[1]]);
+      if (typeof frame.f === "boolean") out.push(frame.f ? "f1" : "f0");
+      if (frame.s) out.push("s" + frame.s);
+      return out;
+    });
+    /** @type {ReplayFile} */
+    const file = {
+      format: ReplayFormat.FORMAT,
+      version: ReplayFormat.VERSION,
+      config: ReplayFormat.fingerprint(CONFIG, recording.mode),
+      seed: recording.seed >>> 0,
+      mobile: !!recording.isMobile,
+      view: recording.view ? [recording.view.width, recording.view.height] : null,
+      ticks: recording.ticks,
+      frames,
+    };
+    if (recording.mode === SurvivalMode.ID) file.mode = SurvivalMode.ID;
+    if (recording.preset && recording.preset !== DifficultyPreset.DEFAULT) {
+      file.preset = recording.preset;
+    }
+    return file;
+  }
+
+  /**
+   * Serialize a recording to replay file text.
+   * @param {InputRecording} recording
+   * @returns {string}
+   */
+  static stringify(recording) {
+    return JSON.stringify(ReplayFormat.encode(recording));
+  }
+
+  /**
+   * Parse replay file text. Never throws; on failure `error` explains why the file
+   * cannot be played.
+   * @param {string} text
+   * @returns {ReplayParseResult}
+   */
+  static parse(text) {
+    /** @type {any} */
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (_e) {
+      data = null;
+    }
+    return ReplayFormat.read(data);
+  }
+
+  /**
+   * Validate an already-parsed replay file object (e.g. one embedded in a request body).
+   * Same checks and messages as `parse`.
+   * @param {any} data
+   * @returns {ReplayParseResult}
+   */
+  static read(data) {
+    if (!data || typeof data !== "object" || data.format !== ReplayFormat.FORMAT) {
+      return { recording: null, error: "This file is not an AI Horizon replay." };
+    }
+    if (data.version !== ReplayFormat.VERSION) {
+      const age = Number(data.version) > ReplayFormat.VERSION ? "newer" : "older";
+      return {
+        recording: null,
+        error:
+          `This replay uses file format version ${data.version}, but this game reads ` +
+          `version ${ReplayFormat.VERSION}. It was saved by a ${age} release of AI Horizon.`,
+      };
+    }
+    const badPreset = data.preset !== undefined && !DifficultyPreset.isPreset(data.preset);
+    if ((data.mode !== undefined && data.mode !== SurvivalMode.ID) || badPreset) {
+      return { recording: null, error: "This replay file is damaged and cannot be played." };
+    }
+    const fingerprint = ReplayFormat.fingerprint(CONFIG, data.mode || "timed");
+    if (data.config !== fingerprint) {
+      return {
+        recording: null,
+        error:
+          `This replay was recorded with different game settings (${data.config}; this ` +
+          `game uses ${fingerprint}). Spawns, speeds or scoring would not match, so it ` +
+          `cannot be played back.`,
+      };
+    }
+    const recording = ReplayFormat._decode(data);
+    if (!recording) {
+      return { recording: null, error: "This replay file is damaged and cannot be played." };
+    }
+    return { recording, error: null };
+  }
+
+  /**
+   * Rebuild a recording from a replay file body, or null when malformed. Runs longer
+   * than `maxTicks`, ticks with more shots than `maxShotsPerTick` and views the game
+   * can't be played on are malformed too: re-simulating them would cost more than any
+   * real run, or play a game nobody could (see `isPlayableView`).
+   * @param {any} data
+   * @returns {InputRecording|null}
+   */
+  static _decode(data) {
+    const isCount = (/** @type {unknown} */ n) => Number.isInteger(n) && Number(n) >= 0;
+    if (!isCount(data.seed) || !isCount(data.ticks) || !Array.isArray(data.frames)) return null;
+    const preset = DifficultyPreset.isPreset(data.preset) ? data.preset : DifficultyPreset.DEFAULT;
+    if (data.ticks > ReplayFormat.maxTicks(data.mode, preset)) return null;
+    const maxShots = ReplayFormat.maxShotsPerTick(preset);
+    /** @type {{width:number,height:number}|null} */
+    let view = null;
+    if (data.view !== null) {
+      if (!Array.isArray(data.view) || data.view.length !== 2) return null;
+      const [width, height] = data.view;
+      if (!ReplayFormat.isPlayableView(width, height)) return null;
+      view = { width, height };
+    }
+    /** @type {InputFrame[]} */
+    const frames = [];
+    let t = 0;
+    for (const raw of data.frames) {
+      if (!Array.isArray(raw) || !isCount(raw[0])) return null;
+      t += raw[0];
+      if (t >= data.ticks || (frames.length && raw[0] === 0)) return null;
+      /** @type {InputFrame} */
+      const frame = { t };
+      for (let i = 1; i < raw.length; i++) {
+        const op = raw[i];
+        if (Array.isArray(op)) {
+          if (op.length !== 2 || !Number.isFinite(op[0]) || !Number.isFinite(op[1])) return null;
+          frame.m = [op[0], op[1]];
+        } else if (typeof op !== "string" || op.length < 2) {
+          return null;
+        } else if (op[0] === "+" || op[0] === "-") {
+          frame.k = frame.k || {};
+          frame.k[op.slice(1)] = op[0] === "+";
+        } else if (op === "f1" || op === "f0") {
+          frame.f = op === "f1";
+        } else if (op[0] === "s" && isCount(Number(op.slice(1)))) {
+          frame.s = Number(op.slice(1));
+          if (frame.s > maxShots) return null;
+        } else {
+          return null;
+        }
+      }
+      frames.push(frame);
+    }
+    /** @type {InputRecording} */
+    const recording = { seed: data.seed, ticks: data.ticks, view, isMobile: !!data.mobile, frames };
+    if (data.mode === SurvivalMode.ID) recording.mode = SurvivalMode.ID;
+    if (DifficultyPreset.isPreset(data.preset) && data.preset !== DifficultyPreset.DEFAULT) {
+      recording.preset = data.preset;
+    }
+    return recording;
+  }
+}
@@ -0,0 +1,878 @@
+import { CONFIG } from "../constants.js";
+import { Asteroid } from "../entities/Asteroid.js";
+import { Bullet } from "../entities/Bullet.js";
+import { EngineTrail } from "../entities/EngineTrail.js";
+import { Explosion } from "../entities/Explosion.js";
+import { Particle } from "../entities/Particle.js";
+import { Player } from "../entities/Player.js";
+import { Star } from "../entities/Star.js";
+import { BossManager } from "../managers/BossManager.js";
+import { CollisionManager } from "../managers/CollisionManager.js";
+import { SpawnManager } from "../managers/SpawnManager.js";
+import { EventHandlers } from "../systems/EventHandlers.js";
+import {
+  updateAsteroids,
+  updateBossRings,
+  updateBullets,
+  updateEngineTrail,
+  updateExplosions,
+  updateParticles,
+  updateStars,
+} from "../systems/UpdateSystems.js";
+import { ObjectPool } from "../utils/ObjectPool.js";
+import { RateLimiter } from "../utils/RateLimiter.js";
+import { RandomStreams } from "../utils/RandomStreams.js";
+import { EventBus } from "./EventBus.js";
+import { GameStateMachine } from "./GameStateMachine.js";
+import { InputPlayback } from "./InputPlayback.js";
+import { DifficultyPreset } from "./DifficultyPreset.js";
+import { InputState } from "./InputState.js";
+import { SurvivalMode } from "./SurvivalMode.js";
+
+/**
+ * @typedef {Object} SimulationOptions
+ * @property {number} [seed] - Master seed for the RNG streams; a random one is chosen when omitted.
+ * @property {import('../types.js').ViewSize} [view] - Playfield size. The object is kept, so a host may resize it in place.
+ * @property {boolean} [isMobile] - Use the mobile speeds and spawn rates.
+ * @property {number} [timerSeconds] - Run length; defaults to the difficulty preset's.
+ * @property {import('../types.js').GameMode} [mode] - "timed" (default) or "survival" (see SurvivalMode).
+ * @property {import('../types.js').DifficultyPresetId} [preset] - Difficulty preset (see
+ *   DifficultyPreset); defaults to DifficultyPreset.DEFAULT.
+ */
+
+/**
+ * Outcome of re-running a recording headlessly.
+ * @typedef {Object} ReplayResult
+ * @property {number} score - Score the simulation reached.
+ * @property {number} ticks - Recorded ticks that were applied.
+ * @property {boolean} ended - The run reached game over.
+ * @property {boolean} exhausted - Every recorded tick was applied.
+ */
+
+/**
+ * @typedef {{x:number,y:number,width:number,height:number,speed:number}} EntitySnapshot
+ */
+
+/**
+ * @typedef {Object} AsteroidSnapshot
+ * @property {number} x
+ * @property {number} y
+ * @property {number} width
+ * @property {number} height
+ * @property {number} speed
+ * @property {number} [vx] - Sideways speed of a boss fragment; missing in older saves.
+ * @property {boolean} indestructible
+ * @property {number} planet - Index into CONFIG.COLORS.ASTEROID_PLANETS, or -1 for the default palette.
+ * @property {number} hits
+ * @property {number} shieldFlash
+ * @property {{dx:number,dy:number,r:number}[]} craters
+ * @property {{angle:number,len:number}[]} damageLines
+ */
+
+/**
+ * Everything needed to continue a run exactly where it stopped. Plain data, so it
+ * survives JSON. Explosions, particles and popups are cosmetic and left out.
+ * @typedef {Object} SimulationSnapshot
+ * @property {boolean} isMobile
+ * @property {number} timeMs
+ * @property {number} timeSec
+ * @property {number} score
+ * @property {number} timerSeconds
+ * @property {number} timerRemaining
+ * @property {import('../types.js').GameMode} [mode] - Missing in saves from before survival mode.
+ * @property {import('../types.js').DifficultyPresetId} [preset] - Missing in saves from
+ *   before difficulty presets.
+ * @property {number} [lives]
+ * @property {number} fireReadyAt - Clock time the fire cooldown ends.
+ * @property {{x:number,y:number,hull?:number,invulnerableUntil?:number}} player - Hull
+ *   and invulnerability are missing in saves from before hull integrity.
+ * @property {AsteroidSnapshot[]} asteroids
+ * @property {(EntitySnapshot & {red:boolean})[]} stars
+ * @property {EntitySnapshot[]} bullets
+ * @property {import('../managers/SpawnManager.js').SpawnStateData} spawn
+ * @property {import('../managers/BossManager.js').BossStateData} [boss] - Missing in saves
+ *   from before boss encounters.
+ * @property {import('../utils/RandomStreams.js').RandomStreamsState} rngs
+ */
+
+/**
+ * @typedef {{x:number,y:number,life:number,maxLife:number,text:string,color:string,fontSize?:number,fontWeight?:string,glow?:boolean,glowColor?:string,glowBlur?:number,stroke?:string}} ScorePopup
+ */
+
+/**
+ * Headless game simulation: entities, pools, spawning, collisions, score and timer.
+ * Touches no DOM, so it runs unchanged in Node. Advance it with `step()` after writing
+ * the tick's input into `input` (and calling `shoot()` for discrete fire presses).
+ * Score, timer, hull, lives and end-of-run changes are announced on `events`.
+ */
+export class Simulation {
+  /** Playfield size used when none is given. */
+  static DEFAULT_VIEW = Object.freeze({ width: 800, height: 600 });
+
+  /**
+   * Instance fields that make up the simulated game state. Hosts that wrap a
+   * simulation can expose these under the same names.
+   */
+  static STATE_KEYS = Object.freeze([
+    "view",
+    "rngs",
+    "rng",
+    "fxRng",
+    "events",
+    "state",
+    "input",
+    "_isMobile",
+    "asteroidSpeed",
+    "bulletSpeed",
+    "starSpeed",
+    "fireLimiter",
+    "timeMs",
+    "timeSec",
+    "_lastDtSec",
+    "player",
+    "engineTrail",
+    "cellSize",
+    "asteroids",
+    "bullets",
+    "explosions",
+    "particles",
+    "scorePopups",
+    "stars",
+    "bulletPool",
+    "particlePool",
+    "asteroidPool",
+    "starPool",
+    "explosionPool",
+    "score",
+    "timerSeconds",
+    "timerRemaining",
+    "mode",
+    "preset",
+    "presetSettings",
+    "lives",
+    "spawnFactor",
+    "boss",
+    "bossRings",
+    "bossEncounters",
+  ]);
+
+  /**
+   * Re-run a recorded run from its seed and input log, exactly as the browser
+   * game steps it, until game over or the recording runs out.
+   * @param {import('../types.js').InputRecording} recording
+   * @returns {ReplayResult}
+   */
+  static replay(recording) {
+    const playback = new InputPlayback(recording);
+    const view = playback.view || Simulation.DEFAULT_VIEW;
+    const sim = new Simulation({
+      seed: playback.seed,
+      view: { width: view.width, height: view.height, dpr: 1 },
+      isMobile: playback.isMobile,
+      mode: playback.mode,
+      preset: playback.preset,
+    });
+    sim.start(playback.seed);
+    while (sim.state.isRunning() && !playback.done) sim.stepPlayback(playback);
+    const result = {
+      score: sim.score,
+      ticks: playback.tick,
+      ended: sim.state.isGameOver(),
+      exhausted: playback.done,
+    };
+    sim.dispose();
+    return result;
+  }
+
+  /**
+   * @param {SimulationOptions} [opts]
+   */
+  constructor(opts = {}) {
+    this.view = opts.view || { ...Simulation.DEFAULT_VIEW, dpr: 1 };
+    // Gameplay and cosmetic randomness come from separate streams of one seed
+    this.rngs = new RandomStreams(opts.seed);
+    this.rng = this.rngs.gameplay;
+    this.fxRng = this.rngs.fx;
+    this.events = new EventBus();
+    this.state = new GameStateMachine();
+    this.input = new InputState();
+
+    this._isMobile = false;
+    this.asteroidSpeed = CONFIG.SPEEDS.ASTEROID_DESKTOP;
+    this.bulletSpeed = CONFIG.SPEEDS.BULLET;
+    this.starSpeed = CONFIG.SPEEDS.STAR;
+    this.setPlatform(!!opts.isMobile);
+
+    this.timeMs = 0;
+    this.timeSec = 0;
+    this._lastDtSec = CONFIG.TIME.DEFAULT_DT;
+    this.fireLimiter = new RateLimiter(CONFIG.GAME.SHOT_COOLDOWN, () => this.timeMs);
+
+    this.score = 0;
+    this.timerSeconds = opts.timerSeconds || CONFIG.GAME.TIMER_SECONDS || 60;
+    this.timerRemaining = this.timerSeconds;
+    /** @type {import('../types.js').GameMode} */
+    this.mode = "timed";
+    this.setMode(opts.mode || "timed");
+    // Difficulty preset: its spawn scaling is read by SpawnManager, its shot cooldown
+    // and timer are applied here (an explicit `timerSeconds` option wins)
+    this._timerOverride = opts.timerSeconds || null;
+    /** @type {import('../types.js').DifficultyPresetId} */
+    this.preset = DifficultyPreset.DEFAULT;
+    this.presetSettings = DifficultyPreset.settings(this.preset);
+    this.setPreset(opts.preset || DifficultyPreset.DEFAULT);
+    this.timerRemaining = this.timerSeconds;
+    // Survival mode: lives left and the current asteroid spawn rate multiplier (1 in
+    // timed runs)
+    this.lives = 1;
+    this.spawnFactor = 1;
+
+    this.player = new Player(0, 0, CONFIG.SIZES.PLAYER, CONFIG.SIZES.PLAYER, CONFIG.SPEEDS.PLAYER);
+    this.engineTrail = new EngineTrail();
+    this.cellSize = CONFIG.ASTEROID.MIN_SIZE + CONFIG.ASTEROID.SIZE_VARIATION;
+
+    /** @type {Asteroid[]} */
+    this.asteroids = [];
+    /** @type {Bullet[]} */
+    this.bullets = [];
+    /** @type {Explosion[]} */
+    this.explosions = [];
+    /** @type {Particle[]} */
+    this.particles = [];
+    /** @type {ScorePopup[]} */
+    this.scorePopups = [];
+    /** @type {Star[]} */
+    this.stars = [];
+    // Boss encounter in progress (see BossManager), its rings and how many have begun
+    /** @type {import('../entities/BossPlanet.js').BossPlanet | null} */
+    this.boss = null;
+    /** @type {import('../entities/BossRing.js').BossRing[]} */
+    this.bossRings = [];
+    this.bossEncounters = 0;
+
+    this.bulletPool = new ObjectPool(
+      (x, y, w, h, speed) => new Bullet(x, y, w, h, speed),
+      undefined,
+      { maxSize: 512 }
+    );
+    this.particlePool = new ObjectPool(
+      (x, y, vx, vy, life, maxLife, size, color) =>
+        new Particle(x, y, vx, vy, life, maxLife, size, color),
+      undefined,
+      { maxSize: 4096 }
+    );
+    this.asteroidPool = new ObjectPool(
+      (x, y, w, h, speed, rng, isIndestructible = false, paletteOverride = null) =>
+        new Asteroid(x, y, w, h, speed, rng, isIndestructible, paletteOverride),
+      undefined,
+      { maxSize: 256 }
+    );
+    this.starPool = new ObjectPool((x, y, w, h, speed) => new Star(x, y, w, h, speed), undefined, {
+      maxSize: 256,
+    });
+    this.explosionPool = new ObjectPool(
+      (x, y, w, h, life, maxLife) => new Explosion(x, y, w, h, life, maxLife),
+      undefined,
+      { maxSize: 256 }
+    );
+
+    // Pre-allocate common objects to reduce first-use jank
+    this._warmUpPools();
+    this.placePlayer();
+
+    // Gameplay reactions to collisions (score, effects, game over)
+    /** @type {(() => void) | null} */
+    this._unsubscribeEvents = EventHandlers.register(this);
+  }
+
+  /**
+   * Apply platform-dependent speeds (spawn rates follow `_isMobile` directly).
+   * @param {boolean} isMobile
+   */
+  setPlatform(isMobile) {
+    this._isMobile = isMobile;
+    this.asteroidSpeed = isMobile ? CONFIG.SPEEDS.ASTEROID_MOBILE : CONFIG.SPEEDS.ASTEROID_DESKTOP;
+    this.starSpeed = CONFIG.SPEEDS.STAR;
+  }
+
+  /**
+   * Choose how the next run is played; takes effect on the next `reset`/`start`.
+   * @param {import('../types.js').GameMode} mode
+   */
+  setMode(mode) {
+    this.mode = mode === SurvivalMode.ID ? SurvivalMode.ID : "timed";
+  }
+
+  /**
+   * Choose the difficulty preset; its timer applies from the next `reset`/`start`.
+   * @param {import('../types.js').DifficultyPresetId} preset
+   */
+  setPreset(preset) {
+    this.preset = DifficultyPreset.isPreset(preset) ? preset : DifficultyPreset.DEFAULT;
+    this.presetSettings = DifficultyPreset.settings(this.preset);
+    this.fireLimiter.setInterval(this.presetSettings.shotCooldown);
+    this.timerSeconds = this._timerOverride || this.presetSettings.timerSeconds;
+  }
+
+  /** @returns {boolean} True when the run is played in survival mode. */
+  isSurvival() {
+    return this.mode === SurvivalMode.ID;
+  }
+
+  /** @returns {boolean} True while a damaged or respawned ship can't be hit. */
+  isInvulnerable() {
+    return this.player.isInvulnerable(this.timeSec);
+  }
+
+  /** Put the player at the spawn point for the current view. */
+  placePlayer() {
+    const { player, view } = this;
+    player.x = view.width / 2 - player.width / 2;
+    player.y = view.height - player.height - CONFIG.PLAYER.SPAWN_Y_OFFSET;
+  }
+
+  /**
+   * Clear every entity and restore score, timer, clock, input and spawn cadence.
+   * Leaves the state machine alone.
+   * @param {number} [seed] - Reseed the RNG streams when given.
+   */
+  reset(seed) {
+    /**
+     * @param {any[]} arr
+     * @param {{ release: (obj: any) => void }} pool
+     */
+    const releaseAll = (arr, pool) => {
+      for (const it of arr) pool.release(it);
+    };
+    releaseAll(this.asteroids, this.asteroidPool);
+    releaseAll(this.bullets, this.bulletPool);
+    releaseAll(this.explosions, this.explosionPool);
+    releaseAll(this.particles, this.particlePool);
+    releaseAll(this.stars, this.starPool);
+    this.asteroids = [];
+    this.bullets = [];
+    this.explosions = [];
+    this.particles = [];
+    this.stars = [];
+    this.scorePopups = [];
+    this.boss = null;
+    this.bossRings = [];
+    this.bossEncounters = 0;
+
+    this.score = 0;
+    this.updateScore();
+    this.timerRemaining = this.timerSeconds;
+    this.events.emit("timerChanged", { remaining: this.timerRemaining });
+    this.lives = this.isSurvival() ? SurvivalMode.LIVES : 1;
+    this.spawnFactor = 1;
+    this.events.emit("livesChanged", { lives: this.lives });
+    this.player.resetHull();
+    this.updateHull();
+    this.fireLimiter.reset();
+    // Restart the clock so fire cooldowns compare identically on every run
+    this.timeMs = 0;
+    this.timeSec = 0;
+    this.input = new InputState();
+    SpawnManager.reset(this);
+    this.placePlayer();
+    if (typeof seed === "number") this.reseed(seed);
+  }
+
+  /**
+   * Reseed every RNG stream (gameplay, fx, background) from a master seed.
+   * @param {number} seed
+   */
+  reseed(seed) {
+    this.rngs.reseed(seed);
+  }
+
+  /**
+   * Reset and begin a run.
+   * @param {number} [seed]
+   */
+  start(seed) {
+    this.reset(seed);
+    this.state.start();
+  }
+
+  /**
+   * Advance one fixed step using the current `input`.
+   * @param {number} [dtMs]
+   * @param {number} [dtSec]
+   */
+  step(dtMs = CONFIG.TIME.STEP_MS, dtSec = dtMs / 1000) {
+    this.timeMs += dtMs;
+    this.timeSec += dtSec;
+    this._lastDtSec = dtSec;
+    this.update(dtSec);
+  }
+
+  /**
+   * Feed the next recorded tick from `playback` into `input` (including fire presses)
+   * and advance one fixed step.
+   * @param {InputPlayback} playback
+   */
+  stepPlayback(playback) {
+    const shots = playback.apply(this.input);
+    for (let i = 0; i < shots; i++) this.shoot();
+    this.step();
+  }
+
+  /**
+   * Update all entities, spawn, resolve collisions and count down the timer (survival
+   * runs have none; their asteroid spawn rate rises instead).
+   * @param {number} [dtSec]
+   */
+  update(dtSec = CONFIG.TIME.DEFAULT_DT) {
+    updateAsteroids(this, dtSec);
+    updateBullets(this, dtSec);
+    updateEngineTrail(this, dtSec);
+    updateExplosions(this, dtSec);
+    updateParticles(this, dtSec);
+    updateStars(this, dtSec);
+    updateBossRings(this, dtSec);
+    if (this.input.fireHeld) {
+      this.shoot();
+    }
+    if (this.isSurvival()) this.spawnFactor = SurvivalMode.spawnFactor(this.timeSec);
+    this.spawnObjects(dtSec);
+    BossManager.update(this, dtSec);
+    this.checkCollisions();
+    this.player.update(this.input.keys, this.input.mouse, this.view, dtSec);
+
+    // Countdown timer -- only while running
+    if (this.state.isRunning() && !this.isSurvival()) {
+      this.timerRemaining = Math.max(0, this.timerRemaining - dtSec);
+      this.events.emit("timerChanged", { remaining: this.timerRemaining });
+      if (this.timerRemaining <= 0) this.gameOver();
+    }
+  }
+
+  /**
+   * Fire a bullet if the run is active and the cooldown allows.
+   * @returns {boolean} True when a bullet was fired.
+   */
+  shoot() {
+    if (!this.state.isRunning()) return false;
+    return this.fireLimiter.try(() => {
+      this.bullets.push(this.createBullet());
+    });
+  }
+
+  /**
+   * The ship hit an asteroid: the hull takes damage scaled by the asteroid's size (see
+   * Player.hitDamage; a hit with no asteroid wrecks it), or `damage` when given (boss
+   * rings), and the ship is knocked away from `asteroid` and briefly invulnerable. Hits while invulnerable are ignored. When the hull is depleted a
+   * timed run ends; a survival run loses a life instead (announced with `livesChanged`)
+   * and, unless that was the last one, respawns the ship with a full hull and
+   * INVULNERABLE_SECONDS of invulnerability.
+   * @param {import('../entities/Player.js').HitSource} [asteroid]
+   * @param {number} [damage]
+   */
+  playerHit(asteroid, damage) {
+    if (this.isInvulnerable() || !this.state.isRunning()) return;
+    const { player } = this;
+    const dealt =
+      typeof damage === "number" ? damage : asteroid ? Player.hitDamage(asteroid) : player.hull;
+    player.takeHit(dealt, asteroid || player, this.timeSec, this.view);
+    this.updateHull();
+    if (player.hull > 0) return;
+    if (!this.isSurvival()) {
+      this.gameOver();
+      return;
+    }
+    this.createExplosion(player.x + player.width / 2, player.y + player.height / 2);
+    this.lives = Math.max(0, this.lives - 1);
+    this.events.emit("livesChanged", { lives: this.lives });
+    if (this.lives === 0) {
+      this.gameOver();
+      return;
+    }
+    const index = asteroid ? this.asteroids.indexOf(/** @type {Asteroid} */ (asteroid)) : -1;
+    if (index >= 0) this.asteroidPool.release(this.asteroids.splice(index, 1)[0]);
+    this.placePlayer();
+    player.resetHull();
+    player.invulnerableUntil = this.timeSec + SurvivalMode.INVULNERABLE_SECONDS;
+    this.updateHull();
+  }
+
+  /**
+   * End the run (collision or timer) and announce it with `gameOver`.
+   */
+  gameOver() {
+    if (!this.state.isRunning() && !this.state.isPaused()) return;
+    this.state.end();
+    this.events.emit("gameOver", { score: this.score });
+  }
+
+  /**
+   * Snapshot the playfield for a pilot. The result is frozen and shares nothing with
+   * live entities, so a controller cannot change the game except through its action.
+   * @returns {import('../types.js').PilotObservation}
+   */
+  observe() {
+    const { player, view } = this;
+    return Object.freeze({
+      view: Object.freeze({ width: view.width, height: view.height }),
+      player: Object.freeze({
+        x: player.x,
+        y: player.y,
+        width: player.width,
+        height: player.height,
+        speed: player.speed,
+      }),
+      asteroids: Object.freeze(
+        (this.boss ? [...this.asteroids, this.boss] : this.asteroids).map((a) =>
+          Object.freeze({
+            x: a.x,
+            y: a.y,
+            width: a.width,
+            height: a.height,
+            speed: a.speed,
+            indestructible: a.isIndestructible,
+          })
+        )
+      ),
+      stars: Object.freeze(
+        this.stars.map((s) =>
+          Object.freeze({
+            x: s.x,
+            y: s.y,
+            width: s.width,
+            height: s.height,
+            speed: s.speed,
+            red: s.isRed,
+          })
+        )
+      ),
+      timerRemaining: this.isSurvival() ? Infinity : this.timerRemaining,
+      hull: this.player.hull / this.player.maxHull,
+      lives: this.lives,
+      score: this.score,
+    });
+  }
+
+  /**
+   * Capture the run's gameplay state (see SimulationSnapshot) for saving.
+   * @returns {SimulationSnapshot}
+   */
+  snapshot() {
+    const planets = CONFIG.COLORS.ASTEROID_PLANETS;
+    return {
+      isMobile: this._isMobile,
+      timeMs: this.timeMs,
+      timeSec: this.timeSec,
+      score: this.score,
+      timerSeconds: this.timerSeconds,
+      timerRemaining: this.timerRemaining,
+      mode: this.mode,
+      preset: this.preset,
+      lives: this.lives,
+      fireReadyAt: this.fireLimiter.getState(),
+      player: {
+        x: this.player.x,
+        y: this.player.y,
+        hull: this.player.hull,
+        invulnerableUntil: this.player.invulnerableUntil,
+      },
+      asteroids: this.asteroids.map((a) => ({
+        x: a.x,
+        y: a.y,
+        width: a.width,
+        height: a.height,
+        speed: a.speed,
+        vx: a.vx,
+        indestructible: a.isIndestructible,
+        planet: planets.indexOf(a._palette),
+        hits: a._hits,
+        shieldFlash: a._shieldFlash,
+        craters: a._craters.map((c) => ({ ...c })),
+        damageLines: a._damageLines.map((d) => ({ ...d })),
+      })),
+      stars: this.stars.map((s) => ({
+        x: s.x,
+        y: s.y,
+        width: s.width,
+        height: s.height,
+        speed: s.speed,
+        red: s.isRed,
+      })),
+      bullets: this.bullets.map((b) => ({
+        x: b.x,
+        y: b.y,
+        width: b.width,
+        height: b.height,
+        speed: b.speed,
+      })),
+      spawn: SpawnManager.getState(this),
+      boss: BossManager.getState(this),
+      rngs: this.rngs.getState(),
+    };
+  }
+
+  /**
+   * Replace the current run with one captured by `snapshot()`. Input is cleared and
+   * the state machine is left alone; the host starts it when play continues.
+   * @param {SimulationSnapshot} snap
+   */
+  restore(snap) {
+    this.setMode(snap.mode || "timed");
+    this.setPreset(snap.preset || DifficultyPreset.DEFAULT);
+    this.reset();
+    this.setPlatform(snap.isMobile);
+    this.timeMs = snap.timeMs;
+    this.timeSec = snap.timeSec;
+    this.fireLimiter.setState(snap.fireReadyAt);
+    this.player.x = snap.player.x;
+    this.player.y = snap.player.y;
+    if (typeof snap.player.hull === "number") this.player.hull = snap.player.hull;
+    this.player.invulnerableUntil = snap.player.invulnerableUntil || 0;
+    this.updateHull();
+    const planets = CONFIG.COLORS.ASTEROID_PLANETS;
+    for (const a of snap.asteroids) {
+      const asteroid = this.asteroidPool.acquire(
+        a.x,
+        a.y,
+        a.width,
+        a.height,
+        a.speed,
+        this.fxRng,
+        a.indestructible,
+        planets[a.planet] || null
+      );
+      // Constructor-derived values are overwritten with the saved ones
+      asteroid.speed = a.speed;
+      asteroid.vx = a.vx || 0;
+      asteroid._palette =
+        planets[a.planet] ||
+        (a.indestructible
+          ? CONFIG.COLORS.ASTEROID_DARK || CONFIG.COLORS.ASTEROID
+          : CONFIG.COLORS.ASTEROID);
+      asteroid._hits = a.hits;
+      asteroid.maxHits = this.presetSettings.indestructibleHits;
+      asteroid._shieldFlash = a.shieldFlash;
+      asteroid._craters = a.craters.map((c) => ({ ...c }));
+      asteroid._damageLines = a.damageLines.map((d) => ({ ...d }));
+      this.asteroids.push(asteroid);
+    }
+    for (const s of snap.stars) {
+      this.stars.push(this.starPool.acquire(s.x, s.y, s.width, s.height, s.speed, s.red));
+    }
+    for (const b of snap.bullets) {
+      this.bullets.push(this.bulletPool.acquire(b.x, b.y, b.width, b.height, b.speed));
+    }
+    SpawnManager.setState(this, snap.spawn);
+    BossManager.setState(this, snap.boss);
+    // Last, so draws made while rebuilding entities don't leave the streams off
+    this.rngs.setState(snap.rngs);
+    this.score = snap.score;
+    this.updateScore();
+    this.timerSeconds = snap.timerSeconds;
+    this.timerRemaining = snap.timerRemaining;
+    this.events.emit("timerChanged", { remaining: this.timerRemaining });
+    if (typeof snap.lives === "number") this.lives = snap.lives;
+    if (this.isSurvival()) this.spawnFactor = SurvivalMode.spawnFactor(this.timeSec);
+    this.events.emit("livesChanged", { lives: this.lives });
+  }
+
+  /** Announce the current score. */
+  updateScore() {
+    this.events.emit("scoreChanged", { score: this.score });
+  }
+
+  /** Announce the ship's hull integrity. */
+  updateHull() {
+    this.events.emit("hullChanged", { hull: this.player.hull, max: this.player.maxHull });
+  }
+
+  /** Remove the gameplay event subscriptions made in the constructor. */
+  dispose() {
+    if (this._unsubscribeEvents) this._unsubscribeEvents();
+    this._unsubscribeEvents = null;
+  }
+
+  /**
+   * Create a transient score popup (drawn and aged by the renderer).
+   * @param {number} x
+   * @param {number} y
+   * @param {number} score
+   * @param {{color?:string,fontSize?:number,fontWeight?:string,glow?:boolean,glowColor?:string,glowBlur?:number,stroke?:string,maxLife?:number}} [opts]
+   */
+  createScorePopup(x, y, score, opts) {
+    const o = opts || {};
+    this.scorePopups.push({
+      x,
+      y,
+      life: 0,
+      maxLife: typeof o.maxLife === "number" ? o.maxLife : 0.9,
+      text: `+${score}`,
+      color: o.color || "#fff",
+      fontSize: o.fontSize || 18,
+      fontWeight: o.fontWeight || "700",
+      glow: !!o.glow,
+      glowColor: o.glowColor || o.color || "#fff",
+      glowBlur: o.glowBlur || 8,
+      stroke: o.stroke || undefined,
+    });
+  }
+
+  /**
+   * Create a small gold particle burst for indestructible asteroid kills.
+   * @param {number} x
+   * @param {number} y
+   */
+  createGoldBurst(x, y) {
+    const rng = this.fxRng;
+    const count = 8;
+    for (let i = 0; i < count; i++) {
+      const angle = (Math.PI * 2 * i) / count + (rng.nextFloat() - 0.5) * 0.4;
+      const speed = rng.range(40, 160);
+      const vx = Math.cos(angle) * speed;
+      const vy = Math.sin(angle) * speed;
+      const size = rng.range(2, 6);
+      const life = 0.6 + rng.nextFloat() * 0.6;
+      const color = "#ffd700";
+      this.particles.push(this.particlePool.acquire(x, y, vx, vy, life, life, size, color));
+    }
+  }
+
+  /**
+   * Randomly spawn asteroids and collectible stars.
+   * @param {number} dtSec
+   */
+  spawnObjects(dtSec) {
+    SpawnManager.spawnObjects(this, dtSec);
+  }
+
+  /**
+   * Check for collisions between bullets, asteroids, player, and stars.
+   */
+  checkCollisions() {
+    CollisionManager.check(this);
+  }
+
+  /**
+   * Create a new asteroid object with random size and speed.
+   * @returns {Asteroid}
+   */
+  createAsteroid() {
+    return SpawnManager.createAsteroid(this);
+  }
+
+  /**
+   * Create a new collectible star object with random size and speed.
+   * @returns {Star}
+   */
+  createStar() {
+    return SpawnManager.createStar(this);
+  }
+
+  /**
+   * Create a new bullet object at the player's position.
+   * @returns {Bullet}
+   */
+  createBullet() {
+    const bx =
+      this.player.x + (this.player.width - CONFIG.BULLET.WIDTH) / 2 + CONFIG.BULLET.SPAWN_OFFSET;
+    return this.bulletPool.acquire(
+      bx,
+      this.player.y,
+      CONFIG.BULLET.WIDTH,
+      CONFIG.BULLET.HEIGHT,
+      this.bulletSpeed
+    );
+  }
+
+  /**
+   * Create explosion and particle effects at given position.
+   * @param {number} x - X coordinate of explosion center.
+   * @param {number} y - Y coordinate of explosion center.
+   */
+  createExplosion(x, y) {
+    const rng = this.fxRng;
+    for (let i = 0; i < CONFIG.EXPLOSION.PARTICLE_COUNT; i++) {
+      const vx = (rng.nextFloat() - 0.5) * CONFIG.EXPLOSION.PARTICLE_SPEED_VAR;
+      const vy = (rng.nextFloat() - 0.5) * CONFIG.EXPLOSION.PARTICLE_SPEED_VAR;
+      const size =
+        rng.range(0, CONFIG.EXPLOSION.PARTICLE_SIZE_VARIATION) + CONFIG.EXPLOSION.PARTICLE_SIZE_MIN;
+      const gray = rng.range(40, 80);
+      this.particles.push(
+        this.particlePool.acquire(
+          x,
+          y,
+          vx,
+          vy,
+          CONFIG.EXPLOSION.PARTICLE_LIFE,
+          CONFIG.EXPLOSION.PARTICLE_LIFE,
+          size,
+          `hsl(0, 0%, ${gray}%)`
+        )
+      );
+    }
+    this.explosions.push(
+      this.explosionPool.acquire(
+        x - CONFIG.EXPLOSION.OFFSET,
+        y - CONFIG.EXPLOSION.OFFSET,
+        CONFIG.EXPLOSION.SIZE,
+        CONFIG.EXPLOSION.SIZE,
+        CONFIG.EXPLOSION.LIFE,
+        CONFIG.EXPLOSION.LIFE
+      )
+    );
+  }
+
+  /**
+   * Pre-allocate common pooled objects to reduce first-use jank.
+   * Uses representative dimensions/speeds; objects remain in the free list until acquired.
+   */
+  _warmUpPools() {
+    try {
+      // Bullets
+      this.bulletPool.warmUp(64, 0, 0, CONFIG.BULLET.WIDTH, CONFIG.BULLET.HEIGHT, this.bulletSpeed);
+
+      // Asteroids
+      const aW = CONFIG.ASTEROID.MIN_SIZE + CONFIG.ASTEROID.SIZE_VARIATION * 0.5;
+      const aH = aW;
+      this.asteroidPool.warmUp(
+        32,
+        0,
+        CONFIG.ASTEROID.SPAWN_Y,
+        aW,
+        aH,
+        this.asteroidSpeed,
+        this.fxRng,
+        false
+      );
+
+      // Stars
+      const sSize = CONFIG.STAR.MIN_SIZE + CONFIG.STAR.SIZE_VARIATION * 0.5;
+      this.starPool.warmUp(32, 0, CONFIG.STAR.SPAWN_Y, sSize, sSize, this.starSpeed, false);
+
+      // Particles (explosion-like)
+      this.particlePool.warmUp(
+        256,
+        0,
+        0,
+        0,
+        0,
+        CONFIG.EXPLOSION.PARTICLE_LIFE,
+        CONFIG.EXPLOSION.PARTICLE_LIFE,
+        2,
+        "#999"
+      );
+
+      // Explosions
+      this.explosionPool.warmUp(
+        16,
+        0,
+        0,
+        CONFIG.EXPLOSION.SIZE,
+        CONFIG.EXPLOSION.SIZE,
+        CONFIG.EXPLOSION.LIFE,
+        CONFIG.EXPLOSION.LIFE
+      );
+    } catch (_) {
+      // warm-up is best-effort; ignore in non-DOM or test envs
+    }
+  }
+}
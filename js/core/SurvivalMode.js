@@ -0,0 +1,41 @@
+/**
+ * Survival mode: no timer, LIVES lives and asteroids that spawn faster the longer the
+ * run lasts. A hit costs a life and respawns the ship, which is then invulnerable for
+ * INVULNERABLE_SECONDS; losing the last life ends the run. Survival runs are recorded
+ * with their mode and ranked on their own leaderboard board.
+ */
+export class SurvivalMode {
+  /** @type {"survival"} */
+  static ID = "survival";
+  static LIVES = 3;
+  static INVULNERABLE_SECONDS = 2;
+  // The asteroid spawn rate grows by this fraction of the base rate per minute
+  // survived, up to MAX_SPAWN_FACTOR times the base rate
+  static SPAWN_GROWTH_PER_MINUTE = 0.5;
+  static MAX_SPAWN_FACTOR = 4;
+  // Longest survival run a replay may claim; the server re-simulates every tick
+  static MAX_SECONDS = 15 * 60;
+
+  /**
+   * Asteroid spawn rate multiplier after `seconds` of a survival run.
+   * @param {number} seconds
+   * @returns {number}
+   */
+  static spawnFactor(seconds) {
+    const growth = (Math.max(0, seconds) / 60) * SurvivalMode.SPAWN_GROWTH_PER_MINUTE;
+    return Math.min(SurvivalMode.MAX_SPAWN_FACTOR, 1 + growth);
+  }
+
+  /**
+   * The tunables above, for fingerprinting survival replays (see ReplayFormat).
+   * @returns {{ lives: number, invulnerableSeconds: number, spawnGrowthPerMinute: number, maxSpawnFactor: number }}
+   */
+  static settings() {
+    return {
+      lives: SurvivalMode.LIVES,
+      invulnerableSeconds: SurvivalMode.INVULNERABLE_SECONDS,
+      spawnGrowthPerMinute: SurvivalMode.SPAWN_GROWTH_PER_MINUTE,
+      maxSpawnFactor: SurvivalMode.MAX_SPAWN_FACTOR,
+    };
+  }
+}
@@ -20,6 +20,8 @@ export class Asteroid {
     this.width = width;
     this.height = height;
     this.speed = speed;
+    // Horizontal speed; only boss fragments (see BossManager) drift sideways
+    this.vx = 0;
     /** @type {boolean} */
     this.isIndestructible = !!isIndestructible;
     /** Remaining time for shield hit flash (seconds) */
@@ -59,8 +61,10 @@ export class Asteroid {
         ? this._palette.SPEED_FACTOR
         : null;
     this.speed = paletteSpeedFactor ? speed * paletteSpeedFactor : speed;
-    // Track bullet hits for indestructible asteroids
+    // Track bullet hits for indestructible asteroids, and how many destroy one (the
+    // difficulty preset may change it after spawning)
     this._hits = 0;
+    this.maxHits = CONFIG.ASTEROID.INDESTRUCTIBLE_HITS || 10;
     // Stored damage line descriptors so cracks are stable across frames
     /** @type {{angle:number,len:number}[]} */
     this._damageLines = [];
@@ -72,6 +76,7 @@ export class Asteroid {
    */
   update(dtSec = CONFIG.TIME.DEFAULT_DT) {
     this.y += this.speed * dtSec;
+    this.x += this.vx * dtSec;
     if (this.isIndestructible && this._shieldFlash > 0) {
       this._shieldFlash = Math.max(0, this._shieldFlash - dtSec);
     }
@@ -137,10 +142,7 @@ export class Asteroid {
     // Subtle scratches -> deeper cracks as hits increase.
     if (this.isIndestructible && this._hits > 0) {
       ctx.save();
-      const severity = Math.max(
-        0,
-        Math.min(1, this._hits / (CONFIG.ASTEROID.INDESTRUCTIBLE_HITS || 10))
-      );
+      const severity = Math.max(0, Math.min(1, this._hits / this.maxHits));
       // number of scratch lines scales with severity
       const lines = 1 + Math.floor(severity * 4);
       // Choose a damage color based on palette. ICE gets light/white scratches;
@@ -227,10 +229,12 @@ export class Asteroid {
     this.width = width;
     this.height = height;
     this.speed = speed;
+    this.vx = 0;
     this.isIndestructible = !!isIndestructible;
     this._shieldFlash = 0;
     // Reset hit counter when reusing from pool so prior hits don't carry over
     this._hits = 0;
+    this.maxHits = CONFIG.ASTEROID.INDESTRUCTIBLE_HITS || 10;
     this._damageLines = [];
     const radius = this.width / 2;
     const craterCount = 3;
@@ -276,10 +280,11 @@ export class Asteroid {
   /**
    * Register a bullet hit against this asteroid. For regular asteroids this should not be called.
    * For indestructible asteroids, increment the internal hit counter and return true when the
-   * asteroid should be destroyed (after CONFIG.ASTEROID.INDESTRUCTIBLE_HITS hits).
+   * asteroid should be destroyed (after `maxHits` hits).
+   * @param {import('../types.js').Rect} [_bullet] - The bullet that hit (see BossPlanet).
    * @returns {boolean} true if asteroid should now be destroyed
    */
-  onBulletHit() {
+  onBulletHit(_bullet) {
     if (!this.isIndestructible) return true; // regular asteroids are destroyed immediately
     this._hits = (this._hits || 0) + 1;
     this.onShieldHit();
@@ -299,6 +304,6 @@ export class Asteroid {
     } catch {
       /* noop */
     }
-    return this._hits >= (CONFIG.ASTEROID.INDESTRUCTIBLE_HITS || 10);
+    return this._hits >= this.maxHits;
   }
 }
@@ -0,0 +1,161 @@
+import { CONFIG, PI2 } from "../constants.js";
+import { Asteroid } from "./Asteroid.js";
+
+/** @typedef {"entering"|"fighting"|"leaving"} BossStage */
+
+/**
+ * A boss encounter's giant planet (see BossManager). It is an indestructible asteroid
+ * whose hit counter is its damage taken: bullets crack it and flash its shield like any
+ * planet, and it is destroyed once the damage of every phase in CONFIG.BOSS.PHASES is
+ * dealt. Bullets that land on the current phase's weak points deal WEAK_POINT_DAMAGE.
+ */
+export class BossPlanet extends Asteroid {
+  /**
+   * Total damage a boss takes over all its phases.
+   * @returns {number}
+   */
+  static maxHealth() {
+    return CONFIG.BOSS.PHASES.reduce(
+      (/** @type {number} */ sum, /** @type {{HITS:number}} */ phase) => sum + phase.HITS,
+      0
+    );
+  }
+
+  /**
+   * Creates an instance of BossPlanet, above the top of the view.
+   * @param {number} x - The x position of the boss.
+   * @param {import('../types.js').RNGLike} rng - RNG for craters and cracks.
+   * @param {any} palette - One of CONFIG.COLORS.ASTEROID_PLANETS.
+   */
+  constructor(x, rng, palette) {
+    const size = CONFIG.BOSS.SIZE;
+    super(x, -size, size, size, 0, rng, true, palette);
+    this.isBoss = true;
+    this.speed = 0;
+    this.maxHits = BossPlanet.maxHealth();
+    // Hull damage when the ship flies into it (see Player.hitDamage)
+    this.contactDamage = CONFIG.BOSS.CONTACT_DAMAGE;
+    /** @type {BossStage} */
+    this.stage = "entering";
+    // Seconds spent fighting; drives the sway and the departure
+    this.fightTime = 0;
+    // Seconds until the next attack, and how many attacks this phase has made
+    this.attackTimer = this.phase().ATTACK_SECONDS;
+    this.attackIndex = 0;
+  }
+
+  /** @returns {number} Damage left before the boss is destroyed. */
+  get health() {
+    return Math.max(0, this.maxHits - this._hits);
+  }
+
+  /** @returns {number} Index into CONFIG.BOSS.PHASES of the phase being fought. */
+  phaseIndex() {
+    const phases = CONFIG.BOSS.PHASES;
+    let dealt = this._hits;
+    for (let i = 0; i < phases.length; i++) {
+      if (dealt < phases[i].HITS) return i;
+      dealt -= phases[i].HITS;
+    }
+    return phases.length - 1;
+  }
+
+  /** @returns {any} The current phase's settings. */
+  phase() {
+    return CONFIG.BOSS.PHASES[this.phaseIndex()];
+  }
+
+  /**
+   * Hitboxes of the current phase's weak points.
+   * @returns {import('../types.js').Rect[]}
+   */
+  weakPoints() {
+    const radius = this.width / 2;
+    const size = CONFIG.BOSS.WEAK_POINT_SIZE;
+    return this.phase().WEAK_POINTS.map((/** @type {[number, number]} */ [dx, dy]) => ({
+      x: this.x + radius + dx * radius - size / 2,
+      y: this.y + radius + dy * radius - size / 2,
+      width: size,
+      height: size,
+    }));
+  }
+
+  /**
+   * Descends to HOVER_Y, sways side to side while fighting and rises out of view once
+   * STAY_SECONDS are up.
+   * @param {number} [dtSec] - Delta time in seconds.
+   * @param {import('../types.js').ViewSize} [view] - Playfield, for the sway.
+   */
+  update(dtSec = CONFIG.TIME.DEFAULT_DT, view) {
+    super.update(dtSec);
+    const { ENTRY_SPEED, HOVER_Y, STAY_SECONDS, SWAY_AMPLITUDE, SWAY_RATE } = CONFIG.BOSS;
+    if (this.stage === "entering") {
+      this.y = Math.min(HOVER_Y, this.y + ENTRY_SPEED * dtSec);
+      if (this.y >= HOVER_Y) this.stage = "fighting";
+    } else if (this.stage === "fighting") {
+      this.fightTime += dtSec;
+      if (this.fightTime >= STAY_SECONDS) this.stage = "leaving";
+    } else {
+      this.y -= ENTRY_SPEED * dtSec;
+    }
+    if (view) {
+      const sway = Math.sin(this.fightTime * SWAY_RATE) * SWAY_AMPLITUDE * view.width;
+      this.x = Math.max(
+        -this.width / 4,
+        Math.min(view.width - (this.width * 3) / 4, (view.width - this.width) / 2 + sway)
+      );
+    }
+  }
+
+  /** @returns {boolean} True once the boss has left the top of the view. */
+  hasLeft() {
+    return this.stage === "leaving" && this.y + this.height < 0;
+  }
+
+  /**
+   * Register a bullet hit: WEAK_POINT_DAMAGE on a weak point, else 1. A new phase
+   * starts its attack cycle afresh.
+   * @param {import('../types.js').Rect} [bullet]
+   * @returns {boolean} true once the boss's health is gone
+   */
+  onBulletHit(bullet) {
+    const phase = this.phaseIndex();
+    const weak =
+      !!bullet &&
+      this.weakPoints().some(
+        (p) =>
+          bullet.x < p.x + p.width &&
+          bullet.x + bullet.width > p.x &&
+          bullet.y < p.y + p.height &&
+          bullet.y + bullet.height > p.y
+      );
+    // The base hit adds the last point of damage (and a crack)
+    if (weak) this._hits += CONFIG.BOSS.WEAK_POINT_DAMAGE - 1;
+    const destroyed = super.onBulletHit(bullet);
+    if (this.phaseIndex() !== phase) {
+      this.attackIndex = 0;
+      this.attackTimer = this.phase().ATTACK_SECONDS;
+    }
+    return destroyed;
+  }
+
+  /**
+   * Draws the planet (with its cracks and shield flash) and its weak points.
+   * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
+   */
+  draw(ctx) {
+    super.draw(ctx);
+    ctx.save();
+    const pulse = 0.6 + 0.4 * Math.sin(this.fightTime * 6);
+    ctx.fillStyle = CONFIG.COLORS.BOSS.WEAK_POINT;
+    ctx.shadowColor = CONFIG.COLORS.BOSS.WEAK_POINT;
+    ctx.shadowBlur = 8 + 8 * pulse;
+    ctx.globalAlpha = pulse;
+    for (const p of this.weakPoints()) {
+      ctx.beginPath();
+      ctx.arc(p.x + p.width / 2, p.y + p.height / 2, p.width / 2, 0, PI2);
+      ctx.fill();
+    }
+    ctx.restore();
+  }
+}
@@ -0,0 +1,109 @@
+import { CONFIG, PI2 } from "../constants.js";
+
+/**
+ * A ring a boss planet sends sweeping across the screen: it expands from the boss's
+ * center and hits the ship where it passes, except through its gap.
+ */
+export class BossRing {
+  /**
+   * Creates an instance of BossRing.
+   * @param {number} cx - X of the ring's center.
+   * @param {number} cy - Y of the ring's center.
+   * @param {number} radius - Starting radius.
+   * @param {number} gapAngle - Direction (radians) of the middle of the gap.
+   * @param {string} color - Stroke color (the boss palette's shield color).
+   */
+  constructor(cx, cy, radius, gapAngle, color) {
+    this.cx = cx;
+    this.cy = cy;
+    this.radius = radius;
+    this.speed = CONFIG.BOSS.RING.SPEED;
+    this.thickness = CONFIG.BOSS.RING.THICKNESS;
+    this.gap = CONFIG.BOSS.RING.GAP;
+    this.gapAngle = gapAngle;
+    this.color = color;
+    // Set once the ring has hit the ship, so it only hits once
+    this.spent = false;
+    // Bounding box of the ring, kept in step with the radius (the ship's knockback
+    // after a hit points away from its center)
+    this.x = 0;
+    this.y = 0;
+    this.width = 0;
+    this.height = 0;
+    this._updateBounds();
+  }
+
+  /**
+   * Expands the ring.
+   * @param {number} dtSec - Delta time in seconds.
+   */
+  update(dtSec = CONFIG.TIME.DEFAULT_DT) {
+    this.radius += this.speed * dtSec;
+    this._updateBounds();
+  }
+
+  /**
+   * Whether the ring's inner edge has passed every corner of the view.
+   * @param {import('../types.js').ViewSize} view
+   * @returns {boolean}
+   */
+  isPast(view) {
+    const dx = Math.max(this.cx, view.width - this.cx);
+    const dy = Math.max(this.cy, view.height - this.cy);
+    return this.radius - this.thickness / 2 > Math.hypot(dx, dy);
+  }
+
+  /**
+   * Whether the ring's band touches the center of `rect` (padded by half its smaller
+   * side) outside the gap.
+   * @param {import('../types.js').Rect} rect
+   * @returns {boolean}
+   */
+  hits(rect) {
+    const px = rect.x + rect.width / 2;
+    const py = rect.y + rect.height / 2;
+    const distance = Math.hypot(px - this.cx, py - this.cy);
+    const reach = this.thickness / 2 + Math.min(rect.width, rect.height) / 2;
+    if (Math.abs(distance - this.radius) > reach) return false;
+    let offset = Math.atan2(py - this.cy, px - this.cx) - this.gapAngle;
+    offset = ((((offset + Math.PI) % PI2) + PI2) % PI2) - Math.PI;
+    return Math.abs(offset) > this.gap / 2;
+  }
+
+  /**
+   * Draws the ring, leaving out its gap.
+   * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
+   */
+  draw(ctx) {
+    ctx.save();
+    ctx.strokeStyle = this.color;
+    ctx.lineWidth = this.thickness;
+    ctx.shadowColor = this.color;
+    ctx.shadowBlur = 12;
+    ctx.globalAlpha = this.spent ? 0.35 : 0.85;
+    ctx.beginPath();
+    ctx.arc(
+      this.cx,
+      this.cy,
+      this.radius,
+      this.gapAngle + this.gap / 2,
+      this.gapAngle - this.gap / 2 + PI2
+    );
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  /** Returns the axis-aligned bounding box of the whole ring.
+   * @returns {import('../types.js').Rect}
+   */
+  getBounds() {
+    return { x: this.x, y: this.y, width: this.width, height: this.height };
+  }
+
+  _updateBounds() {
+    this.x = this.cx - this.radius;
+    this.y = this.cy - this.radius;
+    this.width = this.radius * 2;
+    this.height = this.radius * 2;
+  }
+}
@@ -2,11 +2,26 @@ import { clamp, CONFIG, PI2 } from "../constants.js";
 /** @typedef {{ [code:string]: boolean }} KeyMap */
 /** @typedef {{ x:number, y:number }} Point */
 /** @typedef {{ width:number, height:number }} ViewSize */
+/** @typedef {{ x:number, y:number, width:number, height:number, isIndestructible?: boolean, contactDamage?: number }} HitSource */
 
 /**
- * Represents the player-controlled spaceship, including movement, input handling, and rendering.
+ * Represents the player-controlled spaceship, including movement, input handling, hull
+ * integrity, and rendering.
  */
 export class Player {
+  /**
+   * Hull damage dealt by a collision with `asteroid`: proportional to its size, and
+   * more for planets (indestructible asteroids). A boss sets its own `contactDamage`.
+   * @param {HitSource} asteroid
+   * @returns {number}
+   */
+  static hitDamage(asteroid) {
+    if (typeof asteroid.contactDamage === "number") return asteroid.contactDamage;
+    const { DAMAGE_PER_SIZE, PLANET_DAMAGE_FACTOR } = CONFIG.PLAYER.HULL;
+    const factor = asteroid.isIndestructible ? PLANET_DAMAGE_FACTOR : 1;
+    return Math.max(1, Math.round(asteroid.width * DAMAGE_PER_SIZE * factor));
+  }
+
   /**
    * Creates an instance of Player.
    * @param {number} x - The x position of the player ship.
@@ -21,6 +36,49 @@ export class Player {
     this.width = width;
     this.height = height;
     this.speed = speed;
+    this.maxHull = CONFIG.PLAYER.HULL.MAX;
+    this.hull = this.maxHull;
+    // Clock time (s) until which hits are ignored, and the remaining hit flash (s)
+    this.invulnerableUntil = 0;
+    this.hitFlash = 0;
+  }
+
+  /** Restore a full hull and clear any invulnerability and hit flash. */
+  resetHull() {
+    this.hull = this.maxHull;
+    this.invulnerableUntil = 0;
+    this.hitFlash = 0;
+  }
+
+  /**
+   * @param {number} now - Simulation clock in seconds.
+   * @returns {boolean} True while hits are ignored.
+   */
+  isInvulnerable(now) {
+    return now < this.invulnerableUntil;
+  }
+
+  /**
+   * Take `damage` from a collision with `source`: the ship flashes, is knocked away
+   * from the source's center and can't be hit again for INVULNERABLE_SECONDS.
+   * @param {number} damage
+   * @param {HitSource} source
+   * @param {number} now - Simulation clock in seconds.
+   * @param {ViewSize} view - Logical viewport dimensions.
+   * @returns {number} Hull left.
+   */
+  takeHit(damage, source, now, view) {
+    const { INVULNERABLE_SECONDS, KNOCKBACK, HIT_FLASH_SECONDS } = CONFIG.PLAYER.HULL;
+    this.hull = Math.max(0, this.hull - damage);
+    this.invulnerableUntil = now + INVULNERABLE_SECONDS;
+    this.hitFlash = HIT_FLASH_SECONDS;
+    const dx = this.x + this.width / 2 - (source.x + source.width / 2);
+    const dy = this.y + this.height / 2 - (source.y + source.height / 2);
+    const len = Math.hypot(dx, dy);
+    // Straight down when the centers coincide
+    this.x = clamp(this.x + (len > 0 ? dx / len : 0) * KNOCKBACK, 0, view.width - this.width);
+    this.y = clamp(this.y + (len > 0 ? dy / len : 1) * KNOCKBACK, 0, view.height - this.height);
+    return this.hull;
   }
 
   /**
@@ -31,6 +89,7 @@ export class Player {
    * @param {number} [dtSec=CONFIG.TIME.DEFAULT_DT] - Delta time in seconds.
    */
   update(input, mousePos, view, dtSec = CONFIG.TIME.DEFAULT_DT) {
+    if (this.hitFlash > 0) this.hitFlash = Math.max(0, this.hitFlash - dtSec);
     const keyboardPressed =
       input["ArrowLeft"] ||
       input["KeyA"] ||
@@ -103,6 +162,12 @@ export class Player {
     ctx.closePath();
     ctx.fillStyle = bodyGrad;
     ctx.fill();
+    // Hit flash: tint the body red, fading out
+    if (this.hitFlash > 0) {
+      const alpha = (0.7 * this.hitFlash) / CONFIG.PLAYER.HULL.HIT_FLASH_SECONDS;
+      ctx.fillStyle = `rgba(255,60,60,${alpha.toFixed(3)})`;
+      ctx.fill();
+    }
 
     // Outline
     ctx.strokeStyle = CONFIG.COLORS.PLAYER.OUTLINE || "#999";
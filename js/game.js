@@ -12,26 +12,35 @@
 
 import { CONFIG } from "./constants.js";
 
+// AI
+import { HeuristicPilot } from "./ai/HeuristicPilot.js";
+
 // Core
 import { GameLoop } from "./core/GameLoop.js";
+import { DailyChallenge } from "./core/DailyChallenge.js";
+import { DifficultyPreset } from "./core/DifficultyPreset.js";
+import { LeaderboardPeriods } from "./core/LeaderboardPeriods.js";
 import { getGameContext } from "./core/GameContext.js";
-import { InputState } from "./core/InputState.js";
+import { Ghost } from "./core/Ghost.js";
+import { Initials } from "./core/Initials.js";
+import { InputPlayback } from "./core/InputPlayback.js";
+import { InputRecorder } from "./core/InputRecorder.js";
+import { Simulation } from "./core/Simulation.js";
+import { SurvivalMode } from "./core/SurvivalMode.js";
 
 // Entities
-import { Asteroid } from "./entities/Asteroid.js";
-import { Bullet } from "./entities/Bullet.js";
-import { EngineTrail } from "./entities/EngineTrail.js";
-import { Explosion } from "./entities/Explosion.js";
 import { Nebula } from "./entities/Nebula.js";
-import { Particle } from "./entities/Particle.js";
-import { Player } from "./entities/Player.js";
-import { Star } from "./entities/Star.js";
 
 // Managers
 import { BackgroundManager } from "./managers/BackgroundManager.js";
-import { CollisionManager } from "./managers/CollisionManager.js";
+import { DailyChallengeManager } from "./managers/DailyChallengeManager.js";
+import { DifficultyChoice } from "./managers/DifficultyChoice.js";
+import { GhostManager } from "./managers/GhostManager.js";
 import { InputManager } from "./managers/InputManager.js";
 import { RenderManager } from "./managers/RenderManager.js";
+import { ReplayManager } from "./managers/ReplayManager.js";
+import { RunHistory } from "./managers/RunHistory.js";
+import { SaveManager } from "./managers/SaveManager.js";
 import { SpawnManager } from "./managers/SpawnManager.js";
 import { SpriteManager } from "./managers/SpriteManager.js";
 import { UIManager } from "./managers/UIManager.js";
@@ -39,20 +48,8 @@ import LeaderboardManager from "./managers/LeaderboardManager.js";
 import { ViewManager } from "./managers/ViewManager.js";
 
 // Utils
-import { ObjectPool } from "./utils/ObjectPool.js";
-import { RateLimiter } from "./utils/RateLimiter.js";
 import { RNG } from "./utils/RNG.js";
-import {
-  updateAsteroids,
-  updateBullets,
-  updateEngineTrail,
-  updateExplosions,
-  updateParticles,
-  updateStars,
-} from "./systems/UpdateSystems.js";
-import { EventBus } from "./core/EventBus.js";
 import { GameStateMachine } from "./core/GameStateMachine.js";
-import { EventHandlers } from "./systems/EventHandlers.js";
 /** @typedef {import('./types.js').GameState} GameState */
 
 /**
@@ -67,6 +64,15 @@ class AIHorizon {
    * Precomputed set of all pause/confirm codes for quick lookup.
    */
   static PAUSE_CONFIRM_CODES = new Set([...CONFIG.INPUT.PAUSE_CODES]);
+  /** URL flag (`?debug=1`) that enables the loop debugging keys below. */
+  static DEBUG_PARAM = "debug";
+  /** Loop debugging keys: halve/double the time scale, freeze, and step once while frozen. */
+  static DEBUG_CODES = Object.freeze({
+    SLOWER: "BracketLeft",
+    FASTER: "BracketRight",
+    FREEZE: "Backslash",
+    STEP: "Period",
+  });
   /**
    * Initialize game state and UI elements.
    * Sets up UI, game variables, and event listeners.
@@ -87,7 +93,6 @@ class AIHorizon {
     this.ctx = /** @type {CanvasRenderingContext2D} */ (
       this.canvas.getContext("2d", { alpha: false })
     );
-    this.view = { width: 0, height: 0, dpr: 1 };
     this.gameInfo = /** @type {HTMLElement} */ (document.getElementById("gameInfo"));
     this.gameOverScreen = /** @type {HTMLElement} */ (document.getElementById("gameOverScreen"));
     this.pauseScreen = /** @type {HTMLElement} */ (document.getElementById("pauseScreen"));
@@ -100,11 +105,130 @@ class AIHorizon {
       document.getElementById("leaderboardList")
     );
     this.timerEl = /** @type {HTMLElement|null} */ (document.getElementById("timer"));
+    // Survival runs show lives in place of the timer
+    this.timerHudEl = /** @type {HTMLElement|null} */ (document.getElementById("timerHud"));
+    this.livesHudEl = /** @type {HTMLElement|null} */ (document.getElementById("livesHud"));
+    this.livesEl = /** @type {HTMLElement|null} */ (document.getElementById("lives"));
+    this.hullBarEl = /** @type {HTMLElement|null} */ (document.getElementById("hullBar"));
+    // Replay controls: download/load on the Game Over card, scrubber bar during playback
+    this.downloadReplayBtn = /** @type {HTMLButtonElement|null} */ (
+      document.getElementById("downloadReplayBtn")
+    );
+    this.loadReplayBtn = /** @type {HTMLButtonElement|null} */ (
+      document.getElementById("loadReplayBtn")
+    );
+    this.replayFileInput = /** @type {HTMLInputElement|null} */ (
+      document.getElementById("replayFileInput")
+    );
+    this.replayMessageEl = /** @type {HTMLElement|null} */ (
+      document.getElementById("replayMessage")
+    );
+    this.replayBar = /** @type {HTMLElement|null} */ (document.getElementById("replayBar"));
+    this.replayScrubber = /** @type {HTMLInputElement|null} */ (
+      document.getElementById("replayScrubber")
+    );
+    this.replayTimeEl = /** @type {HTMLElement|null} */ (document.getElementById("replayTime"));
+    this.pilotToggleBtn = /** @type {HTMLButtonElement|null} */ (
+      document.getElementById("pilotToggleBtn")
+    );
+    this.scoreDeltaEl = /** @type {HTMLElement|null} */ (document.getElementById("scoreDelta"));
+    this.resumeBtn = /** @type {HTMLButtonElement|null} */ (document.getElementById("resumeBtn"));
+    this.dailyBtn = /** @type {HTMLButtonElement|null} */ (document.getElementById("dailyBtn"));
+    this.survivalBtn = /** @type {HTMLButtonElement|null} */ (
+      document.getElementById("survivalBtn")
+    );
+    this.difficultyOptionsEl = /** @type {HTMLElement|null} */ (
+      document.getElementById("difficultyOptions")
+    );
+    this.gameOverDifficultyEl = /** @type {HTMLElement|null} */ (
+      document.getElementById("gameOverDifficulty")
+    );
+    this.leaderboardTitleEl = /** @type {HTMLElement|null} */ (
+      document.getElementById("leaderboardTitle")
+    );
+    this.leaderboardTabsEl = /** @type {HTMLElement|null} */ (
+      document.getElementById("leaderboardTabs")
+    );
+    this.leaderboardPrevBtn = /** @type {HTMLButtonElement|null} */ (
+      document.getElementById("leaderboardPrevBtn")
+    );
+    this.leaderboardPagerEl = /** @type {HTMLElement|null} */ (
+      document.getElementById("leaderboardPager")
+    );
+    this.leaderboardPlacementEl = /** @type {HTMLElement|null} */ (
+      document.getElementById("leaderboardPlacement")
+    );
+    this.personalBestEl = /** @type {HTMLElement|null} */ (document.getElementById("personalBest"));
+    // Period board shown on the Game Over screen; kept between runs. `offset` pages
+    // through the all-time board and goes back to the top after each run
+    /** @type {{ period: import('./core/LeaderboardPeriods.js').LeaderboardPeriod, previous: boolean, offset: number }} */
+    this.leaderboardView = { period: "all", previous: false, offset: 0 };
+
+    // Initialize RNG with optional seed from URL (?seed=...) for reproducible runs
+    /** @type {number|undefined} */
+    this.seed = undefined;
+    // `?pilot=1` starts with the built-in AI pilot flying the ship
+    let pilotFromUrl = false;
+    // `?debug=1` enables time-scale/single-step keys and the loop stats readout
+    this.debug = false;
+    try {
+      const url = new URL(window.location.href);
+      const s = url.searchParams.get(CONFIG.RNG.SEED_PARAM);
+      if (s && s.length) {
+        const n = Number(s);
+        // Fallback to string hashing for non-numeric seeds
+        this.seed = Number.isFinite(n) ? n >>> 0 : RNG.hash(s);
+      }
+      const pilot = url.searchParams.get(HeuristicPilot.URL_PARAM);
+      pilotFromUrl = pilot !== null && pilot !== "0" && pilot !== "false";
+      const debug = url.searchParams.get(AIHorizon.DEBUG_PARAM);
+      this.debug = debug !== null && debug !== "0" && debug !== "false";
+      // `?leaderboard=dev` talks to the local leaderboard dev server instead of AWS
+      const endpoint = url.searchParams.get(LeaderboardManager.URL_PARAM);
+      if (endpoint) LeaderboardManager.useEndpoint(endpoint);
+      const poll = url.searchParams.get(LeaderboardManager.POLL_PARAM);
+      if (poll !== null && Number.isFinite(Number(poll)) && Number(poll) >= 0) {
+        LeaderboardManager.POLL_INTERVAL_MS = Number(poll) * 1000;
+      }
+    } catch {
+      // non-browser envs (tests) may lack URL; ignore
+    }
+
+    // Gameplay state (entities, pools, score, timer, input, RNG) lives in a headless
+    // Simulation. The fields it owns are exposed on the game under their usual names
+    // (see Simulation.STATE_KEYS below the class); this class adds DOM, input and rendering.
+    this.sim = new Simulation({
+      seed: this.seed,
+      view: { width: 0, height: 0, dpr: 1 },
+      isMobile: this.isMobile(),
+    });
+    this.events.on("scoreChanged", () => this.updateScore());
+    this.events.on("timerChanged", ({ remaining }) => {
+      try {
+        UIManager.setTimer(this.timerEl, remaining);
+      } catch (_e) {
+        /* ignore */
+      }
+    });
+    this.events.on("hullChanged", ({ hull, max }) => {
+      try {
+        UIManager.setHull(this.hullBarEl, hull, max);
+      } catch (_e) {
+        /* ignore */
+      }
+    });
+    this.events.on("livesChanged", ({ lives }) => {
+      try {
+        UIManager.setLives(this.livesEl, lives);
+      } catch (_e) {
+        /* ignore */
+      }
+    });
+    this.events.on("gameOver", () => this.gameOver());
 
     // Initialize highScore to a sensible default and load leaderboard entries
     // once below (may be sync or async depending on remote configuration).
     this.highScore = 0;
-    this.score = 0;
     // Update display immediately with default high score (0) and then
     // re-render/update when leaderboard load completes.
     try {
@@ -113,9 +237,6 @@ class AIHorizon {
       /* ignore */
     }
 
-    // Timer configuration
-    this.timerSeconds = CONFIG.GAME.TIMER_SECONDS || 60;
-    this.timerRemaining = this.timerSeconds;
     // Ensure UI shows initial timer
     try {
       UIManager.setTimer(this.timerEl, this.timerRemaining);
@@ -123,152 +244,72 @@ class AIHorizon {
       /* ignore */
     }
 
-    this.input = new InputState();
-    this.events = new EventBus();
-
-    this._isMobile = this.isMobile();
-
-    this.asteroidSpeed = this._isMobile
-      ? CONFIG.SPEEDS.ASTEROID_MOBILE
-      : CONFIG.SPEEDS.ASTEROID_DESKTOP;
-    this.bulletSpeed = CONFIG.SPEEDS.BULLET;
-    this.starSpeed = CONFIG.SPEEDS.STAR;
-
-    // Initialize RNG with optional seed from URL (?seed=...) for reproducible runs
-    let seed = undefined;
-    try {
-      const url = new URL(window.location.href);
-      const s = url.searchParams.get(CONFIG.RNG.SEED_PARAM);
-      if (s && s.length) {
-        const n = Number(s);
-        seed = Number.isFinite(n) ? n : undefined;
-        if (seed === undefined) {
-          // Fallback to string hashing for non-numeric seeds
-          this.rng = RNG.fromString(s);
-        }
-      }
-    } catch {
-      // non-browser envs (tests) may lack URL; ignore
-    }
-    this.rng = this.rng || new RNG(seed);
-    this.fireLimiter = new RateLimiter(CONFIG.GAME.SHOT_COOLDOWN, () => this.timeMs);
+    // Input recording/playback for the current run (see _beginRun)
+    /** @type {InputRecorder|null} */
+    this.recorder = null;
+    /** @type {InputPlayback|null} */
+    this.playback = null;
+    /** @type {import('./types.js').InputRecording|null} */
+    this.lastRecording = null;
+    /** Seed the gameplay RNG was reset to when the current run started. */
+    this.runSeed = 0;
+    // Best earlier run on this seed, raced alongside the live one (see _setGhost)
+    /** @type {Ghost|null} */
+    this.ghost = null;
+    /** @type {number|null} */
+    this._ghostDelta = null;
+    // Optional AI pilot; when set it writes the ship's controls every tick
+    /** @type {import('./types.js').PilotController|null} */
+    this.pilot = null;
+    this.setPilotEnabled(pilotFromUrl);
+    // Run time (ms) of the last save of the in-progress run (see saveRun)
+    this._lastSaveMs = 0;
+    UIManager.setResumeAvailable(this.resumeBtn, SaveManager.has());
+    // Daily challenge run in progress (or just finished): its date, and whether it is
+    // the player's one ranked attempt that day. Null for regular runs.
+    /** @type {import('./managers/SaveManager.js').DailyRun|null} */
+    this.daily = null;
+    UIManager.setDailyChallenge(
+      this.dailyBtn,
+      DailyChallengeManager.hasAttempted(DailyChallenge.dateKey())
+    );
+    // Survival mode was chosen on the start screen (see SurvivalMode); Play Again keeps it
+    this.survival = false;
+    // Difficulty preset chosen on the start screen (see DifficultyPreset), remembered
+    // between visits; the leaderboards shown are that preset's
+    /** @type {import('./core/DifficultyPreset.js').DifficultyPresetId} */
+    this.difficulty = DifficultyChoice.load();
+    LeaderboardManager.useDifficulty(this.difficulty);
+    UIManager.setDifficulty(this.difficultyOptionsEl, this.difficulty);
 
-    // State machine controls high-level flow
-    this.state = new GameStateMachine();
     this._pausedFrameRendered = false;
     // Suppress automatic fullReset triggered by transient resizes (e.g. native prompt/keyboard)
     // This is toggled around user prompts to avoid reverting to the start screen on mobile.
     this._suppressFullResetOnResize = false;
 
-    this.fireLimiter.reset();
-    this.timeMs = 0;
-    this.timeSec = 0;
-
-    this.player = new Player(0, 0, CONFIG.SIZES.PLAYER, CONFIG.SIZES.PLAYER, CONFIG.SPEEDS.PLAYER);
-
-    this.engineTrail = new EngineTrail();
-
     this.resizeCanvas();
     this.initBackground();
     this.drawBackground();
 
     this.sprites = SpriteManager.createSprites();
-    this.cellSize = CONFIG.ASTEROID.MIN_SIZE + CONFIG.ASTEROID.SIZE_VARIATION;
-
-    /** @type {Asteroid[]} */
-    this.asteroids = [];
-    /** @type {Bullet[]} */
-    this.bullets = [];
-    /** @type {Explosion[]} */
-    this.explosions = [];
-    /** @type {any[]} */
-    this.particles = [];
-    /** @type {{x:number,y:number,life:number,maxLife:number,text:string,color:string,fontSize?:number,fontWeight?:string,glow?:boolean,glowColor?:string,glowBlur?:number,stroke?:string}[]} */
-    this.scorePopups = [];
-    /** @type {Star[]} */
-    this.stars = [];
-
-    this.bulletPool = new ObjectPool(
-      (x, y, w, h, speed) => new Bullet(x, y, w, h, speed),
-      undefined,
-      { maxSize: 512 }
-    );
-    this.particlePool = new ObjectPool(
-      (x, y, vx, vy, life, maxLife, size, color) =>
-        new Particle(x, y, vx, vy, life, maxLife, size, color),
-      undefined,
-      { maxSize: 4096 }
-    );
-    this.asteroidPool = new ObjectPool(
-      (x, y, w, h, speed, rng, isIndestructible = false, paletteOverride = null) =>
-        new Asteroid(x, y, w, h, speed, rng, isIndestructible, paletteOverride),
-      undefined,
-      { maxSize: 256 }
-    );
-    this.starPool = new ObjectPool((x, y, w, h, speed) => new Star(x, y, w, h, speed), undefined, {
-      maxSize: 256,
-    });
-    this.explosionPool = new ObjectPool(
-      (x, y, w, h, life, maxLife) => new Explosion(x, y, w, h, life, maxLife),
-      undefined,
-      { maxSize: 256 }
-    );
-
-    // Pre-allocate common objects to reduce first-use jank
-    this._warmUpPools();
 
     this.bindEventHandlers();
     this.setupEventListeners();
-    // Register EventBus handlers centrally
-    this._unsubscribeEvents = EventHandlers.register(this);
 
     this.startBtn.focus();
 
-    // Load leaderboard entries once and use the result to set the
-    // displayed high score and render the leaderboard. LeaderboardManager
-    // may return either an array (sync) or a Promise (remote), so handle
-    // both paths.
-    try {
-      const maybeEntries = LeaderboardManager.load({ remote: LeaderboardManager.IS_REMOTE });
-      /**
-       * @param {{id:string,score:number}[]} entries
-       */
-      const handleEntries = (entries) => {
-        try {
-          const high = Array.isArray(entries)
-            ? entries.reduce((max, e) => Math.max(max, Number(e.score || 0)), 0)
-            : 0;
-          this.highScore = high;
-          this.updateHighScore();
-          // Safely resolve the leaderboard element without assigning null to the
-          // instance field (avoids typing issues in strict environments).
-          const el = this.leaderboardListEl || document.getElementById("leaderboardList");
-          if (el) LeaderboardManager.render(el, entries);
-        } catch (_e) {
-          /* ignore */
-        }
-      };
-      if (Array.isArray(maybeEntries)) {
-        handleEntries(maybeEntries);
-      } else if (maybeEntries && typeof maybeEntries.then === "function") {
-        maybeEntries.then(handleEntries).catch(() => {});
-      }
-    } catch (_e) {
-      /* ignore */
-    }
+    this.loadLeaderboard();
 
     this.loop = new GameLoop({
-      update: (dtMs, dtSec) => {
-        this.timeMs += dtMs;
-        this.timeSec += dtSec;
-        this._lastDtSec = dtSec;
-        this.update(dtSec);
-      },
+      update: (dtMs, dtSec) => this.step(dtMs, dtSec),
       draw: () => this.draw(),
       shouldUpdate: () => this.state.isRunning(),
       stepMs: CONFIG.TIME.STEP_MS,
       maxSubSteps: CONFIG.TIME.MAX_SUB_STEPS,
+      onStats: this.debug ? (stats) => (this.loopStats = stats) : undefined,
     });
+    /** @type {import('./core/GameLoop.js').LoopStats|null} */
+    this.loopStats = null;
     // Cache singleton instance after construction completes
     AIHorizon._instance = this;
   }
@@ -284,55 +325,6 @@ class AIHorizon {
     return AIHorizon._instance;
   }
 
-  /**
-   * Create a transient score popup drawn on the canvas.
-   * @param {number} x
-   * @param {number} y
-   * @param {number} score
-   * @param {{color?:string,fontSize?:number,fontWeight?:string,glow?:boolean,glowColor?:string,glowBlur?:number,stroke?:string,maxLife?:number}} [opts]
-   */
-  createScorePopup(x, y, score, opts) {
-    const o = opts || {};
-    this.scorePopups.push({
-      x,
-      y,
-      life: 0,
-      maxLife: typeof o.maxLife === "number" ? o.maxLife : 0.9,
-      text: `+${score}`,
-      color: o.color || "#fff",
-      fontSize: o.fontSize || 18,
-      fontWeight: o.fontWeight || "700",
-      glow: !!o.glow,
-      glowColor: o.glowColor || o.color || "#fff",
-      glowBlur: o.glowBlur || 8,
-      stroke: o.stroke || undefined,
-    });
-  }
-
-  /** Create a small gold particle burst for indestructible asteroid kills. */
-  /**
-   * @param {number} x
-   * @param {number} y
-   */
-  createGoldBurst(x, y) {
-    const rng = this.rng;
-    const count = 8;
-    for (let i = 0; i < count; i++) {
-      const angle = (Math.PI * 2 * i) / count + (rng.nextFloat() - 0.5) * 0.4;
-      const speed = rng.range(40, 160);
-      const vx = Math.cos(angle) * speed;
-      const vy = Math.sin(angle) * speed;
-      const size = rng.range(2, 6);
-      const life = 0.6 + rng.nextFloat() * 0.6;
-      const color = "#ffd700";
-      this.particles.push(this.particlePool.acquire(x, y, vx, vy, life, life, size, color));
-    }
-  }
-
-  /** no-op placeholder to hint presence; handlers are registered in systems/EventHandlers */
-  /** @type {(() => void) | null} */
-  _unsubscribeEvents = null;
-
   /**
    * Detect if the user is on a mobile device.
    * @returns {boolean} True if mobile device detected, else false.
@@ -381,6 +373,20 @@ class AIHorizon {
     this.shouldTogglePause = this.shouldTogglePause.bind(this);
     this.handleScroll = this.handleScroll.bind(this);
     this.shoot = this.shoot.bind(this);
+    this.handleFirePress = this.handleFirePress.bind(this);
+    this.handleDownloadReplay = this.handleDownloadReplay.bind(this);
+    this.handleLoadReplayClick = this.handleLoadReplayClick.bind(this);
+    this.handleReplayFileChange = this.handleReplayFileChange.bind(this);
+    this.handleScrubberInput = this.handleScrubberInput.bind(this);
+    this.handleScrubberChange = this.handleScrubberChange.bind(this);
+    this.handleTogglePilot = this.handleTogglePilot.bind(this);
+    this.handleResumeClick = this.handleResumeClick.bind(this);
+    this.handleDailyClick = this.handleDailyClick.bind(this);
+    this.handleSurvivalClick = this.handleSurvivalClick.bind(this);
+    this.handleDifficulty = this.handleDifficulty.bind(this);
+    this.handleLeaderboardPeriod = this.handleLeaderboardPeriod.bind(this);
+    this.handleLeaderboardPrevious = this.handleLeaderboardPrevious.bind(this);
+    this.handleLeaderboardPage = this.handleLeaderboardPage.bind(this);
     this.movementKeys = new Set(CONFIG.INPUT.MOVEMENT_CODES);
   }
 
@@ -418,13 +424,16 @@ class AIHorizon {
             this.gameOverScreen,
             this.restartBtn
           ),
-        handleVisibilityChange: () =>
+        handleVisibilityChange: () => {
+          // The tab may never come back (closed or discarded), so save the run now
+          if (document.hidden) this.saveRun();
           UIManager.handleVisibilityChange(
             this.gameInfo,
             this.startBtn,
             this.gameOverScreen,
             this.restartBtn
-          ),
+          );
+        },
         handleDocumentFocusIn: (e) =>
           UIManager.handleDocumentFocusIn(
             e,
@@ -437,6 +446,37 @@ class AIHorizon {
         handlePauseKeyDown: this.handlePauseKeyDown,
       }
     );
+    InputManager.setupReplay(
+      {
+        downloadBtn: this.downloadReplayBtn,
+        loadBtn: this.loadReplayBtn,
+        fileInput: this.replayFileInput,
+        scrubber: this.replayScrubber,
+      },
+      {
+        handleDownloadReplay: this.handleDownloadReplay,
+        handleLoadReplayClick: this.handleLoadReplayClick,
+        handleReplayFileChange: this.handleReplayFileChange,
+        handleScrubberInput: this.handleScrubberInput,
+        handleScrubberChange: this.handleScrubberChange,
+      }
+    );
+    InputManager.setupPilot(this.pilotToggleBtn, { handleTogglePilot: this.handleTogglePilot });
+    InputManager.setupResume(this.resumeBtn, { handleResumeClick: this.handleResumeClick });
+    InputManager.setupDaily(this.dailyBtn, { handleDailyClick: this.handleDailyClick });
+    InputManager.setupSurvival(this.survivalBtn, {
+      handleSurvivalClick: this.handleSurvivalClick,
+    });
+    InputManager.setupDifficulty(this.difficultyOptionsEl, {
+      handleDifficulty: this.handleDifficulty,
+    });
+    InputManager.setupLeaderboardTabs(this.leaderboardTabsEl, this.leaderboardPrevBtn, {
+      handleLeaderboardPeriod: this.handleLeaderboardPeriod,
+      handleLeaderboardPrevious: this.handleLeaderboardPrevious,
+    });
+    InputManager.setupLeaderboardPager(this.leaderboardPagerEl, {
+      handleLeaderboardPage: this.handleLeaderboardPage,
+    });
   }
 
   /**
@@ -513,12 +553,13 @@ class AIHorizon {
   handleKeyDown(e) {
     if (document.activeElement === this.startBtn || document.activeElement === this.restartBtn)
       return;
+    if (this.debug && this.handleDebugKey(e)) return;
     this.input.setKey(e.code, true);
     if (CONFIG.INPUT.FIRE_CODES.includes(e.code)) {
       if (!e.repeat) {
         e.preventDefault();
         this.input.fireHeld = true;
-        this.shoot();
+        this.handleFirePress();
       }
       return;
     }
@@ -527,6 +568,34 @@ class AIHorizon {
     }
   }
 
+  /**
+   * Loop debugging keys (only with `?debug=1`). Changing the time scale or freezing
+   * never changes the fixed step, so debugged runs still record and replay normally.
+   * @param {KeyboardEvent} e
+   * @returns {boolean} True when the key was a debug key.
+   */
+  handleDebugKey(e) {
+    const codes = AIHorizon.DEBUG_CODES;
+    switch (e.code) {
+      case codes.SLOWER:
+        this.loop.setTimeScale(this.loop.timeScale / 2);
+        break;
+      case codes.FASTER:
+        this.loop.setTimeScale(this.loop.timeScale * 2);
+        break;
+      case codes.FREEZE:
+        if (!e.repeat) this.loop.setFrozen(!this.loop.frozen);
+        break;
+      case codes.STEP:
+        if (!e.repeat) this.loop.stepOnce();
+        break;
+      default:
+        return false;
+    }
+    e.preventDefault();
+    return true;
+  }
+
   /**
    * Handle keyup events.
    * @param {KeyboardEvent} e - The keyboard event.
@@ -543,15 +612,16 @@ class AIHorizon {
    * @param {MouseEvent} e - The mouse event.
    */
   handleMouseMove(e) {
-    this.input.mouse.x = e.offsetX;
-    this.input.mouse.y = e.offsetY;
+    const scale = this.view.scale || 1;
+    this.input.mouse.x = e.offsetX / scale;
+    this.input.mouse.y = e.offsetY / scale;
   }
 
   /** Mouse down -> start continuous fire and fire immediately. */
   handleMouseDown() {
     if (!this.state.isRunning()) return;
     this.input.fireHeld = true;
-    this.shoot();
+    this.handleFirePress();
   }
 
   /** Mouse up -> stop continuous fire. */
@@ -572,8 +642,9 @@ class AIHorizon {
     e.preventDefault();
     if (!this.canvasRect) this.canvasRect = this.canvas.getBoundingClientRect();
     const touch = e.touches[0];
-    this.input.mouse.x = touch.clientX - this.canvasRect.left;
-    this.input.mouse.y = touch.clientY - this.canvasRect.top;
+    const scale = this.view.scale || 1;
+    this.input.mouse.x = (touch.clientX - this.canvasRect.left) / scale;
+    this.input.mouse.y = (touch.clientY - this.canvasRect.top) / scale;
   }
 
   /**
@@ -584,7 +655,7 @@ class AIHorizon {
     e.preventDefault();
     if (!this.state.isRunning()) return;
     this.input.fireHeld = true;
-    this.shoot();
+    this.handleFirePress();
   }
 
   /** End touch (lift/cancel) -> stop continuous fire.
@@ -599,14 +670,105 @@ class AIHorizon {
    * Start the game when start button is clicked.
    */
   handleStartClick() {
+    this.daily = null;
+    this.survival = false;
     this.startGame();
     this.startBtn.focus();
   }
 
+  /**
+   * Start today's daily challenge. The first attempt of the day is ranked on the
+   * daily board; later ones (and piloted or debugged runs) are practice.
+   */
+  handleDailyClick() {
+    const date = DailyChallenge.dateKey();
+    const ranked = !this.pilot && !this.debug && !DailyChallengeManager.hasAttempted(date);
+    if (ranked) DailyChallengeManager.markAttempted(date);
+    this.daily = { date, ranked };
+    this.survival = false;
+    UIManager.setDailyChallenge(this.dailyBtn, DailyChallengeManager.hasAttempted(date));
+    this.startGame();
+    this.startBtn.focus();
+  }
+
+  /**
+   * Start a survival run: no timer, several lives and a rising spawn rate, ranked on
+   * the survival board.
+   */
+  handleSurvivalClick() {
+    this.daily = null;
+    this.survival = true;
+    this.startGame();
+    this.startBtn.focus();
+  }
+
+  /**
+   * Choose the difficulty preset of the next runs and switch to its leaderboards.
+   * @param {string} preset
+   */
+  handleDifficulty(preset) {
+    if (!DifficultyPreset.isPreset(preset) || preset === this.difficulty) return;
+    this.difficulty = preset;
+    DifficultyChoice.save(preset);
+    LeaderboardManager.useDifficulty(preset);
+    UIManager.setDifficulty(this.difficultyOptionsEl, preset);
+    this.loadLeaderboard();
+  }
+
+  /**
+   * Show another period's current board on the Game Over screen.
+   * @param {string} period
+   */
+  handleLeaderboardPeriod(period) {
+    if (!LeaderboardPeriods.isPeriod(period)) return;
+    this.leaderboardView = { period, previous: false, offset: 0 };
+    const listEl = document.getElementById("leaderboardList");
+    if (listEl) this._renderLeaderboard(listEl);
+  }
+
+  /**
+   * Toggle between the selected period's current board and the archived one before
+   * it (yesterday's or last week's winners).
+   */
+  handleLeaderboardPrevious() {
+    const { period, previous } = this.leaderboardView;
+    this.leaderboardView = { period, previous: !previous, offset: 0 };
+    const listEl = document.getElementById("leaderboardList");
+    if (listEl) this._renderLeaderboard(listEl);
+  }
+
+  /**
+   * Page through the all-time board on the Game Over screen.
+   * @param {number} step - -1 for the higher-ranked page, 1 for the next one down.
+   */
+  handleLeaderboardPage(step) {
+    const offset = this.leaderboardView.offset + step * LeaderboardManager.MAX_ENTRIES;
+    this.leaderboardView = { ...this.leaderboardView, offset: Math.max(0, offset) };
+    const listEl = document.getElementById("leaderboardList");
+    if (listEl) this._renderLeaderboard(listEl);
+  }
+
+  /**
+   * Continue the saved run when Resume Mission is clicked.
+   */
+  handleResumeClick() {
+    this.resumeGame();
+    this.startBtn.focus();
+  }
+
   /**
    * Restart the game when restart button is clicked.
    */
   handleRestartClick() {
+    this.restartGame();
+  }
+
+  /**
+   * Play again from the Game Over screen (restart button click or key).
+   */
+  restartGame() {
+    // Playing the daily challenge again is practice
+    if (this.daily) this.daily = { date: this.daily.date, ranked: false };
     this.hideGameOver();
     this.startGame();
     this.startBtn.focus();
@@ -631,33 +793,122 @@ class AIHorizon {
   handleRestartKeyDown(e) {
     if (AIHorizon.PAUSE_CONFIRM_CODES.has(e.code)) {
       e.preventDefault();
-      this.hideGameOver();
-      this.startGame();
-      this.startBtn.focus();
+      this.restartGame();
     }
   }
 
   /**
    * Fire a bullet if cooldown allows.
+   * @returns {boolean} True when a bullet was fired.
    */
   shoot() {
-    if (!this.state.isRunning()) return;
-    this.fireLimiter.try(() => {
-      this.bullets.push(this.createBullet());
+    return this.sim.shoot();
+  }
+
+  /**
+   * Fire in response to a press (key, mouse or touch down) that arrives between ticks.
+   * Presses that fire are logged so playback can re-issue them at the same point in
+   * the run; ones the cooldown swallows are not, so a tick never records more shots
+   * than it can fire (see ReplayFormat.maxShotsPerTick).
+   */
+  handleFirePress() {
+    if (!this.state.isRunning() || this.playback || this.pilot) return;
+    if (this.shoot() && this.recorder) this.recorder.noteShot();
+  }
+
+  /**
+   * Turn the AI pilot on or off from the start screen.
+   */
+  handleTogglePilot() {
+    this.setPilotEnabled(!this.pilot);
+  }
+
+  /**
+   * Hand the controls to the built-in pilot, or give them back to the player.
+   * @param {boolean} enabled
+   */
+  setPilotEnabled(enabled) {
+    this.pilot = enabled ? new HeuristicPilot() : null;
+    UIManager.setPilotToggle(this.pilotToggleBtn, this.pilot);
+  }
+
+  /**
+   * Save the most recent run (recorded or replayed) as a replay file.
+   */
+  handleDownloadReplay() {
+    if (!this.lastRecording) return;
+    try {
+      ReplayManager.download(this.lastRecording);
+      UIManager.setReplayMessage(this.replayMessageEl, null);
+    } catch (_e) {
+      UIManager.setReplayMessage(this.replayMessageEl, "The replay could not be saved.");
+    }
+  }
+
+  /**
+   * Open the file picker for a replay file.
+   */
+  handleLoadReplayClick() {
+    if (!this.replayFileInput) return;
+    // Clear the previous choice so picking the same file again still fires `change`
+    this.replayFileInput.value = "";
+    this.replayFileInput.click();
+  }
+
+  /**
+   * Validate the chosen replay file and play it, or explain why it can't be played.
+   */
+  handleReplayFileChange() {
+    const file = this.replayFileInput?.files?.[0];
+    if (!file) return;
+    ReplayManager.read(file).then((result) => {
+      if (!result.recording) {
+        UIManager.setReplayMessage(this.replayMessageEl, result.error);
+        return;
+      }
+      UIManager.setReplayMessage(this.replayMessageEl, null);
+      this.startPlayback(result.recording);
     });
   }
 
+  /** Stop the playback bar from following the run while the user drags it. */
+  handleScrubberInput() {
+    if (this.replayScrubber) this.replayScrubber.dataset.scrubbing = "1";
+  }
+
+  /** Jump the replay to the released scrubber position. */
+  handleScrubberChange() {
+    if (!this.replayScrubber) return;
+    delete this.replayScrubber.dataset.scrubbing;
+    this.seekPlayback(Number(this.replayScrubber.value));
+  }
+
   /**
    * Resize the game canvas and reposition the player.
+   * During playback and live runs the view is pinned to the recorded size (the canvas
+   * is letterboxed instead), so the replay re-simulates on the view the run was played on.
+   * @param {{width:number,height:number}|null} [size] - View to pin; defaults to the run's.
+   */
+  resizeCanvas(size = this._runView()) {
+    ViewManager.resize(this, size);
+  }
+
+  /**
+   * View the current run is recorded (or was recorded) on, or null between runs.
+   * @returns {{width:number,height:number}|null}
    */
-  resizeCanvas() {
-    ViewManager.resize(this);
+  _runView() {
+    if (this.playback) return this.playback.view;
+    const live = this.state.isRunning() || this.state.isPaused();
+    return live && this.recorder ? this.recorder.view : null;
   }
 
   /**
    * Debounced resize handler to avoid excessive work during window resizing.
    */
   handleResize() {
+    // Resizing mid-replay would move the player and break determinism
+    if (this.playback) return;
     if (this._resizeScheduled) return;
     this._resizeScheduled = true;
     requestAnimationFrame(() => {
@@ -736,15 +987,11 @@ class AIHorizon {
    * @param {boolean} nowMobile
    */
   softReinitForPlatformChange(nowMobile) {
-    this._isMobile = nowMobile;
     // Update speeds that depend on platform
-    this.asteroidSpeed = this._isMobile
-      ? CONFIG.SPEEDS.ASTEROID_MOBILE
-      : CONFIG.SPEEDS.ASTEROID_DESKTOP;
-    this.starSpeed = CONFIG.SPEEDS.STAR;
+    this.sim.setPlatform(nowMobile);
 
     // Reset spawn counters so cadence aligns with new platform expectations
-    SpawnManager.reset(this);
+    SpawnManager.reset(this.sim);
     // Force nebula regeneration on next init so each new game gets a fresh background.
     this.nebulaConfigs = undefined;
     // If no RNG seed was provided via URL, create a fresh RNG for nebula generation
@@ -825,55 +1072,24 @@ class AIHorizon {
     // Stop the loop if running
     if (this.loop) this.loop.stop();
 
-    // Release pooled entities back to pools
-    /**
-     * @param {Array<any>} arr
-     * @param {{ release: (obj: any) => void } | undefined} pool
-     */
-    const releaseAll = (arr, pool) => {
-      if (!arr || !pool) return;
-      for (const it of arr) pool.release(it);
-    };
-    releaseAll(this.asteroids, this.asteroidPool);
-    releaseAll(this.bullets, this.bulletPool);
-    releaseAll(this.explosions, this.explosionPool);
-    releaseAll(this.particles, this.particlePool);
-    releaseAll(this.stars, this.starPool);
-
-    // Clear runtime arrays
-    this.asteroids = [];
-    this.bullets = [];
-    this.explosions = [];
-    this.particles = [];
-    this.stars = [];
-
-    // Reset scores and timers
-    this.score = 0;
-    this.updateScore();
-    // reset countdown timer
-    this.timerRemaining = this.timerSeconds;
-    try {
-      UIManager.setTimer(this.timerEl, this.timerRemaining);
-    } catch (_e) {
-      /* ignore */
-    }
-    this.timeMs = 0;
-    this.timeSec = 0;
-    this.fireLimiter.reset();
-    this.input = new InputState();
-
-    // Reset spawn counters and RNG remains the same for reproducibility
-    SpawnManager.reset(this);
+    // Clear entities and reset score, timer, clock, input and spawn counters.
+    // The RNG keeps its state for reproducibility.
+    this.sim.reset();
+    this.recorder = null;
+    this.playback = null;
+    this._setGhost(null);
+    UIManager.hideReplayBar(this.replayBar);
+    UIManager.setResumeAvailable(this.resumeBtn, SaveManager.has());
+    UIManager.setDailyChallenge(
+      this.dailyBtn,
+      DailyChallengeManager.hasAttempted(DailyChallenge.dateKey())
+    );
 
     // Recompute platform flags and speeds
-    this._isMobile = this.isMobile();
-    this.asteroidSpeed = this._isMobile
-      ? CONFIG.SPEEDS.ASTEROID_MOBILE
-      : CONFIG.SPEEDS.ASTEROID_DESKTOP;
-    this.starSpeed = CONFIG.SPEEDS.STAR;
+    this.sim.setPlatform(this.isMobile());
 
     // Warm up pools again (best-effort)
-    this._warmUpPools();
+    this.sim._warmUpPools();
 
     // Recreate sprites and background to match fresh state
     try {
@@ -905,7 +1121,7 @@ class AIHorizon {
         view: this.view,
         running: false,
         isMobile: this._isMobile,
-        rng: this.rng,
+        rng: this.rngs.background,
       });
       if (bg && bg.nebulaConfigs) this.nebulaConfigs = bg.nebulaConfigs;
       this.starField = bg && bg.starField ? bg.starField : this.starField;
@@ -924,16 +1140,6 @@ class AIHorizon {
 
     // Reset FSM to menu
     this.state = new GameStateMachine();
-
-    // Re-register event handlers to ensure no duplicates
-    if (this._unsubscribeEvents) {
-      try {
-        this._unsubscribeEvents();
-      } catch (_e) {
-        void _e;
-      }
-    }
-    this._unsubscribeEvents = EventHandlers.register(this);
   }
 
   /**
@@ -955,6 +1161,9 @@ class AIHorizon {
     } catch (_e) {
       wasGameOver = false;
     }
+    this.sim.setMode(this._nextRunMode());
+    this.sim.setPreset(this.playback ? this.playback.preset : this.difficulty);
+    UIManager.setHudMode(this.timerHudEl, this.livesHudEl, this.sim.isSurvival());
     this.resetGameState(wasGameOver);
     // resizeCanvas uses ViewManager.resize which will place the player
     // at the spawn position when the game is not yet running.
@@ -965,48 +1174,224 @@ class AIHorizon {
     // occur. This ensures nebula appears only during gameplay.
     this.state.start();
     this.initBackground();
+    this._beginRun();
+    this.loop.start();
+    // Retry leaderboard submissions that failed to send earlier (e.g. while offline)
+    LeaderboardManager.startPendingSync();
+  }
+
+  /**
+   * Continue the run saved by `saveRun`, exactly where it stopped. Its input
+   * recording carries on too, so the finished run still replays from its seed.
+   */
+  resumeGame() {
+    const saved = SaveManager.load();
+    if (!saved) {
+      UIManager.setResumeAvailable(this.resumeBtn, false);
+      return;
+    }
+    this.resetGameState(false);
+    // The saved entities are placed on the run's view, whatever the window is now
+    this.resizeCanvas(saved.recording.view || null);
+    this.hideGameInfo();
+    this.playback = null;
+    this.sim.restore(saved.snapshot);
+    this.daily = saved.daily;
+    this.survival = this.sim.isSurvival();
+    // The run's score goes to its own difficulty's boards, so show those
+    this.handleDifficulty(this.sim.preset);
+    UIManager.setHudMode(this.timerHudEl, this.livesHudEl, this.survival);
+    this.runSeed = saved.recording.seed;
+    this.recorder = InputRecorder.resume(saved.recording, saved.shots);
+    this._lastSaveMs = this.timeMs;
+    if (this.pilot && this.pilot.reset) this.pilot.reset();
+    // Bring the ghost up to the tick the run stopped at
+    this._setGhost(GhostManager.load(this.runSeed, this.sim.mode, this.sim.preset));
+    if (this.ghost) {
+      for (let t = 0; t < saved.recording.ticks && this.ghost.active; t++) this.ghost.step();
+      this._updateGhostDelta();
+    }
+    this.state.start();
+    this.initBackground();
     this.loop.start();
   }
 
+  /**
+   * Save the in-progress run so it can be resumed later. Replays are not saved.
+   */
+  saveRun() {
+    if (!this.recorder || this.playback) return;
+    if (!this.state.isRunning() && !this.state.isPaused()) return;
+    this._lastSaveMs = this.timeMs;
+    SaveManager.save(
+      this.sim.snapshot(),
+      this.recorder.finish(),
+      this.daily,
+      this.recorder.pendingShots()
+    );
+  }
+
+  /**
+   * Reset the gameplay RNG for a new run and start recording (or replaying) its inputs.
+   */
+  _beginRun() {
+    const seed = this.playback ? this.playback.seed : this._nextRunSeed();
+    this.runSeed = seed;
+    this.sim.reseed(seed);
+    this.recorder = this.playback
+      ? null
+      : new InputRecorder(seed, {
+          view: this.view,
+          isMobile: this._isMobile,
+          mode: this.mode,
+          preset: this.preset,
+        });
+    if (this.pilot && this.pilot.reset) this.pilot.reset();
+    this._setGhost(this.playback ? null : GhostManager.load(seed, this.mode, this.preset));
+    // A new live run replaces any saved one
+    if (!this.playback) SaveManager.clear();
+    this._lastSaveMs = 0;
+  }
+
+  /**
+   * Race a recorded run alongside the live one, or stop racing with null.
+   * @param {import('./types.js').InputRecording|null} recording
+   */
+  _setGhost(recording) {
+    if (this.ghost) this.ghost.dispose();
+    this.ghost = recording ? new Ghost(recording) : null;
+    this._updateGhostDelta();
+  }
+
+  /** Refresh the HUD score delta against the ghost when it changes. */
+  _updateGhostDelta() {
+    const delta = this.ghost ? this.score - this.ghost.score : null;
+    if (delta === this._ghostDelta) return;
+    this._ghostDelta = delta;
+    UIManager.setScoreDelta(this.scoreDeltaEl, delta);
+  }
+
+  /**
+   * Mode of the next run: the replayed run's, else survival when it was chosen.
+   * @returns {import('./types.js').GameMode}
+   */
+  _nextRunMode() {
+    if (this.playback) return this.playback.mode;
+    return this.survival ? SurvivalMode.ID : "timed";
+  }
+
+  /**
+   * Seed for the next run: the day's seed for a daily challenge, else the URL seed
+   * when one was given, otherwise a fresh one.
+   * @returns {number}
+   */
+  _nextRunSeed() {
+    if (this.daily) return DailyChallenge.seed(this.daily.date);
+    if (typeof this.seed === "number") return this.seed;
+    return (this.rng.nextFloat() * 4294967296) >>> 0;
+  }
+
+  /**
+   * Feed recorded input into the tick about to run, or record the live (or piloted) input for it.
+   */
+  _stepInput() {
+    if (this.playback) {
+      const shots = this.playback.apply(this.input);
+      for (let i = 0; i < shots; i++) this.shoot();
+    } else {
+      // The pilot's controls are recorded like a player's, so piloted runs replay too
+      if (this.pilot) this.input.applyAction(this.pilot.act(this.sim.observe()));
+      if (this.recorder) this.recorder.capture(this.input);
+    }
+  }
+
+  /**
+   * Stop recording/replaying; keep the finished (or replayed) recording in `lastRecording`.
+   */
+  _endRun() {
+    if (this.recorder) {
+      this.lastRecording = this.recorder.finish();
+      this.recorder = null;
+    }
+    if (this.playback) {
+      this.lastRecording = this.playback.recording;
+      this.playback = null;
+      UIManager.hideReplayBar(this.replayBar);
+    }
+  }
+
+  /**
+   * Advance the simulation by one fixed step, feeding it this tick's input.
+   * @param {number} dtMs
+   * @param {number} dtSec
+   */
+  step(dtMs, dtSec) {
+    this._stepInput();
+    this.updateNebula(dtSec);
+    this.sim.step(dtMs, dtSec);
+    if (this.ghost) {
+      this.ghost.step();
+      this._updateGhostDelta();
+    }
+    if (this.state.isRunning() && this.timeMs - this._lastSaveMs >= SaveManager.INTERVAL_MS) {
+      this.saveRun();
+    }
+  }
+
+  /**
+   * Replay a recorded run from the start. Live input is ignored until the run ends.
+   * @param {import('./types.js').InputRecording} recording
+   */
+  startPlayback(recording) {
+    this.recorder = null;
+    this.daily = null;
+    this.playback = new InputPlayback(recording);
+    this._setPlatform(this.playback.isMobile);
+    this.hideGameOver();
+    this.startGame();
+    UIManager.showReplayBar(this.replayBar, this.replayScrubber, recording.ticks);
+  }
+
+  /**
+   * Jump the running replay to `tick`. Runs are only reproducible from the start,
+   * so seeking backwards restarts the replay; both directions then fast-forward
+   * through the recorded ticks without drawing.
+   * @param {number} tick
+   */
+  seekPlayback(tick) {
+    if (!this.playback) return;
+    const wasPaused = this.state.isPaused();
+    if (wasPaused) this.state.resume();
+    if (tick < this.playback.tick) {
+      this.playback = new InputPlayback(this.playback.recording);
+      // Leave the running state so the restart respawns the player at the start position
+      this.state = new GameStateMachine();
+      this.startGame();
+    }
+    const stepMs = CONFIG.TIME.STEP_MS;
+    while (this.playback && this.playback.tick < tick && this.state.isRunning()) {
+      this.step(stepMs, stepMs / 1000);
+    }
+    if (wasPaused && this.state.isRunning()) this.state.pause();
+    this._pausedFrameRendered = false;
+  }
+
+  /**
+   * Apply platform-dependent speeds.
+   * @param {boolean} isMobile
+   */
+  _setPlatform(isMobile) {
+    this.sim.setPlatform(isMobile);
+  }
+
   /**
    * Reset score and clear dynamic entity arrays.
    */
   resetGameState(forceNebula = false) {
-    /**
-     * Release all elements back to their pool.
-     * @param {Array<any>} arr
-     * @param {{ release: (obj: any) => void } | undefined} pool
-     */
-    const releaseAll = (arr, pool) => {
-      if (!arr || !pool) return;
-      for (const it of arr) pool.release(it);
-    };
-    releaseAll(this.asteroids, this.asteroidPool);
-    releaseAll(this.bullets, this.bulletPool);
-    releaseAll(this.explosions, this.explosionPool);
-    releaseAll(this.particles, this.particlePool);
-    releaseAll(this.stars, this.starPool);
-    this.score = 0;
-    this.updateScore();
-    // reset countdown timer for new game
-    this.timerRemaining = this.timerSeconds;
-    try {
-      UIManager.setTimer(this.timerEl, this.timerRemaining);
-    } catch (_e) {
-      /* ignore */
-    }
-    this.asteroids = [];
-    this.bullets = [];
-    this.explosions = [];
-    this.particles = [];
-    this.stars = [];
-    this.fireLimiter.reset();
-    // Clear input state (mouse/touch and keys) so a lingering touch doesn't
+    // Clear entities and reset score, timer, clock and spawn cadence. This also
+    // clears input state (mouse/touch and keys) so a lingering touch doesn't
     // cause the player to immediately move away from the spawn position on restart.
-    // FullReset creates a fresh InputState; mirror that behaviour here.
-    this.input = new InputState();
-    // Reset spawn cadence counters managed by SpawnManager
-    SpawnManager.reset(this);
+    this.sim.reset();
     // Only force nebula regeneration and create a fresh nebula RNG when
     // explicitly requested (Play Again). Preserve existing nebula for the
     // initial "Launch Mission" so the background stays the same as on page load.
@@ -1060,6 +1445,22 @@ class AIHorizon {
    */
   gameOver() {
     this.state.end();
+    const wasPlayback = !!this.playback;
+    this._endRun();
+    // Each Game Over starts at the top of the board, without the last run's placement
+    this.leaderboardView = { ...this.leaderboardView, offset: 0 };
+    UIManager.setPlacement(this.leaderboardPlacementEl, null);
+    if (wasPlayback) this._setPlatform(this.isMobile());
+    if (this.downloadReplayBtn) this.downloadReplayBtn.disabled = !this.lastRecording;
+    // Keep the best run per seed as the ghost to race next time
+    if (!wasPlayback && this.lastRecording) GhostManager.save(this.lastRecording, this.score);
+    // A finished run can no longer be resumed
+    if (!wasPlayback) SaveManager.clear();
+    // Replayed, AI-piloted, debugged (`?debug=1` can slow or step the loop) and daily
+    // practice runs are not eligible for a leaderboard; ranked daily runs go to the
+    // day's board and survival runs to the survival board
+    const ranked = !wasPlayback && !this.pilot && !this.debug && (!this.daily || this.daily.ranked);
+    if (!wasPlayback) this._recordRun();
     this.updateHighScore();
     // Ensure pause overlay is hidden if game ends while paused
     UIManager.hidePause(this.pauseScreen);
@@ -1069,7 +1470,7 @@ class AIHorizon {
     // focusing the Play Again button.
     let submittedScore = false;
     try {
-      if (this.score > 0) {
+      if (this.score > 0 && ranked) {
         // Suppress fullReset triggered by transient viewport/resize changes
         // while any native prompt replacement UI is active on some mobile browsers.
         this._suppressFullResetOnResize = true;
@@ -1125,6 +1526,12 @@ class AIHorizon {
           } catch (_inner) {
             showInitials = LeaderboardManager.IS_REMOTE ? false : this.score > 0;
           }
+          // The ranked daily attempt can always be submitted to the day's board (and
+          // survival runs to theirs), and the leaderboard server ranks scores far
+          // below its top page
+          if (this.daily || this.survival || LeaderboardManager.IS_REMOTE) {
+            showInitials = this.score > 0;
+          }
           if (initialsEntry) {
             if (showInitials) initialsEntry.classList.remove("hidden");
             else initialsEntry.classList.add("hidden");
@@ -1138,10 +1545,11 @@ class AIHorizon {
           const raw = String(initialsInput.value || "")
             .trim()
             .toUpperCase();
-          // Allow 1 to 3 letters (previously required exactly 3)
-          if (/^[A-Z]{1,3}$/.test(raw)) {
+          // Allow 1 to 3 letters (previously required exactly 3), except blocked
+          // words, which the leaderboard server would refuse anyway
+          if (Initials.isAllowed(raw)) {
             try {
-              LeaderboardManager.submit(this.score, raw, { remote: LeaderboardManager.IS_REMOTE });
+              this._submitScore(raw);
               submittedScore = true;
               // clear input to indicate success
               initialsInput.value = "";
@@ -1172,7 +1580,8 @@ class AIHorizon {
           try {
             /** @param {Event} e */
             // Normalize input live: strip any non-letter characters, uppercase,
-            // and cap to 3 characters while preserving the caret position.
+            // and cap to 3 characters while preserving the caret position. Blocked
+            // initials are flagged as invalid until they are changed.
             onInput = (e) => {
               try {
                 const el = /** @type {HTMLInputElement} */ (e.target);
@@ -1180,10 +1589,8 @@ class AIHorizon {
                 const start = el.selectionStart || 0;
                 const end = el.selectionEnd || 0;
                 // Filter to letters A-Z only, then uppercase and limit to 3 chars
-                const filtered = raw
-                  .replace(/[^a-zA-Z]/g, "")
-                  .toUpperCase()
-                  .slice(0, 3);
+                const filtered = Initials.normalize(raw);
+                el.setAttribute("aria-invalid", String(Initials.isBlocked(filtered)));
                 if (el.value !== filtered) {
                   // Compute new caret position: move left by the number of removed
                   // chars before the original caret. This is a best-effort that
@@ -1267,9 +1674,7 @@ class AIHorizon {
                 : "";
               if (/^[A-Z]{1,3}$/.test(raw)) {
                 try {
-                  LeaderboardManager.submit(this.score, raw, {
-                    remote: LeaderboardManager.IS_REMOTE,
-                  });
+                  this._submitScore(raw);
                   submittedScore = true;
                   if (initialsInput) initialsInput.value = "";
                 } catch (_e) {
@@ -1284,7 +1689,7 @@ class AIHorizon {
             // focusout so the input remains visible until an explicit
             // submit via the button).
             try {
-              if (lbEl) LeaderboardManager.render(lbEl);
+              if (lbEl) this._renderLeaderboard(lbEl);
             } catch (_e) {
               /* ignore */
             }
@@ -1340,9 +1745,7 @@ class AIHorizon {
                   : "";
                 if (/^[A-Z]{1,3}$/.test(raw)) {
                   try {
-                    LeaderboardManager.submit(this.score, raw, {
-                      remote: LeaderboardManager.IS_REMOTE,
-                    });
+                    this._submitScore(raw);
                     submittedScore = true;
                     if (initialsInput) initialsInput.value = "";
                   } catch (_e) {
@@ -1353,7 +1756,7 @@ class AIHorizon {
                 /* ignore */
               }
               try {
-                if (lbEl) LeaderboardManager.render(lbEl);
+                if (lbEl) this._renderLeaderboard(lbEl);
               } catch (_e) {
                 /* ignore */
               }
@@ -1445,7 +1848,7 @@ class AIHorizon {
     // Render leaderboard first so the list is present before we show Game Over
     try {
       const lbEl = this.leaderboardListEl || document.getElementById("leaderboardList");
-      if (lbEl) LeaderboardManager.render(lbEl);
+      if (lbEl) this._renderLeaderboard(lbEl);
     } catch (_e) {
       /* ignore */
     }
@@ -1475,6 +1878,10 @@ class AIHorizon {
     } catch (_e) {
       allowInitials = this.score > 0;
     }
+    if (!ranked) allowInitials = false;
+    else if (this.daily || this.survival || LeaderboardManager.IS_REMOTE) {
+      allowInitials = this.score > 0;
+    }
 
     UIManager.showGameOver(
       this.gameOverScreen,
@@ -1484,6 +1891,7 @@ class AIHorizon {
       submittedScore,
       allowInitials
     );
+    UIManager.setGameOverDifficulty(this.gameOverDifficultyEl, this.presetSettings.label);
 
     // Defensive: if we decided initials must not be shown, ensure all
     // initials-related elements are hidden so other UI code can't reveal
@@ -1501,48 +1909,6 @@ class AIHorizon {
       /* ignore */
     }
 
-    // If the client uses a remote leaderboard and we initially hid the
-    // initials UI because the local snapshot was inconclusive, perform a
-    // remote check and reveal the input if the remote leaderboard indicates
-    // the score would place in the top-N.
-    try {
-      if (LeaderboardManager.IS_REMOTE && allowInitials === false && typeof fetch === "function") {
-        LeaderboardManager.load({ remote: true })
-          .then((entries) => {
-            if (!Array.isArray(entries)) return;
-            const arr = entries
-              .map((e) => ({ id: String(e.id || ""), score: Number(e.score || 0) }))
-              .sort((a, b) => b.score - a.score || String(a.id).localeCompare(String(b.id)));
-            if (arr.length < LeaderboardManager.MAX_ENTRIES) {
-              // Show initials since leaderboard has space.
-              UIManager.showGameOver(
-                this.gameOverScreen,
-                this.restartBtn,
-                this.finalScoreEl,
-                this.score,
-                submittedScore,
-                this.score > 0
-              );
-              return;
-            }
-            const cutoff = arr[LeaderboardManager.MAX_ENTRIES - 1];
-            const cutoffScore = Number(cutoff && cutoff.score ? cutoff.score : 0);
-            if (this.score > 0 && Math.floor(this.score) > Math.floor(cutoffScore)) {
-              UIManager.showGameOver(
-                this.gameOverScreen,
-                this.restartBtn,
-                this.finalScoreEl,
-                this.score,
-                submittedScore,
-                true
-              );
-            }
-          })
-          .catch(() => {});
-      }
-    } catch (_e) {
-      /* ignore */
-    }
     // Clear the suppression after the Game Over UI is shown — allow a short
     // grace period so any prompt-induced resizes don't trigger a fullReset.
     try {
@@ -1553,237 +1919,199 @@ class AIHorizon {
       this._suppressFullResetOnResize = false;
     }
     // (leaderboard already rendered above)
+    // Keep the shown board current while Game Over is open; rows update in place so
+    // focus stays on the restart button
+    try {
+      const lbEl = this.leaderboardListEl || document.getElementById("leaderboardList");
+      LeaderboardManager.startPolling(lbEl, {
+        isActive: () => !this.gameOverScreen.classList.contains("hidden"),
+      });
+    } catch (_e) {
+      /* ignore */
+    }
     if (this.loop) this.loop.stop();
   }
 
   /**
-   * Show the game over screen.
+   * Add the finished run to the local run history and show the personal best on the
+   * Game Over screen (AI-piloted runs are kept but don't count towards it). Survival
+   * runs have a personal best of their own.
    */
-  showGameOver() {
-    UIManager.showGameOver(this.gameOverScreen, this.restartBtn, this.finalScoreEl, this.score);
-  }
-
-  /**
-   * Hide the game over screen.
-   */
-  hideGameOver() {
-    UIManager.hideGameOver(this.gameOverScreen);
-  }
-
-  /**
-   * Hide the game info.
-   */
-  hideGameInfo() {
-    UIManager.hideGameInfo(this.gameInfo);
-  }
-
-  /**
-   * Update the displayed current score.
-   */
-  updateScore() {
-    UIManager.setScore(this.currentScoreEl, this.score);
+  _recordRun() {
+    const modes = this.survival ? RunHistory.SURVIVAL_MODES : RunHistory.PLAYER_MODES;
+    const previous = RunHistory.best(modes);
+    let mode = "standard";
+    if (this.pilot) mode = "pilot";
+    else if (this.survival) mode = "survival";
+    else if (this.daily) mode = this.daily.ranked ? "daily" : "practice";
+    const seed = this.lastRecording ? this.lastRecording.seed : null;
+    RunHistory.record({ score: this.score, seed, mode });
+    const best = RunHistory.best(modes);
+    let text = null;
+    if (best && mode !== "pilot" && best.score > 0) {
+      const score = best.score.toLocaleString("en-US");
+      const isNew = this.score > 0 && (!previous || this.score > previous.score);
+      const label = this.survival ? "survival best" : "personal best";
+      text = isNew
+        ? `New ${label}: ${score}!`
+        : `${label[0].toUpperCase()}${label.slice(1)}: ${score}`;
+    }
+    UIManager.setPersonalBest(this.personalBestEl, text);
   }
 
   /**
-   * Update and persist the high score if needed.
+   * Submit the finished run's score under `initials`, to the day's board for a
+   * daily challenge, the survival board for a survival run and to the main
+   * leaderboard otherwise.
+   * @param {string} initials
    */
-  updateHighScore() {
-    this.highScore = LeaderboardManager.setHighScore(this.score, this.highScore, this.highScoreEl);
+  _submitScore(initials) {
+    const options = { remote: LeaderboardManager.IS_REMOTE, replay: this.lastRecording };
+    if (this.daily) {
+      return LeaderboardManager.submitDaily(this.score, initials, this.daily.date, options);
+    }
+    if (this.survival) return LeaderboardManager.submitSurvival(this.score, initials, options);
+    return LeaderboardManager.submit(this.score, initials, options);
   }
 
   /**
-   * Update all game objects and check collisions.
+   * Render the leaderboard that applies to the finished run into `listEl`.
+   * @param {HTMLElement} listEl
    */
-  update(dtSec = CONFIG.TIME.DEFAULT_DT) {
-    // Only animate nebula when the game is actively running. This keeps the
-    // nebula static on the start/menu screen (Launch Mission) while still
-    // allowing motion during active gameplay.
-    if (
-      this.nebulaConfigs &&
-      this.state &&
-      typeof this.state.isRunning === "function" &&
-      this.state.isRunning()
-    ) {
-      Nebula.update(this.view.width, this.view.height, this.nebulaConfigs, this._isMobile, dtSec);
+  _renderLeaderboard(listEl) {
+    if (this.daily) {
+      UIManager.setLeaderboardTitle(this.leaderboardTitleEl, `Daily Challenge ${this.daily.date}`);
+      UIManager.setLeaderboardTabs(this.leaderboardTabsEl, this.leaderboardPrevBtn, null);
+      UIManager.setLeaderboardPager(this.leaderboardPagerEl, null);
+      listEl.dataset.board = `daily:${this.daily.date}`;
+      LeaderboardManager.renderDaily(listEl, this.daily.date);
+      return;
     }
-    updateAsteroids(this, dtSec);
-    updateBullets(this, dtSec);
-    updateEngineTrail(this, dtSec);
-    updateExplosions(this, dtSec);
-    updateParticles(this, dtSec);
-    updateStars(this, dtSec);
-    if (this.input.fireHeld) {
-      this.shoot();
+    if (this.survival) {
+      UIManager.setLeaderboardTitle(this.leaderboardTitleEl, "Survival");
+      UIManager.setLeaderboardTabs(this.leaderboardTabsEl, this.leaderboardPrevBtn, null);
+      UIManager.setLeaderboardPager(this.leaderboardPagerEl, null);
+      listEl.dataset.board = SurvivalMode.ID;
+      LeaderboardManager.renderSurvival(listEl);
+      return;
     }
-    this.spawnObjects(dtSec);
-    this.checkCollisions();
-    this.player.update(this.input.keys, this.input.mouse, this.view, dtSec);
-
-    // Countdown timer -- only while running
-    try {
-      if (this.state.isRunning()) {
-        this.timerRemaining -= dtSec;
-        if (this.timerRemaining <= 0) {
-          this.timerRemaining = 0;
-          UIManager.setTimer(this.timerEl, this.timerRemaining);
-          // Force game over when timer expires
-          this.gameOver();
-        } else {
-          UIManager.setTimer(this.timerEl, this.timerRemaining);
-        }
-      }
-    } catch (_e) {
-      /* ignore in non-DOM/test envs */
+    const { period, previous, offset } = this.leaderboardView;
+    const key = previous ? LeaderboardPeriods.previousKey(period) : null;
+    UIManager.setLeaderboardTitle(
+      this.leaderboardTitleEl,
+      key ? `${period === "day" ? "Yesterday" : "Last Week"} (${key})` : null
+    );
+    UIManager.setLeaderboardTabs(
+      this.leaderboardTabsEl,
+      this.leaderboardPrevBtn,
+      this.leaderboardView
+    );
+    if (period === "all") {
+      listEl.dataset.board = offset ? `all@${offset}` : "all";
+      LeaderboardManager.renderPage(listEl, offset).then((total) => {
+        // Ignore pages the player has already moved away from
+        const view = this.leaderboardView;
+        if (this.daily || view.period !== "all" || view.previous || view.offset !== offset) return;
+        const pageSize = LeaderboardManager.MAX_ENTRIES;
+        const page = typeof total === "number" ? { offset, pageSize, total } : null;
+        UIManager.setLeaderboardPager(this.leaderboardPagerEl, page);
+      });
+      return;
     }
+    UIManager.setLeaderboardPager(this.leaderboardPagerEl, null);
+    listEl.dataset.board = key ? `${period}:${key}` : period;
+    LeaderboardManager.renderPeriod(listEl, period, { previous: !!key });
   }
 
   /**
-   * Randomly spawn asteroids and collectible stars.
-   * @param {number} dtSec
+   * Show the game over screen.
    */
-  spawnObjects(dtSec) {
-    SpawnManager.spawnObjects(this, dtSec);
+  showGameOver() {
+    UIManager.showGameOver(this.gameOverScreen, this.restartBtn, this.finalScoreEl, this.score);
   }
 
   /**
-   * Check for collisions between bullets, asteroids, player, and stars.
+   * Hide the game over screen.
    */
-  checkCollisions() {
-    CollisionManager.check(this);
+  hideGameOver() {
+    LeaderboardManager.stopPolling();
+    UIManager.hideGameOver(this.gameOverScreen);
   }
 
   /**
-   * Axis-aligned bounding box collision detection.
-   * @param {{x: number, y: number, width: number, height: number}} rect1 - First rectangle.
-   * @param {{x: number, y: number, width: number, height: number}} rect2 - Second rectangle.
-   * @returns {boolean} True if collision detected, else false.
+   * Hide the game info.
    */
-  checkCollision(rect1, rect2) {
-    return CollisionManager.intersects(rect1, rect2);
+  hideGameInfo() {
+    UIManager.hideGameInfo(this.gameInfo);
   }
 
   /**
-   * Create a new asteroid object with random size and speed.
-   * @returns {Asteroid} A new asteroid instance.
+   * Load the current difficulty's leaderboard entries and use the result to set the
+   * displayed high score and render the leaderboard. LeaderboardManager
+   * may return either an array (sync) or a Promise (remote), so handle
+   * both paths.
    */
-  createAsteroid() {
-    return SpawnManager.createAsteroid(this);
+  loadLeaderboard() {
+    try {
+      const maybeEntries = LeaderboardManager.load({ remote: LeaderboardManager.IS_REMOTE });
+      /**
+       * @param {{id:string,score:number}[]} entries
+       */
+      const handleEntries = (entries) => {
+        try {
+          const high = Array.isArray(entries)
+            ? entries.reduce((max, e) => Math.max(max, Number(e.score || 0)), 0)
+            : 0;
+          this.highScore = high;
+          this.updateHighScore();
+          // Safely resolve the leaderboard element without assigning null to the
+          // instance field (avoids typing issues in strict environments).
+          const el = this.leaderboardListEl || document.getElementById("leaderboardList");
+          if (el) LeaderboardManager.render(el, entries);
+        } catch (_e) {
+          /* ignore */
+        }
+      };
+      if (Array.isArray(maybeEntries)) {
+        handleEntries(maybeEntries);
+      } else if (maybeEntries && typeof maybeEntries.then === "function") {
+        maybeEntries.then(handleEntries).catch(() => {});
+      }
+    } catch (_e) {
+      /* ignore */
+    }
   }
 
   /**
-   * Create a new bullet object at the player's position.
-   * @returns {Bullet} A new bullet instance.
+   * Update the displayed current score.
    */
-  createBullet() {
-    const bx =
-      this.player.x + (this.player.width - CONFIG.BULLET.WIDTH) / 2 + CONFIG.BULLET.SPAWN_OFFSET;
-    return this.bulletPool.acquire(
-      bx,
-      this.player.y,
-      CONFIG.BULLET.WIDTH,
-      CONFIG.BULLET.HEIGHT,
-      this.bulletSpeed
-    );
+  updateScore() {
+    UIManager.setScore(this.currentScoreEl, this.score);
   }
 
   /**
-   * Create explosion and particle effects at given position.
-   * @param {number} x - X coordinate of explosion center.
-   * @param {number} y - Y coordinate of explosion center.
-   */
-  createExplosion(x, y) {
-    const rng = this.rng;
-    for (let i = 0; i < CONFIG.EXPLOSION.PARTICLE_COUNT; i++) {
-      const vx = (rng.nextFloat() - 0.5) * CONFIG.EXPLOSION.PARTICLE_SPEED_VAR;
-      const vy = (rng.nextFloat() - 0.5) * CONFIG.EXPLOSION.PARTICLE_SPEED_VAR;
-      const size =
-        rng.range(0, CONFIG.EXPLOSION.PARTICLE_SIZE_VARIATION) + CONFIG.EXPLOSION.PARTICLE_SIZE_MIN;
-      const gray = rng.range(40, 80);
-      this.particles.push(
-        this.particlePool.acquire(
-          x,
-          y,
-          vx,
-          vy,
-          CONFIG.EXPLOSION.PARTICLE_LIFE,
-          CONFIG.EXPLOSION.PARTICLE_LIFE,
-          size,
-          `hsl(0, 0%, ${gray}%)`
-        )
-      );
-    }
-    this.explosions.push(
-      this.explosionPool.acquire(
-        x - CONFIG.EXPLOSION.OFFSET,
-        y - CONFIG.EXPLOSION.OFFSET,
-        CONFIG.EXPLOSION.SIZE,
-        CONFIG.EXPLOSION.SIZE,
-        CONFIG.EXPLOSION.LIFE,
-        CONFIG.EXPLOSION.LIFE
-      )
-    );
+   * Update and persist the high score if needed.
+   */
+  updateHighScore() {
+    this.highScore = LeaderboardManager.setHighScore(this.score, this.highScore, this.highScoreEl);
   }
 
   /**
-   * Create a new collectible star object with random size and speed.
-   * @returns {Star} A new star instance.
+   * Update all game objects and check collisions.
    */
-  createStar() {
-    return SpawnManager.createStar(this);
+  update(dtSec = CONFIG.TIME.DEFAULT_DT) {
+    this.updateNebula(dtSec);
+    this.sim.update(dtSec);
   }
 
   /**
-   * Pre-allocate common pooled objects to reduce first-use jank.
-   * Uses representative dimensions/speeds; objects remain in the free list until acquired.
+   * Animate the nebula, only while a run is active. This keeps the nebula static on
+   * the start/menu screen (Launch Mission) while still allowing motion during gameplay.
+   * @param {number} dtSec
    */
-  _warmUpPools() {
-    try {
-      // Bullets
-      this.bulletPool.warmUp(64, 0, 0, CONFIG.BULLET.WIDTH, CONFIG.BULLET.HEIGHT, this.bulletSpeed);
-
-      // Asteroids
-      const aW = CONFIG.ASTEROID.MIN_SIZE + CONFIG.ASTEROID.SIZE_VARIATION * 0.5;
-      const aH = aW;
-      this.asteroidPool.warmUp(
-        32,
-        0,
-        CONFIG.ASTEROID.SPAWN_Y,
-        aW,
-        aH,
-        this.asteroidSpeed,
-        this.rng,
-        false
-      );
-
-      // Stars
-      const sSize = CONFIG.STAR.MIN_SIZE + CONFIG.STAR.SIZE_VARIATION * 0.5;
-      this.starPool.warmUp(32, 0, CONFIG.STAR.SPAWN_Y, sSize, sSize, this.starSpeed, false);
-
-      // Particles (explosion-like)
-      this.particlePool.warmUp(
-        256,
-        0,
-        0,
-        0,
-        0,
-        CONFIG.EXPLOSION.PARTICLE_LIFE,
-        CONFIG.EXPLOSION.PARTICLE_LIFE,
-        2,
-        "#999"
-      );
-
-      // Explosions
-      this.explosionPool.warmUp(
-        16,
-        0,
-        0,
-        CONFIG.EXPLOSION.SIZE,
-        CONFIG.EXPLOSION.SIZE,
-        CONFIG.EXPLOSION.LIFE,
-        CONFIG.EXPLOSION.LIFE
-      );
-    } catch (_) {
-      // warm-up is best-effort; ignore in non-DOM or test envs
+  updateNebula(dtSec) {
+    if (this.nebulaConfigs && this.state.isRunning()) {
+      Nebula.update(this.view.width, this.view.height, this.nebulaConfigs, this._isMobile, dtSec);
     }
   }
 
@@ -1791,6 +2119,14 @@ class AIHorizon {
    * Draw all game objects and background for the current frame.
    */
   draw() {
+    if (this.playback) {
+      UIManager.setReplayProgress(
+        this.replayScrubber,
+        this.replayTimeEl,
+        this.playback.tick,
+        CONFIG.TIME.STEP_MS
+      );
+    }
     if (this.state.isPaused()) {
       if (!this._pausedFrameRendered) {
         this.drawFrame();
@@ -1899,6 +2235,20 @@ class AIHorizon {
   }
 }
 
+// Expose the simulation-owned state on the game under its usual names so renderers,
+// managers and tests can keep reading and writing e.g. `game.asteroids` or `game.score`.
+for (const key of Simulation.STATE_KEYS) {
+  Object.defineProperty(AIHorizon.prototype, key, {
+    configurable: true,
+    get() {
+      return this.sim[key];
+    },
+    set(value) {
+      this.sim[key] = value;
+    },
+  });
+}
+
 export { AIHorizon };
 // Backwards-compatible export name expected by the test suite
 export { AIHorizon as DarkHorizon };
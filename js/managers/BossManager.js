@@ -0,0 +1,209 @@
+import { CONFIG } from "../constants.js";
+import { Asteroid } from "../entities/Asteroid.js";
+import { BossPlanet } from "../entities/BossPlanet.js";
+import { BossRing } from "../entities/BossRing.js";
+/** @typedef {import('../types.js').RNGLike} RNGLike */
+
+/**
+ * @typedef {Object} BossGameSlice
+ * @property {RNGLike} rng
+ * @property {RNGLike} [fxRng] - Cosmetic stream for craters and cracks; falls back to `rng`.
+ * @property {import('../types.js').ViewSize} view
+ * @property {number} timeSec
+ * @property {BossPlanet|null} boss
+ * @property {BossRing[]} bossRings
+ * @property {number} bossEncounters - Encounters started this run.
+ * @property {Asteroid[]} asteroids
+ * @property {import('../types.js').Pool<Asteroid> | null | undefined} [asteroidPool]
+ */
+
+/**
+ * A boss and its rings in a JSON-friendly form (for saved runs).
+ * @typedef {Object} BossStateData
+ * @property {number} encounters
+ * @property {{ x:number, y:number, planet:number, hits:number, shieldFlash:number, craters:{dx:number,dy:number,r:number}[], damageLines:{angle:number,len:number}[], stage:import('../entities/BossPlanet.js').BossStage, fightTime:number, attackTimer:number, attackIndex:number }|null} boss
+ * @property {{ cx:number, cy:number, radius:number, gapAngle:number, spent:boolean }[]} rings
+ */
+
+/**
+ * BossManager runs the scripted boss encounters of a run: a BossPlanet arrives at
+ * each of CONFIG.BOSS.AT_SECONDS and, once in place, attacks on its current phase's
+ * cadence with a fragment spray (regular asteroids fanned out downwards) or a
+ * sweeping BossRing. Aiming randomness comes from the gameplay stream, so replays
+ * reproduce every encounter.
+ */
+export class BossManager {
+  /**
+   * Start due encounters, move the boss and make its attacks.
+   * @param {BossGameSlice} game
+   * @param {number} [dtSec]
+   */
+  static update(game, dtSec = CONFIG.TIME.DEFAULT_DT) {
+    const arrivals = CONFIG.BOSS.AT_SECONDS;
+    if (
+      !game.boss &&
+      game.bossEncounters < arrivals.length &&
+      game.timeSec >= arrivals[game.bossEncounters]
+    ) {
+      game.boss = BossManager.createBoss(game);
+      game.bossEncounters++;
+    }
+    const boss = game.boss;
+    if (!boss) return;
+    boss.update(dtSec, game.view);
+    if (boss.hasLeft()) {
+      game.boss = null;
+      return;
+    }
+    if (boss.stage !== "fighting") return;
+    boss.attackTimer -= dtSec;
+    if (boss.attackTimer > 0) return;
+    const phase = boss.phase();
+    const attack = phase.ATTACKS[boss.attackIndex % phase.ATTACKS.length];
+    boss.attackIndex++;
+    boss.attackTimer += phase.ATTACK_SECONDS;
+    if (attack === "ring") BossManager.sweepRing(game, boss);
+    else BossManager.spray(game, boss);
+  }
+
+  /**
+   * The next encounter's boss, centered above the view. Encounters take turns through
+   * the planet palettes.
+   * @param {BossGameSlice} game
+   * @returns {BossPlanet}
+   */
+  static createBoss(game) {
+    const planets = CONFIG.COLORS.ASTEROID_PLANETS;
+    const palette = planets[game.bossEncounters % planets.length];
+    return new BossPlanet(
+      (game.view.width - CONFIG.BOSS.SIZE) / 2,
+      game.fxRng || game.rng,
+      palette
+    );
+  }
+
+  /**
+   * Fan FRAGMENT.COUNT small asteroids out of the boss's underside.
+   * @param {BossGameSlice} game
+   * @param {BossPlanet} boss
+   */
+  static spray(game, boss) {
+    const { COUNT, SIZE, SPEED, SPREAD, JITTER } = CONFIG.BOSS.FRAGMENT;
+    const cx = boss.x + boss.width / 2 - SIZE / 2;
+    const cy = boss.y + boss.height - SIZE;
+    const fxRng = game.fxRng || game.rng;
+    for (let i = 0; i < COUNT; i++) {
+      const fan = COUNT > 1 ? i / (COUNT - 1) - 0.5 : 0;
+      const angle = Math.PI / 2 + fan * SPREAD + (game.rng.nextFloat() - 0.5) * 2 * JITTER;
+      const vy = Math.sin(angle) * SPEED;
+      const fragment = game.asteroidPool
+        ? game.asteroidPool.acquire(cx, cy, SIZE, SIZE, vy, fxRng, false, null)
+        : new Asteroid(cx, cy, SIZE, SIZE, vy, fxRng, false, null);
+      fragment.vx = Math.cos(angle) * SPEED;
+      game.asteroids.push(fragment);
+    }
+  }
+
+  /**
+   * Send a ring out from the boss's center with its gap somewhere below it.
+   * @param {BossGameSlice} game
+   * @param {BossPlanet} boss
+   */
+  static sweepRing(game, boss) {
+    const gapAngle = Math.PI / 2 + (game.rng.nextFloat() - 0.5) * Math.PI * 0.8;
+    const palette = boss._palette || CONFIG.COLORS.ASTEROID_DARK;
+    game.bossRings.push(
+      new BossRing(
+        boss.x + boss.width / 2,
+        boss.y + boss.height / 2,
+        boss.width / 2,
+        gapAngle,
+        palette.SHIELD || CONFIG.COLORS.BOSS.WEAK_POINT
+      )
+    );
+  }
+
+  /**
+   * Most points a run of `seconds` can get from boss encounters: every boss that
+   * arrives in time defeated, and every attack it could make a fragment spray that is
+   * shot down completely.
+   * @param {number} seconds
+   * @returns {number}
+   */
+  static maxPoints(seconds) {
+    const { AT_SECONDS, STAY_SECONDS, PHASES, FRAGMENT, BONUS } = CONFIG.BOSS;
+    const fastest = Math.min(...PHASES.map((/** @type {any} */ p) => p.ATTACK_SECONDS));
+    const attacks = Math.ceil(STAY_SECONDS / fastest);
+    const perBoss = BONUS + attacks * FRAGMENT.COUNT * CONFIG.GAME.ASTEROID_SCORE;
+    return AT_SECONDS.filter((/** @type {number} */ t) => t < seconds).length * perBoss;
+  }
+
+  /**
+   * Copy of the encounter state in a JSON-friendly form (for saved runs).
+   * @param {BossGameSlice} game
+   * @returns {BossStateData}
+   */
+  static getState(game) {
+    const boss = game.boss;
+    return {
+      encounters: game.bossEncounters,
+      boss: boss
+        ? {
+            x: boss.x,
+            y: boss.y,
+            planet: CONFIG.COLORS.ASTEROID_PLANETS.indexOf(boss._palette),
+            hits: boss._hits,
+            shieldFlash: boss._shieldFlash,
+            craters: boss._craters.map((c) => ({ ...c })),
+            damageLines: boss._damageLines.map((d) => ({ ...d })),
+            stage: boss.stage,
+            fightTime: boss.fightTime,
+            attackTimer: boss.attackTimer,
+            attackIndex: boss.attackIndex,
+          }
+        : null,
+      rings: game.bossRings.map((r) => ({
+        cx: r.cx,
+        cy: r.cy,
+        radius: r.radius,
+        gapAngle: r.gapAngle,
+        spent: r.spent,
+      })),
+    };
+  }
+
+  /**
+   * Restore encounter state captured with `getState`. Missing state (saves from before
+   * boss encounters) means none has started yet.
+   * @param {BossGameSlice} game
+   * @param {BossStateData} [state]
+   */
+  static setState(game, state) {
+    game.bossEncounters = state ? state.encounters | 0 : 0;
+    game.boss = null;
+    game.bossRings = [];
+    if (!state) return;
+    const planets = CONFIG.COLORS.ASTEROID_PLANETS;
+    const saved = state.boss;
+    if (saved) {
+      const palette = planets[saved.planet] || planets[0];
+      const boss = new BossPlanet(saved.x, game.fxRng || game.rng, palette);
+      boss.y = saved.y;
+      boss._hits = saved.hits;
+      boss._shieldFlash = saved.shieldFlash;
+      boss._craters = saved.craters.map((c) => ({ ...c }));
+      boss._damageLines = saved.damageLines.map((d) => ({ ...d }));
+      boss.stage = saved.stage;
+      boss.fightTime = saved.fightTime;
+      boss.attackTimer = saved.attackTimer;
+      boss.attackIndex = saved.attackIndex;
+      game.boss = boss;
+    }
+    for (const r of state.rings) {
+      const palette = (game.boss && game.boss._palette) || CONFIG.COLORS.ASTEROID_DARK;
+      const ring = new BossRing(r.cx, r.cy, r.radius, r.gapAngle, palette.SHIELD);
+      ring.spent = r.spent;
+      game.bossRings.push(ring);
+    }
+  }
+}
@@ -203,6 +203,20 @@ export class CollisionManager {
       CollisionManager._releaseArr(groups);
     }
 
+    // Bullet vs boss: the boss keeps its own health (weak points take more per hit)
+    // and, once destroyed, goes through the same event as any asteroid
+    const boss = game.boss;
+    for (let i = 0; boss && i < game.bullets.length; i++) {
+      const b = game.bullets[i];
+      if (!b || toRemoveBullets.has(b) || !CollisionManager.intersects(b, boss)) continue;
+      toRemoveBullets.add(b);
+      if (boss.onBulletHit(b)) {
+        game.boss = null;
+        if (game.events) game.events.emit("bulletHitAsteroid", { asteroid: boss, bullet: b });
+        break;
+      }
+    }
+
     // Remove marked bullets and asteroids
     if (toRemoveBullets.size > 0) {
       for (let i = game.bullets.length - 1; i >= 0; i--) {
@@ -222,14 +236,29 @@ export class CollisionManager {
       }
     }
 
-    // Player vs Asteroid collisions
-    for (let i = game.asteroids.length - 1; i >= 0; i--) {
+    // Player vs Asteroid collisions (none while a respawned ship is invulnerable)
+    const invulnerable = typeof game.isInvulnerable === "function" && game.isInvulnerable();
+    for (let i = invulnerable ? -1 : game.asteroids.length - 1; i >= 0; i--) {
       const asteroid = game.asteroids[i];
       if (CollisionManager.intersects(game.player, asteroid)) {
         if (game.events) game.events.emit("playerHitAsteroid", { asteroid });
         return;
       }
     }
+    if (!invulnerable && game.boss && CollisionManager.intersects(game.player, game.boss)) {
+      if (game.events) game.events.emit("playerHitAsteroid", { asteroid: game.boss });
+      return;
+    }
+    // Player vs boss rings: each ring hits at most once
+    const rings = invulnerable ? [] : game.bossRings || [];
+    for (let i = 0; i < rings.length; i++) {
+      const ring = rings[i];
+      if (!ring.spent && ring.hits(game.player)) {
+        ring.spent = true;
+        if (game.events) game.events.emit("playerHitRing", { ring });
+        return;
+      }
+    }
 
     // Player vs Star collisions
     for (let i = game.stars.length - 1; i >= 0; i--) {
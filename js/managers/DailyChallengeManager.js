@@ -0,0 +1,32 @@
+/**
+ * DailyChallengeManager remembers whether this player has used today's ranked
+ * daily challenge attempt. Later daily runs the same day are practice runs.
+ */
+export class DailyChallengeManager {
+  static KEY_ATTEMPT = "aiHorizonDailyAttempt";
+
+  /**
+   * @param {string} date - Date key (see DailyChallenge.dateKey).
+   * @returns {boolean} True when the ranked attempt for `date` was already started.
+   */
+  static hasAttempted(date) {
+    try {
+      return localStorage.getItem(DailyChallengeManager.KEY_ATTEMPT) === date;
+    } catch (_) {
+      return false;
+    }
+  }
+
+  /**
+   * Use up the ranked attempt for `date`. Called when the run starts, so quitting
+   * or reloading does not hand out another attempt.
+   * @param {string} date
+   */
+  static markAttempted(date) {
+    try {
+      localStorage.setItem(DailyChallengeManager.KEY_ATTEMPT, date);
+    } catch (_) {
+      /* ignore */
+    }
+  }
+}
@@ -0,0 +1,66 @@
+/**
+ * DeviceIdentity gives this browser a random, anonymous ID that is kept in
+ * localStorage and sent with leaderboard requests, so the player's own entries
+ * can be told apart from others with the same initials. It identifies the device,
+ * not the person, and holds nothing derived from either. The server never sends it
+ * back: it marks this device's entries `own` instead.
+ */
+export class DeviceIdentity {
+  static KEY_DEVICE_ID = "aiHorizonDeviceId";
+  // Shape the leaderboard server accepts (see verifySubmission)
+  static PATTERN = /^[a-z0-9-]{8,64}$/;
+  /** @type {string|null} */
+  static _id = null;
+
+  /**
+   * This device's ID, created on first use. Without localStorage it only lasts for
+   * the page's lifetime.
+   * @returns {string}
+   */
+  static get() {
+    if (DeviceIdentity._id) return DeviceIdentity._id;
+    let id = null;
+    try {
+      id = localStorage.getItem(DeviceIdentity.KEY_DEVICE_ID);
+    } catch (_) {
+      /* ignore */
+    }
+    if (!id || !DeviceIdentity.PATTERN.test(id)) {
+      id = DeviceIdentity._generate();
+      try {
+        localStorage.setItem(DeviceIdentity.KEY_DEVICE_ID, id);
+      } catch (_) {
+        /* ignore */
+      }
+    }
+    DeviceIdentity._id = id;
+    return id;
+  }
+
+  /**
+   * @param {{device?:string, own?:boolean}|null|undefined} entry - Leaderboard entry: one
+   *   from the server (marked `own`) or a local one (carrying this device's ID).
+   * @returns {boolean} True when `entry` was submitted from this device.
+   */
+  static owns(entry) {
+    if (!entry) return false;
+    return (
+      entry.own === true ||
+      (typeof entry.device === "string" && entry.device === DeviceIdentity.get())
+    );
+  }
+
+  /** @returns {string} A random UUID (or 32 random hex digits where that's unavailable). */
+  static _generate() {
+    try {
+      if (typeof crypto !== "undefined" && typeof crypto.randomUUID === "function") {
+        return crypto.randomUUID();
+      }
+    } catch (_) {
+      /* ignore */
+    }
+    let hex = "";
+    for (let i = 0; i < 32; i++) hex += Math.floor(Math.random() * 16).toString(16);
+    return hex;
+  }
+}
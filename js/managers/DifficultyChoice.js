@@ -0,0 +1,35 @@
+import { DifficultyPreset } from "../core/DifficultyPreset.js";
+
+/**
+ * DifficultyChoice remembers the difficulty preset last chosen on the start screen
+ * (see DifficultyPreset) in localStorage, so the next visit starts on it.
+ */
+export class DifficultyChoice {
+  static KEY_DIFFICULTY = "aiHorizonDifficulty";
+
+  /**
+   * The preset chosen on this device, or DifficultyPreset.DEFAULT.
+   * @returns {import('../core/DifficultyPreset.js').DifficultyPresetId}
+   */
+  static load() {
+    try {
+      const stored = localStorage.getItem(DifficultyChoice.KEY_DIFFICULTY);
+      if (DifficultyPreset.isPreset(stored)) return stored;
+    } catch (_) {
+      /* ignore */
+    }
+    return DifficultyPreset.DEFAULT;
+  }
+
+  /**
+   * Remember `preset` as this device's choice.
+   * @param {import('../core/DifficultyPreset.js').DifficultyPresetId} preset
+   */
+  static save(preset) {
+    try {
+      localStorage.setItem(DifficultyChoice.KEY_DIFFICULTY, preset);
+    } catch (_) {
+      /* ignore */
+    }
+  }
+}
@@ -0,0 +1,95 @@
+import { DifficultyPreset } from "../core/DifficultyPreset.js";
+import { ReplayFormat } from "../core/ReplayFormat.js";
+import { SurvivalMode } from "../core/SurvivalMode.js";
+/** @typedef {import('../types.js').InputRecording} InputRecording */
+/** @typedef {{ seed:number, score:number, replay:import('../core/ReplayFormat.js').ReplayFile }} StoredGhost */
+
+/**
+ * GhostManager keeps the best local run for each recently played seed (and mode and
+ * difficulty preset) in
+ * localStorage so a later run on the same seed can race against it.
+ */
+export class GhostManager {
+  static KEY_GHOSTS = "aiHorizonGhosts";
+  // Seeds remembered; the least recently saved is dropped first
+  static MAX_SEEDS = 5;
+
+  /**
+   * Best stored run for a seed played in `mode` on difficulty `preset`, or null when
+   * there is none (or it no longer loads, e.g. after a CONFIG change).
+   * @param {number} seed
+   * @param {import('../types.js').GameMode} [mode]
+   * @param {import('../types.js').DifficultyPresetId} [preset]
+   * @returns {InputRecording|null}
+   */
+  static load(seed, mode = "timed", preset = DifficultyPreset.DEFAULT) {
+    const entry = GhostManager._readAll().find(
+      (g) =>
+        g.seed === seed >>> 0 &&
+        GhostManager._modeOf(g) === mode &&
+        GhostManager._presetOf(g) === preset
+    );
+    if (!entry) return null;
+    return ReplayFormat.read(entry.replay).recording;
+  }
+
+  /**
+   * Remember `recording` as the ghost for its seed if it beat the stored one.
+   * @param {InputRecording} recording
+   * @param {number} score
+   * @returns {boolean} True when the run was stored.
+   */
+  static save(recording, score) {
+    const seed = recording.seed >>> 0;
+    const mode = recording.mode || "timed";
+    const preset = recording.preset || DifficultyPreset.DEFAULT;
+    const all = GhostManager._readAll();
+    /** @param {StoredGhost} g */
+    const sameRun = (g) =>
+      g.seed === seed && GhostManager._modeOf(g) === mode && GhostManager._presetOf(g) === preset;
+    const existing = all.find(sameRun);
+    if (existing && existing.score >= score && ReplayFormat.read(existing.replay).recording) {
+      return false;
+    }
+    const next = [
+      { seed, score, replay: ReplayFormat.encode(recording) },
+      ...all.filter((g) => !sameRun(g)),
+    ].slice(0, GhostManager.MAX_SEEDS);
+    try {
+      localStorage.setItem(GhostManager.KEY_GHOSTS, JSON.stringify(next));
+      return true;
+    } catch (_) {
+      return false;
+    }
+  }
+
+  /**
+   * @param {StoredGhost} ghost
+   * @returns {import('../types.js').GameMode}
+   */
+  static _modeOf(ghost) {
+    return ghost.replay && ghost.replay.mode === SurvivalMode.ID ? SurvivalMode.ID : "timed";
+  }
+
+  /**
+   * @param {StoredGhost} ghost
+   * @returns {import('../types.js').DifficultyPresetId}
+   */
+  static _presetOf(ghost) {
+    const preset = ghost.replay && ghost.replay.preset;
+    return DifficultyPreset.isPreset(preset) ? preset : DifficultyPreset.DEFAULT;
+  }
+
+  /**
+   * @returns {StoredGhost[]}
+   */
+  static _readAll() {
+    try {
+      const raw = localStorage.getItem(GhostManager.KEY_GHOSTS);
+      const parsed = raw ? JSON.parse(raw) : [];
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (_) {
+      return [];
+    }
+  }
+}
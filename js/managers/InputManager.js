@@ -56,4 +56,114 @@ export class InputManager {
     // Update canvas rect on scroll (affects touch/mouse offsets)
     window.addEventListener("scroll", handlers.handleScroll, { passive: true });
   }
+
+  /**
+   * Wire the replay controls. Missing elements (e.g. older page markup) are skipped.
+   * @param {{ downloadBtn: HTMLElement|null, loadBtn: HTMLElement|null, fileInput: HTMLInputElement|null, scrubber: HTMLInputElement|null }} controls
+   * @param {import('../types.js').ReplayControlHandlers} handlers - Bound handler functions from the game instance.
+   */
+  static setupReplay(controls, handlers) {
+    const { downloadBtn, loadBtn, fileInput, scrubber } = controls;
+    if (downloadBtn) downloadBtn.addEventListener("click", handlers.handleDownloadReplay);
+    if (loadBtn) loadBtn.addEventListener("click", handlers.handleLoadReplayClick);
+    if (fileInput) fileInput.addEventListener("change", handlers.handleReplayFileChange);
+    if (scrubber) {
+      // `input` fires while dragging, `change` once the position is committed
+      scrubber.addEventListener("input", handlers.handleScrubberInput);
+      scrubber.addEventListener("change", handlers.handleScrubberChange);
+    }
+  }
+
+  /**
+   * Wire the start screen's AI pilot toggle.
+   * @param {HTMLElement|null} toggleBtn
+   * @param {{ handleTogglePilot: () => void }} handlers - Bound handler from the game instance.
+   */
+  static setupPilot(toggleBtn, handlers) {
+    if (toggleBtn) toggleBtn.addEventListener("click", handlers.handleTogglePilot);
+  }
+
+  /**
+   * Wire the start screen's Resume Mission button.
+   * @param {HTMLElement|null} resumeBtn
+   * @param {{ handleResumeClick: () => void }} handlers - Bound handler from the game instance.
+   */
+  static setupResume(resumeBtn, handlers) {
+    if (resumeBtn) resumeBtn.addEventListener("click", handlers.handleResumeClick);
+  }
+
+  /**
+   * Wire the start screen's Daily Challenge button.
+   * @param {HTMLElement|null} dailyBtn
+   * @param {{ handleDailyClick: () => void }} handlers - Bound handler from the game instance.
+   */
+  static setupDaily(dailyBtn, handlers) {
+    if (dailyBtn) dailyBtn.addEventListener("click", handlers.handleDailyClick);
+  }
+
+  /**
+   * Wire the start screen's Survival button.
+   * @param {HTMLElement|null} survivalBtn
+   * @param {{ handleSurvivalClick: () => void }} handlers - Bound handler from the game instance.
+   */
+  static setupSurvival(survivalBtn, handlers) {
+    if (survivalBtn) survivalBtn.addEventListener("click", handlers.handleSurvivalClick);
+  }
+
+  /**
+   * Wire the start screen's difficulty preset buttons.
+   * @param {HTMLElement|null} optionsEl - Contains one `[data-difficulty]` button per preset.
+   * @param {{ handleDifficulty: (preset: string) => void }} handlers - Bound handler from
+   *   the game instance.
+   */
+  static setupDifficulty(optionsEl, handlers) {
+    if (!optionsEl) return;
+    optionsEl.addEventListener("click", (e) => {
+      const target = /** @type {HTMLElement|null} */ (e.target);
+      const btn =
+        target && typeof target.closest === "function"
+          ? /** @type {HTMLElement|null} */ (target.closest("[data-difficulty]"))
+          : null;
+      if (btn && btn.dataset.difficulty) handlers.handleDifficulty(btn.dataset.difficulty);
+    });
+  }
+
+  /**
+   * Wire the Game Over leaderboard's period tabs and previous-board toggle.
+   * @param {HTMLElement|null} tabsEl - Contains one `[data-period]` button per period.
+   * @param {HTMLElement|null} prevBtn
+   * @param {{ handleLeaderboardPeriod: (period: string) => void, handleLeaderboardPrevious: () => void }} handlers
+   *   Bound handlers from the game instance.
+   */
+  static setupLeaderboardTabs(tabsEl, prevBtn, handlers) {
+    if (tabsEl) {
+      tabsEl.addEventListener("click", (e) => {
+        const target = /** @type {HTMLElement|null} */ (e.target);
+        const tab =
+          target && typeof target.closest === "function"
+            ? /** @type {HTMLElement|null} */ (target.closest("[data-period]"))
+            : null;
+        if (tab && tab.dataset.period) handlers.handleLeaderboardPeriod(tab.dataset.period);
+      });
+    }
+    if (prevBtn) prevBtn.addEventListener("click", handlers.handleLeaderboardPrevious);
+  }
+
+  /**
+   * Wire the all-time leaderboard's paging buttons.
+   * @param {HTMLElement|null} pagerEl - Contains `[data-page]` buttons (-1 or 1).
+   * @param {{ handleLeaderboardPage: (step: number) => void }} handlers - Bound handler
+   *   from the game instance.
+   */
+  static setupLeaderboardPager(pagerEl, handlers) {
+    if (!pagerEl) return;
+    pagerEl.addEventListener("click", (e) => {
+      const target = /** @type {HTMLElement|null} */ (e.target);
+      const btn =
+        target && typeof target.closest === "function"
+          ? /** @type {HTMLButtonElement|null} */ (target.closest("[data-page]"))
+          : null;
+      if (btn && !btn.disabled) handlers.handleLeaderboardPage(Number(btn.dataset.page));
+    });
+  }
 }
@@ -1,3 +1,24 @@
+import { DifficultyPreset } from "../core/DifficultyPreset.js";
+import { Initials } from "../core/Initials.js";
+import { LeaderboardPeriods } from "../core/LeaderboardPeriods.js";
+import { ReplayFormat } from "../core/ReplayFormat.js";
+import { SurvivalMode } from "../core/SurvivalMode.js";
+import { DeviceIdentity } from "./DeviceIdentity.js";
+import { SubmissionQueue } from "./SubmissionQueue.js";
+
+/**
+ * A board entry: initials, score and, on local boards, the anonymous ID of the device
+ * that submitted it (see DeviceIdentity). The server keeps device IDs to itself and
+ * marks this device's entries `own` instead.
+ * @typedef {{ id: string, score: number, device?: string, own?: boolean }} LeaderboardEntry
+ */
+
+/**
+ * Server's answer to a submitted score: the top of the board, the score's 1-based
+ * rank (null when it didn't make the board) and how many scores the board ranks.
+ * @typedef {{ scores: LeaderboardEntry[], rank: number|null, total: number|null }} ScoreResult
+ */
+
 /**
  * LeaderboardManager: simple client-side top-N leaderboard using localStorage or a remote server.
  * Stores entries as [{id, score}] sorted by score desc. No PII collected.
@@ -6,15 +27,120 @@ export class LeaderboardManager {
   static IS_REMOTE = true;
   static REMOTE_ENDPOINT =
     "https://0p6x6bw6c2.execute-api.us-west-2.amazonaws.com/dev/leaderboard?id=1";
-  // Server-side leaderboard identifier used when posting scores
+  // Local dev server (npm run leaderboard:dev), selected with `?leaderboard=dev`
+  static DEV_ENDPOINT = "http://127.0.0.1:8787/leaderboard?id=1";
+  static URL_PARAM = "leaderboard";
+  // Server-side leaderboard identifier used when posting scores. Also the size of a
+  // page of the server's longer all-time board (see `renderPage`)
   static MAX_ENTRIES = 10;
+  // Remote saves sent before giving up when other players keep updating the board
+  static SAVE_ATTEMPTS = 3;
   static KEY_LEADERBOARD = "aiHorizonLeaderboard";
-  /** @type {{id:string,score:number}[]|null} */
+  // Local copy of the current daily challenge board: { date, entries }
+  static KEY_DAILY_LEADERBOARD = "aiHorizonDailyLeaderboard";
+  // Local copies of day/week period boards: { "week:2026-W42": entries, ... }
+  static KEY_PERIOD_LEADERBOARDS = "aiHorizonPeriodLeaderboards";
+  // Local copy of the survival mode board
+  static KEY_SURVIVAL_LEADERBOARD = "aiHorizonSurvivalLeaderboard";
+  // Difficulty preset whose boards are loaded, shown and stored (see useDifficulty)
+  /** @type {import('../core/DifficultyPreset.js').DifficultyPresetId} */
+  static difficulty = DifficultyPreset.DEFAULT;
+  /** @type {LeaderboardEntry[]|null} */
   static _cacheEntries = null;
-  /** @type {Promise<{id:string,score:number}[]>|null} */
+  /** @type {Promise<LeaderboardEntry[]>|null} */
   static _pendingLoadPromise = null;
+  // Server board version last seen; remote saves echo it so the server can reject
+  // saves based on a stale board
+  /** @type {number|null} */
+  static _version = null;
+  // Scores the server's all-time board ranks, from its last response
+  /** @type {number|null} */
+  static _total = null;
   // Guard to only log/trace the first load invocation to avoid duplicate console spam
   static _hasLoggedLoad = false;
+  /** @type {Promise<number>|null} */
+  static _flushPromise = null;
+  /** @type {ReturnType<typeof setTimeout>|null} */
+  static _syncTimer = null;
+  static _syncStarted = false;
+  // Background refresh of the visible board while Game Over is shown
+  static POLL_INTERVAL_MS = 15000;
+  // `?leaderboardPoll=<seconds>` overrides the interval; 0 turns polling off
+  static POLL_PARAM = "leaderboardPoll";
+  /** @type {ReturnType<typeof setTimeout>|null} */
+  static _pollTimer = null;
+  // Bumped by every start/stop so a superseded polling loop ends itself
+  static _pollGeneration = 0;
+  // Last ETag per polled URL, sent back as If-None-Match
+  /** @type {Map<string, string>} */
+  static _etags = new Map();
+  // What each list element last rendered: the board (to skip unchanged polls) and
+  // each entry's rank (for change highlights)
+  /** @type {WeakMap<HTMLElement, { board: string, ranks: Map<string, number> }>} */
+  static _rendered = new WeakMap();
+
+  /**
+   * Point remote loads and submissions at another server, dropping anything cached
+   * from the previous one. `"dev"` selects DEV_ENDPOINT; other values must be
+   * http(s) URLs on this machine (localhost/127.0.0.1), so a shared link can't send
+   * scores elsewhere.
+   * @param {string} endpoint
+   * @returns {boolean} False (and no change) when `endpoint` isn't allowed.
+   */
+  static useEndpoint(endpoint) {
+    let url;
+    try {
+      url = new URL(endpoint === "dev" ? LeaderboardManager.DEV_ENDPOINT : endpoint);
+    } catch (_) {
+      return false;
+    }
+    const local = url.hostname === "localhost" || url.hostname === "127.0.0.1";
+    if (!local || (url.protocol !== "http:" && url.protocol !== "https:")) return false;
+    LeaderboardManager.REMOTE_ENDPOINT = url.href;
+    LeaderboardManager._cacheEntries = null;
+    LeaderboardManager._pendingLoadPromise = null;
+    LeaderboardManager._version = null;
+    LeaderboardManager._total = null;
+    return true;
+  }
+
+  /**
+   * Switch to the boards of difficulty preset `preset`, dropping anything cached from
+   * the previous one. Every board (all-time, periods, daily, survival) and its local
+   * copy exists once per preset.
+   * @param {import('../core/DifficultyPreset.js').DifficultyPresetId} preset
+   */
+  static useDifficulty(preset) {
+    if (preset === LeaderboardManager.difficulty) return;
+    LeaderboardManager.difficulty = preset;
+    LeaderboardManager._cacheEntries = null;
+    LeaderboardManager._pendingLoadPromise = null;
+    LeaderboardManager._version = null;
+    LeaderboardManager._total = null;
+  }
+
+  /**
+   * Endpoint for the all-time board of a difficulty preset on the leaderboard server;
+   * the other boards' endpoints build on it.
+   * @param {import('../core/DifficultyPreset.js').DifficultyPresetId} [preset] - Defaults
+   *   to the current `difficulty`.
+   * @returns {string}
+   */
+  static endpoint(preset = LeaderboardManager.difficulty) {
+    const base = LeaderboardManager.REMOTE_ENDPOINT;
+    return preset === DifficultyPreset.DEFAULT ? base : `${base}&difficulty=${preset}`;
+  }
+
+  /**
+   * localStorage key of a board's local copy for the current difficulty. Normal keeps
+   * the unsuffixed keys, so copies saved before presets existed stay in use.
+   * @param {string} base - One of the KEY_* constants.
+   * @returns {string}
+   */
+  static _key(base) {
+    const preset = LeaderboardManager.difficulty;
+    return preset === DifficultyPreset.DEFAULT ? base : `${base}:${preset}`;
+  }
 
   /**
    * Load the high score derived from the persisted leaderboard.
@@ -29,7 +155,7 @@ export class LeaderboardManager {
         return maybe.reduce((max, e) => Math.max(max, Number(e.score || 0)), 0);
       }
       // remote path: returns a Promise
-      return /** @type {Promise<{id:string,score:number}[]>} */ (maybe).then((entries) =>
+      return /** @type {Promise<LeaderboardEntry[]>} */ (maybe).then((entries) =>
         (entries || []).reduce((max, e) => Math.max(max, Number(e.score || 0)), 0)
       );
     } catch (_) {
@@ -63,7 +189,7 @@ export class LeaderboardManager {
    * Load leaderboard entries (safe).
    * For remote=true returns a Promise resolving to the array.
    * @param {{remote?:boolean}=} options
-   * @returns {{id:string,score:number}[]|Promise<{id:string,score:number}[]>}
+   * @returns {LeaderboardEntry[]|Promise<LeaderboardEntry[]>}
    */
   static load({ remote = this.IS_REMOTE } = {}) {
     if (!LeaderboardManager._hasLoggedLoad) {
@@ -85,7 +211,9 @@ export class LeaderboardManager {
       try {
         if (Array.isArray(LeaderboardManager._cacheEntries))
           return LeaderboardManager._cacheEntries.slice();
-        const raw = localStorage.getItem(LeaderboardManager.KEY_LEADERBOARD);
+        const raw = localStorage.getItem(
+          LeaderboardManager._key(LeaderboardManager.KEY_LEADERBOARD)
+        );
         if (!raw) {
           LeaderboardManager._cacheEntries = [];
           return [];
@@ -95,10 +223,7 @@ export class LeaderboardManager {
           LeaderboardManager._cacheEntries = [];
           return [];
         }
-        const normalized = parsed.map(
-          /** @param {{id:any,score:any}} e */
-          (e) => ({ id: String(e.id || ""), score: Number(e.score || 0) })
-        );
+        const normalized = LeaderboardManager._normalizeEntries(parsed);
         LeaderboardManager._cacheEntries = normalized;
         return normalized.slice();
       } catch (_) {
@@ -125,14 +250,17 @@ export class LeaderboardManager {
       }
     }
 
-    LeaderboardManager._pendingLoadPromise = fetch(LeaderboardManager.REMOTE_ENDPOINT, {
+    LeaderboardManager._pendingLoadPromise = fetch(LeaderboardManager.endpoint(), {
       method: "GET",
+      headers: LeaderboardManager._headers(),
     })
       .then((res) => {
         if (!res.ok) return [];
         return res.json();
       })
       .then((parsed) => {
+        LeaderboardManager._noteVersion(parsed);
+        LeaderboardManager._noteTotal(parsed);
         let arr = null;
         if (Array.isArray(parsed)) arr = parsed;
         else if (parsed && Array.isArray(parsed.scores)) arr = parsed.scores;
@@ -140,12 +268,12 @@ export class LeaderboardManager {
           LeaderboardManager._cacheEntries = [];
           return [];
         }
-        const normalized = arr.map(
-          /** @param {{id:any,score:any}} e */
-          (e) => ({ id: String(e.id || ""), score: Number(e.score || 0) })
-        );
+        const normalized = LeaderboardManager._normalizeEntries(arr);
         try {
-          localStorage.setItem(LeaderboardManager.KEY_LEADERBOARD, JSON.stringify(normalized));
+          localStorage.setItem(
+            LeaderboardManager._key(LeaderboardManager.KEY_LEADERBOARD),
+            JSON.stringify(normalized)
+          );
         } catch (_e) {
           /* ignore */
         }
@@ -162,12 +290,17 @@ export class LeaderboardManager {
 
   /**
    * Save leaderboard entries (safe).
-   * For remote=true returns a Promise resolving to boolean.
-   * @param {{id:string,score:number}[]} entries
-   * @param {{remote?:boolean}=} options
+   * For remote=true returns a Promise resolving to boolean. The server only records
+   * scores it can verify, so remote saves carry the `submission` (id, score, replay)
+   * that produced the new entry, plus the board version this client last saw. If the
+   * board changed since (409 with the current board), the submission is merged into
+   * that board and the save retried, up to SAVE_ATTEMPTS times.
+   * @param {LeaderboardEntry[]} entries
+   * @param {{remote?:boolean, submission?:import('./SubmissionQueue.js').ScoreSubmission, attempt?:number}=} options
+   *   `attempt` counts retries and is only set by `save` itself.
    * @returns {boolean|Promise<boolean>}
    */
-  static save(entries, { remote = this.IS_REMOTE } = {}) {
+  static save(entries, { remote = this.IS_REMOTE, submission, attempt = 1 } = {}) {
     // Use debug-level logging where available and avoid logging the whole
     // entries array to reduce console noise. Include entry count for context.
     try {
@@ -183,7 +316,10 @@ export class LeaderboardManager {
     const payload = entries.slice(0, LeaderboardManager.MAX_ENTRIES);
     if (!remote) {
       try {
-        localStorage.setItem(LeaderboardManager.KEY_LEADERBOARD, JSON.stringify(payload));
+        localStorage.setItem(
+          LeaderboardManager._key(LeaderboardManager.KEY_LEADERBOARD),
+          JSON.stringify(payload)
+        );
         LeaderboardManager._cacheEntries = payload.slice();
         return true;
       } catch (_) {
@@ -195,7 +331,10 @@ export class LeaderboardManager {
     if (typeof fetch !== "function") {
       try {
         // Best-effort: persist payload locally when remote not possible.
-        localStorage.setItem(LeaderboardManager.KEY_LEADERBOARD, JSON.stringify(payload));
+        localStorage.setItem(
+          LeaderboardManager._key(LeaderboardManager.KEY_LEADERBOARD),
+          JSON.stringify(payload)
+        );
         if (typeof console !== "undefined" && console && typeof console.warn === "function") {
           console.warn(
             "LeaderboardManager: fetch unavailable, saved leaderboard locally as fallback."
@@ -210,25 +349,60 @@ export class LeaderboardManager {
       }
     }
 
-    // Send a structured payload the server expects: { scores: [...], id: <leaderboard id> }
-    const body = JSON.stringify({ scores: payload });
+    // Send a structured payload the server expects: { scores, version, submission }
+    const body = JSON.stringify({
+      scores: payload,
+      version: LeaderboardManager._version,
+      submission,
+    });
     if (typeof console !== "undefined" && console && typeof console.debug === "function") {
       console.debug(
         "LeaderboardManager: posting leaderboard to",
-        LeaderboardManager.REMOTE_ENDPOINT,
+        LeaderboardManager.endpoint(),
         body
       );
     }
-    return fetch(LeaderboardManager.REMOTE_ENDPOINT, {
+    return fetch(LeaderboardManager.endpoint(), {
       method: "PUT",
       headers: { "Content-Type": "application/json" },
       body,
     })
       .then((res) => {
+        if (res.status === 409 && attempt < LeaderboardManager.SAVE_ATTEMPTS) {
+          // Someone else saved first: merge our entry into their board and try again
+          return res.json().then((current) => {
+            LeaderboardManager._noteVersion(current);
+            const merged = LeaderboardManager._normalizeEntries(current && current.scores);
+            if (submission) {
+              const { id, score, device } = submission;
+              merged.push({ id, score, device });
+            }
+            merged.sort((a, b) => b.score - a.score || a.id.localeCompare(b.id));
+            return LeaderboardManager.save(merged, { remote, submission, attempt: attempt + 1 });
+          });
+        }
+        if (!res.ok && submission && res.status !== 409) {
+          if (!LeaderboardManager._isRetryable(res.status)) {
+            // Refused for good: drop the entry rather than keep it locally (see `submit`)
+            return res
+              .json()
+              .catch(() => null)
+              .then((parsed) => {
+                const message =
+                  parsed && typeof parsed.message === "string" ? parsed.message : null;
+                LeaderboardManager._announceRejection(message || `HTTP ${res.status}`, null);
+                return false;
+              });
+          }
+          LeaderboardManager._queue(submission, null);
+        }
         if (!res.ok) {
           // Attempt to persist locally as fallback
           try {
-            localStorage.setItem(LeaderboardManager.KEY_LEADERBOARD, JSON.stringify(payload));
+            localStorage.setItem(
+              LeaderboardManager._key(LeaderboardManager.KEY_LEADERBOARD),
+              JSON.stringify(payload)
+            );
           } catch (_) {
             /* ignore */
           }
@@ -259,7 +433,10 @@ export class LeaderboardManager {
           if (!arr) {
             // No usable payload returned: persist the payload we sent as a best-effort fallback.
             try {
-              localStorage.setItem(LeaderboardManager.KEY_LEADERBOARD, JSON.stringify(payload));
+              localStorage.setItem(
+                LeaderboardManager._key(LeaderboardManager.KEY_LEADERBOARD),
+                JSON.stringify(payload)
+              );
             } catch (_) {
               /* ignore */
             }
@@ -268,14 +445,15 @@ export class LeaderboardManager {
 
           // Normalize returned entries and persist to localStorage so the client is repopulated
           try {
-            const normalized = /** @type {{id:any,score:any}[]} */ (arr)
-              .map(
-                /** @param {{id:any,score:any}} e */
-                (e) => ({ id: String(e.id || ""), score: Number(e.score || 0) })
-              )
-              .slice(0, LeaderboardManager.MAX_ENTRIES);
+            const normalized = LeaderboardManager._normalizeEntries(arr).slice(
+              0,
+              LeaderboardManager.MAX_ENTRIES
+            );
             try {
-              localStorage.setItem(LeaderboardManager.KEY_LEADERBOARD, JSON.stringify(normalized));
+              localStorage.setItem(
+                LeaderboardManager._key(LeaderboardManager.KEY_LEADERBOARD),
+                JSON.stringify(normalized)
+              );
             } catch (_) {
               /* ignore */
             }
@@ -305,13 +483,17 @@ export class LeaderboardManager {
         return res
           .json()
           .then((parsed) => {
+            LeaderboardManager._noteVersion(parsed);
             let arr = null;
             if (Array.isArray(parsed)) arr = parsed;
             else if (parsed && Array.isArray(parsed.scores)) arr = parsed.scores;
             if (arr) return handleAndPersist(arr);
 
             // If the PUT response didn't include usable data (204/no body), try a follow-up GET
-            return fetch(LeaderboardManager.REMOTE_ENDPOINT, { method: "GET" })
+            return fetch(LeaderboardManager.endpoint(), {
+              method: "GET",
+              headers: LeaderboardManager._headers(),
+            })
               .then((r2) => {
                 if (!r2.ok) return null;
                 return r2.json();
@@ -329,7 +511,10 @@ export class LeaderboardManager {
           })
           .catch(() => {
             // Couldn't parse JSON body: try a follow-up GET before falling back.
-            return fetch(LeaderboardManager.REMOTE_ENDPOINT, { method: "GET" })
+            return fetch(LeaderboardManager.endpoint(), {
+              method: "GET",
+              headers: LeaderboardManager._headers(),
+            })
               .then((r2) => {
                 if (!r2.ok) return null;
                 return r2.json();
@@ -344,9 +529,13 @@ export class LeaderboardManager {
           });
       })
       .catch((err) => {
-        // network or other error - fallback to local storage
+        // network or other error - queue for retry and fall back to local storage
+        if (submission) LeaderboardManager._queue(submission, null);
         try {
-          localStorage.setItem(LeaderboardManager.KEY_LEADERBOARD, JSON.stringify(payload));
+          localStorage.setItem(
+            LeaderboardManager._key(LeaderboardManager.KEY_LEADERBOARD),
+            JSON.stringify(payload)
+          );
         } catch (_) {
           /* ignore */
         }
@@ -369,31 +558,56 @@ export class LeaderboardManager {
 
   /**
    * Submit a score and persist top-N.
-   * For remote=true returns a Promise resolving to boolean.
+   * For remote=true returns a Promise resolving to boolean. Remote submissions POST
+   * just this score and the run's `replay`; the server re-simulates it, merges it into
+   * the stored board and returns the new board, which replaces the local copy. When
+   * the server can't be reached the score is kept locally and queued for retrying
+   * (see `flushPending`); a score the server rejects is dropped and the page is told
+   * why (`leaderboard:rejected`).
    * @param {number} score
    * @param {string} userId
-   * @param {{remote?:boolean}=} options
+   * @param {{remote?:boolean, replay?:import('../types.js').InputRecording|null}=} options
    * @returns {boolean|Promise<boolean>}
    */
-  static submit(score, userId, { remote = false } = {}) {
+  static submit(score, userId, { remote = false, replay = null } = {}) {
     if (typeof score !== "number" || !Number.isFinite(score) || score <= 0) return false;
+    if (remote && typeof fetch === "function") {
+      const submission = LeaderboardManager._submission(score, userId, replay);
+      return LeaderboardManager._post(submission, null).then(({ result, retry, rejected }) => {
+        if (result) {
+          LeaderboardManager._addToPeriods(submission);
+          LeaderboardManager._announcePlacement(result, null);
+          return true;
+        }
+        if (retry) {
+          LeaderboardManager._queue(submission, null);
+          LeaderboardManager.submit(score, userId, { remote: false });
+        } else LeaderboardManager._announceRejection(rejected, null);
+        return false;
+      });
+    }
 
     /**
      * Comparator for entries.
-     * @param {{id:string,score:number}} a
-     * @param {{id:string,score:number}} b
+     * @param {LeaderboardEntry} a
+     * @param {LeaderboardEntry} b
      * @returns {number}
      */
     const compareEntries = (a, b) => b.score - a.score || a.id.localeCompare(b.id);
 
     /**
-     * @param {{id:string,score:number}[]} entries
+     * @param {LeaderboardEntry[]} entries
      */
     const handleEntriesAndSave = (entries) => {
-      const id = userId && /^[A-Z]{1,3}$/.test(userId) ? userId : "???";
-      entries.push({ id, score: Math.floor(score) });
+      const submission = LeaderboardManager._submission(score, userId, replay);
+      const { id, device } = submission;
+      LeaderboardManager._addToPeriods(submission);
+      entries.push({ id, score: submission.score, device });
       entries.sort(compareEntries);
-      return LeaderboardManager.save(entries.slice(0, LeaderboardManager.MAX_ENTRIES), { remote });
+      return LeaderboardManager.save(entries.slice(0, LeaderboardManager.MAX_ENTRIES), {
+        remote,
+        submission,
+      });
     };
 
     const maybeEntries = LeaderboardManager.load({ remote });
@@ -404,42 +618,991 @@ export class LeaderboardManager {
 
     // Remote: returned a Promise
     return maybeEntries.then(
-      /** @param {{id:string,score:number}[]} entries */ (entries) => handleEntriesAndSave(entries)
+      /** @param {LeaderboardEntry[]} entries */ (entries) => handleEntriesAndSave(entries)
     );
   }
 
   /**
-   * Render leaderboard into an ordered list element.
+   * Endpoint for a period board on the leaderboard server (see LeaderboardPeriods).
+   * @param {import('../core/LeaderboardPeriods.js').LeaderboardPeriod} period
+   * @param {string} key
+   * @returns {string}
+   */
+  static periodEndpoint(period, key) {
+    return `${LeaderboardManager.endpoint()}&period=${period}&key=${encodeURIComponent(key)}`;
+  }
+
+  /**
+   * Load the `key` board of a leaderboard period (the current one by default). The
+   * current all-time board is the main board (`load`). With remote=true returns a
+   * Promise and falls back to the local copy when the server can't be reached.
+   * @param {import('../core/LeaderboardPeriods.js').LeaderboardPeriod} period
+   * @param {{remote?:boolean, key?:string}=} options
+   * @returns {LeaderboardEntry[]|Promise<LeaderboardEntry[]>}
+   */
+  static loadPeriod(
+    period,
+    { remote = this.IS_REMOTE, key = LeaderboardPeriods.key(period) } = {}
+  ) {
+    if (period === "all") return LeaderboardManager.load({ remote });
+    const local = LeaderboardManager._readPeriod(period, key);
+    if (!remote) return local;
+    if (typeof fetch !== "function") return Promise.resolve(local);
+    return fetch(LeaderboardManager.periodEndpoint(period, key), {
+      method: "GET",
+      headers: LeaderboardManager._headers(),
+    })
+      .then((res) => (res.ok ? res.json() : null))
+      .then((parsed) => {
+        if (!parsed || !Array.isArray(parsed.scores)) return local;
+        const entries = LeaderboardManager._normalizeEntries(parsed.scores);
+        LeaderboardManager._writePeriod(period, key, entries);
+        return entries;
+      })
+      .catch(() => local);
+  }
+
+  /**
+   * Render a period board: the current day/week/all-time board, or with
+   * `previous` the archived one before it (yesterday's or last week's). Shows the
+   * local copy first, then the server's when remote is enabled.
+   * @param {HTMLElement|null} listEl
+   * @param {import('../core/LeaderboardPeriods.js').LeaderboardPeriod} period
+   * @param {{previous?:boolean}=} options
+   */
+  static renderPeriod(listEl, period, { previous = false } = {}) {
+    if (!listEl) return;
+    const key = previous ? LeaderboardPeriods.previousKey(period) : LeaderboardPeriods.key(period);
+    if (period === "all" || key === null) {
+      LeaderboardManager.render(listEl);
+      return;
+    }
+    const options = { archived: previous };
+    LeaderboardManager.render(listEl, LeaderboardManager._readPeriod(period, key), options);
+    if (LeaderboardManager.IS_REMOTE) {
+      const remote = LeaderboardManager.loadPeriod(period, { remote: true, key });
+      if (!Array.isArray(remote)) {
+        remote
+          .then((entries) => LeaderboardManager.render(listEl, entries, options))
+          .catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * @param {string} period
+   * @param {string} key
+   * @returns {LeaderboardEntry[]}
+   */
+  static _readPeriod(period, key) {
+    try {
+      const raw = localStorage.getItem(
+        LeaderboardManager._key(LeaderboardManager.KEY_PERIOD_LEADERBOARDS)
+      );
+      const parsed = raw ? JSON.parse(raw) : null;
+      return LeaderboardManager._normalizeEntries(parsed && parsed[`${period}:${key}`]);
+    } catch (_) {
+      return [];
+    }
+  }
+
+  /**
+   * Store a local copy of a period board. Only the current and previous boards of
+   * each period are kept.
+   * @param {string} period
+   * @param {string} key
+   * @param {LeaderboardEntry[]} entries
+   */
+  static _writePeriod(period, key, entries) {
+    try {
+      const raw = localStorage.getItem(
+        LeaderboardManager._key(LeaderboardManager.KEY_PERIOD_LEADERBOARDS)
+      );
+      const parsed = raw ? JSON.parse(raw) : null;
+      /** @type {Record<string, LeaderboardEntry[]>} */
+      const boards = {};
+      const keep = new Set();
+      for (const p of LeaderboardPeriods.LIST) {
+        keep.add(`${p}:${LeaderboardPeriods.key(p)}`);
+        keep.add(`${p}:${LeaderboardPeriods.previousKey(p)}`);
+      }
+      if (parsed && typeof parsed === "object") {
+        for (const k of Object.keys(parsed)) if (keep.has(k)) boards[k] = parsed[k];
+      }
+      boards[`${period}:${key}`] = entries;
+      localStorage.setItem(
+        LeaderboardManager._key(LeaderboardManager.KEY_PERIOD_LEADERBOARDS),
+        JSON.stringify(boards)
+      );
+    } catch (_) {
+      /* ignore */
+    }
+  }
+
+  /**
+   * Add a new score to the local copies of the current day and week boards, as the
+   * server does for every accepted score.
+   * @param {LeaderboardEntry} entry
+   */
+  static _addToPeriods(entry) {
+    for (const period of LeaderboardPeriods.LIST) {
+      if (period === "all") continue;
+      const key = LeaderboardPeriods.key(period);
+      const entries = LeaderboardManager._readPeriod(period, key);
+      entries.push({ id: entry.id, score: entry.score, device: entry.device });
+      entries.sort((a, b) => b.score - a.score || a.id.localeCompare(b.id));
+      LeaderboardManager._writePeriod(
+        period,
+        key,
+        entries.slice(0, LeaderboardManager.MAX_ENTRIES)
+      );
+    }
+  }
+
+  /**
+   * Endpoint for a daily challenge board on the leaderboard server.
+   * @param {string} date - Date key (see DailyChallenge.dateKey).
+   * @param {import('../core/DifficultyPreset.js').DifficultyPresetId} [preset]
+   * @returns {string}
+   */
+  static dailyEndpoint(date, preset = LeaderboardManager.difficulty) {
+    return `${LeaderboardManager.endpoint(preset)}&daily=${encodeURIComponent(date)}`;
+  }
+
+  /**
+   * Load the daily challenge board for `date`. With remote=true returns a Promise and
+   * falls back to the local copy when the server can't be reached.
+   * @param {string} date
+   * @param {{remote?:boolean}=} options
+   * @returns {LeaderboardEntry[]|Promise<LeaderboardEntry[]>}
+   */
+  static loadDaily(date, { remote = this.IS_REMOTE } = {}) {
+    const local = LeaderboardManager._readDaily(date);
+    if (!remote) return local;
+    if (typeof fetch !== "function") return Promise.resolve(local);
+    return fetch(LeaderboardManager.dailyEndpoint(date), {
+      method: "GET",
+      headers: LeaderboardManager._headers(),
+    })
+      .then((res) => (res.ok ? res.json() : null))
+      .then((parsed) => {
+        if (!parsed || !Array.isArray(parsed.scores)) return local;
+        const entries = LeaderboardManager._normalizeEntries(parsed.scores);
+        LeaderboardManager._writeDaily(date, entries);
+        return entries;
+      })
+      .catch(() => local);
+  }
+
+  /**
+   * Submit a daily challenge score to the board for `date`. Remote submissions carry
+   * the replay; the server checks it was played on that day's seed. Like `submit`,
+   * scores the server can't be reached for are queued for retrying.
+   * @param {number} score
+   * @param {string} userId
+   * @param {string} date
+   * @param {{remote?:boolean, replay?:import('../types.js').InputRecording|null}=} options
+   * @returns {boolean|Promise<boolean>}
+   */
+  static submitDaily(score, userId, date, { remote = false, replay = null } = {}) {
+    if (typeof score !== "number" || !Number.isFinite(score) || score <= 0) return false;
+    const submission = LeaderboardManager._submission(score, userId, replay);
+    if (remote && typeof fetch === "function") {
+      return LeaderboardManager._post(submission, date).then(({ result, retry, rejected }) => {
+        if (result) {
+          LeaderboardManager._announcePlacement(result, date);
+          return true;
+        }
+        if (retry) {
+          LeaderboardManager._queue(submission, date);
+          LeaderboardManager.submitDaily(score, userId, date, { remote: false });
+        } else LeaderboardManager._announceRejection(rejected, date);
+        return false;
+      });
+    }
+    const entries = LeaderboardManager._readDaily(date);
+    entries.push({ id: submission.id, score: submission.score, device: submission.device });
+    entries.sort((a, b) => b.score - a.score || a.id.localeCompare(b.id));
+    LeaderboardManager._writeDaily(date, entries.slice(0, LeaderboardManager.MAX_ENTRIES));
+    return remote ? Promise.resolve(true) : true;
+  }
+
+  /**
+   * Endpoint for the survival mode board on the leaderboard server.
+   * @param {import('../core/DifficultyPreset.js').DifficultyPresetId} [preset]
+   * @returns {string}
+   */
+  static survivalEndpoint(preset = LeaderboardManager.difficulty) {
+    return `${LeaderboardManager.endpoint(preset)}&mode=${SurvivalMode.ID}`;
+  }
+
+  /**
+   * Load the survival mode board. With remote=true returns a Promise and falls back
+   * to the local copy when the server can't be reached.
+   * @param {{remote?:boolean}=} options
+   * @returns {LeaderboardEntry[]|Promise<LeaderboardEntry[]>}
+   */
+  static loadSurvival({ remote = this.IS_REMOTE } = {}) {
+    const local = LeaderboardManager._readSurvival();
+    if (!remote) return local;
+    if (typeof fetch !== "function") return Promise.resolve(local);
+    return fetch(LeaderboardManager.survivalEndpoint(), {
+      method: "GET",
+      headers: LeaderboardManager._headers(),
+    })
+      .then((res) => (res.ok ? res.json() : null))
+      .then((parsed) => {
+        if (!parsed || !Array.isArray(parsed.scores)) return local;
+        const entries = LeaderboardManager._normalizeEntries(parsed.scores);
+        LeaderboardManager._writeSurvival(entries);
+        return entries;
+      })
+      .catch(() => local);
+  }
+
+  /**
+   * Submit a survival mode score to the survival board. Remote submissions carry the
+   * replay, which must be a survival run; like `submit`, scores the server can't be
+   * reached for are queued for retrying.
+   * @param {number} score
+   * @param {string} userId
+   * @param {{remote?:boolean, replay?:import('../types.js').InputRecording|null}=} options
+   * @returns {boolean|Promise<boolean>}
+   */
+  static submitSurvival(score, userId, { remote = false, replay = null } = {}) {
+    if (typeof score !== "number" || !Number.isFinite(score) || score <= 0) return false;
+    const submission = LeaderboardManager._submission(score, userId, replay);
+    if (remote && typeof fetch === "function") {
+      return LeaderboardManager._post(submission, null).then(({ result, retry, rejected }) => {
+        if (result) {
+          LeaderboardManager._announcePlacement(result, null);
+          return true;
+        }
+        if (retry) {
+          LeaderboardManager._queue(submission, null);
+          LeaderboardManager.submitSurvival(score, userId, { remote: false });
+        } else LeaderboardManager._announceRejection(rejected, null);
+        return false;
+      });
+    }
+    const entries = LeaderboardManager._readSurvival();
+    entries.push({ id: submission.id, score: submission.score, device: submission.device });
+    entries.sort((a, b) => b.score - a.score || a.id.localeCompare(b.id));
+    LeaderboardManager._writeSurvival(entries.slice(0, LeaderboardManager.MAX_ENTRIES));
+    return remote ? Promise.resolve(true) : true;
+  }
+
+  /**
+   * Render the survival mode board: the local copy first, then the server's when
+   * remote is enabled.
    * @param {HTMLElement|null} listEl
    */
+  static renderSurvival(listEl) {
+    if (!listEl) return;
+    const options = { survival: true };
+    LeaderboardManager.render(listEl, LeaderboardManager._readSurvival(), options);
+    if (LeaderboardManager.IS_REMOTE) {
+      const remote = LeaderboardManager.loadSurvival({ remote: true });
+      if (!Array.isArray(remote)) {
+        remote
+          .then((entries) => LeaderboardManager.render(listEl, entries, options))
+          .catch(() => {});
+      }
+    }
+  }
+
+  /** @returns {LeaderboardEntry[]} */
+  static _readSurvival() {
+    try {
+      const raw = localStorage.getItem(
+        LeaderboardManager._key(LeaderboardManager.KEY_SURVIVAL_LEADERBOARD)
+      );
+      return LeaderboardManager._normalizeEntries(raw ? JSON.parse(raw) : null);
+    } catch (_) {
+      return [];
+    }
+  }
+
+  /** @param {LeaderboardEntry[]} entries */
+  static _writeSurvival(entries) {
+    try {
+      localStorage.setItem(
+        LeaderboardManager._key(LeaderboardManager.KEY_SURVIVAL_LEADERBOARD),
+        JSON.stringify(entries)
+      );
+    } catch (_) {
+      /* ignore */
+    }
+  }
+
+  /**
+   * True when a submission's replay is a survival run, so it belongs on the survival
+   * board (queued submissions are routed by this too).
+   * @param {import('./SubmissionQueue.js').ScoreSubmission} submission
+   * @returns {boolean}
+   */
+  static _isSurvival(submission) {
+    return !!(submission && submission.replay && submission.replay.mode === SurvivalMode.ID);
+  }
+
+  /**
+   * Difficulty preset a submission's run was played on.
+   * @param {import('./SubmissionQueue.js').ScoreSubmission} submission
+   * @returns {import('../core/DifficultyPreset.js').DifficultyPresetId}
+   */
+  static _presetOf(submission) {
+    const preset = submission && submission.replay && submission.replay.preset;
+    return DifficultyPreset.isPreset(preset) ? preset : DifficultyPreset.DEFAULT;
+  }
+
+  /**
+   * POST one score to the leaderboard server, which verifies it, merges it into the
+   * stored board and answers with the new top of the board, the score's rank and how
+   * many scores the board ranks (`total`, null if the server didn't say). The returned
+   * board replaces the local copy (and `leaderboard:updated` fires for the main board).
+   * Survival runs go to the survival board, and every run to the boards of the
+   * difficulty it was played on; local copies are only updated for the current one.
+   * @param {import('./SubmissionQueue.js').ScoreSubmission} submission
+   * @param {{daily?:string}=} options - Post to this day's challenge board instead.
+   * @returns {Promise<ScoreResult|null>} Null when the server rejected the score or
+   *   couldn't be reached.
+   */
+  static postScore(submission, { daily } = {}) {
+    return LeaderboardManager._post(submission, daily || null).then(({ result }) => result);
+  }
+
+  /**
+   * `postScore`, also telling whether a failed submission is worth retrying: the
+   * server couldn't be reached or was temporarily unable to take it (408/429/5xx),
+   * as opposed to rejecting it.
+   * @param {import('./SubmissionQueue.js').ScoreSubmission} submission
+   * @param {string|null} daily
+   * @returns {Promise<{result:ScoreResult|null, retry:boolean, rejected:string|null}>}
+   *   `rejected` is the server's reason when it refused the score.
+   */
+  static _post(submission, daily) {
+    const survival = !daily && LeaderboardManager._isSurvival(submission);
+    const preset = LeaderboardManager._presetOf(submission);
+    const current = preset === LeaderboardManager.difficulty;
+    let endpoint = LeaderboardManager.endpoint(preset);
+    if (daily) endpoint = LeaderboardManager.dailyEndpoint(daily, preset);
+    else if (survival) endpoint = LeaderboardManager.survivalEndpoint(preset);
+    let retry = true;
+    /** @type {string|null} */
+    let rejected = null;
+    return fetch(endpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(submission),
+    })
+      .then((res) => {
+        retry = !res.ok && LeaderboardManager._isRetryable(res.status);
+        if (res.ok) return res.json();
+        if (retry) return null;
+        // The server refused the score (e.g. its replay doesn't reproduce it); keep why
+        rejected = `HTTP ${res.status}`;
+        return Promise.resolve(res.json())
+          .then((parsed) => {
+            if (parsed && typeof parsed.message === "string") rejected = parsed.message;
+          })
+          .catch(() => {})
+          .then(() => null);
+      })
+      .then((parsed) => {
+        if (!parsed || !Array.isArray(parsed.scores)) return { result: null, retry, rejected };
+        const scores = LeaderboardManager._normalizeEntries(parsed.scores);
+        const rank = typeof parsed.rank === "number" ? parsed.rank : null;
+        const total = typeof parsed.total === "number" ? parsed.total : null;
+        if (!current) return { result: { scores, rank, total }, retry: false, rejected };
+        LeaderboardManager._noteVersion(parsed);
+        if (daily) LeaderboardManager._writeDaily(daily, scores);
+        else if (survival) LeaderboardManager._writeSurvival(scores);
+        else {
+          LeaderboardManager._noteTotal(parsed);
+          LeaderboardManager._storeEntries(scores);
+        }
+        return { result: { scores, rank, total }, retry: false, rejected };
+      })
+      .catch((err) => {
+        if (typeof console !== "undefined" && console && typeof console.error === "function") {
+          console.error("LeaderboardManager: score submission failed", err);
+        }
+        return { result: null, retry: true, rejected: null };
+      });
+  }
+
+  /**
+   * @param {number} status - HTTP status of a failed request.
+   * @returns {boolean} True when the same request may succeed later.
+   */
+  static _isRetryable(status) {
+    return status === 408 || status === 429 || status >= 500;
+  }
+
+  /**
+   * Queue a submission the server couldn't take and schedule its retry.
+   * @param {import('./SubmissionQueue.js').ScoreSubmission} submission
+   * @param {string|null} daily
+   */
+  static _queue(submission, daily) {
+    SubmissionQueue.enqueue(submission, daily);
+    LeaderboardManager._scheduleSync();
+  }
+
+  /**
+   * Start syncing queued submissions: send them now, whenever the browser comes back
+   * online, and on their backoff schedule. Call at game start; later calls just flush.
+   * @returns {Promise<number>} Resolves to the number of submissions the server took.
+   */
+  static startPendingSync() {
+    if (!LeaderboardManager._syncStarted) {
+      LeaderboardManager._syncStarted = true;
+      try {
+        if (typeof window !== "undefined" && typeof window.addEventListener === "function") {
+          window.addEventListener("online", () => {
+            LeaderboardManager.flushPending({ force: true });
+          });
+        }
+      } catch (_) {
+        /* ignore */
+      }
+    }
+    return LeaderboardManager.flushPending({ force: true });
+  }
+
+  /**
+   * Send queued submissions, one at a time. Accepted and rejected ones leave the
+   * queue; ones that fail again back off (see SubmissionQueue.delay).
+   * @param {{force?:boolean, now?:number}=} options - `force` also sends submissions
+   *   whose retry isn't due yet.
+   * @returns {Promise<number>} Resolves to the number of submissions the server took.
+   */
+  static flushPending({ force = false, now = Date.now() } = {}) {
+    if (LeaderboardManager._flushPromise) return LeaderboardManager._flushPromise;
+    if (!LeaderboardManager.IS_REMOTE || typeof fetch !== "function") return Promise.resolve(0);
+    const due = SubmissionQueue.list().filter((item) => force || item.nextAt <= now);
+    if (!due.length) {
+      LeaderboardManager._scheduleSync();
+      return Promise.resolve(0);
+    }
+    let sent = 0;
+    const run = due
+      .reduce(
+        (chain, item) =>
+          chain.then(() =>
+            LeaderboardManager._post(item.submission, item.daily).then(({ result, retry }) => {
+              if (result) sent++;
+              if (retry) SubmissionQueue.retryLater(item.key);
+              else SubmissionQueue.remove(item.key);
+            })
+          ),
+        Promise.resolve()
+      )
+      .then(() => sent)
+      .finally(() => {
+        LeaderboardManager._flushPromise = null;
+        LeaderboardManager._scheduleSync();
+      });
+    LeaderboardManager._flushPromise = run;
+    return run;
+  }
+
+  /** Arm a timer for the earliest queued retry (or clear it when nothing is queued). */
+  static _scheduleSync() {
+    if (LeaderboardManager._syncTimer !== null) clearTimeout(LeaderboardManager._syncTimer);
+    LeaderboardManager._syncTimer = null;
+    const next = SubmissionQueue.nextDueAt();
+    if (next === null) return;
+    LeaderboardManager._syncTimer = setTimeout(
+      () => {
+        LeaderboardManager._syncTimer = null;
+        LeaderboardManager.flushPending();
+      },
+      Math.max(0, next - Date.now())
+    );
+  }
+
+  /**
+   * Build the submission the server verifies: 1-3 letter id (else "???"), whole-number
+   * score, the encoded replay and this device's anonymous ID.
+   * @param {number} score
+   * @param {string} userId
+   * @param {import('../types.js').InputRecording|null} replay
+   */
+  static _submission(score, userId, replay) {
+    return {
+      id: Initials.isAllowed(userId) ? userId : "???",
+      score: Math.floor(score),
+      replay: replay ? ReplayFormat.encode(replay) : null,
+      device: DeviceIdentity.get(),
+    };
+  }
+
+  /**
+   * Remember the board version from a server response (`{ version }`), if it has one.
+   * @param {any} parsed
+   */
+  static _noteVersion(parsed) {
+    if (parsed && typeof parsed.version === "number") LeaderboardManager._version = parsed.version;
+  }
+
+  /**
+   * Remember how many scores the server's all-time board ranks (`{ total }`).
+   * @param {any} parsed
+   */
+  static _noteTotal(parsed) {
+    if (parsed && typeof parsed.total === "number") LeaderboardManager._total = parsed.total;
+  }
+
+  /**
+   * Tell the page where a just-submitted score placed with a `leaderboard:placed`
+   * event (`detail`: `{ rank, total, daily }`).
+   * @param {ScoreResult} result
+   * @param {string|null} daily
+   */
+  static _announcePlacement({ rank, total }, daily) {
+    try {
+      if (typeof window !== "undefined" && typeof window.dispatchEvent === "function") {
+        const CE = typeof window.CustomEvent === "function" ? window.CustomEvent : null;
+        if (CE) {
+          window.dispatchEvent(new CE("leaderboard:placed", { detail: { rank, total, daily } }));
+        }
+      }
+    } catch (_) {
+      /* ignore */
+    }
+  }
+
+  /**
+   * Tell the page the server refused a just-submitted score with a
+   * `leaderboard:rejected` event (`detail`: `{ message, daily }`).
+   * @param {string|null} message - The server's reason, when it gave one.
+   * @param {string|null} daily
+   */
+  static _announceRejection(message, daily) {
+    try {
+      if (typeof window !== "undefined" && typeof window.dispatchEvent === "function") {
+        const CE = typeof window.CustomEvent === "function" ? window.CustomEvent : null;
+        if (CE) {
+          window.dispatchEvent(new CE("leaderboard:rejected", { detail: { message, daily } }));
+        }
+      }
+    } catch (_) {
+      /* ignore */
+    }
+  }
+
+  /**
+   * Text reporting that the server refused a score, with its reason when known.
+   * @param {{ message: string|null }} rejection
+   * @returns {string}
+   */
+  static rejectionText({ message }) {
+    return `Your score wasn't accepted${message ? `: ${message}` : ""}`;
+  }
+
+  /**
+   * Text reporting where a score placed, e.g. "You placed #57 of 1,204".
+   * @param {{ rank: number|null, total: number|null }} placement
+   * @returns {string}
+   */
+  static placementText({ rank, total }) {
+    const count = typeof total === "number" ? total.toLocaleString("en-US") : null;
+    if (typeof rank === "number") {
+      return `You placed #${rank.toLocaleString("en-US")}${count ? ` of ${count}` : ""}`;
+    }
+    return `Your score didn't make the ranked board${count ? ` of ${count}` : ""}`;
+  }
+
+  /**
+   * Endpoint for one page of the server's all-time board.
+   * @param {number} offset - 0-based index of the page's first entry.
+   * @returns {string}
+   */
+  static pageEndpoint(offset) {
+    return `${LeaderboardManager.endpoint()}&offset=${offset}&limit=${LeaderboardManager.MAX_ENTRIES}`;
+  }
+
+  /**
+   * Load a page (MAX_ENTRIES entries from `offset`) of the server's all-time board,
+   * which ranks far more scores than the top page. Resolves to null when there is no
+   * server or it can't be reached.
+   * @param {number} offset
+   * @returns {Promise<{ entries: LeaderboardEntry[], offset: number, total: number|null }|null>}
+   */
+  static loadPage(offset) {
+    if (!LeaderboardManager.IS_REMOTE || typeof fetch !== "function") {
+      return Promise.resolve(null);
+    }
+    return fetch(LeaderboardManager.pageEndpoint(offset), {
+      method: "GET",
+      headers: LeaderboardManager._headers(),
+    })
+      .then((res) => (res.ok ? res.json() : null))
+      .then((parsed) => {
+        if (!parsed || !Array.isArray(parsed.scores)) return null;
+        LeaderboardManager._noteTotal(parsed);
+        return {
+          entries: LeaderboardManager._normalizeEntries(parsed.scores),
+          offset: typeof parsed.offset === "number" ? parsed.offset : offset,
+          total: typeof parsed.total === "number" ? parsed.total : null,
+        };
+      })
+      .catch(() => null);
+  }
+
+  /**
+   * Render the page of the all-time board starting at `offset` (the top page is the
+   * usual `render`). Ranks continue from the offset.
+   * @param {HTMLElement|null} listEl
+   * @param {number} offset
+   * @returns {Promise<number|null>} Resolves to the number of scores the board ranks,
+   *   when known, so callers can update their paging controls.
+   */
+  static renderPage(listEl, offset) {
+    if (!listEl) return Promise.resolve(LeaderboardManager._total);
+    if (offset <= 0) {
+      LeaderboardManager.render(listEl);
+      const remote = LeaderboardManager.IS_REMOTE
+        ? LeaderboardManager.load({ remote: true })
+        : null;
+      if (!remote || Array.isArray(remote)) return Promise.resolve(LeaderboardManager._total);
+      return remote.then(() => LeaderboardManager._total);
+    }
+    return LeaderboardManager.loadPage(offset).then((page) => {
+      if (!page) return LeaderboardManager._total;
+      LeaderboardManager.render(listEl, page.entries, { offset: page.offset });
+      return page.total;
+    });
+  }
+
+  /**
+   * Keep the board shown in `listEl` current while `isActive()` holds (e.g. while the
+   * Game Over screen is visible): every `intervalMs` it is fetched again in the
+   * background and, when other players' scores changed it, re-rendered in place with
+   * rank changes highlighted. Polls are skipped while the page is hidden. Replaces any
+   * earlier polling; only runs with a remote leaderboard.
+   * @param {HTMLElement|null} listEl
+   * @param {{ intervalMs?: number, isActive?: () => boolean }=} options
+   */
+  static startPolling(
+    listEl,
+    { intervalMs = LeaderboardManager.POLL_INTERVAL_MS, isActive = () => true } = {}
+  ) {
+    LeaderboardManager.stopPolling();
+    if (!listEl || !LeaderboardManager.IS_REMOTE || typeof fetch !== "function") return;
+    if (!(intervalMs > 0)) return;
+    const generation = LeaderboardManager._pollGeneration;
+    const schedule = () => {
+      LeaderboardManager._pollTimer = setTimeout(() => {
+        LeaderboardManager._pollTimer = null;
+        if (generation !== LeaderboardManager._pollGeneration || !isActive()) return;
+        const hidden = typeof document !== "undefined" && document.hidden;
+        const poll = hidden ? Promise.resolve(false) : LeaderboardManager.refreshBoard(listEl);
+        poll.then(() => {
+          if (generation === LeaderboardManager._pollGeneration) schedule();
+        });
+      }, intervalMs);
+    };
+    schedule();
+  }
+
+  /** Stop the polling started by `startPolling`. */
+  static stopPolling() {
+    LeaderboardManager._pollGeneration++;
+    if (LeaderboardManager._pollTimer !== null) clearTimeout(LeaderboardManager._pollTimer);
+    LeaderboardManager._pollTimer = null;
+  }
+
+  /**
+   * Fetch the board `listEl` shows again (see `_pollTarget`) and re-render it in place
+   * with rank changes highlighted if it changed. Sends the board's last ETag, so an
+   * unchanged board costs an empty 304. Archived boards never change and are skipped.
+   * @param {HTMLElement} listEl
+   * @returns {Promise<boolean>} True when the list was re-rendered.
+   */
+  static refreshBoard(listEl) {
+    const board = listEl.dataset.board || "all";
+    const target = LeaderboardManager._pollTarget(board);
+    if (!target || typeof fetch !== "function") return Promise.resolve(false);
+    const { url, options, store } = target;
+    const etag = LeaderboardManager._etags.get(url);
+    /** @type {Record<string, string>} */
+    const headers = LeaderboardManager._headers(etag ? { "If-None-Match": etag } : {});
+    return fetch(url, { method: "GET", headers })
+      .then((res) => {
+        if (!res.ok) return null;
+        const tag = res.headers && res.headers.get ? res.headers.get("ETag") : null;
+        if (tag) LeaderboardManager._etags.set(url, tag);
+        return res.json();
+      })
+      .then((parsed) => {
+        // The player may have switched boards while the request was out
+        if (!parsed || !Array.isArray(parsed.scores) || listEl.dataset.board !== board) {
+          return false;
+        }
+        const entries = LeaderboardManager._normalizeEntries(parsed.scores);
+        store(entries, parsed);
+        const rendered = LeaderboardManager._rendered.get(listEl);
+        if (rendered && rendered.board === JSON.stringify([options.offset || 0, entries])) {
+          return false;
+        }
+        LeaderboardManager.render(listEl, entries, { ...options, highlightChanges: true });
+        return true;
+      })
+      .catch(() => false);
+  }
+
+  /**
+   * Where to poll the board named by a list's `data-board` ("all", "all@<offset>",
+   * "day", "week", "daily:<date>" or "survival"), how to render it and how to keep the
+   * local copy up to date. Null for boards that don't change (archived periods).
+   * @param {string} board
+   * @returns {{ url: string, options: {daily?:string, survival?:boolean, offset?:number}, store: (entries: LeaderboardEntry[], parsed: any) => void }|null}
+   */
+  static _pollTarget(board) {
+    if (board === "all") {
+      return {
+        url: LeaderboardManager.endpoint(),
+        options: {},
+        store: (entries, parsed) => {
+          LeaderboardManager._noteVersion(parsed);
+          LeaderboardManager._noteTotal(parsed);
+          try {
+            localStorage.setItem(
+              LeaderboardManager._key(LeaderboardManager.KEY_LEADERBOARD),
+              JSON.stringify(entries)
+            );
+          } catch (_) {
+            /* ignore */
+          }
+          LeaderboardManager._cacheEntries = entries.slice();
+        },
+      };
+    }
+    const page = /^all@(\d+)$/.exec(board);
+    if (page) {
+      const offset = Number(page[1]);
+      return {
+        url: LeaderboardManager.pageEndpoint(offset),
+        options: { offset },
+        store: (_entries, parsed) => LeaderboardManager._noteTotal(parsed),
+      };
+    }
+    if (board === "day" || board === "week") {
+      const key = LeaderboardPeriods.key(board);
+      return {
+        url: LeaderboardManager.periodEndpoint(board, key),
+        options: {},
+        store: (entries) => LeaderboardManager._writePeriod(board, key, entries),
+      };
+    }
+    if (board === SurvivalMode.ID) {
+      return {
+        url: LeaderboardManager.survivalEndpoint(),
+        options: { survival: true },
+        store: (entries) => LeaderboardManager._writeSurvival(entries),
+      };
+    }
+    const daily = /^daily:(.+)$/.exec(board);
+    if (daily) {
+      const date = daily[1];
+      return {
+        url: LeaderboardManager.dailyEndpoint(date),
+        options: { daily: date },
+        store: (entries) => LeaderboardManager._writeDaily(date, entries),
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Headers for a leaderboard GET: `extra` plus this device's ID, so the server can
+   * mark its entries `own`.
+   * @param {Record<string, string>} [extra]
+   * @returns {Record<string, string>}
+   */
+  static _headers(extra = {}) {
+    return { ...extra, "X-Device-Id": DeviceIdentity.get() };
+  }
+
+  /**
+   * @param {any} arr
+   * @returns {LeaderboardEntry[]}
+   */
+  static _normalizeEntries(arr) {
+    if (!Array.isArray(arr)) return [];
+    return arr.map((e) => {
+      /** @type {LeaderboardEntry} */
+      const entry = { id: String((e && e.id) || ""), score: Number((e && e.score) || 0) };
+      if (e && typeof e.device === "string") entry.device = e.device;
+      if (e && e.own === true) entry.own = true;
+      return entry;
+    });
+  }
+
+  /**
+   * Replace the local main board with `entries` and announce it with a
+   * `leaderboard:updated` event so visible lists can re-render.
+   * @param {LeaderboardEntry[]} entries
+   */
+  static _storeEntries(entries) {
+    try {
+      localStorage.setItem(
+        LeaderboardManager._key(LeaderboardManager.KEY_LEADERBOARD),
+        JSON.stringify(entries)
+      );
+    } catch (_) {
+      /* ignore */
+    }
+    LeaderboardManager._cacheEntries = entries.slice();
+    try {
+      if (typeof window !== "undefined" && typeof window.dispatchEvent === "function") {
+        const CE = typeof window.CustomEvent === "function" ? window.CustomEvent : null;
+        if (CE) window.dispatchEvent(new CE("leaderboard:updated", { detail: entries }));
+      }
+    } catch (_) {
+      /* ignore */
+    }
+  }
+
+  /**
+   * Render the daily challenge board for `date`: the local copy first, then the
+   * server's when remote is enabled.
+   * @param {HTMLElement|null} listEl
+   * @param {string} date
+   */
+  static renderDaily(listEl, date) {
+    if (!listEl) return;
+    LeaderboardManager.render(listEl, LeaderboardManager._readDaily(date), { daily: date });
+    if (LeaderboardManager.IS_REMOTE) {
+      const remote = LeaderboardManager.loadDaily(date, { remote: true });
+      if (!Array.isArray(remote)) {
+        remote
+          .then((entries) => LeaderboardManager.render(listEl, entries, { daily: date }))
+          .catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * @param {string} date
+   * @returns {LeaderboardEntry[]}
+   */
+  static _readDaily(date) {
+    try {
+      const raw = localStorage.getItem(
+        LeaderboardManager._key(LeaderboardManager.KEY_DAILY_LEADERBOARD)
+      );
+      const parsed = raw ? JSON.parse(raw) : null;
+      if (!parsed || parsed.date !== date || !Array.isArray(parsed.entries)) return [];
+      return LeaderboardManager._normalizeEntries(parsed.entries);
+    } catch (_) {
+      return [];
+    }
+  }
+
+  /**
+   * @param {string} date
+   * @param {LeaderboardEntry[]} entries
+   */
+  static _writeDaily(date, entries) {
+    try {
+      localStorage.setItem(
+        LeaderboardManager._key(LeaderboardManager.KEY_DAILY_LEADERBOARD),
+        JSON.stringify({ date, entries })
+      );
+    } catch (_) {
+      /* ignore */
+    }
+  }
+
+  /**
+   * Entries of a board with the queued submissions for it placed in rank order and
+   * flagged `pending` (a queued score already on the board is flagged in place).
+   * @param {LeaderboardEntry[]} entries
+   * @param {string|null} daily
+   * @param {boolean} [survival] - `entries` is the survival board.
+   * @returns {(LeaderboardEntry & {pending?:boolean})[]}
+   */
+  static _withPending(entries, daily, survival = false) {
+    /** @type {(LeaderboardEntry & {pending?:boolean})[]} */
+    const merged = entries.map((e) => ({ ...e }));
+    for (const item of SubmissionQueue.list()) {
+      if ((item.daily || null) !== daily) continue;
+      if (LeaderboardManager._isSurvival(item.submission) !== survival) continue;
+      if (LeaderboardManager._presetOf(item.submission) !== LeaderboardManager.difficulty) continue;
+      const { id, score, device } = item.submission;
+      const match = merged.find((e) => !e.pending && e.id === id && e.score === score);
+      if (match) match.pending = true;
+      else merged.push({ id, score, device, pending: true });
+    }
+    merged.sort((a, b) => b.score - a.score || a.id.localeCompare(b.id));
+    return merged.slice(0, Math.max(entries.length, LeaderboardManager.MAX_ENTRIES));
+  }
+
   /**
    * Render leaderboard into an ordered list element.
    * If `entries` is provided, use it directly instead of calling `load()`
    * which avoids double-loading when the caller already fetched the data.
+   * Scores still waiting in the submission queue are shown as "pending sync", and
+   * entries submitted from this device are highlighted.
    * @param {HTMLElement|null} listEl
-   * @param {{id:string,score:number}[]=} entries
+   * @param {LeaderboardEntry[]=} entries
+   * @param {{daily?:string, survival?:boolean, archived?:boolean, offset?:number, highlightChanges?:boolean}=} options
+   *   `daily` is set when `entries` is a daily challenge board and `survival` when it
+   *   is the survival mode board; `archived` boards
+   *   (earlier periods) get no pending scores. `offset` is the board rank before
+   *   `entries[0]` when they are a later page (see `renderPage`); pending scores only
+   *   show on the top page. `highlightChanges` marks rows that are new (`rank-new`) or
+   *   moved up or down (`rank-up`/`rank-down`) since the list's last render.
    */
-  static render(listEl, entries) {
+  static render(
+    listEl,
+    entries,
+    { daily, survival = false, archived = false, offset = 0, highlightChanges = false } = {}
+  ) {
     if (!listEl) return;
 
     /**
-     * @param {{id:string,score:number}[]} entriesToRender
+     * @param {LeaderboardEntry[]} boardEntries
      */
-    const doRender = (entriesToRender) => {
-      while (listEl.firstChild) listEl.removeChild(listEl.firstChild);
+    const doRender = (boardEntries) => {
+      const entriesToRender =
+        archived || offset > 0
+          ? boardEntries || []
+          : LeaderboardManager._withPending(boardEntries || [], daily || null, survival);
+      const previous = LeaderboardManager._rendered.get(listEl);
+      /** @type {Map<string, number>} */
+      const ranks = new Map();
+      LeaderboardManager._rendered.set(listEl, {
+        board: JSON.stringify([offset, boardEntries || []]),
+        ranks,
+      });
+      // Rows are updated in place, so re-rendering keeps the list's scroll position
+      // and focus
       if (!entriesToRender || entriesToRender.length === 0) {
+        while (listEl.firstChild) listEl.removeChild(listEl.firstChild);
         const li = document.createElement("li");
         li.textContent = "No scores yet";
         listEl.appendChild(li);
         return;
       }
-      entriesToRender.slice(0, 100).forEach(
-        /** @param {{id:string,score:number}} e */
-        (e, idx) => {
-          const li = document.createElement("li");
+      const rows = entriesToRender.slice(0, 100);
+      while (listEl.children.length > rows.length) {
+        listEl.removeChild(/** @type {Node} */ (listEl.lastChild));
+      }
+      rows.forEach(
+        /** @param {LeaderboardEntry & {pending?:boolean}} e */
+        (e, i) => {
+          const li = /** @type {HTMLElement} */ (
+            listEl.children[i] || listEl.appendChild(document.createElement("li"))
+          );
+          li.className = "";
+          const idx = offset + i;
           const rank = `${idx + 1}`;
           let badge;
-          if (/^[A-Z]{1,3}$/.test(e.id)) {
+          if (Initials.isAllowed(e.id)) {
             badge = e.id;
           } else {
             badge = "???";
@@ -448,7 +1611,22 @@ export class LeaderboardManager {
           const medalPrefix = idx >= 0 && idx < 3 ? medals[idx] + " " : "";
           const outsideTopThreePrefix = idx >= 3 ? "👍 " : "";
           li.textContent = `${medalPrefix}${outsideTopThreePrefix}${rank} — ${badge} — ${e.score}`;
-          listEl.appendChild(li);
+          if (DeviceIdentity.owns(e)) {
+            li.classList.add("mine");
+            li.textContent += " — you";
+          }
+          if (e.pending) {
+            li.classList.add("pending");
+            li.textContent += " — pending sync";
+          }
+          const key = `${e.id}|${e.score}|${DeviceIdentity.owns(e) ? "own" : ""}`;
+          if (!ranks.has(key)) ranks.set(key, idx);
+          const was = highlightChanges && previous ? previous.ranks.get(key) : undefined;
+          if (highlightChanges && previous) {
+            if (was === undefined) li.classList.add("rank-new");
+            else if (was > idx) li.classList.add("rank-up");
+            else if (was < idx) li.classList.add("rank-down");
+          }
         }
       );
     };
@@ -1,4 +1,5 @@
 import { CONFIG } from "../constants.js";
+import { Ghost } from "../core/Ghost.js";
 export class RenderManager {
   /**
    * @param {CanvasRenderingContext2D} ctx
@@ -89,6 +90,51 @@ export class RenderManager {
     ctx.globalAlpha = 1;
   }
 
+  /**
+   * Draw the boss encounter: the boss's rings, the boss itself, and its health bar
+   * along the top of the view with a mark where each phase ends.
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {import('../entities/BossPlanet.js').BossPlanet|null} boss
+   * @param {import('../entities/BossRing.js').BossRing[]} rings
+   * @param {import('../types.js').ViewSize} view
+   */
+  static drawBoss(ctx, boss, rings, view) {
+    for (let i = 0; i < rings.length; i++) rings[i].draw(ctx);
+    if (!boss) return;
+    boss.draw(ctx);
+    const colors = CONFIG.COLORS.BOSS;
+    const width = view.width * 0.6;
+    const x = (view.width - width) / 2;
+    const y = 14;
+    const height = 8;
+    ctx.save();
+    ctx.fillStyle = colors.HEALTH_BG;
+    ctx.fillRect(x, y, width, height);
+    ctx.fillStyle = colors.HEALTH;
+    ctx.fillRect(x, y, (width * boss.health) / boss.maxHits, height);
+    ctx.fillStyle = colors.PHASE_MARK;
+    let dealt = 0;
+    const phases = CONFIG.BOSS.PHASES;
+    for (let i = 0; i < phases.length - 1; i++) {
+      dealt += phases[i].HITS;
+      ctx.fillRect(x + width * (1 - dealt / boss.maxHits) - 1, y - 2, 2, height + 4);
+    }
+    ctx.restore();
+  }
+
+  /**
+   * Draw a ghost run's ship, translucent, while its run is still going.
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {import('../core/Ghost.js').Ghost|null} ghost
+   */
+  static drawGhost(ctx, ghost) {
+    if (!ghost || !ghost.active) return;
+    ctx.save();
+    ctx.globalAlpha = Ghost.ALPHA;
+    ghost.player.draw(ctx);
+    ctx.restore();
+  }
+
   /**
    * Draw the entire game frame in the correct order.
    * @param {any} game
@@ -98,14 +144,24 @@ export class RenderManager {
     if (typeof game.drawBackground === "function") {
       game.drawBackground();
     }
-    // Draw entities
+    // Draw entities (the boss behind the asteroids it sprays)
+    if (game.boss || (game.bossRings && game.bossRings.length > 0)) {
+      RenderManager.drawBoss(game.ctx, game.boss, game.bossRings || [], game.view);
+    }
     RenderManager.drawAsteroids(game.ctx, game.asteroids);
     RenderManager.drawBullets(game.ctx, game.bullets, game.sprites);
     RenderManager.drawCollectibleStars(game.ctx, game.stars, game.sprites, game.timeSec);
     RenderManager.drawExplosions(game.ctx, game.explosions);
     RenderManager.drawParticles(game.ctx, game.particles);
-    // Draw player and engine trail
-    if (game.player && typeof game.player.draw === "function") {
+    // Draw the ghost underneath, then the player and engine trail
+    RenderManager.drawGhost(game.ctx, game.ghost);
+    // The ship blinks while it is invulnerable after a hit or a lost life
+    const blinkOff =
+      game.player &&
+      typeof game.player.isInvulnerable === "function" &&
+      game.player.isInvulnerable(game.timeSec) &&
+      Math.floor(game.timeSec * 8) % 2 === 1;
+    if (game.player && typeof game.player.draw === "function" && !blinkOff) {
       game.player.draw(game.ctx);
     }
     if (game.engineTrail && typeof game.engineTrail.draw === "function") {
@@ -144,5 +200,26 @@ export class RenderManager {
         ctx.restore();
       }
     }
+    // Loop timing readout (debug mode only)
+    if (game.loopStats) RenderManager.drawLoopStats(game.ctx, game.loopStats);
+  }
+
+  /**
+   * Draw the game loop's timing stats in the top-left corner.
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {import('../core/GameLoop.js').LoopStats} stats
+   */
+  static drawLoopStats(ctx, stats) {
+    const mode = stats.frozen ? "frozen" : `${stats.timeScale}x`;
+    const text =
+      `${mode}  frame ${stats.frameDtMs.toFixed(1)}ms  steps ${stats.steps}` +
+      `  acc ${stats.accMs.toFixed(1)}ms  dropped ${stats.droppedMs.toFixed(1)}ms`;
+    ctx.save();
+    ctx.font = "12px ui-monospace, Menlo, Consolas, monospace";
+    ctx.textAlign = "left";
+    ctx.textBaseline = "top";
+    ctx.fillStyle = "#9f9";
+    ctx.fillText(text, 8, 8);
+    ctx.restore();
   }
 }
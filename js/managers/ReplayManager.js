@@ -0,0 +1,38 @@
+import { ReplayFormat } from "../core/ReplayFormat.js";
+/** @typedef {import('../types.js').InputRecording} InputRecording */
+/** @typedef {import('../core/ReplayFormat.js').ReplayParseResult} ReplayParseResult */
+
+/**
+ * ReplayManager moves replay files between the browser and the game:
+ * downloading the last run and reading a user-selected file.
+ */
+export class ReplayManager {
+  /**
+   * Save a recording as a replay file via a temporary download link.
+   * @param {InputRecording} recording
+   */
+  static download(recording) {
+    const blob = new Blob([ReplayFormat.stringify(recording)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `ai-horizon-replay-${recording.seed >>> 0}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  /**
+   * Read and validate a replay file chosen by the user.
+   * @param {Blob} file
+   * @returns {Promise<ReplayParseResult>}
+   */
+  static async read(file) {
+    try {
+      return ReplayFormat.parse(await file.text());
+    } catch (_e) {
+      return { recording: null, error: "The replay file could not be read." };
+    }
+  }
+}
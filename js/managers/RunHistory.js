@@ -0,0 +1,102 @@
+/**
+ * A finished run as kept in the local history.
+ * @typedef {Object} RunRecord
+ * @property {number} score
+ * @property {string} date - When the run ended (ISO 8601).
+ * @property {number|null} seed - Seed the run was played on.
+ * @property {RunMode} mode
+ */
+
+/**
+ * How a run was played: a regular run, the ranked daily challenge attempt, a daily
+ * practice run, a survival mode run or one flown by the AI pilot.
+ * @typedef {"standard"|"daily"|"practice"|"survival"|"pilot"} RunMode
+ */
+
+/**
+ * RunHistory keeps this player's recent runs in localStorage, newest first, and
+ * derives their personal best from them. Unlike the leaderboard it includes every
+ * run, submitted or not.
+ */
+export class RunHistory {
+  static KEY_HISTORY = "aiHorizonRunHistory";
+  static MAX_RUNS = 100;
+  // Runs that count towards the personal best (the pilot's don't)
+  /** @type {RunMode[]} */
+  static PLAYER_MODES = ["standard", "daily", "practice"];
+  // Survival runs have no time limit, so they keep a personal best of their own
+  /** @type {RunMode[]} */
+  static SURVIVAL_MODES = ["survival"];
+
+  /** @returns {RunRecord[]} Newest first. */
+  static list() {
+    try {
+      const raw = localStorage.getItem(RunHistory.KEY_HISTORY);
+      const parsed = raw ? JSON.parse(raw) : null;
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (_) {
+      return [];
+    }
+  }
+
+  /**
+   * Add a finished run to the history. Beyond MAX_RUNS the oldest runs are dropped,
+   * except the personal bests.
+   * @param {{ score: number, seed?: number|null, mode: RunMode }} run
+   * @param {Date} [now]
+   * @returns {RunRecord} The stored record.
+   */
+  static record({ score, seed = null, mode }, now = new Date()) {
+    /** @type {RunRecord} */
+    const run = {
+      score: Math.floor(score),
+      date: now.toISOString(),
+      seed: typeof seed === "number" ? seed : null,
+      mode,
+    };
+    const all = [run, ...RunHistory.list()];
+    const runs = all.slice(0, RunHistory.MAX_RUNS);
+    // Never let a personal best age out of the history
+    const bests = [RunHistory.PLAYER_MODES, RunHistory.SURVIVAL_MODES].map((modes) =>
+      RunHistory._bestOf(all, modes)
+    );
+    for (const best of bests) {
+      if (!best || runs.includes(best)) continue;
+      for (let i = runs.length - 1; i >= 0; i--) {
+        if (bests.includes(runs[i])) continue;
+        runs[i] = best;
+        break;
+      }
+    }
+    try {
+      localStorage.setItem(RunHistory.KEY_HISTORY, JSON.stringify(runs));
+    } catch (_) {
+      /* ignore */
+    }
+    return run;
+  }
+
+  /**
+   * Highest-scoring run among `modes` (the earliest one on ties).
+   * @param {readonly RunMode[]} [modes]
+   * @returns {RunRecord|null}
+   */
+  static best(modes = RunHistory.PLAYER_MODES) {
+    return RunHistory._bestOf(RunHistory.list(), modes);
+  }
+
+  /**
+   * @param {RunRecord[]} runs - Newest first.
+   * @param {readonly RunMode[]} modes
+   * @returns {RunRecord|null}
+   */
+  static _bestOf(runs, modes) {
+    /** @type {RunRecord|null} */
+    let best = null;
+    for (const run of runs) {
+      if (!modes.includes(run.mode)) continue;
+      if (!best || run.score >= best.score) best = run;
+    }
+    return best;
+  }
+}
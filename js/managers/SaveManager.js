@@ -0,0 +1,77 @@
+import { ReplayFormat } from "../core/ReplayFormat.js";
+/** @typedef {import('../types.js').InputRecording} InputRecording */
+/** @typedef {import('../core/Simulation.js').SimulationSnapshot} SimulationSnapshot */
+/** @typedef {{ date:string, ranked:boolean }} DailyRun */
+/** @typedef {{ snapshot:SimulationSnapshot, recording:InputRecording, daily:DailyRun|null, shots:number }} SavedRun */
+
+/**
+ * SaveManager keeps one in-progress run in localStorage so it can be resumed after
+ * the tab is closed or reloaded. The input recording is saved with the snapshot, so
+ * a resumed run still replays (and verifies) from its seed.
+ */
+export class SaveManager {
+  static KEY_SAVED_RUN = "aiHorizonSavedRun";
+  // Bump when SimulationSnapshot changes shape; older saves are then ignored
+  static VERSION = 1;
+  // Run time between automatic saves while playing
+  static INTERVAL_MS = 5000;
+
+  /**
+   * Store the current run, replacing any earlier save.
+   * @param {SimulationSnapshot} snapshot
+   * @param {InputRecording} recording - Inputs up to the snapshot's tick.
+   * @param {DailyRun|null} [daily] - Set when the run is a daily challenge.
+   * @param {number} [shots] - Fire presses the snapshot has fired but the recording
+   *   doesn't hold yet (InputRecorder.pendingShots).
+   * @returns {boolean} True when the run was stored.
+   */
+  static save(snapshot, recording, daily = null, shots = 0) {
+    try {
+      const data = {
+        version: SaveManager.VERSION,
+        snapshot,
+        replay: ReplayFormat.encode(recording),
+        daily,
+        shots,
+      };
+      localStorage.setItem(SaveManager.KEY_SAVED_RUN, JSON.stringify(data));
+      return true;
+    } catch (_) {
+      return false;
+    }
+  }
+
+  /**
+   * The saved run, or null when there is none or it no longer loads (older save
+   * version, or a CONFIG change that would make the run play out differently).
+   * @returns {SavedRun|null}
+   */
+  static load() {
+    try {
+      const raw = localStorage.getItem(SaveManager.KEY_SAVED_RUN);
+      if (!raw) return null;
+      const data = JSON.parse(raw);
+      if (!data || data.version !== SaveManager.VERSION || !data.snapshot) return null;
+      const { recording } = ReplayFormat.read(data.replay);
+      if (!recording) return null;
+      const shots = Number.isInteger(data.shots) && data.shots > 0 ? data.shots : 0;
+      return { snapshot: data.snapshot, recording, daily: data.daily || null, shots };
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /** @returns {boolean} True when a run can be resumed. */
+  static has() {
+    return SaveManager.load() !== null;
+  }
+
+  /** Forget the saved run (it ended, or a new one started). */
+  static clear() {
+    try {
+      localStorage.removeItem(SaveManager.KEY_SAVED_RUN);
+    } catch (_) {
+      /* ignore */
+    }
+  }
+}
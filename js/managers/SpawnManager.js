@@ -1,4 +1,5 @@
 import { CONFIG } from "../constants.js";
+import { Difficulty } from "../core/Difficulty.js";
 import { Asteroid } from "../entities/Asteroid.js";
 import { Star } from "../entities/Star.js";
 /** @typedef {import('../types.js').RNGLike} RNGLike */
@@ -6,6 +7,8 @@ import { Star } from "../entities/Star.js";
 /** @typedef {import('../types.js').Pool<Star>} StarPool */
 
 /** @typedef {{ width:number, height:number }} ViewSize */
+/** @typedef {import('../core/Difficulty.js').DifficultyLevels} DifficultyLevels */
+/** @typedef {import('../core/DifficultyPreset.js').DifficultyPresetSettings} DifficultyPresetSettings */
 
 /**
  * @typedef {Object} SpawnGameSlice
@@ -14,6 +17,12 @@ import { Star } from "../entities/Star.js";
  * @property {number} asteroidSpeed
  * @property {number} starSpeed
  * @property {boolean} [_isMobile]
+ * @property {number} [spawnFactor] - Asteroid spawn rate multiplier (survival mode); 1 when omitted.
+ * @property {number} [timeSec] - Elapsed run time, for the difficulty curves; 0 when omitted.
+ * @property {number} [score] - Current score, for the difficulty curves; 0 when omitted.
+ * @property {object | null} [boss] - Boss being fought; thins out asteroid spawns while set.
+ * @property {DifficultyPresetSettings} [presetSettings] - Difficulty preset scaling spawn
+ *   rates, asteroid speed and planet hits; base CONFIG values when omitted.
  * @property {AsteroidPool | null | undefined} [asteroidPool]
  * @property {StarPool | null | undefined} [starPool]
  * @property {Asteroid[]} asteroids
@@ -23,10 +32,14 @@ import { Star } from "../entities/Star.js";
 /**
  * @typedef {Object} AsteroidCreateSlice
  * @property {RNGLike} rng
+ * @property {RNGLike} [fxRng] - Cosmetic stream for craters and cracks; falls back to `rng`.
  * @property {ViewSize} view
  * @property {number} asteroidSpeed
  * @property {AsteroidPool | null | undefined} [asteroidPool]
  * @property {number} [_normalAsteroidCount]
+ * @property {number} [timeSec]
+ * @property {number} [score]
+ * @property {DifficultyPresetSettings} [presetSettings]
  */
 
 /**
@@ -36,6 +49,8 @@ import { Star } from "../entities/Star.js";
  * @property {number} starSpeed
  * @property {StarPool | null | undefined} [starPool]
  * @property {number} [_yellowStarCount]
+ * @property {number} [timeSec]
+ * @property {number} [score]
  */
 
 /**
@@ -43,7 +58,9 @@ import { Star } from "../entities/Star.js";
  *
  * Probability model per tick uses a Poisson process:
  *   p(spawn in dt) = 1 - exp(-lambda * dt)
- * where `lambda` is the per-second spawn rate from CONFIG.
+ * where `lambda` is the per-second spawn rate from CONFIG, scaled by the run's
+ * difficulty preset (see DifficultyPreset) and by the difficulty curves in
+ * CONFIG.DIFFICULTY (see Difficulty) for its elapsed time and score.
  */
 /**
  * Per-game spawn state:
@@ -54,6 +71,7 @@ import { Star } from "../entities/Star.js";
  *   planetUsed: Set<number>
  * }} SpawnState
  */
+/** @typedef {{ yellowCount:number, normalAsteroidCount:number, planetIndex:number, planetUsed:number[] }} SpawnStateData */
 export class SpawnManager {
   /** @type {WeakMap<object, SpawnState>} */
   static #STATE = new WeakMap();
@@ -83,6 +101,35 @@ export class SpawnManager {
   static reset(game) {
     this.#STATE.delete(game);
   }
+
+  /**
+   * Copy of the per-game spawn counters in a JSON-friendly form (for saved runs).
+   * @param {object} game
+   * @returns {SpawnStateData}
+   */
+  static getState(game) {
+    const st = this.#state(game);
+    return {
+      yellowCount: st.yellowCount,
+      normalAsteroidCount: st.normalAsteroidCount,
+      planetIndex: st.planetIndex,
+      planetUsed: Array.from(st.planetUsed),
+    };
+  }
+
+  /**
+   * Restore spawn counters captured with `getState`.
+   * @param {object} game
+   * @param {SpawnStateData} state
+   */
+  static setState(game, state) {
+    this.#STATE.set(game, {
+      yellowCount: state.yellowCount | 0,
+      normalAsteroidCount: state.normalAsteroidCount | 0,
+      planetIndex: state.planetIndex | 0,
+      planetUsed: new Set(state.planetUsed),
+    });
+  }
   /**
    * Randomly spawn asteroids and collectible stars.
    * @param {SpawnGameSlice} game - Minimal game slice.
@@ -96,35 +143,49 @@ export class SpawnManager {
     // a mobile hint. Fall back to the legacy global rates for tests and
     // callers that don't include the flag.
     const isMobile = typeof game._isMobile === "boolean" ? game._isMobile : null;
-    const asteroidRate =
+    const factor = typeof game.spawnFactor === "number" ? game.spawnFactor : 1;
+    const difficulty = Difficulty.levels(game);
+    const preset = game.presetSettings;
+    const baseAsteroidRate =
       isMobile === true
         ? CONFIG.GAME.ASTEROID_SPAWN_RATE_MOBILE
         : isMobile === false
           ? CONFIG.GAME.ASTEROID_SPAWN_RATE_DESKTOP
           : CONFIG.GAME.ASTEROID_SPAWN_RATE;
-    const starRate =
+    const asteroidRate =
+      baseAsteroidRate *
+      factor *
+      difficulty.asteroidSpawnRate *
+      (preset ? preset.asteroidSpawnRate : 1) *
+      (game.boss ? CONFIG.BOSS.ASTEROID_SPAWN_FACTOR : 1);
+    const baseStarRate =
       isMobile === true
         ? CONFIG.GAME.STAR_SPAWN_RATE_MOBILE
         : isMobile === false
           ? CONFIG.GAME.STAR_SPAWN_RATE_DESKTOP
           : CONFIG.GAME.STAR_SPAWN_RATE;
+    const starRate = baseStarRate * (preset ? preset.starSpawnRate : 1);
 
     const pAst = 1 - Math.exp(-asteroidRate * dt);
     const pStar = 1 - Math.exp(-starRate * dt);
-    if (rng.nextFloat() < pAst) game.asteroids.push(this.createAsteroid(game));
-    if (rng.nextFloat() < pStar) game.stars.push(this.createStar(game));
+    if (rng.nextFloat() < pAst) game.asteroids.push(this.createAsteroid(game, difficulty));
+    if (rng.nextFloat() < pStar) game.stars.push(this.createStar(game, difficulty));
   }
 
   /**
    * Create a new asteroid using game state for dimensions and speeds.
    * @param {AsteroidCreateSlice} game
+   * @param {DifficultyLevels} [difficulty] - Defaults to the curves at the game's time and score.
    * @returns {Asteroid}
    */
-  static createAsteroid(game) {
+  static createAsteroid(game, difficulty = Difficulty.levels(game)) {
     const rng = game.rng;
     const st = /** @type {any} */ (this.#state(game));
     // Determine indestructible asteroid cadence from config before selecting sizes
-    const asteroidThreshold = CONFIG.GAME.ASTEROID_NORMAL_BEFORE_INDESTRUCTIBLE | 0 || 10;
+    const asteroidThreshold = Difficulty.cadence(
+      CONFIG.GAME.ASTEROID_NORMAL_BEFORE_INDESTRUCTIBLE | 0 || 10,
+      difficulty.planetFrequency
+    );
     const count = st.normalAsteroidCount | 0;
     const isIndestructible = count >= asteroidThreshold;
     st.normalAsteroidCount = isIndestructible ? 0 : count + 1;
@@ -136,7 +197,11 @@ export class SpawnManager {
       : CONFIG.ASTEROID.REGULAR_SIZE_FACTOR;
     const width = Math.max(4, Math.round(baseSize * sizeFactor));
     const height = Math.max(4, Math.round(baseSize * sizeFactor));
-    const speed = game.asteroidSpeed + rng.nextFloat() * CONFIG.ASTEROID.SPEED_VARIATION;
+    const preset = game.presetSettings;
+    const speed =
+      (game.asteroidSpeed + rng.nextFloat() * CONFIG.ASTEROID.SPEED_VARIATION) *
+      difficulty.asteroidSpeed *
+      (preset ? preset.asteroidSpeed : 1);
     const minX = CONFIG.ASTEROID.HORIZONTAL_MARGIN / 2;
     const maxX = Math.max(minX, game.view.width - width - CONFIG.ASTEROID.HORIZONTAL_MARGIN / 2);
     const x = minX + rng.nextFloat() * (maxX - minX);
@@ -167,14 +232,16 @@ export class SpawnManager {
       }
     }
 
-    return game.asteroidPool
+    // Crater and crack shapes are cosmetic: draw them from the fx stream
+    const fxRng = game.fxRng || rng;
+    const asteroid = game.asteroidPool
       ? game.asteroidPool.acquire(
           x,
           CONFIG.ASTEROID.SPAWN_Y,
           width,
           height,
           speed,
-          rng,
+          fxRng,
           isIndestructible,
           paletteOverride
         )
@@ -184,18 +251,21 @@ export class SpawnManager {
           width,
           height,
           speed,
-          rng,
+          fxRng,
           isIndestructible,
           paletteOverride
         );
+    if (preset) asteroid.maxHits = preset.indestructibleHits;
+    return asteroid;
   }
 
   /**
    * Create a new collectible star using game state for dimensions and speeds.
    * @param {StarCreateSlice} game
+   * @param {DifficultyLevels} [difficulty] - Defaults to the curves at the game's time and score.
    * @returns {Star}
    */
-  static createStar(game) {
+  static createStar(game, difficulty = Difficulty.levels(game)) {
     const rng = game.rng;
     const st = /** @type {any} */ (this.#state(game));
     const size = CONFIG.STAR.MIN_SIZE + rng.nextFloat() * CONFIG.STAR.SIZE_VARIATION;
@@ -209,7 +279,10 @@ export class SpawnManager {
     const x = minX + rng.nextFloat() * (maxX - minX);
     // Determine if this star should be a red bonus star
     // Determine red star cadence from config (number of yellow stars before a red appears).
-    const starThreshold = CONFIG.GAME.STAR_YELLOW_BEFORE_RED | 0 || 10;
+    const starThreshold = Difficulty.cadence(
+      CONFIG.GAME.STAR_YELLOW_BEFORE_RED | 0 || 10,
+      difficulty.redStarFrequency
+    );
     const count = st.yellowCount | 0;
     const isRed = count >= starThreshold;
     // Track yellows: after `starThreshold` yellows, spawn one red and reset
@@ -0,0 +1,121 @@
+/** @typedef {import('../core/ReplayFormat.js').ReplayFile} ReplayFile */
+/** @typedef {{ id:string, score:number, replay:ReplayFile|null, device?:string }} ScoreSubmission */
+
+/**
+ * A score submission waiting to reach the leaderboard server.
+ * @typedef {Object} PendingSubmission
+ * @property {string} key - Identifies the run, so the same score is only queued once.
+ * @property {ScoreSubmission} submission
+ * @property {string|null} daily - Daily challenge date, or null for the main board.
+ * @property {number} attempts - Failed sends so far.
+ * @property {number} nextAt - Time (ms since epoch) of the next retry.
+ */
+
+/**
+ * SubmissionQueue keeps score submissions the server couldn't be reached for in
+ * localStorage, with an exponential backoff schedule for retrying them. Sending is
+ * up to LeaderboardManager (see `flushPending`).
+ */
+export class SubmissionQueue {
+  static KEY_PENDING = "aiHorizonPendingScores";
+  // First retry delay; doubles after every failed attempt up to MAX_DELAY_MS
+  static BASE_DELAY_MS = 5000;
+  static MAX_DELAY_MS = 5 * 60 * 1000;
+  // Oldest submissions are dropped beyond this many
+  static MAX_ITEMS = 20;
+
+  /** @returns {PendingSubmission[]} */
+  static list() {
+    try {
+      const raw = localStorage.getItem(SubmissionQueue.KEY_PENDING);
+      const parsed = raw ? JSON.parse(raw) : null;
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (_) {
+      return [];
+    }
+  }
+
+  /**
+   * Queue a submission for retrying, unless the same run is already queued.
+   * @param {ScoreSubmission} submission
+   * @param {string|null} [daily]
+   * @param {number} [now]
+   * @returns {boolean} True when it was added.
+   */
+  static enqueue(submission, daily = null, now = Date.now()) {
+    const key = SubmissionQueue.keyOf(submission, daily);
+    const items = SubmissionQueue.list();
+    if (items.some((item) => item.key === key)) return false;
+    items.push({
+      key,
+      submission,
+      daily,
+      attempts: 0,
+      nextAt: now + SubmissionQueue.delay(0),
+    });
+    return SubmissionQueue._write(items.slice(-SubmissionQueue.MAX_ITEMS));
+  }
+
+  /** @param {string} key */
+  static remove(key) {
+    SubmissionQueue._write(SubmissionQueue.list().filter((item) => item.key !== key));
+  }
+
+  /**
+   * Record another failed attempt and push the item's next retry back.
+   * @param {string} key
+   * @param {number} [now]
+   */
+  static retryLater(key, now = Date.now()) {
+    const items = SubmissionQueue.list();
+    for (const item of items) {
+      if (item.key !== key) continue;
+      item.attempts += 1;
+      item.nextAt = now + SubmissionQueue.delay(item.attempts);
+    }
+    SubmissionQueue._write(items);
+  }
+
+  /**
+   * Backoff before the next retry after `attempts` failures.
+   * @param {number} attempts
+   * @returns {number}
+   */
+  static delay(attempts) {
+    return Math.min(SubmissionQueue.MAX_DELAY_MS, SubmissionQueue.BASE_DELAY_MS * 2 ** attempts);
+  }
+
+  /**
+   * Time of the earliest scheduled retry, or null when nothing is queued.
+   * @returns {number|null}
+   */
+  static nextDueAt() {
+    const items = SubmissionQueue.list();
+    return items.length ? Math.min(...items.map((item) => item.nextAt)) : null;
+  }
+
+  /**
+   * @param {ScoreSubmission} submission
+   * @param {string|null} daily
+   * @returns {string}
+   */
+  static keyOf(submission, daily) {
+    const replay = submission.replay;
+    const run = replay ? `${replay.seed}:${replay.ticks}` : "";
+    return `${daily || "main"}|${submission.id}|${submission.score}|${run}`;
+  }
+
+  /**
+   * @param {PendingSubmission[]} items
+   * @returns {boolean}
+   */
+  static _write(items) {
+    try {
+      if (items.length) localStorage.setItem(SubmissionQueue.KEY_PENDING, JSON.stringify(items));
+      else localStorage.removeItem(SubmissionQueue.KEY_PENDING);
+      return true;
+    } catch (_) {
+      return false;
+    }
+  }
+}
@@ -5,6 +5,8 @@ import LeaderboardManager from "./LeaderboardManager.js";
 export class UIManager {
   // When true prefer scroll-preserving focus calls while overlays are visible.
   static _preserveFocus = false;
+  // The hull bar turns red at or below this percentage
+  static HULL_LOW_PERCENT = 30;
   /** Safe Element check for non-browser environments. */
   /**
    * Safe Element check for non-browser environments.
@@ -23,6 +25,19 @@ export class UIManager {
     if (currentScoreEl) currentScoreEl.textContent = String(score);
   }
 
+  /** Show how far the live run is ahead of (or behind) the ghost, or hide it.
+   * @param {HTMLElement|null} deltaEl
+   * @param {number|null} delta - Live score minus ghost score; null hides the delta.
+   */
+  static setScoreDelta(deltaEl, delta) {
+    if (!deltaEl) return;
+    deltaEl.classList.toggle("hidden", delta === null);
+    if (delta === null) return;
+    deltaEl.textContent = delta > 0 ? `+${delta}` : delta < 0 ? `\u2212${-delta}` : "\u00b10";
+    deltaEl.classList.toggle("ahead", delta > 0);
+    deltaEl.classList.toggle("behind", delta < 0);
+  }
+
   /**
    * Update visible countdown timer text.
    * @param {HTMLElement|null} timerEl
@@ -37,6 +52,43 @@ export class UIManager {
     timerEl.textContent = `${mins}:${secs.toString().padStart(2, "0")}`;
   }
 
+  /**
+   * Update the HUD hull bar: its fill shrinks with the hull, turning red when low.
+   * @param {HTMLElement|null} hullBarEl - Holds a `.hull-fill` element.
+   * @param {number} hull
+   * @param {number} max
+   */
+  static setHull(hullBarEl, hull, max) {
+    if (!hullBarEl) return;
+    const percent = max > 0 ? Math.round((Math.max(0, hull) / max) * 100) : 0;
+    hullBarEl.setAttribute("aria-valuenow", String(percent));
+    hullBarEl.classList.toggle("low", percent <= UIManager.HULL_LOW_PERCENT);
+    const fill = /** @type {HTMLElement|null} */ (hullBarEl.querySelector(".hull-fill"));
+    if (fill) fill.style.width = `${percent}%`;
+  }
+
+  /**
+   * Update the lives counter shown in survival mode.
+   * @param {HTMLElement|null} livesEl
+   * @param {number} lives
+   */
+  static setLives(livesEl, lives) {
+    if (!livesEl) return;
+    livesEl.textContent = String(Math.max(0, lives));
+  }
+
+  /**
+   * Show the lives counter in place of the timer for survival runs, and the timer
+   * otherwise.
+   * @param {HTMLElement|null} timerHudEl
+   * @param {HTMLElement|null} livesHudEl
+   * @param {boolean} survival
+   */
+  static setHudMode(timerHudEl, livesHudEl, survival) {
+    if (timerHudEl) timerHudEl.classList.toggle("hidden", survival);
+    if (livesHudEl) livesHudEl.classList.toggle("hidden", !survival);
+  }
+
   /** Set and persist high score; returns the new high score.
    * @param {number} score
    * @param {number} [prevHigh]
@@ -282,6 +334,191 @@ export class UIManager {
     if (gameInfo) gameInfo.classList.add("hidden");
   }
 
+  /** Show the replay playback bar sized to a recording.
+   * @param {HTMLElement|null} replayBar
+   * @param {HTMLInputElement|null} scrubber
+   * @param {number} ticks - Total ticks in the recording.
+   */
+  static showReplayBar(replayBar, scrubber, ticks) {
+    if (scrubber) {
+      scrubber.max = String(ticks);
+      scrubber.value = "0";
+    }
+    if (replayBar) replayBar.classList.remove("hidden");
+  }
+
+  /** Hide the replay playback bar.
+   * @param {HTMLElement|null} replayBar
+   */
+  static hideReplayBar(replayBar) {
+    if (replayBar) replayBar.classList.add("hidden");
+  }
+
+  /** Move the scrubber to the current tick and show elapsed run time.
+   * Leaves the scrubber alone while the user is dragging it (`data-scrubbing`).
+   * @param {HTMLInputElement|null} scrubber
+   * @param {HTMLElement|null} timeEl
+   * @param {number} tick
+   * @param {number} stepMs
+   */
+  static setReplayProgress(scrubber, timeEl, tick, stepMs) {
+    if (scrubber && !scrubber.dataset.scrubbing) scrubber.value = String(tick);
+    if (timeEl) {
+      const s = Math.floor((tick * stepMs) / 1000);
+      timeEl.textContent = `${Math.floor(s / 60)}:${(s % 60).toString().padStart(2, "0")}`;
+    }
+  }
+
+  /** Show (or clear with null) the replay status message on the Game Over card.
+   * @param {HTMLElement|null} messageEl
+   * @param {string|null} text
+   */
+  static setReplayMessage(messageEl, text) {
+    if (!messageEl) return;
+    messageEl.textContent = text || "";
+    messageEl.classList.toggle("hidden", !text);
+  }
+
+  /** Reflect the AI pilot state on the start screen toggle.
+   * @param {HTMLElement|null} toggleBtn
+   * @param {{ name:string }|null} pilot - Active pilot, or null when the player flies.
+   */
+  static setPilotToggle(toggleBtn, pilot) {
+    if (!toggleBtn) return;
+    toggleBtn.setAttribute("aria-pressed", pilot ? "true" : "false");
+    toggleBtn.textContent = pilot ? `AI Pilot: ${pilot.name}` : "AI Pilot: Off";
+  }
+
+  /**
+   * Show the Resume Mission button only while a saved run exists.
+   * @param {HTMLElement|null} resumeBtn
+   * @param {boolean} available
+   */
+  static setResumeAvailable(resumeBtn, available) {
+    if (!resumeBtn) return;
+    resumeBtn.classList.toggle("hidden", !available);
+  }
+
+  /**
+   * Label the daily challenge start option; once today's ranked attempt is used,
+   * further runs are practice.
+   * @param {HTMLElement|null} dailyBtn
+   * @param {boolean} attempted
+   */
+  static setDailyChallenge(dailyBtn, attempted) {
+    if (!dailyBtn) return;
+    dailyBtn.textContent = attempted ? "Daily Challenge (Practice)" : "Daily Challenge";
+  }
+
+  /**
+   * Mark the chosen difficulty preset among the start screen's `[data-difficulty]`
+   * buttons.
+   * @param {HTMLElement|null} optionsEl
+   * @param {string} preset
+   */
+  static setDifficulty(optionsEl, preset) {
+    if (!optionsEl) return;
+    optionsEl.querySelectorAll("[data-difficulty]").forEach((btn) => {
+      const pressed = /** @type {HTMLElement} */ (btn).dataset.difficulty === preset;
+      btn.setAttribute("aria-pressed", String(pressed));
+    });
+  }
+
+  /**
+   * Name the difficulty the finished run was played on, on the Game Over screen.
+   * @param {HTMLElement|null} difficultyEl
+   * @param {string} label
+   */
+  static setGameOverDifficulty(difficultyEl, label) {
+    if (!difficultyEl) return;
+    difficultyEl.classList.remove("hidden");
+    difficultyEl.textContent = `Difficulty: ${label}`;
+  }
+
+  /**
+   * Show a heading above the Game Over leaderboard, or hide it with null.
+   * @param {HTMLElement|null} titleEl
+   * @param {string|null} text
+   */
+  static setLeaderboardTitle(titleEl, text) {
+    if (!titleEl) return;
+    titleEl.classList.toggle("hidden", text === null);
+    titleEl.textContent = text || "";
+  }
+
+  /**
+   * Reflect the selected leaderboard period in the Game Over tabs and the button
+   * that toggles to the previous (archived) board. `view` null hides both, e.g.
+   * while a daily challenge board is shown.
+   * @param {HTMLElement|null} tabsEl
+   * @param {HTMLElement|null} prevBtn
+   * @param {{ period: string, previous: boolean }|null} view
+   */
+  static setLeaderboardTabs(tabsEl, prevBtn, view) {
+    if (tabsEl) {
+      tabsEl.classList.toggle("hidden", view === null);
+      tabsEl.querySelectorAll("[data-period]").forEach((tab) => {
+        const selected = !!view && /** @type {HTMLElement} */ (tab).dataset.period === view.period;
+        tab.setAttribute("aria-selected", String(selected));
+      });
+    }
+    if (prevBtn) {
+      prevBtn.classList.toggle("hidden", !view || view.period === "all");
+      if (!view || view.period === "all") return;
+      prevBtn.setAttribute("aria-pressed", String(view.previous));
+      const day = view.period === "day";
+      if (view.previous) prevBtn.textContent = day ? "Back to Today" : "Back to This Week";
+      else prevBtn.textContent = day ? "Yesterday's Winners" : "Last Week's Winners";
+    }
+  }
+
+  /**
+   * Show the paging controls of the all-time board for the page at `offset`, or hide
+   * them with null (other boards, or when everything fits on one page).
+   * @param {HTMLElement|null} pagerEl - Holds `[data-page="-1"]`/`[data-page="1"]`
+   *   buttons and a `.leaderboard-page-info` label.
+   * @param {{ offset: number, pageSize: number, total: number }|null} page
+   */
+  static setLeaderboardPager(pagerEl, page) {
+    if (!pagerEl) return;
+    const show = !!page && page.total > page.pageSize;
+    pagerEl.classList.toggle("hidden", !show);
+    if (!page || !show) return;
+    const last = Math.min(page.offset + page.pageSize, page.total);
+    const info = pagerEl.querySelector(".leaderboard-page-info");
+    if (info) {
+      info.textContent = `${page.offset + 1}–${last} of ${page.total.toLocaleString("en-US")}`;
+    }
+    pagerEl.querySelectorAll("[data-page]").forEach((btn) => {
+      const step = Number(/** @type {HTMLElement} */ (btn).dataset.page);
+      /** @type {HTMLButtonElement} */ (btn).disabled =
+        step < 0 ? page.offset <= 0 : last >= page.total;
+    });
+  }
+
+  /**
+   * Report where the just-submitted score placed above the Game Over leaderboard, or
+   * hide the line with null.
+   * @param {HTMLElement|null} placementEl
+   * @param {string|null} text
+   */
+  static setPlacement(placementEl, text) {
+    if (!placementEl) return;
+    placementEl.classList.toggle("hidden", text === null);
+    placementEl.textContent = text || "";
+  }
+
+  /**
+   * Show the player's personal best on the Game Over screen, or hide it with null.
+   * @param {HTMLElement|null} personalBestEl
+   * @param {string|null} text
+   */
+  static setPersonalBest(personalBestEl, text) {
+    if (!personalBestEl) return;
+    personalBestEl.classList.toggle("hidden", text === null);
+    personalBestEl.textContent = text || "";
+  }
+
   /** Try focusing an element reliably (helps on mobile).
    * @param {HTMLElement|null} el
    */
@@ -493,17 +730,19 @@ export class UIManager {
         !submitEl.classList.contains("hidden") &&
         (t === submitEl || (t && typeof t.closest === "function" && t.closest("#submitScoreBtn")));
 
-      // If the user is interacting with the initials input or submit button,
-      // don't yank focus back to the restart button.
-      if (!isRestart && !isInitials && !isSubmit) {
+      const isReplay = t && typeof t.closest === "function" && t.closest(".replay-actions");
+
+      // If the user is interacting with the initials input, submit button or
+      // replay controls, don't yank focus back to the restart button.
+      if (!isRestart && !isInitials && !isSubmit && !isReplay) {
         if (UIManager._preserveFocus) UIManager.focusPreserveScroll(restartBtn);
         else UIManager.focusWithRetry(restartBtn);
       }
       return;
     }
     if (overlayStartVisible) {
-      // Allow links (e.g. About) inside the overlay to receive focus via keyboard
-      const targetIsLink = t && typeof t.closest === "function" && t.closest("a");
+      // Allow links (e.g. About) and start options inside the overlay to receive focus via keyboard
+      const targetIsLink = t && typeof t.closest === "function" && t.closest("a, .start-options");
       if (targetIsLink) return;
       const isStart =
         t === startBtn || (t && typeof t.closest === "function" && t.closest("#startBtn"));
@@ -525,6 +764,7 @@ export class UIManager {
     // where focus moved. If focus moved to an anchor inside the overlay,
     // don't yank it back.
     const targetIsLink = t && typeof t.closest === "function" && t.closest("a");
+    const targetIsOption = t && typeof t.closest === "function" && t.closest(".start-options");
     const targetIsStart =
       t === startBtn || (t && typeof t.closest === "function" && t.closest("#startBtn"));
 
@@ -533,19 +773,20 @@ export class UIManager {
       const related = /** @type {HTMLElement|null} */ (
         (e && /** @type {any} */ (e).relatedTarget) || document.activeElement
       );
-      const movedToLink = related && typeof related.closest === "function" && related.closest("a");
+      const movedToLink =
+        related && typeof related.closest === "function" && related.closest("a, .start-options");
       const movedInsideOverlay = gameInfo && related && gameInfo.contains(related);
       if (movedToLink && movedInsideOverlay) {
-        // Allow tab/shift+tab to move focus to anchors inside the overlay.
+        // Allow tab/shift+tab to move focus to anchors and start options inside the overlay.
         return;
       }
     }
 
     // For non-blur interactions (mousedown/touchstart) allow interaction
-    // with links (e.g. About) inside the overlay. Otherwise prevent
+    // with links (e.g. About) and start options inside the overlay. Otherwise prevent
     // interaction with non-start targets and restore focus to the start
     // button.
-    if (targetIsLink) {
+    if (targetIsLink || targetIsOption) {
       return;
     }
     if (!targetIsStart) {
@@ -588,27 +829,58 @@ export class UIManager {
       !submitEl.classList.contains("hidden") &&
       (t === submitEl || (t && typeof t.closest === "function" && t.closest("#submitScoreBtn")));
 
+    const targetIsReplay = t && typeof t.closest === "function" && t.closest(".replay-actions");
+
     // Do not prevent default or stop propagation here: allow touch/scroll
     // interactions (e.g. scrolling the leaderboard) to continue. Only
     // ensure the restart button regains focus when appropriate. If the
-    // user is interacting with the initials input or submit button, or
-    // the restart button itself, do not yank focus.
-    if (targetIsRestart || targetIsInitials || targetIsSubmit) return;
+    // user is interacting with the initials input, submit button, replay
+    // controls or the restart button itself, do not yank focus.
+    if (targetIsRestart || targetIsInitials || targetIsSubmit || targetIsReplay) return;
 
     if (UIManager._preserveFocus) UIManager.focusPreserveScroll(restartBtn);
     else UIManager.focusWithRetry(restartBtn);
   }
 }
 
-// Listen for leaderboard updates (dispatched by LeaderboardManager.save) and
-// re-render the visible leaderboard list if present. Guarded so it only runs
+// Listen for leaderboard updates (dispatched by LeaderboardManager.save/_storeEntries) and
+// placements or rejections of submitted scores (LeaderboardManager.submit/submitDaily), and
+// update the visible leaderboard list if present. Guarded so it only runs
 // when a browser-like window/document exists.
 try {
   if (typeof window !== "undefined" && typeof window.addEventListener === "function") {
     window.addEventListener("leaderboard:updated", () => {
       try {
         const list = /** @type {HTMLElement|null} */ (document.getElementById("leaderboardList"));
-        if (list) LeaderboardManager.render(list);
+        // Only the current all-time, day and week boards change with a new score
+        const board = list ? list.dataset.board || "all" : null;
+        // Later pages of the all-time board ("all@<offset>") keep showing the page
+        if (list && board === "all") LeaderboardManager.render(list);
+        else if (list && (board === "day" || board === "week")) {
+          LeaderboardManager.renderPeriod(list, board);
+        }
+      } catch (_) {
+        /* ignore */
+      }
+    });
+    window.addEventListener("leaderboard:placed", (e) => {
+      try {
+        const detail = /** @type {CustomEvent} */ (e).detail;
+        UIManager.setPlacement(
+          document.getElementById("leaderboardPlacement"),
+          LeaderboardManager.placementText(detail)
+        );
+      } catch (_) {
+        /* ignore */
+      }
+    });
+    window.addEventListener("leaderboard:rejected", (e) => {
+      try {
+        const detail = /** @type {CustomEvent} */ (e).detail;
+        UIManager.setPlacement(
+          document.getElementById("leaderboardPlacement"),
+          LeaderboardManager.rejectionText(detail)
+        );
       } catch (_) {
         /* ignore */
       }
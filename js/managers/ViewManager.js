@@ -6,11 +6,17 @@ import { CONFIG, clamp } from "../constants.js";
 export class ViewManager {
   /**
    * Resize canvas and update view metrics and player spawn position.
-   * @param {{ canvas: HTMLCanvasElement, ctx: CanvasRenderingContext2D, view: {width:number,height:number,dpr:number}, player: { x:number,y:number,width:number,height:number}, canvasRect?: DOMRect, state: import('../core/GameStateMachine.js').GameStateMachine }} game - The game instance.
+   * The window size is kept within CONFIG.VIEW's range. A fixed `size`, or a window
+   * outside that range, is letterboxed: the canvas is scaled to fit the window and centered,
+   * and `view.scale` (CSS pixels per view pixel) lets pointer input map back to the
+   * view. Resizing to the view's current size leaves the player where it is.
+   * @param {{ canvas: HTMLCanvasElement, ctx: CanvasRenderingContext2D, view: {width:number,height:number,dpr:number,scale?:number}, player: { x:number,y:number,width:number,height:number}, canvasRect?: DOMRect, state: import('../core/GameStateMachine.js').GameStateMachine }} game - The game instance.
+   * @param {{width:number,height:number}|null} [size] - Fixed logical size (e.g. a replay's recorded view); defaults to the window size.
    */
-  static resize(game) {
+  static resize(game, size = null) {
     const { canvas, ctx, view, player } = game;
-    const wasRunning = game.state.isRunning();
+    // A paused run keeps its player position like a running one
+    const wasRunning = game.state.isRunning() || game.state.isPaused();
     const prevW = view.width || 0;
     const prevH = view.height || 0;
     let relCenterX = 0.5;
@@ -34,21 +40,34 @@ export class ViewManager {
     }
     const dpr = Math.max(CONFIG.VIEW.DPR_MIN, Math.min(CONFIG.VIEW.DPR_MAX, deviceDpr));
     view.dpr = dpr;
-    view.width = Math.round(window.innerWidth);
-    view.height = Math.round(window.innerHeight);
+    const { MIN_WIDTH, MIN_HEIGHT, MAX_WIDTH, MAX_HEIGHT } = CONFIG.VIEW;
+    view.width = size
+      ? Math.round(size.width)
+      : clamp(Math.round(window.innerWidth), MIN_WIDTH, MAX_WIDTH);
+    view.height = size
+      ? Math.round(size.height)
+      : clamp(Math.round(window.innerHeight), MIN_HEIGHT, MAX_HEIGHT);
+    const letterboxed = view.width !== window.innerWidth || view.height !== window.innerHeight;
+    const fit = Math.min(window.innerWidth / view.width, window.innerHeight / view.height);
+    const scale = letterboxed && fit > 0 && Number.isFinite(fit) ? fit : 1;
+    view.scale = scale;
 
-    canvas.style.width = view.width + "px";
-    canvas.style.height = view.height + "px";
+    canvas.style.width = Math.round(view.width * scale) + "px";
+    canvas.style.height = Math.round(view.height * scale) + "px";
+    canvas.style.margin = letterboxed ? "auto" : "";
     // Use rounded pixel sizes for backing store to avoid off-by-one reflows
-    canvas.width = Math.round(view.width * dpr);
-    canvas.height = Math.round(view.height * dpr);
-    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    canvas.width = Math.round(view.width * scale * dpr);
+    canvas.height = Math.round(view.height * scale * dpr);
+    ctx.setTransform(dpr * scale, 0, 0, dpr * scale, 0, 0);
 
     if (wasRunning && prevW > 0 && prevH > 0) {
-      const newCenterX = relCenterX * view.width;
-      const newBottom = relBottom * view.height;
-      player.x = clamp(newCenterX - player.width / 2, 0, view.width - player.width);
-      player.y = clamp(view.height - player.height - newBottom, 0, view.height - player.height);
+      // A pinned view doesn't change, so the player stays exactly where it is
+      if (prevW !== view.width || prevH !== view.height) {
+        const newCenterX = relCenterX * view.width;
+        const newBottom = relBottom * view.height;
+        player.x = clamp(newCenterX - player.width / 2, 0, view.width - player.width);
+        player.y = clamp(view.height - player.height - newBottom, 0, view.height - player.height);
+      }
     } else {
       player.x = view.width / 2 - player.width / 2;
       player.y = view.height - player.height - CONFIG.PLAYER.SPAWN_Y_OFFSET;
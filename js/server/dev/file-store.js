@@ -0,0 +1,56 @@
+import { readFile, writeFile } from "node:fs/promises";
+
+/**
+ * Leaderboard store (see LeaderboardStore in ../lambda/leaderboard-handler.js) kept in
+ * a JSON file, for the local dev server. The file maps leaderboard ids to items; ids
+ * with no item yet read as an empty board so a fresh file works straight away.
+ * @param {string} file - Path of the JSON file; created on the first write.
+ * @returns {import('../lambda/leaderboard-handler.js').LeaderboardStore}
+ */
+export function createFileStore(file) {
+  // Updates run one at a time so the version check and the write can't interleave
+  /** @type {Promise<unknown>} */
+  let queue = Promise.resolve();
+
+  /** @returns {Promise<Record<string, any>>} */
+  const readItems = async () => {
+    try {
+      const parsed = JSON.parse(await readFile(file, "utf8"));
+      return parsed && typeof parsed === "object" ? parsed : {};
+    } catch (error) {
+      if (error && /** @type {any} */ (error).code === "ENOENT") return {};
+      throw error;
+    }
+  };
+
+  return {
+    async getItem(id) {
+      const items = await readItems();
+      return items[id] || { id, scores: [] };
+    },
+
+    updateItem(id, changes, expectedVersion) {
+      const run = queue.then(async () => {
+        const items = await readItems();
+        const item = items[id] || { id, scores: [] };
+        const version = typeof item.version === "number" ? item.version : 0;
+        if (version !== expectedVersion) {
+          const error = new Error("The conditional request failed");
+          error.name = "ConditionalCheckFailedException";
+          throw error;
+        }
+        const { id: _id, version: _version, ...rest } = changes;
+        items[id] = {
+          ...item,
+          ...rest,
+          version: version + 1,
+          updatedAt: new Date().toISOString(),
+        };
+        await writeFile(file, `${JSON.stringify(items, null, 2)}\n`);
+        return items[id];
+      });
+      queue = run.catch(() => {});
+      return run;
+    },
+  };
+}
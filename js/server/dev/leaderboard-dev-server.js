@@ -0,0 +1,88 @@
+import { createServer } from "node:http";
+import { resolve } from "node:path";
+import { pathToFileURL } from "node:url";
+import { Initials } from "../../core/Initials.js";
+import { createHandler, RESPONSE_HEADERS } from "../lambda/leaderboard-handler.js";
+import { createFileStore } from "./file-store.js";
+
+export const DEFAULT_PORT = 8787;
+export const DEFAULT_FILE = "leaderboard-dev.json";
+
+/**
+ * Serve the leaderboard API locally: the Lambda's handler (GET/POST/PUT/DELETE, `?id=`
+ * and `?daily=`) on a JSON-file store, at `/leaderboard` on `port` (0 picks a free one).
+ * Every response carries the Lambda's CORS headers and OPTIONS preflights are
+ * answered, so the game can use it from any local origin (`?leaderboard=dev`).
+ * `blocklist` and `adminSecret` are passed to the handler (see HandlerOptions).
+ * @param {{ port?: number, file?: string, blocklist?: readonly string[], adminSecret?: string }} [options]
+ * @returns {Promise<{ url: string, close: () => Promise<void> }>} `url` is the
+ *   endpoint for leaderboard id 1.
+ */
+export function startDevServer({
+  port = DEFAULT_PORT,
+  file = DEFAULT_FILE,
+  blocklist,
+  adminSecret,
+} = {}) {
+  const handler = createHandler(createFileStore(resolve(file)), { blocklist, adminSecret });
+
+  const server = createServer(
+    /**
+     * @param {any} req
+     * @param {any} res
+     */
+    async (req, res) => {
+      const url = new URL(req.url || "/", "http://localhost");
+      if (url.pathname !== "/leaderboard") {
+        res.writeHead(404, RESPONSE_HEADERS);
+        res.end(JSON.stringify({ message: "Not found" }));
+        return;
+      }
+      if (req.method === "OPTIONS") {
+        res.writeHead(204, RESPONSE_HEADERS);
+        res.end();
+        return;
+      }
+      /** @type {string[]} */
+      const chunks = [];
+      req.setEncoding("utf8");
+      for await (const chunk of req) chunks.push(chunk);
+      const result = await handler({
+        httpMethod: req.method || "GET",
+        headers: req.headers,
+        queryStringParameters: Object.fromEntries(url.searchParams),
+        body: chunks.length ? chunks.join("") : null,
+      });
+      res.writeHead(result.statusCode, { ...RESPONSE_HEADERS, ...result.headers });
+      res.end(result.body);
+    }
+  );
+
+  return new Promise((resolveStart, rejectStart) => {
+    server.once("error", rejectStart);
+    server.listen(port, "127.0.0.1", () => {
+      const { port: actual } = server.address();
+      resolveStart({
+        url: `http://127.0.0.1:${actual}/leaderboard?id=1`,
+        close: () => new Promise((done) => server.close(() => done(undefined))),
+      });
+    });
+  });
+}
+
+// `node js/server/dev/leaderboard-dev-server.js` (npm run leaderboard:dev). PORT and
+// LEADERBOARD_FILE override the defaults; BLOCKED_INITIALS and
+// LEADERBOARD_ADMIN_SECRET work as on the Lambda.
+if (process.argv[1] && import.meta.url === pathToFileURL(resolve(process.argv[1])).href) {
+  const port = process.env.PORT ? Number(process.env.PORT) : DEFAULT_PORT;
+  startDevServer({
+    port,
+    file: process.env.LEADERBOARD_FILE || DEFAULT_FILE,
+    blocklist: Initials.parseList(process.env.BLOCKED_INITIALS),
+    adminSecret: process.env.LEADERBOARD_ADMIN_SECRET || undefined,
+  }).then(({ url }) => {
+    // The client's DEV_ENDPOINT assumes the default port
+    const param = port === DEFAULT_PORT ? "dev" : encodeURIComponent(url);
+    console.log(`Leaderboard dev server: ${url} (open the game with ?leaderboard=${param})`);
+  });
+}
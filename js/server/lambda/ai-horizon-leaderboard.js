@@ -1,5 +1,7 @@
 import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
 import { DynamoDBDocumentClient, GetCommand, UpdateCommand } from "@aws-sdk/lib-dynamodb";
+import { Initials } from "../../core/Initials.js";
+import { createHandler } from "./leaderboard-handler.js";
 
 const client = new DynamoDBClient({ region: "us-west-2" });
 const docClient = DynamoDBDocumentClient.from(client);
@@ -7,64 +9,17 @@ const docClient = DynamoDBDocumentClient.from(client);
 const TABLE_NAME = "ai-horizon-leaderboard";
 
 /**
- * Lambda handler
- * @param {{httpMethod:string,queryStringParameters?:Record<string,string>,body?:string}} event
+ * Lambda handler: the leaderboard API (see createHandler) on the DynamoDB table.
+ * BLOCKED_INITIALS (comma-separated) adds to the built-in initials blocklist, and
+ * LEADERBOARD_ADMIN_SECRET enables admin removal of entries.
  */
-export const handler = async (event) => {
-  try {
-    const { httpMethod, queryStringParameters, body } = event;
-    let response;
-    let updateData;
-
-    switch (httpMethod) {
-      case "GET":
-        if (queryStringParameters && queryStringParameters.id) {
-          response = await getItem(Number(queryStringParameters.id));
-        } else {
-          return { statusCode: 400, body: JSON.stringify({ message: "Missing id" }) };
-        }
-        break;
-
-      case "PUT":
-        if (!queryStringParameters || !queryStringParameters.id) {
-          return { statusCode: 400, body: JSON.stringify({ message: "Missing id" }) };
-        }
-        if (!body) {
-          return { statusCode: 400, body: JSON.stringify({ message: "Missing body" }) };
-        }
-        updateData = JSON.parse(body);
-        response = await updateItem(Number(queryStringParameters.id), updateData);
-        break;
-
-      default:
-        return {
-          statusCode: 405,
-          body: JSON.stringify({ message: "Method not allowed" }),
-        };
-    }
-
-    return {
-      statusCode: 200,
-      headers: {
-        "Content-Type": "application/json",
-        "Access-Control-Allow-Origin": "*",
-        "Access-Control-Allow-Methods": "GET, POST, PUT, DELETE",
-        "Access-Control-Allow-Headers": "Content-Type",
-      },
-      body: JSON.stringify(response),
-    };
-  } catch (error) {
-    console.error("Error:", error);
-    const message = error instanceof Error ? error.message : String(error);
-    return {
-      statusCode: 500,
-      body: JSON.stringify({
-        message: "Internal server error",
-        error: message,
-      }),
-    };
+export const handler = createHandler(
+  { getItem, updateItem },
+  {
+    blocklist: Initials.parseList(process.env.BLOCKED_INITIALS),
+    adminSecret: process.env.LEADERBOARD_ADMIN_SECRET || undefined,
   }
-};
+);
 
 /**
  * @param {number} id
@@ -88,15 +43,20 @@ async function getItem(id) {
 }
 
 /**
- * Update an item in the leaderboard table.
+ * Update an item in the leaderboard table. The write is conditional on the item's
+ * `version` still being `expectedVersion` (a missing version counts as 0) and bumps it,
+ * so a write based on an outdated read fails with ConditionalCheckFailedException
+ * instead of overwriting a newer board.
  * @param {number} id
  * @param {{[key:string]: any}} updateData
+ * @param {number} expectedVersion
  * @returns {Promise<{message:string,item:any}>}
  */
-async function updateItem(id, updateData) {
+async function updateItem(id, updateData, expectedVersion) {
   /** @type {{[key:string]: any}} */
   delete updateData.id;
 
+  delete updateData.version;
   updateData.updatedAt = new Date().toISOString();
 
   /** @type {string[]} */
@@ -115,6 +75,15 @@ async function updateItem(id, updateData) {
     expressionAttributeValues[attributeValue] = updateData[key];
   });
 
+  updateExpressions.push("#version = :nextVersion");
+  expressionAttributeNames["#version"] = "version";
+  expressionAttributeValues[":expectedVersion"] = expectedVersion;
+  expressionAttributeValues[":nextVersion"] = expectedVersion + 1;
+  const conditionExpression =
+    expectedVersion === 0
+      ? "attribute_exists(id) AND (attribute_not_exists(#version) OR #version = :expectedVersion)"
+      : "attribute_exists(id) AND #version = :expectedVersion";
+
   const params = {
     TableName: TABLE_NAME,
     Key: {
@@ -123,7 +92,7 @@ async function updateItem(id, updateData) {
     UpdateExpression: `SET ${updateExpressions.join(", ")}`,
     ExpressionAttributeNames: expressionAttributeNames,
     ExpressionAttributeValues: expressionAttributeValues,
-    ConditionExpression: "attribute_exists(id)",
+    ConditionExpression: conditionExpression,
     ReturnValues: "ALL_NEW",
   };
 
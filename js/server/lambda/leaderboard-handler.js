@@ -0,0 +1,731 @@
+import { DailyChallenge } from "../../core/DailyChallenge.js";
+import { DifficultyPreset } from "../../core/DifficultyPreset.js";
+import { Initials } from "../../core/Initials.js";
+import { LeaderboardPeriods } from "../../core/LeaderboardPeriods.js";
+import { SurvivalMode } from "../../core/SurvivalMode.js";
+import { RNG } from "../../utils/RNG.js";
+import {
+  insertDailyEntry,
+  insertEntry,
+  insertPeriodEntry,
+  removeEntry,
+  verifySubmission,
+} from "./verify-submission.js";
+
+// Entries on a board page (and on each day/week/daily challenge board)
+export const MAX_ENTRIES = 10;
+// All-time (and survival) scores kept in rank order, so players well outside the top
+// page still learn their rank. Every board of every preset lives in one item, so this
+// is sized for all of them, full and with the longest device IDs, to fit MAX_ITEM_BYTES
+export const RANKED_ENTRIES = 500;
+// DynamoDB's item size limit; writes of a larger item fail
+export const MAX_ITEM_BYTES = 400 * 1024;
+// Largest page GET returns
+const MAX_PAGE_SIZE = 100;
+// Conditional writes retried when another submission updated the board first
+const MAX_WRITE_ATTEMPTS = 5;
+
+/**
+ * @typedef {{httpMethod:string,headers?:Record<string,string|undefined>|null,queryStringParameters?:Record<string,string>|null,body?:string|null}} LeaderboardEvent
+ * @typedef {{statusCode:number,headers?:Record<string,string>,body:string}} LeaderboardResponse
+ * @typedef {import('../../core/LeaderboardPeriods.js').LeaderboardPeriod} LeaderboardPeriod
+ * @typedef {import('./verify-submission.js').LeaderboardEntry} LeaderboardEntry
+ */
+
+/**
+ * A board entry as responses show it: the stored device ID is replaced by `own`, set
+ * on entries submitted from the requesting device.
+ * @typedef {{id:string,score:number,own?:true}} PublicEntry
+ */
+
+/**
+ * Board a request reads or writes: a daily challenge board, the survival mode board,
+ * or the `key` board of a leaderboard period.
+ * @typedef {{ daily?: string, survival?: boolean, period: LeaderboardPeriod, key: string }} BoardTarget
+ */
+
+/** @type {BoardTarget} */
+const ALL_TIME = { period: "all", key: "all" };
+
+export const RESPONSE_HEADERS = {
+  "Content-Type": "application/json",
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, PUT, DELETE",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization, If-None-Match, X-Device-Id",
+  "Access-Control-Expose-Headers": "ETag",
+};
+
+/**
+ * Storage behind the leaderboard API: one item per leaderboard id holding the
+ * all-time `scores` (ranked, up to RANKED_ENTRIES) with the `total` number of scores
+ * ever ranked, the day/week `periods` boards, `daily` challenge boards, the
+ * `survival` board (ranked like `scores`) and a `version`. Those are the boards of the
+ * default difficulty preset; each other preset keeps its own set of them in a
+ * `<preset>Boards` object (e.g. `hardBoards`) on the same item (see presetStore).
+ * @typedef {Object} LeaderboardStore
+ * @property {(id:number) => Promise<any>} getItem - Resolve the item; reject when there
+ *   is no item for `id`.
+ * @property {(id:number, changes:{[key:string]: any}, expectedVersion:number) => Promise<any>} updateItem
+ *   Write `changes` and bump `version`, but only if the stored version is still
+ *   `expectedVersion` (missing counts as 0); otherwise reject with an error named
+ *   "ConditionalCheckFailedException".
+ */
+
+/**
+ * @typedef {Object} HandlerOptions
+ * @property {readonly string[]} [blocklist] - Initials refused on every board
+ *   (default Initials.BLOCKLIST).
+ * @property {string} [adminSecret] - Shared secret admins send as
+ *   `Authorization: Bearer <secret>` to remove entries. DELETE is disabled without it.
+ */
+
+/**
+ * Build the leaderboard API handler on top of `store`. The Lambda runs it against
+ * DynamoDB and the local dev server against a JSON file, so both speak the same API.
+ * POST expects a single submission `{ id, score, replay }`. The replay is re-simulated
+ * with the game's own core (bundled from js/core) and only the verified score is merged
+ * into the stored board; the response is `{ scores, rank, total, version }` with the
+ * top MAX_ENTRIES scores, the new score's 1-based rank (null when it didn't make the
+ * board) and how many scores the board ranks. The all-time board keeps
+ * RANKED_ENTRIES scores, the others MAX_ENTRIES.
+ * Rejected submissions get a 4xx with the reason in `message`.
+ * PUT `{ scores, version, submission }` saves from a board the client has already
+ * seen: `version` must echo the item's current `version` (returned by GET, POST and
+ * PUT). A stale or missing version gets 409 with the current `{ scores, version }` so
+ * the client can merge its submission into it and retry. The verified submission is
+ * what gets merged; the client's `scores` are never written as-is.
+ * Every accepted score goes on the all-time board and on the current day and week
+ * boards (see LeaderboardPeriods). `period=day|week|all` selects which of them GET
+ * returns (`{ period, key, current, scores, offset, total, version }`) and POST/PUT
+ * answer with; adding `key=` (e.g. `2026-10-17`, `2026-W41`) reads an archived board.
+ * Archived boards are read-only: writes naming one get 422. GET without `period`
+ * returns the all-time board as `{ scores, offset, total, version }`.
+ * GET returns one page of a board: `limit` entries (default MAX_ENTRIES, at most
+ * MAX_PAGE_SIZE) starting at the 0-based `offset`. GET responses carry an `ETag` of
+ * their body; a GET whose `If-None-Match` names the current one gets an empty 304, so
+ * clients can poll a board cheaply.
+ * With `daily=YYYY-MM-DD` in the query, GET, POST and PUT use that day's challenge
+ * board (`{ date, scores, offset, total, version }`) instead, and the replay must have been played on
+ * the day's seed. Daily submissions must carry a `device` ID, which gets one entry per day. With `mode=survival` they use the survival mode board
+ * (`{ mode, scores, offset, total, version }`); its replays must be survival runs, and
+ * survival runs go nowhere else. It has no daily or period boards.
+ * Every board exists once per difficulty preset: `difficulty=easy|hard` selects that
+ * preset's boards for any method (default `normal`), and replays must have been played
+ * on the preset whose boards they are submitted to.
+ * DELETE `{ id, score, by }` is for admins only (see HandlerOptions.adminSecret): it
+ * removes every matching entry from the day's challenge board with `daily=`, from the
+ * survival board with `mode=survival`, and otherwise from the all-time board and every
+ * day/week board, archived ones included.
+ * `by` names the admin and is logged with the removal. The response is
+ * `{ removed, scores, version }` for the board the query names, or 404 when no entry
+ * matched.
+ * Responses never include the device IDs stored with entries, so boards can't be used
+ * to follow a device or to submit under another's ID. Entries submitted from the
+ * requesting device (its `X-Device-Id` header, or a submission's `device`) are marked
+ * `own: true` instead (see PublicEntry).
+ * @param {LeaderboardStore} store
+ * @param {HandlerOptions} [options]
+ * @returns {(event:LeaderboardEvent) => Promise<LeaderboardResponse>}
+ */
+export function createHandler(store, { blocklist = Initials.BLOCKLIST, adminSecret } = {}) {
+  return async (event) => {
+    try {
+      const { httpMethod, queryStringParameters, body } = event;
+      let requester = headerOf(event, "X-Device-Id");
+      const period = (queryStringParameters && queryStringParameters.period) || "all";
+      if (!LeaderboardPeriods.isPeriod(period)) {
+        return {
+          statusCode: 400,
+          body: JSON.stringify({ message: `Unknown leaderboard period ${period}` }),
+        };
+      }
+      const currentKey = LeaderboardPeriods.key(period);
+      const key = (queryStringParameters && queryStringParameters.key) || currentKey;
+      if (!LeaderboardPeriods.isKey(period, key)) {
+        return {
+          statusCode: 400,
+          body: JSON.stringify({ message: `Bad ${period} leaderboard key ${key}` }),
+        };
+      }
+      const mode = queryStringParameters && queryStringParameters.mode;
+      if (mode !== undefined && mode !== SurvivalMode.ID) {
+        return {
+          statusCode: 400,
+          body: JSON.stringify({ message: `Unknown game mode ${mode}` }),
+        };
+      }
+      if (mode && (queryStringParameters.daily || period !== "all")) {
+        return {
+          statusCode: 400,
+          body: JSON.stringify({ message: "The survival board has no daily or period boards" }),
+        };
+      }
+      const difficulty =
+        (queryStringParameters && queryStringParameters.difficulty) || DifficultyPreset.DEFAULT;
+      if (!DifficultyPreset.isPreset(difficulty)) {
+        return {
+          statusCode: 400,
+          body: JSON.stringify({ message: `Unknown difficulty ${difficulty}` }),
+        };
+      }
+      const boards =
+        difficulty === DifficultyPreset.DEFAULT ? store : presetStore(store, difficulty);
+      const page = pageOf(queryStringParameters);
+      if (!page) {
+        return {
+          statusCode: 400,
+          body: JSON.stringify({
+            message: `offset must be a whole number and limit 1-${MAX_PAGE_SIZE}`,
+          }),
+        };
+      }
+      /** @type {BoardTarget} */
+      const target = { period, key, survival: !!mode };
+      let response;
+      let parsed;
+      let submission;
+      let verification;
+      let daily;
+      let expectedVersion;
+      let board;
+
+      switch (httpMethod) {
+        case "GET":
+          if (queryStringParameters && queryStringParameters.id) {
+            response = await boards.getItem(Number(queryStringParameters.id));
+            target.daily = queryStringParameters.daily;
+            board = boardOf(response, target);
+            response = {
+              scores: publicEntries(board.slice(page.offset, page.offset + page.limit), requester),
+              offset: page.offset,
+              total: totalOf(response, target),
+              version: versionOf(response),
+            };
+            if (target.daily) response = { date: target.daily, ...response };
+            else if (target.survival) response = { mode, ...response };
+            else if (queryStringParameters.period) {
+              response = { period, key, current: key === currentKey, ...response };
+            }
+          } else {
+            return { statusCode: 400, body: JSON.stringify({ message: "Missing id" }) };
+          }
+          break;
+
+        case "POST":
+        case "PUT":
+          if (!queryStringParameters || !queryStringParameters.id) {
+            return { statusCode: 400, body: JSON.stringify({ message: "Missing id" }) };
+          }
+          if (!body) {
+            return { statusCode: 400, body: JSON.stringify({ message: "Missing body" }) };
+          }
+          daily = queryStringParameters.daily;
+          if (daily && !DailyChallenge.isOpen(daily)) {
+            return {
+              statusCode: 422,
+              headers: RESPONSE_HEADERS,
+              body: JSON.stringify({ message: `Daily challenge ${daily} is closed` }),
+            };
+          }
+          if (!daily && key !== currentKey) {
+            return {
+              statusCode: 422,
+              headers: RESPONSE_HEADERS,
+              body: JSON.stringify({
+                message: `Leaderboard ${period} ${key} is archived and read-only`,
+              }),
+            };
+          }
+          target.daily = daily;
+          parsed = parseBody(body);
+          if (!parsed.ok) return malformedBody();
+          submission = parsed.value;
+          if (httpMethod === "PUT") {
+            expectedVersion = submission && submission.version;
+            submission = submission && submission.submission;
+          }
+          if (daily && !(submission && submission.device)) {
+            return {
+              statusCode: 400,
+              headers: RESPONSE_HEADERS,
+              body: JSON.stringify({ message: "Daily challenge submissions need a device ID" }),
+            };
+          }
+          verification = verifySubmission(
+            submission,
+            daily
+              ? { seed: DailyChallenge.seed(daily), blocklist, preset: difficulty }
+              : { blocklist, mode, preset: difficulty }
+          );
+          if (!verification.ok) {
+            console.warn("Rejected submission:", verification.message);
+            return {
+              statusCode: verification.statusCode,
+              headers: RESPONSE_HEADERS,
+              body: JSON.stringify({ message: verification.message }),
+            };
+          }
+          requester = verification.entry.device || requester;
+          if (httpMethod === "PUT") {
+            response = await insertIntoBoard(
+              boards,
+              Number(queryStringParameters.id),
+              verification.entry,
+              target,
+              typeof expectedVersion === "number" ? expectedVersion : -1
+            );
+            if (response.stale) {
+              return {
+                statusCode: 409,
+                headers: RESPONSE_HEADERS,
+                body: JSON.stringify({
+                  message: "Leaderboard changed, merge and retry",
+                  scores: publicEntries(response.scores.slice(0, MAX_ENTRIES), requester),
+                  version: response.version,
+                }),
+              };
+            }
+          } else {
+            response = await insertIntoBoard(
+              boards,
+              Number(queryStringParameters.id),
+              verification.entry,
+              target
+            );
+            if (response.stale) {
+              return {
+                statusCode: 503,
+                headers: RESPONSE_HEADERS,
+                body: JSON.stringify({ message: "Leaderboard is busy, please retry" }),
+              };
+            }
+          }
+          if (response.duplicate) {
+            return {
+              statusCode: 409,
+              headers: RESPONSE_HEADERS,
+              body: JSON.stringify({
+                message: `This device already has a score on the ${daily} daily challenge board`,
+                scores: publicEntries(response.scores.slice(0, MAX_ENTRIES), requester),
+                version: response.version,
+              }),
+            };
+          }
+          response = {
+            scores: publicEntries(response.scores.slice(0, MAX_ENTRIES), requester),
+            rank: response.rank,
+            total: response.total,
+            version: response.version,
+          };
+          break;
+
+        case "DELETE":
+          if (!adminSecret) {
+            return {
+              statusCode: 403,
+              headers: RESPONSE_HEADERS,
+              body: JSON.stringify({ message: "Entry removal is not enabled" }),
+            };
+          }
+          if (!secretMatches(bearerToken(event), adminSecret)) {
+            console.warn("Rejected entry removal: bad admin secret");
+            return {
+              statusCode: 401,
+              headers: RESPONSE_HEADERS,
+              body: JSON.stringify({ message: "Unauthorized" }),
+            };
+          }
+          if (!queryStringParameters || !queryStringParameters.id) {
+            return { statusCode: 400, body: JSON.stringify({ message: "Missing id" }) };
+          }
+          parsed = parseBody(body);
+          if (!parsed.ok) return malformedBody();
+          submission = parsed.value;
+          if (
+            !submission ||
+            typeof submission.id !== "string" ||
+            !Number.isInteger(submission.score) ||
+            typeof submission.by !== "string" ||
+            !submission.by.trim()
+          ) {
+            return {
+              statusCode: 400,
+              headers: RESPONSE_HEADERS,
+              body: JSON.stringify({ message: "Removal needs the entry's id and score, and by" }),
+            };
+          }
+          target.daily = queryStringParameters.daily;
+          response = await removeFromBoards(
+            boards,
+            Number(queryStringParameters.id),
+            { id: submission.id, score: submission.score },
+            target
+          );
+          if (response.stale) {
+            return {
+              statusCode: 503,
+              headers: RESPONSE_HEADERS,
+              body: JSON.stringify({ message: "Leaderboard is busy, please retry" }),
+            };
+          }
+          if (!response.removed) {
+            return {
+              statusCode: 404,
+              headers: RESPONSE_HEADERS,
+              body: JSON.stringify({ message: "No matching entry" }),
+            };
+          }
+          console.log(
+            `Leaderboard entry ${submission.id} ${submission.score} removed by ${submission.by.trim()}`,
+            {
+              leaderboard: Number(queryStringParameters.id),
+              daily: target.daily || null,
+              mode: mode || null,
+              difficulty,
+            }
+          );
+          response = {
+            removed: response.removed,
+            scores: publicEntries(response.scores.slice(0, MAX_ENTRIES), requester),
+            version: response.version,
+          };
+          break;
+
+        default:
+          return {
+            statusCode: 405,
+            body: JSON.stringify({ message: "Method not allowed" }),
+          };
+      }
+
+      const json = JSON.stringify(response);
+      if (httpMethod === "GET") {
+        const etag = etagOf(json);
+        // Bodies differ by requester (see PublicEntry)
+        const headers = { ...RESPONSE_HEADERS, ETag: etag, Vary: "X-Device-Id" };
+        if (headerOf(event, "If-None-Match") === etag) {
+          return { statusCode: 304, headers, body: "" };
+        }
+        return { statusCode: 200, headers, body: json };
+      }
+      return {
+        statusCode: 200,
+        headers: RESPONSE_HEADERS,
+        body: json,
+      };
+    } catch (error) {
+      console.error("Error:", error);
+      const message = error instanceof Error ? error.message : String(error);
+      return {
+        statusCode: 500,
+        body: JSON.stringify({
+          message: "Internal server error",
+          error: message,
+        }),
+      };
+    }
+  };
+}
+
+/**
+ * @typedef {Object} BoardWrite
+ * @property {boolean} stale - True when nothing was written; `scores` and `version`
+ *   are then the board as it currently stands.
+ * @property {LeaderboardEntry[]} scores
+ * @property {number|null} [rank]
+ * @property {number} [total] - Scores the board ranks (see totalOf).
+ * @property {number} version
+ * @property {boolean} [duplicate] - True when nothing was written because the
+ *   submitting device already has an entry on the daily board.
+ */
+
+/**
+ * Merge a verified entry into the stored board (or a daily board) without losing
+ * concurrent submissions: the write only succeeds if the item's `version` is still the
+ * one the merge started from. Without `expectedVersion` the board is re-read and merged
+ * again on conflicts; with it (a PUT echoing the version the client saw) there is a
+ * single attempt, and only if the stored version matches.
+ * @param {LeaderboardStore} store
+ * @param {number} id
+ * @param {LeaderboardEntry} entry
+ * @param {BoardTarget} target - Board whose new state and rank are returned. Scores
+ *   that aren't for a daily challenge or the survival board go on every current
+ *   period board.
+ * @param {number} [expectedVersion]
+ * @returns {Promise<BoardWrite>}
+ */
+async function insertIntoBoard(store, id, entry, target, expectedVersion) {
+  const attempts = typeof expectedVersion === "number" ? 1 : MAX_WRITE_ATTEMPTS;
+  let current = await store.getItem(id);
+  for (let attempt = 0; attempt < attempts; attempt++) {
+    const version = versionOf(current);
+    if (typeof expectedVersion === "number" && version !== expectedVersion) break;
+    /** @type {{[key:string]: any}} */
+    let changes;
+    let result;
+    if (target.daily) {
+      const merged = insertDailyEntry(current.daily, target.daily, entry, MAX_ENTRIES);
+      if (merged.duplicate) {
+        return { stale: false, duplicate: true, scores: merged.scores, rank: null, version };
+      }
+      changes = { daily: merged.boards };
+      result = { scores: merged.scores, rank: merged.rank, total: merged.scores.length };
+    } else if (target.survival) {
+      const merged = insertEntry(current.survival, entry, RANKED_ENTRIES);
+      changes = { survival: merged.scores };
+      result = { ...merged, total: merged.scores.length };
+    } else {
+      const allTime = insertEntry(current.scores, entry, RANKED_ENTRIES);
+      const periods = insertPeriodEntry(current.periods, entry, MAX_ENTRIES);
+      const total = totalOf(current, ALL_TIME) + 1;
+      changes = { scores: allTime.scores, total, periods: periods.periods };
+      if (target.period === "all") result = { ...allTime, total };
+      else {
+        const board = periods.results[target.period];
+        result = { ...board, total: board.scores.length };
+      }
+    }
+    try {
+      await store.updateItem(id, changes, version);
+      return { stale: false, ...result, version: version + 1 };
+    } catch (error) {
+      if (!error || /** @type {any} */ (error).name !== "ConditionalCheckFailedException") {
+        throw error;
+      }
+    }
+    current = await store.getItem(id);
+  }
+  return { stale: true, scores: boardOf(current, target), version: versionOf(current) };
+}
+
+/**
+ * Remove an entry from the boards it may be on (see createHandler's DELETE), with the
+ * same versioned retries as `insertIntoBoard`.
+ * @param {LeaderboardStore} store
+ * @param {number} id
+ * @param {LeaderboardEntry} entry
+ * @param {BoardTarget} target - A daily or the survival board, or the board whose new
+ *   state is returned after removing the entry from all the others.
+ * @returns {Promise<{ stale: boolean, removed: number, scores: LeaderboardEntry[], version: number }>}
+ */
+async function removeFromBoards(store, id, entry, target) {
+  let current = await store.getItem(id);
+  for (let attempt = 0; attempt < MAX_WRITE_ATTEMPTS; attempt++) {
+    const version = versionOf(current);
+    const item = JSON.parse(JSON.stringify(current));
+    let removed = 0;
+    /** @type {{[key:string]: any}} */
+    const changes = {};
+    if (target.daily) {
+      const result = removeEntry(boardOf(item, target), entry);
+      removed = result.removed;
+      changes.daily = { ...item.daily, [target.daily]: result.scores };
+    } else if (target.survival) {
+      const result = removeEntry(item.survival, entry);
+      removed = result.removed;
+      changes.survival = result.scores;
+    } else {
+      const allTime = removeEntry(item.scores, entry);
+      removed += allTime.removed;
+      changes.scores = allTime.scores;
+      changes.total = Math.max(0, totalOf(item, ALL_TIME) - allTime.removed);
+      const periods = item.periods && typeof item.periods === "object" ? item.periods : {};
+      for (const period of Object.keys(periods)) {
+        for (const key of Object.keys(periods[period] || {})) {
+          const result = removeEntry(periods[period][key], entry);
+          removed += result.removed;
+          periods[period][key] = result.scores;
+        }
+      }
+      changes.periods = periods;
+    }
+    const scores = boardOf({ ...item, ...changes }, target);
+    if (!removed) return { stale: false, removed, scores, version };
+    try {
+      await store.updateItem(id, changes, version);
+      return { stale: false, removed, scores, version: version + 1 };
+    } catch (error) {
+      if (!error || /** @type {any} */ (error).name !== "ConditionalCheckFailedException") {
+        throw error;
+      }
+    }
+    current = await store.getItem(id);
+  }
+  return { stale: true, removed: 0, scores: boardOf(current, target), version: versionOf(current) };
+}
+
+/**
+ * `store` as seen by a non-default difficulty preset: items read back as that preset's
+ * `<preset>Boards` object (with the item's `id` and `version`), and changes are written
+ * into it. Every write is based on the last read, as the handler's writes are; one
+ * made at another version fails as a conflict, like a stale write to the store would.
+ * @param {LeaderboardStore} store
+ * @param {import('../../core/DifficultyPreset.js').DifficultyPresetId} preset
+ * @returns {LeaderboardStore}
+ */
+function presetStore(store, preset) {
+  const attribute = `${preset}Boards`;
+  /** @type {{ version: number, boards: {[key:string]: any} } | null} */
+  let lastRead = null;
+  return {
+    async getItem(id) {
+      const item = await store.getItem(id);
+      const boards = item[attribute] && typeof item[attribute] === "object" ? item[attribute] : {};
+      lastRead = { version: versionOf(item), boards };
+      return { ...boards, id: item.id, version: item.version };
+    },
+    updateItem(id, changes, expectedVersion) {
+      if (!lastRead || lastRead.version !== expectedVersion) {
+        return Promise.reject(
+          Object.assign(new Error("Board changed since it was read"), {
+            name: "ConditionalCheckFailedException",
+          })
+        );
+      }
+      return store.updateItem(
+        id,
+        { [attribute]: { ...lastRead.boards, ...changes } },
+        expectedVersion
+      );
+    },
+  };
+}
+
+/**
+ * A request header's value (names are matched case-insensitively, as API Gateway
+ * passes them through as sent), or "" when it is missing.
+ * @param {LeaderboardEvent} event
+ * @param {string} name
+ * @returns {string}
+ */
+function headerOf(event, name) {
+  const headers = event.headers || {};
+  const key = Object.keys(headers).find((h) => h.toLowerCase() === name.toLowerCase());
+  return (key && headers[key]) || "";
+}
+
+/**
+ * `scores` as a response shows them (see PublicEntry).
+ * @param {LeaderboardEntry[]} scores
+ * @param {string} device - The requesting device's ID; "" when it sent none.
+ * @returns {PublicEntry[]}
+ */
+function publicEntries(scores, device) {
+  return scores.map((e) =>
+    device && e.device === device
+      ? { id: e.id, score: e.score, own: true }
+      : { id: e.id, score: e.score }
+  );
+}
+
+/**
+ * A request's JSON body (null when there is none), or `ok: false` when it isn't JSON.
+ * @param {string|null|undefined} body
+ * @returns {{ ok: true, value: any } | { ok: false }}
+ */
+function parseBody(body) {
+  try {
+    return { ok: true, value: body ? JSON.parse(body) : null };
+  } catch (_) {
+    return { ok: false };
+  }
+}
+
+/**
+ * 400 response for a request body that isn't valid JSON.
+ * @returns {{ statusCode: number, headers: Record<string, string>, body: string }}
+ */
+function malformedBody() {
+  return {
+    statusCode: 400,
+    headers: RESPONSE_HEADERS,
+    body: JSON.stringify({ message: "Request body is not valid JSON", error: "invalid_json" }),
+  };
+}
+
+/**
+ * Token from the request's `Authorization: Bearer <token>` header.
+ * @param {LeaderboardEvent} event
+ * @returns {string}
+ */
+function bearerToken(event) {
+  const match = /^Bearer\s+(.+)$/i.exec(headerOf(event, "Authorization"));
+  return match ? match[1].trim() : "";
+}
+
+/**
+ * Entity tag for a GET response body.
+ * @param {string} body
+ * @returns {string}
+ */
+function etagOf(body) {
+  return `"${RNG.hash(body).toString(16)}"`;
+}
+
+/**
+ * Compare a presented secret with the configured one in time that doesn't depend on
+ * where they first differ.
+ * @param {string} given
+ * @param {string} secret
+ * @returns {boolean}
+ */
+function secretMatches(given, secret) {
+  let diff = given.length ^ secret.length;
+  for (let i = 0; i < secret.length; i++) {
+    diff |= (given.charCodeAt(i) || 0) ^ secret.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+/**
+ * Version of a stored item; items written before versioning count as 0.
+ * @param {any} item
+ * @returns {number}
+ */
+function versionOf(item) {
+  return item && typeof item.version === "number" ? item.version : 0;
+}
+
+/**
+ * How many scores the `target` board ranks: every score the all-time board has
+ * taken (including ones since trimmed from `scores`), or the entries on any other
+ * board.
+ * @param {any} item
+ * @param {BoardTarget} target
+ * @returns {number}
+ */
+function totalOf(item, target) {
+  const board = boardOf(item, target);
+  if (target.daily || target.survival || target.period !== "all") return board.length;
+  return Math.max(item && typeof item.total === "number" ? item.total : 0, board.length);
+}
+
+/**
+ * Page a GET asks for (`offset`, `limit` query parameters).
+ * @param {Record<string,string>|null|undefined} query
+ * @returns {{ offset: number, limit: number }|null} Null when either is malformed.
+ */
+function pageOf(query) {
+  const offset = query && query.offset ? Number(query.offset) : 0;
+  const limit = query && query.limit ? Number(query.limit) : MAX_ENTRIES;
+  if (!Number.isInteger(offset) || offset < 0) return null;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) return null;
+  return { offset, limit };
+}
+
+/**
+ * The board `target` names in a stored item (empty when it has no scores yet).
+ * @param {any} item
+ * @param {BoardTarget} target
+ * @returns {LeaderboardEntry[]}
+ */
+function boardOf(item, target) {
+  let board;
+  if (!item) board = null;
+  else if (target.daily) board = item.daily && item.daily[target.daily];
+  else if (target.survival) board = item.survival;
+  else if (target.period === "all") board = item.scores;
+  else
+    board = item.periods && item.periods[target.period] && item.periods[target.period][target.key];
+  return Array.isArray(board) ? board : [];
+}
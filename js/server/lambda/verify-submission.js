@@ -0,0 +1,357 @@
+import { CONFIG } from "../../constants.js";
+import { DailyChallenge } from "../../core/DailyChallenge.js";
+import { Difficulty } from "../../core/Difficulty.js";
+import { DifficultyPreset } from "../../core/DifficultyPreset.js";
+import { Initials } from "../../core/Initials.js";
+import { LeaderboardPeriods } from "../../core/LeaderboardPeriods.js";
+import { ReplayFormat } from "../../core/ReplayFormat.js";
+import { Simulation } from "../../core/Simulation.js";
+import { SurvivalMode } from "../../core/SurvivalMode.js";
+import { BossManager } from "../../managers/BossManager.js";
+
+/**
+ * A board entry: initials, score and, when the client sent one, the anonymous ID of
+ * the device it was submitted from.
+ * @typedef {{id:string,score:number,device?:string}} LeaderboardEntry
+ */
+
+// Spawns are random per tick, so the score ceiling allows this many standard
+// deviations above the expected number of asteroids and stars in a run
+const SPAWN_SIGMAS = 8;
+// Anonymous device IDs clients attach to submissions (DeviceIdentity.PATTERN)
+const DEVICE_PATTERN = /^[a-z0-9-]{8,64}$/;
+
+/**
+ * @typedef {{ ok: true, entry: LeaderboardEntry } | { ok: false, statusCode: number, message: string }} VerificationResult
+ */
+
+/**
+ * Check a score submission by re-running its replay with the game's own simulation.
+ * The submission must look like `{ id, score, replay }` where `replay` is a replay
+ * file object (see ReplayFormat), plus an optional anonymous `device` ID that is kept
+ * with the entry. Only the score the re-simulation produces is ever
+ * returned for recording; any disagreement is a 4xx with a reason. Cheap checks run
+ * first: initials must be 1-3 capital letters not on the blocklist, the score a
+ * non-negative integer no higher than `maxPlausibleScore` for the replay's platform,
+ * mode and difficulty preset.
+ * @param {any} submission
+ * @param {{ seed?: number, blocklist?: readonly string[], mode?: import('../../types.js').GameMode, preset?: import('../../types.js').DifficultyPresetId }} [expect]
+ *   Seed the run must have used (daily challenge), blocked initials (default
+ *   Initials.BLOCKLIST), the mode it must have been played in (default "timed") and
+ *   its difficulty preset (default DifficultyPreset.DEFAULT).
+ * @returns {VerificationResult}
+ */
+export function verifySubmission(submission, expect = {}) {
+  if (!submission || typeof submission !== "object") {
+    return { ok: false, statusCode: 400, message: "Missing submission" };
+  }
+  const id = submission.id;
+  if (typeof id !== "string" || !Initials.PATTERN.test(id)) {
+    return { ok: false, statusCode: 400, message: "Initials must be 1-3 letters A-Z" };
+  }
+  if (Initials.isBlocked(id, expect.blocklist)) {
+    return { ok: false, statusCode: 422, message: `Initials ${id} are not allowed` };
+  }
+  const device = submission.device;
+  if (device !== undefined && (typeof device !== "string" || !DEVICE_PATTERN.test(device))) {
+    return { ok: false, statusCode: 400, message: "Malformed device ID" };
+  }
+  const claimed = submission.score;
+  if (!Number.isInteger(claimed) || claimed < 0) {
+    return {
+      ok: false,
+      statusCode: 400,
+      message: "Submission score must be a non-negative integer",
+    };
+  }
+  if (!submission.replay) {
+    return { ok: false, statusCode: 400, message: "Submission is missing its replay" };
+  }
+  const { recording, error } = ReplayFormat.read(submission.replay);
+  if (!recording) {
+    return { ok: false, statusCode: 422, message: error };
+  }
+  const survival = recording.mode === SurvivalMode.ID;
+  if (survival !== (expect.mode === SurvivalMode.ID)) {
+    return {
+      ok: false,
+      statusCode: 422,
+      message: survival
+        ? "Survival runs are ranked on the survival board"
+        : "Replay was not played in survival mode",
+    };
+  }
+  const preset = recording.preset || DifficultyPreset.DEFAULT;
+  const expectedPreset = expect.preset || DifficultyPreset.DEFAULT;
+  if (preset !== expectedPreset) {
+    return {
+      ok: false,
+      statusCode: 422,
+      message: `Replay was played on ${DifficultyPreset.settings(preset).label} difficulty, not ${DifficultyPreset.settings(expectedPreset).label}`,
+    };
+  }
+  const ceiling = survival
+    ? maxPlausibleScore(recording.isMobile, {
+        seconds: (recording.ticks * CONFIG.TIME.STEP_MS) / 1000,
+        asteroidFactor: SurvivalMode.MAX_SPAWN_FACTOR,
+        preset,
+      })
+    : maxPlausibleScore(recording.isMobile, { preset });
+  if (claimed > ceiling) {
+    return {
+      ok: false,
+      statusCode: 422,
+      message: `Submitted score ${claimed} is above the ${ceiling} possible in a ${recording.isMobile ? "mobile" : "desktop"} ${survival ? "survival " : ""}run`,
+    };
+  }
+  if (typeof expect.seed === "number" && recording.seed !== expect.seed >>> 0) {
+    return {
+      ok: false,
+      statusCode: 422,
+      message: "Replay was not played on the daily challenge seed",
+    };
+  }
+
+  const result = Simulation.replay(recording);
+  if (!result.ended) {
+    return {
+      ok: false,
+      statusCode: 422,
+      message: `Replay stops after ${result.ticks} ticks, before the run is over`,
+    };
+  }
+  if (!result.exhausted) {
+    return {
+      ok: false,
+      statusCode: 422,
+      message: `Run ended at tick ${result.ticks} but the replay continues to tick ${recording.ticks}`,
+    };
+  }
+  const score = Math.floor(result.score);
+  if (claimed !== score) {
+    return {
+      ok: false,
+      statusCode: 422,
+      message: `Submitted score ${claimed} does not match the replayed score ${score}`,
+    };
+  }
+
+  return { ok: true, entry: device ? { id, score, device } : { id, score } };
+}
+
+/**
+ * Highest score a run can plausibly reach on a platform: every asteroid shot and every
+ * star collected, with the number of each spawned during the run bounded well
+ * above what the spawn rates give (see SPAWN_SIGMAS), and bonus asteroids/stars
+ * assumed to come as early in their cadence as possible. The difficulty curves are
+ * taken at their peak for the whole run, and the spawn rates and timer are those of
+ * the run's difficulty preset. Every boss that arrives in time counts as defeated
+ * (see BossManager.maxPoints). Survival runs pass their length and the most their
+ * asteroid spawn rate can grow.
+ * @param {boolean} isMobile
+ * @param {{ seconds?: number, asteroidFactor?: number, preset?: import('../../types.js').DifficultyPresetId }} [run]
+ * @returns {number}
+ */
+export function maxPlausibleScore(isMobile, run = {}) {
+  const game = CONFIG.GAME;
+  const curves = CONFIG.DIFFICULTY;
+  const preset = DifficultyPreset.settings(run.preset || DifficultyPreset.DEFAULT);
+  const seconds = typeof run.seconds === "number" ? run.seconds : preset.timerSeconds;
+  const asteroids = maxSpawns(
+    (isMobile ? game.ASTEROID_SPAWN_RATE_MOBILE : game.ASTEROID_SPAWN_RATE_DESKTOP) *
+      (run.asteroidFactor || 1) *
+      Difficulty.peak(curves.ASTEROID_SPAWN_RATE) *
+      preset.asteroidSpawnRate,
+    seconds
+  );
+  const stars = maxSpawns(
+    (isMobile ? game.STAR_SPAWN_RATE_MOBILE : game.STAR_SPAWN_RATE_DESKTOP) * preset.starSpawnRate,
+    seconds
+  );
+  return (
+    cadencePoints(
+      asteroids,
+      Difficulty.cadence(
+        game.ASTEROID_NORMAL_BEFORE_INDESTRUCTIBLE | 0 || 10,
+        Difficulty.peak(curves.PLANET_FREQUENCY)
+      ),
+      game.ASTEROID_SCORE,
+      game.ASTEROID_SCORE_INDESTRUCTIBLE
+    ) +
+    cadencePoints(
+      stars,
+      Difficulty.cadence(
+        game.STAR_YELLOW_BEFORE_RED | 0 || 10,
+        Difficulty.peak(curves.RED_STAR_FREQUENCY)
+      ),
+      game.STAR_SCORE,
+      game.STAR_SCORE_RED
+    ) +
+    BossManager.maxPoints(seconds)
+  );
+}
+
+/**
+ * Upper bound on spawns at `rate` per second over `seconds`; never more than one
+ * per simulation tick.
+ * @param {number} rate
+ * @param {number} seconds
+ * @returns {number}
+ */
+function maxSpawns(rate, seconds) {
+  const expected = rate * seconds;
+  const ticks = Math.ceil((seconds * 1000) / CONFIG.TIME.STEP_MS);
+  return Math.min(ticks, Math.ceil(expected + SPAWN_SIGMAS * Math.sqrt(expected)));
+}
+
+/**
+ * Points for `count` objects where one bonus object follows every `regularBefore`
+ * regular ones.
+ * @param {number} count
+ * @param {number} regularBefore
+ * @param {number} points
+ * @param {number} bonusPoints
+ * @returns {number}
+ */
+function cadencePoints(count, regularBefore, points, bonusPoints) {
+  const bonus = Math.ceil(count / (regularBefore + 1));
+  return bonus * bonusPoints + (count - bonus) * points;
+}
+
+/**
+ * @typedef {{ scores: LeaderboardEntry[], rank: number|null }} InsertResult
+ */
+
+/**
+ * Insert a verified entry into the stored board and trim it to `maxEntries`.
+ * The stored board is the only source of other entries, so concurrent submissions
+ * can't drop each other's scores as long as each write starts from the latest board.
+ * @param {any} stored - Board currently in the table (array or JSON string).
+ * @param {LeaderboardEntry} entry - Verified entry to add.
+ * @param {number} [maxEntries]
+ * @returns {InsertResult} The new board and the entry's 1-based rank (null when it
+ *   didn't make the board).
+ */
+export function insertEntry(stored, entry, maxEntries = 10) {
+  const added = entryOf(entry);
+  const board = [...normalizeBoard(stored), added];
+  board.sort((a, b) => b.score - a.score || a.id.localeCompare(b.id));
+  const scores = board.slice(0, maxEntries);
+  const index = scores.indexOf(added);
+  return { scores, rank: index >= 0 ? index + 1 : null };
+}
+
+/**
+ * Insert a verified daily challenge entry into `date`'s board (as in `insertEntry`),
+ * dropping boards for days that no longer accept scores. A device gets one entry per
+ * day: if `entry.device` is already on the day's board, that board is left as it is
+ * and `duplicate` is set.
+ * @param {any} stored - Daily boards currently in the table, keyed by date.
+ * @param {string} date
+ * @param {LeaderboardEntry} entry - Verified entry to add.
+ * @param {number} [maxEntries]
+ * @param {Date} [now]
+ * @returns {InsertResult & { boards: Record<string, LeaderboardEntry[]>, duplicate: boolean }}
+ */
+export function insertDailyEntry(stored, date, entry, maxEntries = 10, now = new Date()) {
+  const storedBoards = stored && typeof stored === "object" ? stored : {};
+  /** @type {Record<string, LeaderboardEntry[]>} */
+  const boards = {};
+  for (const key of Object.keys(storedBoards)) {
+    if (key !== date && DailyChallenge.isOpen(key, now)) {
+      boards[key] = normalizeBoard(storedBoards[key]);
+    }
+  }
+  const board = normalizeBoard(storedBoards[date]);
+  if (entry.device && board.some((e) => e.device === entry.device)) {
+    boards[date] = board;
+    return { scores: board, rank: null, boards, duplicate: true };
+  }
+  const result = insertEntry(board, entry, maxEntries);
+  boards[date] = result.scores;
+  return { ...result, boards, duplicate: false };
+}
+
+/**
+ * Remove every entry matching `entry`'s initials and score from a stored board.
+ * @param {any} stored - Board currently in the table (array or JSON string).
+ * @param {LeaderboardEntry} entry
+ * @returns {{ scores: LeaderboardEntry[], removed: number }}
+ */
+export function removeEntry(stored, entry) {
+  const board = normalizeBoard(stored);
+  const scores = board.filter((e) => e.id !== entry.id || e.score !== entry.score);
+  return { scores, removed: board.length - scores.length };
+}
+
+/**
+ * Period boards as stored: `{ day: { [key]: board }, week: { [key]: board } }`.
+ * @typedef {Record<string, Record<string, LeaderboardEntry[]>>} PeriodBoards
+ */
+
+/**
+ * Insert a verified entry into the current day and week boards (as in `insertEntry`).
+ * Boards of earlier periods are kept untouched as archives, the newest
+ * LeaderboardPeriods.ARCHIVE_COUNT per period.
+ * @param {any} stored - Period boards currently in the table.
+ * @param {LeaderboardEntry} entry - Verified entry to add.
+ * @param {number} [maxEntries]
+ * @param {Date} [now]
+ * @returns {{ periods: PeriodBoards, results: Record<string, InsertResult> }} The boards
+ *   to store and, per period, the new current board and the entry's rank on it.
+ */
+export function insertPeriodEntry(stored, entry, maxEntries = 10, now = new Date()) {
+  const storedPeriods = stored && typeof stored === "object" ? stored : {};
+  /** @type {PeriodBoards} */
+  const periods = {};
+  /** @type {Record<string, InsertResult>} */
+  const results = {};
+  for (const period of LeaderboardPeriods.LIST) {
+    if (period === "all") continue;
+    const storedBoards =
+      storedPeriods[period] && typeof storedPeriods[period] === "object"
+        ? storedPeriods[period]
+        : {};
+    const current = LeaderboardPeriods.key(period, now);
+    const result = insertEntry(storedBoards[current], entry, maxEntries);
+    /** @type {Record<string, LeaderboardEntry[]>} */
+    const boards = {};
+    const keys = Object.keys(storedBoards)
+      .filter((key) => key !== current && LeaderboardPeriods.isKey(period, key) && key < current)
+      .sort()
+      .slice(-(LeaderboardPeriods.ARCHIVE_COUNT - 1));
+    for (const key of keys) boards[key] = normalizeBoard(storedBoards[key]);
+    boards[current] = result.scores;
+    periods[period] = boards;
+    results[period] = result;
+  }
+  return { periods, results };
+}
+
+/**
+ * @param {any} board
+ * @returns {LeaderboardEntry[]}
+ */
+function normalizeBoard(board) {
+  let arr = board;
+  if (typeof arr === "string") {
+    try {
+      arr = JSON.parse(arr);
+    } catch (_) {
+      arr = null;
+    }
+  }
+  if (!Array.isArray(arr)) return [];
+  return arr.map(entryOf);
+}
+
+/**
+ * @param {any} e - Stored or submitted entry.
+ * @returns {LeaderboardEntry}
+ */
+function entryOf(e) {
+  /** @type {LeaderboardEntry} */
+  const entry = { id: String((e && e.id) || ""), score: Number((e && e.score) || 0) };
+  if (e && typeof e.device === "string") entry.device = e.device;
+  return entry;
+}
@@ -22,14 +22,19 @@ export const EventHandlers = {
       /** @param {any} payload */
       events.on("bulletHitAsteroid", function (payload) {
         const { asteroid } = payload;
-        // Award points (special-case indestructible asteroids)
-        const add =
-          asteroid && asteroid.isIndestructible
+        // Award points (special-case indestructible asteroids and defeated bosses)
+        const isBoss = !!(asteroid && asteroid.isBoss);
+        const add = isBoss
+          ? CONFIG.BOSS.BONUS
+          : asteroid && asteroid.isIndestructible
             ? CONFIG.GAME.ASTEROID_SCORE_INDESTRUCTIBLE
             : CONFIG.GAME.ASTEROID_SCORE;
         game.score += add;
         // Create explosion and a colored score popup
         game.createExplosion(asteroid.x + asteroid.width / 2, asteroid.y + asteroid.height / 2);
+        if (isBoss && typeof game.createGoldBurst === "function") {
+          game.createGoldBurst(asteroid.x + asteroid.width / 2, asteroid.y + asteroid.height / 2);
+        }
         // Only show a score popup for indestructible asteroids
         if (asteroid && asteroid.isIndestructible && typeof game.createScorePopup === "function") {
           // Dramatic +100 popup: use asteroid's palette color when available (keeps theme consistent),
@@ -38,13 +43,13 @@ export const EventHandlers = {
           const baseColor = (pal && (pal.GRAD_MID || pal.GRAD_IN || pal.CRATER)) || "#ffd700";
           const opts = {
             color: baseColor,
-            fontSize: 20,
+            fontSize: isBoss ? 32 : 20,
             fontWeight: "700",
             glow: true,
             glowColor: baseColor,
-            glowBlur: 12,
+            glowBlur: isBoss ? 20 : 12,
             stroke: "rgba(0,0,0,0.85)",
-            maxLife: 1.2,
+            maxLife: isBoss ? 2 : 1.2,
           };
           game.createScorePopup(
             asteroid.x + asteroid.width / 2,
@@ -57,10 +62,21 @@ export const EventHandlers = {
       })
     );
 
-    // Player collides with asteroid → game over
+    // Player collides with asteroid → hull damage; game over (or a lost life in
+    // survival mode) once the hull is depleted
     unsubs.push(
-      events.on("playerHitAsteroid", () => {
-        game.gameOver();
+      events.on("playerHitAsteroid", (payload) => {
+        if (typeof game.playerHit === "function") game.playerHit(payload && payload.asteroid);
+        else game.gameOver();
+      })
+    );
+
+    // Player caught by a boss ring → fixed hull damage
+    unsubs.push(
+      events.on("playerHitRing", (payload) => {
+        if (typeof game.playerHit === "function") {
+          game.playerHit(payload && payload.ring, CONFIG.BOSS.RING.DAMAGE);
+        }
       })
     );
 
@@ -96,7 +112,7 @@ export const EventHandlers = {
       /** @param {any} payload */
       events.on("collectedStar", function (payload) {
         const { star } = payload;
-        const rng = game.rng;
+        const rng = game.fxRng || game.rng;
         for (let p = 0; p < CONFIG.STAR.PARTICLE_BURST; p++) {
           game.particles.push(
             game.particlePool.acquire(
@@ -1,6 +1,6 @@
 import { CONFIG } from "../constants.js";
 
-/** Move asteroids and release off-screen ones.
+/** Move asteroids and release off-screen ones (sideways too, for boss fragments).
  * @param {import('../types.js').SystemsGame} game
  * @param {number} [dtSec]
  */
@@ -8,7 +8,9 @@ export function updateAsteroids(game, dtSec = CONFIG.TIME.DEFAULT_DT) {
   for (let i = game.asteroids.length - 1; i >= 0; i--) {
     const asteroid = game.asteroids[i];
     asteroid.update(dtSec);
-    if (asteroid.y > game.view.height) {
+    const offSide =
+      asteroid.vx !== 0 && (asteroid.x + asteroid.width < 0 || asteroid.x > game.view.width);
+    if (asteroid.y > game.view.height || offSide) {
       const a = game.asteroids.splice(i, 1)[0];
       game.asteroidPool.release(a);
     }
@@ -36,7 +38,7 @@ export function updateBullets(game, dtSec = CONFIG.TIME.DEFAULT_DT) {
  */
 export function updateEngineTrail(game, dtSec = CONFIG.TIME.DEFAULT_DT) {
   if (game.state && typeof game.state.isRunning === "function" && game.state.isRunning()) {
-    game.engineTrail.add(game.player, game.rng);
+    game.engineTrail.add(game.player, game.fxRng || game.rng);
   }
   game.engineTrail.update(dtSec);
 }
@@ -85,3 +87,15 @@ export function updateStars(game, dtSec = CONFIG.TIME.DEFAULT_DT) {
     }
   }
 }
+
+/** Expand boss rings and drop the ones that have swept past the whole view.
+ * @param {{ view: import('../types.js').ViewSize, bossRings: import('../entities/BossRing.js').BossRing[] }} game
+ * @param {number} [dtSec]
+ */
+export function updateBossRings(game, dtSec = CONFIG.TIME.DEFAULT_DT) {
+  for (let i = game.bossRings.length - 1; i >= 0; i--) {
+    const ring = game.bossRings[i];
+    ring.update(dtSec);
+    if (ring.isPast(game.view)) game.bossRings.splice(i, 1);
+  }
+}
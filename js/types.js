@@ -8,7 +8,7 @@
 /** @typedef {{ nextFloat:()=>number, range?:(min:number,max:number)=>number }} RNGLike */
 
 /** Basic logical view size for the canvas. */
-/** @typedef {{ width:number, height:number, dpr?: number }} ViewSize */
+/** @typedef {{ width:number, height:number, dpr?: number, scale?: number }} ViewSize */
 
 /**
  * @typedef {Object} EntityLike
@@ -32,7 +32,13 @@
 /** @typedef {{
  *   bulletHitAsteroid: { asteroid: { x:number,y:number,width:number,height:number, getBounds?:()=>Rect }, bullet: { x:number,y:number,width:number,height:number, getBounds?:()=>Rect } },
  *   playerHitAsteroid: { asteroid: { x:number,y:number,width:number,height:number, getBounds?:()=>Rect } },
- *   collectedStar: { star: { x:number,y:number,width:number,height:number, getBounds?:()=>Rect, isRed?: boolean } }
+ *   playerHitRing: { ring: { x:number,y:number,width:number,height:number, getBounds?:()=>Rect } },
+ *   collectedStar: { star: { x:number,y:number,width:number,height:number, getBounds?:()=>Rect, isRed?: boolean } },
+ *   scoreChanged: { score:number },
+ *   timerChanged: { remaining:number },
+ *   livesChanged: { lives:number },
+ *   hullChanged: { hull:number, max:number },
+ *   gameOver: { score:number }
  * }} GameEventMap */
 /** Event names emitted by the game. */
 /** @typedef {keyof GameEventMap} GameEvent */
@@ -59,6 +65,33 @@
 /** @typedef {import('./core/GameLoop.js').GameLoop} GameLoop */
 /** @typedef {import('./core/GameStateMachine.js').GameStateMachine} GameStateMachine */
 
+/**
+ * One recorded input delta. Only the fields that changed since the previous tick are present.
+ * `k` key changes, `m` mouse/touch position, `f` fire held, `s` fire presses since the last tick.
+ * @typedef {{ t:number, k?:Record<string,boolean>, m?:[number,number], f?:boolean, s?:number }} InputFrame
+ */
+
+/**
+ * A recorded run: the gameplay seed plus everything needed to feed the same inputs back.
+ * @typedef {Object} InputRecording
+ * @property {number} seed
+ * @property {number} ticks
+ * @property {{ width:number, height:number } | null} view
+ * @property {boolean} isMobile
+ * @property {InputFrame[]} frames
+ * @property {GameMode} [mode] - Set for survival runs; runs without it are timed.
+ * @property {DifficultyPresetId} [preset] - Set for runs not played on the default
+ *   (Normal) difficulty.
+ */
+
+/** @typedef {import('./core/DifficultyPreset.js').DifficultyPresetId} DifficultyPresetId */
+
+/**
+ * How a run is played: against the clock with one life ("timed"), or without a timer
+ * on several lives (see SurvivalMode).
+ * @typedef {"timed"|"survival"} GameMode
+ */
+
 /** Pre-rendered sprite atlas surfaces used by RenderManager. */
 /** @typedef {{ bullet: HTMLCanvasElement, bulletTrail: number, star: HTMLCanvasElement, starRed: HTMLCanvasElement, starBaseSize: number }} SpriteAtlas */
 
@@ -120,6 +153,7 @@
  * @property {ObjectPoolOf<Explosion>} explosionPool
  * @property {EngineTrail} engineTrail
  * @property {RNGLike} rng
+ * @property {RNGLike} [fxRng] - Cosmetic stream (trail jitter); falls back to `rng`.
  * @property {GameStateMachine=} state
  * @property {Asteroid[]} asteroids
  * @property {Bullet[]} bullets
@@ -136,6 +170,8 @@
  * @property {Bullet[]} bullets
  * @property {Star[]} stars
  * @property {Player} player
+ * @property {import('./entities/BossPlanet.js').BossPlanet | null=} boss - Boss being fought, if any.
+ * @property {import('./entities/BossRing.js').BossRing[]=} bossRings - Rings the boss has sent out.
  * @property {ObjectPoolOf<Bullet>=} bulletPool
  * @property {ObjectPoolOf<Asteroid>=} asteroidPool
  * @property {ObjectPoolOf<Star>=} starPool
@@ -143,6 +179,7 @@
  * @property {ObjectPoolOf<Particle>} particlePool
  * @property {RNGLike} rng
  * @property {EventBusish=} events
+ * @property {(() => boolean)=} isInvulnerable - True while asteroids can't hit the player.
  */
 
 /**
@@ -171,5 +208,41 @@
  * @property {()=>void} handleScroll
  */
 
+/**
+ * Handlers expected by InputManager.setupReplay
+ * @typedef {Object} ReplayControlHandlers
+ * @property {()=>void} handleDownloadReplay
+ * @property {()=>void} handleLoadReplayClick
+ * @property {()=>void} handleReplayFileChange
+ * @property {()=>void} handleScrubberInput
+ * @property {()=>void} handleScrubberChange
+ */
+
+/**
+ * Read-only snapshot of the playfield handed to a pilot each tick (CSS pixels, speeds in px/s).
+ * @typedef {Object} PilotObservation
+ * @property {{ width:number, height:number }} view
+ * @property {Rect & { speed:number }} player
+ * @property {ReadonlyArray<Rect & { speed:number, indestructible:boolean }>} asteroids
+ * @property {ReadonlyArray<Rect & { speed:number, red:boolean }>} stars
+ * @property {number} timerRemaining - Seconds left in the run (Infinity in survival mode).
+ * @property {number} hull - Hull integrity left, from 0 to 1.
+ * @property {number} lives - Lives left, counting the current one.
+ * @property {number} score
+ */
+
+/**
+ * Controls a pilot wants held for the next tick. Written into InputState as arrow keys and fire.
+ * @typedef {{ left?:boolean, right?:boolean, up?:boolean, down?:boolean, fire?:boolean }} PilotAction
+ */
+
+/**
+ * Anything that can fly the ship: receives an observation each tick and returns an action.
+ * @typedef {Object} PilotController
+ * @property {string} name
+ * @property {(observation: PilotObservation) => PilotAction} act
+ * @property {() => void} [reset] - Called when a new run starts.
+ */
+
 // Make this a module so JSDoc import('...') works without affecting runtime
 export {};
@@ -13,12 +13,18 @@ export class RNG {
   /** Create a RNG from a string (hashed to u32). */
   /** @param {string} str */
   static fromString(str) {
-    let h = 2166136261 >>> 0; // FNV-1a
+    return new RNG(RNG.hash(str));
+  }
+
+  /** Hash a string to a u32 seed (FNV-1a). */
+  /** @param {string} str @returns {number} */
+  static hash(str) {
+    let h = 2166136261 >>> 0;
     for (let i = 0; i < str.length; i++) {
       h ^= str.charCodeAt(i);
       h = Math.imul(h, 16777619);
     }
-    return new RNG(h >>> 0);
+    return h >>> 0;
   }
 
   /** Returns a float in (0, 1). */
@@ -52,6 +58,33 @@ export class RNG {
     return this.nextFloat() < 0.5 ? -1 : 1;
   }
 
+  /**
+   * Seed for the substream `name` of `seed`. Different names give unrelated sequences,
+   * so each consumer can draw as much as it likes without shifting the others.
+   * @param {number} seed
+   * @param {string} name
+   * @returns {number}
+   */
+  static deriveSeed(seed, name) {
+    // murmur3 finalizer over seed ^ hash(name) to decorrelate nearby seeds
+    let h = ((seed >>> 0) ^ RNG.hash(name)) >>> 0;
+    h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+    h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+    return (h ^ (h >>> 16)) >>> 0;
+  }
+
+  /** Current generator state; pass it to `setState` to resume the same sequence. */
+  /** @returns {number} */
+  getState() {
+    return this._s >>> 0;
+  }
+
+  /** Restore a state captured with `getState`. */
+  /** @param {number} state */
+  setState(state) {
+    this._s = state >>> 0;
+  }
+
   /** Replace the seed. */
   /** @param {number} seed */
   reseed(seed) {
@@ -0,0 +1,53 @@
+import { RNG } from "./RNG.js";
+
+/** @typedef {{ gameplay:number, fx:number, background:number }} RandomStreamsState */
+
+/**
+ * Independent named RNG streams derived from one master seed:
+ * - `gameplay`: spawns and anything else that changes the outcome of a run
+ * - `fx`: cosmetic effects (particles, engine trail, asteroid craters and cracks)
+ * - `background`: starfield and nebula
+ * Drawing from `fx` or `background` never moves `gameplay`, so visual tweaks keep
+ * a seed's asteroids and stars exactly where they were.
+ */
+export class RandomStreams {
+  static NAMES = Object.freeze(/** @type {const} */ (["gameplay", "fx", "background"]));
+
+  /**
+   * @param {number} [seed] - Master seed; a non-deterministic one is chosen when omitted.
+   */
+  constructor(seed) {
+    this.seed = RNG._seed32(seed);
+    this.gameplay = new RNG(RNG.deriveSeed(this.seed, "gameplay"));
+    this.fx = new RNG(RNG.deriveSeed(this.seed, "fx"));
+    this.background = new RNG(RNG.deriveSeed(this.seed, "background"));
+  }
+
+  /**
+   * Reseed every stream from a new master seed. The RNG objects are kept, so
+   * references held elsewhere stay valid.
+   * @param {number} seed
+   */
+  reseed(seed) {
+    this.seed = seed >>> 0;
+    for (const name of RandomStreams.NAMES) {
+      this[name].reseed(RNG.deriveSeed(this.seed, name));
+    }
+  }
+
+  /** @returns {RandomStreamsState} */
+  getState() {
+    return {
+      gameplay: this.gameplay.getState(),
+      fx: this.fx.getState(),
+      background: this.background.getState(),
+    };
+  }
+
+  /** @param {RandomStreamsState} state */
+  setState(state) {
+    for (const name of RandomStreams.NAMES) {
+      this[name].setState(state[name]);
+    }
+  }
+}
@@ -30,6 +30,22 @@ export class RateLimiter {
     return false;
   }
 
+  /**
+   * Time (ms, on the limiter's clock) from which the next call is allowed.
+   * @returns {number}
+   */
+  getState() {
+    return this._nextAt;
+  }
+
+  /**
+   * Restore a value returned by `getState`.
+   * @param {number} nextAt
+   */
+  setState(nextAt) {
+    this._nextAt = nextAt;
+  }
+
   /** Reset the limiter to allow an immediate next call. */
   reset() {
     this._nextAt = 0;
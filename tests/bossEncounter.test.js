@@ -0,0 +1,145 @@
+// @ts-check
+import { describe, expect, it } from "vitest";
+import { CONFIG } from "../js/constants.js";
+import { Simulation } from "../js/core/Simulation.js";
+import { BossPlanet } from "../js/entities/BossPlanet.js";
+import { BossRing } from "../js/entities/BossRing.js";
+import { BossManager } from "../js/managers/BossManager.js";
+
+/**
+ * A started simulation with the first boss in place and fighting.
+ * @param {number} seed
+ */
+function fighting(seed) {
+  const sim = new Simulation({ seed });
+  sim.start(seed);
+  sim.timeSec = CONFIG.BOSS.AT_SECONDS[0];
+  BossManager.update(sim);
+  const boss = /** @type {BossPlanet} */ (sim.boss);
+  boss.y = CONFIG.BOSS.HOVER_Y;
+  boss.stage = "fighting";
+  return { sim, boss };
+}
+
+/**
+ * A bullet-sized rect centered on (x, y).
+ * @param {number} x
+ * @param {number} y
+ */
+function bulletAt(x, y) {
+  const { WIDTH, HEIGHT } = CONFIG.BULLET;
+  return { x: x - WIDTH / 2, y: y - HEIGHT / 2, width: WIDTH, height: HEIGHT };
+}
+
+describe("boss encounters", () => {
+  it("bring a boss planet in at each scripted time and send it away when time is up", () => {
+    const sim = new Simulation({ seed: 2 });
+    sim.start(2);
+    sim.timeSec = CONFIG.BOSS.AT_SECONDS[0] - 1;
+    BossManager.update(sim);
+    expect(sim.boss).toBeNull();
+
+    sim.timeSec = CONFIG.BOSS.AT_SECONDS[0];
+    BossManager.update(sim);
+    const boss = /** @type {BossPlanet} */ (sim.boss);
+    expect(boss).toBeInstanceOf(BossPlanet);
+    expect(sim.bossEncounters).toBe(1);
+    expect(boss._palette).toBe(CONFIG.COLORS.ASTEROID_PLANETS[0]);
+    expect(boss.stage).toBe("entering");
+
+    for (let i = 0; i < 60 * 10 && boss.stage === "entering"; i++) BossManager.update(sim);
+    expect(boss.stage).toBe("fighting");
+    expect(boss.y).toBe(CONFIG.BOSS.HOVER_Y);
+
+    const steps = Math.ceil((CONFIG.BOSS.STAY_SECONDS + 10) * 60);
+    for (let i = 0; i < steps && sim.boss; i++) BossManager.update(sim);
+    expect(sim.boss).toBeNull();
+    // Undamaged, it stayed in its first phase and only sprayed fragments
+    const sprays = Math.floor(CONFIG.BOSS.STAY_SECONDS / CONFIG.BOSS.PHASES[0].ATTACK_SECONDS);
+    expect(sim.asteroids.filter((a) => a.vx !== 0)).toHaveLength(
+      sprays * CONFIG.BOSS.FRAGMENT.COUNT
+    );
+    expect(sim.bossRings).toHaveLength(0);
+  });
+
+  it("take extra damage on weak points and move through their phases", () => {
+    const { boss } = fighting(3);
+    const [weak] = boss.weakPoints();
+    boss.onBulletHit(bulletAt(weak.x + weak.width / 2, weak.y + weak.height / 2));
+    expect(boss._hits).toBe(CONFIG.BOSS.WEAK_POINT_DAMAGE);
+    boss.onBulletHit(bulletAt(boss.x + boss.width / 2, boss.y + 10));
+    expect(boss._hits).toBe(CONFIG.BOSS.WEAK_POINT_DAMAGE + 1);
+    expect(boss._damageLines.length).toBe(2);
+
+    boss.attackIndex = 3;
+    while (boss.phaseIndex() === 0) boss.onBulletHit();
+    expect(boss.phase()).toBe(CONFIG.BOSS.PHASES[1]);
+    expect(boss.attackIndex).toBe(0);
+    expect(boss.weakPoints()).toHaveLength(CONFIG.BOSS.PHASES[1].WEAK_POINTS.length);
+
+    // The second phase attacks with rings
+    const { sim } = fighting(3);
+    /** @type {BossPlanet} */ (sim.boss)._hits = CONFIG.BOSS.PHASES[0].HITS;
+    for (let i = 0; i < CONFIG.BOSS.PHASES[1].ATTACK_SECONDS * 60 + 1; i++) BossManager.update(sim);
+    expect(sim.bossRings).toHaveLength(1);
+  });
+
+  it("award the boss bonus when the last hit lands", () => {
+    const { sim, boss } = fighting(4);
+    boss._hits = boss.maxHits - 1;
+    const before = sim.score;
+    const bullet = sim.createBullet();
+    Object.assign(bullet, bulletAt(boss.x + boss.width / 2, boss.y + boss.height / 2));
+    sim.bullets.push(bullet);
+    sim.checkCollisions();
+    expect(sim.boss).toBeNull();
+    expect(sim.bullets).not.toContain(bullet);
+    expect(sim.score - before).toBe(CONFIG.BOSS.BONUS);
+  });
+
+  it("sweep rings that damage the ship except through their gap", () => {
+    const ring = new BossRing(400, 100, 100, Math.PI / 2, "#fff");
+    const size = CONFIG.SIZES.PLAYER;
+    /** @param {number} angle */
+    const shipAt = (angle) => ({
+      x: 400 + Math.cos(angle) * 100 - size / 2,
+      y: 100 + Math.sin(angle) * 100 - size / 2,
+      width: size,
+      height: size,
+    });
+    expect(ring.hits(shipAt(0))).toBe(true);
+    expect(ring.hits(shipAt(Math.PI / 2))).toBe(false);
+    ring.update(1);
+    expect(ring.radius).toBe(100 + CONFIG.BOSS.RING.SPEED);
+    expect(ring.hits(shipAt(0))).toBe(false);
+
+    const { sim } = fighting(5);
+    const hullBefore = sim.player.hull;
+    const p = sim.player;
+    const hit = new BossRing(p.x + p.width / 2 - 100, p.y + p.height / 2, 100, Math.PI, "#fff");
+    sim.bossRings.push(hit);
+    sim.checkCollisions();
+    expect(hit.spent).toBe(true);
+    expect(sim.player.hull).toBe(hullBefore - CONFIG.BOSS.RING.DAMAGE);
+  });
+
+  it("are saved with the run and replay identically after a restore", () => {
+    const sim = new Simulation({ seed: 9 });
+    sim.start(9);
+    sim.player.invulnerableUntil = 1e9;
+    sim.input.fireHeld = true;
+    while (sim.timeSec < CONFIG.BOSS.AT_SECONDS[0] + 12) sim.step();
+    expect(sim.boss).not.toBeNull();
+
+    const copy = new Simulation({ seed: 1 });
+    copy.restore(JSON.parse(JSON.stringify(sim.snapshot())));
+    copy.state.start();
+    copy.input.fireHeld = true;
+    expect(copy.bossEncounters).toBe(1);
+    for (let i = 0; i < 600; i++) {
+      sim.step();
+      copy.step();
+    }
+    expect(copy.snapshot()).toEqual(sim.snapshot());
+  });
+});
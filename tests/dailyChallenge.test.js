@@ -0,0 +1,158 @@
+// @ts-check
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { DailyChallenge } from "../js/core/DailyChallenge.js";
+import { DailyChallengeManager } from "../js/managers/DailyChallengeManager.js";
+import { DeviceIdentity } from "../js/managers/DeviceIdentity.js";
+import LeaderboardManager from "../js/managers/LeaderboardManager.js";
+import { RNG } from "../js/utils/RNG.js";
+import { createHandler } from "../js/server/lambda/leaderboard-handler.js";
+import { insertDailyEntry, verifySubmission } from "../js/server/lambda/verify-submission.js";
+import { recordRun, submission } from "./helpers.js";
+
+describe("DailyChallenge", () => {
+  it("derives one seed per UTC day, matching the hashed URL seed", () => {
+    const lateEvening = new Date("2026-10-18T23:59:59Z");
+    const nextMorning = new Date("2026-10-19T00:00:01Z");
+    expect(DailyChallenge.dateKey(lateEvening)).toBe("2026-10-18");
+    expect(DailyChallenge.dateKey(nextMorning)).toBe("2026-10-19");
+    expect(DailyChallenge.seed("2026-10-18")).toBe(RNG.hash("daily-2026-10-18"));
+    expect(DailyChallenge.seed("2026-10-18")).not.toBe(DailyChallenge.seed("2026-10-19"));
+  });
+
+  it("keeps a board open for today and yesterday only", () => {
+    const now = new Date("2026-10-18T12:00:00Z");
+    expect(DailyChallenge.isOpen("2026-10-18", now)).toBe(true);
+    expect(DailyChallenge.isOpen("2026-10-17", now)).toBe(true);
+    expect(DailyChallenge.isOpen("2026-10-16", now)).toBe(false);
+    expect(DailyChallenge.isOpen("2026-10-19", now)).toBe(false);
+    expect(DailyChallenge.isOpen("2026-02-30", now)).toBe(false);
+  });
+});
+
+describe("daily submissions", () => {
+  const date = "2026-10-18";
+  const daily = recordRun(DailyChallenge.seed(date), { weave: 50 });
+
+  it("must be played on the day's seed", () => {
+    const daySeed = { seed: DailyChallenge.seed(date) };
+    const ok = verifySubmission({ id: "DAY", score: daily.score, replay: daily.replay }, daySeed);
+    expect(ok).toEqual({ ok: true, entry: { id: "DAY", score: daily.score } });
+
+    const other = recordRun(7, { weave: 50 });
+    const wrong = verifySubmission(
+      { id: "DAY", score: other.score, replay: other.replay },
+      daySeed
+    );
+    expect(wrong).toMatchObject({ ok: false, statusCode: 422 });
+    if (!wrong.ok) expect(wrong.message).toMatch(/daily challenge seed/);
+  });
+
+  it("go to the day's board and drop closed days", () => {
+    const now = new Date("2026-10-18T12:00:00Z");
+    const stored = {
+      "2026-10-10": [{ id: "OLD", score: 900 }],
+      "2026-10-17": [{ id: "YES", score: 50 }],
+      [date]: [{ id: "AAA", score: 40 }],
+    };
+    const { boards, rank } = insertDailyEntry(stored, date, { id: "NEW", score: 60 }, 10, now);
+    expect(rank).toBe(1);
+    expect(boards).toEqual({
+      "2026-10-17": [{ id: "YES", score: 50 }],
+      [date]: [
+        { id: "NEW", score: 60 },
+        { id: "AAA", score: 40 },
+      ],
+    });
+  });
+
+  it("take one entry per device and day", async () => {
+    const now = new Date("2026-10-18T12:00:00Z");
+    const stored = { [date]: [{ id: "AAA", score: 40, device: "device-one" }] };
+    const again = insertDailyEntry(
+      stored,
+      date,
+      { id: "AAA", score: 900, device: "device-one" },
+      10,
+      now
+    );
+    expect(again).toMatchObject({ duplicate: true, rank: null });
+    expect(again.boards[date]).toEqual(stored[date]);
+    const other = insertDailyEntry(
+      stored,
+      date,
+      { id: "BBB", score: 50, device: "device-two" },
+      10,
+      now
+    );
+    expect(other).toMatchObject({ duplicate: false, rank: 1 });
+
+    // The API refuses the second daily submission from a device
+    const today = DailyChallenge.dateKey(new Date());
+    const run = {
+      ...submission("DAY", DailyChallenge.seed(today), { weave: 50 }),
+      device: "device-one",
+    };
+    /** @type {Record<string, any>} */
+    const item = { id: 1, scores: [] };
+    const handler = createHandler({
+      getItem: async () => JSON.parse(JSON.stringify(item)),
+      updateItem: async (_id, changes, expectedVersion) => {
+        Object.assign(item, changes, { version: expectedVersion + 1 });
+      },
+    });
+    const post = (body = run) =>
+      handler({
+        httpMethod: "POST",
+        queryStringParameters: { id: "1", daily: today },
+        body: JSON.stringify(body),
+      });
+    const { device: _device, ...anonymous } = run;
+    const missing = await post(anonymous);
+    expect(missing.statusCode).toBe(400);
+    expect(JSON.parse(missing.body).message).toBe("Daily challenge submissions need a device ID");
+    expect(item.daily).toBeUndefined();
+    expect((await post()).statusCode).toBe(200);
+    const second = await post();
+    expect(second.statusCode).toBe(409);
+    expect(JSON.parse(second.body).message).toMatch(/already has a score/);
+    expect(item.daily[today]).toHaveLength(1);
+  });
+});
+
+describe("daily attempts and local board", () => {
+  /** @type {Record<string, string>} */
+  let store;
+  beforeEach(() => {
+    store = {};
+    // @ts-ignore - minimal localStorage for the node test environment
+    globalThis.localStorage = {
+      getItem: (/** @type {string} */ k) => (k in store ? store[k] : null),
+      setItem: (/** @type {string} */ k, /** @type {string} */ v) => {
+        store[k] = String(v);
+      },
+    };
+  });
+  afterEach(() => {
+    // @ts-ignore
+    delete globalThis.localStorage;
+  });
+
+  it("allows one ranked attempt per day", () => {
+    expect(DailyChallengeManager.hasAttempted("2026-10-18")).toBe(false);
+    DailyChallengeManager.markAttempted("2026-10-18");
+    expect(DailyChallengeManager.hasAttempted("2026-10-18")).toBe(true);
+    expect(DailyChallengeManager.hasAttempted("2026-10-19")).toBe(false);
+  });
+
+  it("keeps the daily board apart from the main one", () => {
+    expect(LeaderboardManager.submitDaily(120, "ABC", "2026-10-18")).toBe(true);
+    expect(LeaderboardManager.submitDaily(80, "XYZ", "2026-10-18")).toBe(true);
+    const device = DeviceIdentity.get();
+    expect(LeaderboardManager.loadDaily("2026-10-18", { remote: false })).toEqual([
+      { id: "ABC", score: 120, device },
+      { id: "XYZ", score: 80, device },
+    ]);
+    expect(LeaderboardManager.loadDaily("2026-10-19", { remote: false })).toEqual([]);
+    expect(store[LeaderboardManager.KEY_LEADERBOARD]).toBeUndefined();
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { JSDOM } from "jsdom";
+import { DailyChallenge } from "../js/core/DailyChallenge.js";
+let AIHorizon;
+
+describe("playing the daily challenge again", () => {
+  let dom;
+  beforeEach(() => {
+    dom = new JSDOM(
+      `<!doctype html><html><body>
+      <div class="game-container">
+        <canvas id="gameCanvas"></canvas>
+        <section id="gameInfo" class="hidden"></section>
+        <div id="gameOverScreen"></div>
+        <div id="pauseScreen" class="hidden"></div>
+        <button id="startBtn"></button>
+        <button id="restartBtn"></button>
+        <span id="currentScore"></span>
+        <span id="highScore"></span>
+        <span id="finalScore"></span>
+      </div>
+    </body></html>`,
+      { url: "http://localhost/" }
+    );
+    global.window = dom.window;
+    global.document = dom.window.document;
+    global.localStorage = dom.window.localStorage;
+    global.requestAnimationFrame = (cb) => setTimeout(() => cb(0), 0);
+    global.cancelAnimationFrame = (id) => clearTimeout(id);
+    const noop = () => {};
+    dom.window.HTMLCanvasElement.prototype.getContext = function () {
+      return new Proxy(
+        { measureText: () => ({ width: 0 }) },
+        {
+          get: (target, key) => (key in target ? target[key] : () => ({ addColorStop: noop })),
+          set: () => true,
+        }
+      );
+    };
+    return import("../js/game.js").then((m) => {
+      AIHorizon = m.AIHorizon;
+      AIHorizon._instance = null;
+    });
+  });
+
+  afterEach(() => {
+    dom.window.close();
+    delete global.window;
+    delete global.document;
+    delete global.localStorage;
+    delete global.requestAnimationFrame;
+    delete global.cancelAnimationFrame;
+  });
+
+  /** A game on the Game Over screen after a ranked daily run. */
+  function afterRankedDaily() {
+    const game = new AIHorizon();
+    game.daily = { date: DailyChallenge.dateKey(), ranked: true };
+    return game;
+  }
+
+  it("is practice when restarted from the keyboard", () => {
+    const game = afterRankedDaily();
+    const [code] = AIHorizon.PAUSE_CONFIRM_CODES;
+    game.restartBtn.dispatchEvent(new dom.window.KeyboardEvent("keydown", { code }));
+    game.loop.stop();
+    expect(game.state.isRunning()).toBe(true);
+    expect(game.daily).toEqual({ date: DailyChallenge.dateKey(), ranked: false });
+    expect(game.gameOverScreen.classList.contains("hidden")).toBe(true);
+  });
+
+  it("is practice when restarted with the button", () => {
+    const game = afterRankedDaily();
+    game.restartBtn.click();
+    game.loop.stop();
+    expect(game.state.isRunning()).toBe(true);
+    expect(game.daily).toEqual({ date: DailyChallenge.dateKey(), ranked: false });
+  });
+});
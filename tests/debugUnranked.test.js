@@ -0,0 +1,101 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { JSDOM } from "jsdom";
+let AIHorizon;
+
+/**
+ * Load the game on a page opened at `url`.
+ * @param {string} url
+ */
+function openGame(url) {
+  const dom = new JSDOM(
+    `<!doctype html><html><body>
+    <div class="game-container">
+      <canvas id="gameCanvas"></canvas>
+      <section id="gameInfo" class="hidden"></section>
+      <div id="gameOverScreen" class="hidden">
+        <div class="initials-entry hidden">
+          <input id="initialsInput" class="hidden" />
+          <button id="submitScoreBtn" class="hidden"></button>
+        </div>
+      </div>
+      <div id="pauseScreen" class="hidden"></div>
+      <button id="startBtn"></button>
+      <button id="restartBtn"></button>
+      <span id="currentScore"></span>
+      <span id="highScore"></span>
+      <span id="finalScore"></span>
+    </div>
+  </body></html>`,
+    { url }
+  );
+  global.window = dom.window;
+  global.document = dom.window.document;
+  global.localStorage = dom.window.localStorage;
+  const noop = () => {};
+  dom.window.HTMLCanvasElement.prototype.getContext = function () {
+    return new Proxy(
+      { measureText: () => ({ width: 0 }) },
+      {
+        get: (target, key) => (key in target ? target[key] : () => ({ addColorStop: noop })),
+        set: () => true,
+      }
+    );
+  };
+  AIHorizon._instance = null;
+  return { dom, game: new AIHorizon() };
+}
+
+describe("debugged runs", () => {
+  let dom;
+  beforeEach(() => {
+    // No frames are drawn; the tests drive the game directly
+    global.requestAnimationFrame = () => 0;
+    global.cancelAnimationFrame = () => {};
+    // A DOM is needed before the game module loads
+    global.window = new JSDOM("", { url: "http://localhost/" }).window;
+    global.document = global.window.document;
+    return import("../js/game.js").then((m) => {
+      AIHorizon = m.AIHorizon;
+    });
+  });
+
+  afterEach(() => {
+    if (dom) dom.window.close();
+    delete global.window;
+    delete global.document;
+    delete global.localStorage;
+    delete global.requestAnimationFrame;
+    delete global.cancelAnimationFrame;
+  });
+
+  /**
+   * End a run scoring `score` and report whether initials could be entered.
+   * @param {any} game
+   */
+  function finish(game) {
+    game.state.start();
+    game._beginRun();
+    game.score = 120;
+    game.gameOver();
+    return !document.getElementById("initialsInput").classList.contains("hidden");
+  }
+
+  it("are not offered the leaderboard", () => {
+    let opened = openGame("http://localhost/");
+    dom = opened.dom;
+    expect(finish(opened.game)).toBe(true);
+    dom.window.close();
+
+    opened = openGame("http://localhost/?debug=1");
+    dom = opened.dom;
+    expect(opened.game.debug).toBe(true);
+    expect(finish(opened.game)).toBe(false);
+  });
+
+  it("don't use up the day's ranked daily attempt", () => {
+    const opened = openGame("http://localhost/?debug=1");
+    dom = opened.dom;
+    opened.game.handleDailyClick();
+    expect(opened.game.daily.ranked).toBe(false);
+  });
+});
@@ -0,0 +1,78 @@
+// @ts-check
+import { describe, expect, it } from "vitest";
+import { CONFIG } from "../js/constants.js";
+import { Difficulty } from "../js/core/Difficulty.js";
+import { SpawnManager } from "../js/managers/SpawnManager.js";
+
+/** @type {import('../js/core/Difficulty.js').DifficultyCurve} */
+const curve = {
+  BY: "time",
+  POINTS: [
+    [10, 1],
+    [30, 2],
+    [50, 4],
+  ],
+};
+
+/**
+ * Game slice spawning with a fixed RNG value at `timeSec`.
+ * @param {number} timeSec
+ */
+function makeGame(timeSec) {
+  return {
+    rng: { nextFloat: () => 0.5 },
+    view: { width: 400, height: 400 },
+    asteroidSpeed: 100,
+    starSpeed: 50,
+    timeSec,
+    /** @type {any[]} */ asteroids: [],
+    /** @type {any[]} */ stars: [],
+  };
+}
+
+describe("Difficulty curves", () => {
+  it("interpolate between points and hold flat past the ends", () => {
+    expect(Difficulty.at(curve, { timeSec: 0 })).toBe(1);
+    expect(Difficulty.at(curve, { timeSec: 20 })).toBe(1.5);
+    expect(Difficulty.at(curve, { timeSec: 40 })).toBe(3);
+    expect(Difficulty.at(curve, { timeSec: 500 })).toBe(4);
+    expect(Difficulty.at({ ...curve, BY: "score" }, { timeSec: 40, score: 30 })).toBe(2);
+    expect(Difficulty.peak(curve)).toBe(4);
+  });
+
+  it("start every configured curve at the base rates", () => {
+    expect(Difficulty.levels({})).toEqual({
+      asteroidSpawnRate: 1,
+      asteroidSpeed: 1,
+      planetFrequency: 1,
+      redStarFrequency: 1,
+    });
+  });
+
+  it("make bonus spawns more frequent", () => {
+    expect(Difficulty.cadence(4, 1)).toBe(4);
+    expect(Difficulty.cadence(4, 2)).toBe(2);
+    expect(Difficulty.cadence(4, 100)).toBe(1);
+  });
+
+  it("speed up asteroids spawned late in a run", () => {
+    const early = SpawnManager.createAsteroid(makeGame(0));
+    const late = SpawnManager.createAsteroid(makeGame(CONFIG.GAME.TIMER_SECONDS));
+    const peak = Difficulty.peak(CONFIG.DIFFICULTY.ASTEROID_SPEED);
+    expect(late.speed).toBeCloseTo(early.speed * peak);
+  });
+
+  it("bring planets sooner late in a run", () => {
+    /** @param {number} timeSec */
+    const firstPlanet = (timeSec) => {
+      const game = makeGame(timeSec);
+      for (let i = 1; i <= 10; i++) {
+        if (SpawnManager.createAsteroid(game).isIndestructible) return i;
+      }
+      return null;
+    };
+    const base = CONFIG.GAME.ASTEROID_NORMAL_BEFORE_INDESTRUCTIBLE;
+    expect(firstPlanet(0)).toBe(base + 1);
+    expect(firstPlanet(CONFIG.GAME.TIMER_SECONDS)).toBeLessThan(base + 1);
+  });
+});
@@ -0,0 +1,125 @@
+// @ts-check
+import { afterEach, describe, expect, it } from "vitest";
+import { JSDOM } from "jsdom";
+import { CONFIG } from "../js/constants.js";
+import { DifficultyPreset } from "../js/core/DifficultyPreset.js";
+import { ReplayFormat } from "../js/core/ReplayFormat.js";
+import { Simulation } from "../js/core/Simulation.js";
+import { DifficultyChoice } from "../js/managers/DifficultyChoice.js";
+import LeaderboardManager from "../js/managers/LeaderboardManager.js";
+import { SpawnManager } from "../js/managers/SpawnManager.js";
+import { createHandler } from "../js/server/lambda/leaderboard-handler.js";
+import { verifySubmission } from "../js/server/lambda/verify-submission.js";
+import { submission } from "./helpers.js";
+
+describe("difficulty presets", () => {
+  afterEach(() => {
+    LeaderboardManager.useDifficulty(DifficultyPreset.DEFAULT);
+  });
+
+  it("fill in the base CONFIG for values a preset leaves out", () => {
+    const normal = DifficultyPreset.settings("normal");
+    expect(normal).toMatchObject({
+      label: "Normal",
+      asteroidSpawnRate: 1,
+      asteroidSpeed: 1,
+      shotCooldown: CONFIG.GAME.SHOT_COOLDOWN,
+      timerSeconds: CONFIG.GAME.TIMER_SECONDS,
+    });
+    expect(DifficultyPreset.settings("hard").timerSeconds).toBe(CONFIG.PRESETS.HARD.TIMER_SECONDS);
+    expect(DifficultyPreset.isPreset("hard")).toBe(true);
+    expect(DifficultyPreset.isPreset("insane")).toBe(false);
+  });
+
+  it("apply their timer, shot cooldown and planet toughness to a run", () => {
+    const sim = new Simulation({ seed: 3, preset: "hard" });
+    sim.start(3);
+    expect(sim.observe().timerRemaining).toBe(CONFIG.PRESETS.HARD.TIMER_SECONDS);
+    expect(sim.fireLimiter._interval).toBe(CONFIG.PRESETS.HARD.SHOT_COOLDOWN);
+
+    const game = {
+      rng: { nextFloat: () => 0.5 },
+      view: { width: 400, height: 400 },
+      asteroidSpeed: 100,
+      starSpeed: 50,
+      timeSec: 0,
+      presetSettings: DifficultyPreset.settings("easy"),
+      /** @type {any[]} */ asteroids: [],
+      /** @type {any[]} */ stars: [],
+    };
+    const base = SpawnManager.createAsteroid({ ...game, presetSettings: undefined });
+    const easy = SpawnManager.createAsteroid(game);
+    expect(easy.speed).toBeCloseTo(base.speed * CONFIG.PRESETS.EASY.ASTEROID_SPEED);
+    let planet = easy;
+    for (let i = 0; i < 10 && !planet.isIndestructible; i++) {
+      planet = SpawnManager.createAsteroid(game);
+    }
+    expect(planet.isIndestructible).toBe(true);
+    expect(planet.maxHits).toBe(CONFIG.PRESETS.EASY.INDESTRUCTIBLE_HITS);
+  });
+
+  const hard = submission("HRD", 17, { preset: "hard", weave: 35, maxTicks: 60 * 120 });
+
+  it("are kept in the replay and checked by the server", () => {
+    const { recording } = ReplayFormat.read(hard.replay);
+    expect(recording && recording.preset).toBe("hard");
+    const replayed = Simulation.replay(/** @type {any} */ (recording));
+    expect(Math.floor(replayed.score)).toBe(hard.score);
+
+    expect(verifySubmission(hard, { preset: "hard" })).toMatchObject({ ok: true });
+    expect(verifySubmission(hard)).toEqual({
+      ok: false,
+      statusCode: 422,
+      message: "Replay was played on Hard difficulty, not Normal",
+    });
+  });
+
+  it("store scores on each difficulty's own boards", async () => {
+    /** @type {Record<string, any>} */
+    const item = { id: 1, scores: [{ id: "TOP", score: 1 }], version: 0 };
+    const handler = createHandler({
+      getItem: async () => JSON.parse(JSON.stringify(item)),
+      updateItem: async (_id, changes) => {
+        Object.assign(item, changes, { version: item.version + 1 });
+      },
+    });
+    const res = await handler({
+      httpMethod: "POST",
+      queryStringParameters: { id: "1", difficulty: "hard" },
+      body: JSON.stringify(hard),
+    });
+    expect(res.statusCode).toBe(200);
+    expect(item.hardBoards.scores).toEqual([{ id: "HRD", score: hard.score }]);
+    expect(item.scores).toEqual([{ id: "TOP", score: 1 }]);
+
+    const board = await handler({
+      httpMethod: "GET",
+      queryStringParameters: { id: "1", difficulty: "hard" },
+    });
+    expect(JSON.parse(board.body)).toMatchObject({ total: 1, version: item.version });
+    const unknown = await handler({
+      httpMethod: "GET",
+      queryStringParameters: { id: "1", difficulty: "insane" },
+    });
+    expect(unknown.statusCode).toBe(400);
+  });
+
+  it("switch the client to the chosen difficulty's boards", () => {
+    const dom = new JSDOM("<!doctype html><html><body></body></html>", {
+      url: "http://localhost/",
+    });
+    globalThis.localStorage = dom.window.localStorage;
+    expect(DifficultyChoice.load()).toBe(DifficultyPreset.DEFAULT);
+    DifficultyChoice.save("easy");
+    expect(DifficultyChoice.load()).toBe("easy");
+
+    LeaderboardManager.useDifficulty("easy");
+    expect(LeaderboardManager.endpoint()).toBe(
+      `${LeaderboardManager.REMOTE_ENDPOINT}&difficulty=easy`
+    );
+    expect(LeaderboardManager.survivalEndpoint()).toContain("&difficulty=easy&mode=survival");
+    LeaderboardManager.submit(150, "EZY");
+    expect(localStorage.getItem(`${LeaderboardManager.KEY_LEADERBOARD}:easy`)).toContain("EZY");
+    expect(localStorage.getItem(LeaderboardManager.KEY_LEADERBOARD)).toBeNull();
+  });
+});
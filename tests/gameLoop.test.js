@@ -0,0 +1,75 @@
+// @ts-check
+import { describe, it, expect } from "vitest";
+import { GameLoop } from "../js/core/GameLoop.js";
+
+const STEP = 10;
+
+/**
+ * Build a loop whose frames are driven by hand through `_tick`.
+ * @param {{ timeScale?: number }} [opts]
+ */
+function makeLoop(opts = {}) {
+  /** @type {number[]} */
+  const updates = [];
+  /** @type {import('../js/core/GameLoop.js').LoopStats[]} */
+  const stats = [];
+  const loop = new GameLoop({
+    update: (dtMs) => updates.push(dtMs),
+    draw: () => {},
+    stepMs: STEP,
+    maxSubSteps: 4,
+    timeScale: opts.timeScale,
+    onStats: (s) => stats.push(s),
+  });
+  let now = 0;
+  /** @param {number} ms */
+  const frame = (ms) => {
+    now += ms;
+    loop._tick(now);
+  };
+  return { loop, updates, stats, frame };
+}
+
+describe("GameLoop", () => {
+  it("scales real time but always steps by the fixed step", () => {
+    const { loop, updates, frame } = makeLoop({ timeScale: 0.5 });
+    for (let i = 0; i < 8; i++) frame(STEP);
+    expect(updates).toEqual([STEP, STEP, STEP, STEP]);
+    loop.setTimeScale(2);
+    updates.length = 0;
+    for (let i = 0; i < 4; i++) frame(STEP);
+    expect(updates.length).toBe(8);
+  });
+
+  it("clamps the time scale", () => {
+    const { loop } = makeLoop();
+    expect(loop.setTimeScale(0.01)).toBe(GameLoop.MIN_TIME_SCALE);
+    expect(loop.setTimeScale(10)).toBe(GameLoop.MAX_TIME_SCALE);
+  });
+
+  it("advances exactly one step per stepOnce while frozen", () => {
+    const { loop, updates, frame } = makeLoop();
+    loop.setFrozen(true);
+    frame(100);
+    expect(updates.length).toBe(0);
+    loop.stepOnce();
+    frame(100);
+    frame(100);
+    expect(updates.length).toBe(1);
+    loop.stepOnce();
+    loop.stepOnce();
+    frame(16);
+    expect(updates.length).toBe(3);
+    loop.setFrozen(false);
+    frame(STEP);
+    expect(updates.length).toBe(4);
+  });
+
+  it("reports accumulator and sub-step stats each frame", () => {
+    const { stats, frame } = makeLoop();
+    frame(25);
+    expect(stats[0]).toMatchObject({ steps: 2, accMs: 5, droppedMs: 0, timeScale: 1 });
+    frame(100);
+    expect(stats[1]).toMatchObject({ steps: 4, droppedMs: 60, frozen: false });
+  });
+});
@@ -0,0 +1,77 @@
+// @ts-check
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { Ghost } from "../js/core/Ghost.js";
+import { GhostManager } from "../js/managers/GhostManager.js";
+import { recordRun } from "./helpers.js";
+
+/**
+ * Record a scripted run and return it plus per-tick scores and ship positions.
+ * @param {number} seed
+ * @param {number} phase - Shifts the steering script so runs differ.
+ */
+function tracedRun(seed, phase = 0) {
+  /** @type {Array<[number, number, number]>} */
+  const trace = [];
+  const run = recordRun(seed, {
+    view: { width: 640, height: 480 },
+    input: (sim, t) => {
+      sim.input.setKey("ArrowLeft", ((t + phase) / 45) % 2 < 1);
+      sim.input.setKey("ArrowRight", ((t + phase) / 45) % 2 >= 1);
+      sim.input.fireHeld = t % 30 < 20;
+    },
+    afterStep: (sim) => trace.push([sim.score, sim.player.x, sim.player.y]),
+  });
+  return { ...run, trace };
+}
+
+describe("Ghost", () => {
+  it("follows the recorded run tick for tick", () => {
+    const run = tracedRun(77);
+    const ghost = new Ghost(run.recording);
+    for (const [score, x, y] of run.trace) {
+      ghost.step();
+      expect([ghost.score, ghost.player.x, ghost.player.y]).toEqual([score, x, y]);
+    }
+    expect(ghost.active).toBe(false);
+    ghost.step();
+    expect(ghost.score).toBe(run.score);
+  });
+});
+
+describe("GhostManager", () => {
+  /** @type {Record<string, string>} */
+  let store;
+  beforeEach(() => {
+    store = {};
+    // @ts-ignore - minimal localStorage for the node test environment
+    globalThis.localStorage = {
+      getItem: (/** @type {string} */ k) => (k in store ? store[k] : null),
+      setItem: (/** @type {string} */ k, /** @type {string} */ v) => {
+        store[k] = String(v);
+      },
+    };
+  });
+  afterEach(() => {
+    // @ts-ignore
+    delete globalThis.localStorage;
+  });
+
+  it("keeps only the best run per seed", () => {
+    const a = tracedRun(5, 0);
+    const b = tracedRun(5, 30);
+    const [low, high] = a.score <= b.score ? [a, b] : [b, a];
+    expect(GhostManager.save(high.recording, high.score)).toBe(true);
+    expect(GhostManager.save(low.recording, Math.min(low.score, high.score - 1))).toBe(false);
+    expect(GhostManager.load(5)).toEqual(high.recording);
+    expect(GhostManager.load(6)).toBeNull();
+  });
+
+  it("forgets the oldest seeds beyond MAX_SEEDS", () => {
+    const run = tracedRun(1);
+    for (let seed = 1; seed <= GhostManager.MAX_SEEDS + 1; seed++) {
+      GhostManager.save({ ...run.recording, seed }, run.score);
+    }
+    expect(GhostManager.load(1)).toBeNull();
+    expect(GhostManager.load(GhostManager.MAX_SEEDS + 1)).not.toBeNull();
+  });
+});
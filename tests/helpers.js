@@ -0,0 +1,87 @@
+// @ts-check
+// Helpers shared by the test files: scripted runs to submit or replay, and an
+// in-memory leaderboard store.
+import { InputRecorder } from "../js/core/InputRecorder.js";
+import { ReplayFormat } from "../js/core/ReplayFormat.js";
+import { Simulation } from "../js/core/Simulation.js";
+
+/**
+ * How `recordRun` plays a run. By default the ship weaves left and right on the arrow
+ * keys, turning every `weave` ticks, with fire held, until the run is over.
+ * @typedef {Object} RunScript
+ * @property {import('../js/types.js').GameMode} [mode]
+ * @property {import('../js/types.js').DifficultyPresetId} [preset]
+ * @property {{width:number,height:number}} [view] - Default Simulation.DEFAULT_VIEW.
+ * @property {number} [weave] - Ticks between turns (default 45).
+ * @property {number} [maxTicks] - Stop after this many ticks even if the run goes on.
+ * @property {(sim: Simulation, t: number) => void} [input] - Set tick `t`'s input
+ *   instead of weaving.
+ * @property {(sim: Simulation) => void} [setup] - Called before the run starts, e.g. to
+ *   listen for its events.
+ * @property {(sim: Simulation) => void} [afterStep] - Called after every tick.
+ */
+
+/**
+ * Record a scripted run on `seed`.
+ * @param {number} seed
+ * @param {RunScript} [script]
+ * @returns {{ recording: import('../js/types.js').InputRecording, replay: import('../js/core/ReplayFormat.js').ReplayFile, score: number, seconds: number }}
+ */
+export function recordRun(seed, script = {}) {
+  const { mode, preset, view, weave = 45, maxTicks = Infinity, input, setup, afterStep } = script;
+  const sim = new Simulation({ seed, mode, preset, view: view && { ...view, dpr: 1 } });
+  const recorder = new InputRecorder(seed, { view: view || Simulation.DEFAULT_VIEW, mode, preset });
+  if (setup) setup(sim);
+  sim.start(seed);
+  for (let t = 0; sim.state.isRunning() && t < maxTicks; t++) {
+    if (input) input(sim, t);
+    else {
+      sim.input.setKey("ArrowLeft", (t / weave) % 2 < 1);
+      sim.input.setKey("ArrowRight", (t / weave) % 2 >= 1);
+      sim.input.fireHeld = true;
+    }
+    recorder.capture(sim.input);
+    sim.step();
+    if (afterStep) afterStep(sim);
+  }
+  const recording = recorder.finish();
+  return {
+    recording,
+    replay: ReplayFormat.encode(recording),
+    score: sim.score,
+    seconds: sim.timeSec,
+  };
+}
+
+/**
+ * Record a scripted run (see `recordRun`) and return it as a score submission.
+ * @param {string} id - Initials.
+ * @param {number} seed
+ * @param {RunScript} [script]
+ */
+export function submission(id, seed, script = {}) {
+  const { replay, score } = recordRun(seed, script);
+  return { id, score, replay };
+}
+
+/**
+ * LeaderboardStore over `item`, with the versioned writes DynamoDB makes.
+ * @param {Record<string, any>} [item]
+ */
+export function memoryStore(item = { id: 1, scores: [] }) {
+  return {
+    item,
+    getItem: async () => JSON.parse(JSON.stringify(item)),
+    /**
+     * @param {number} _id
+     * @param {Record<string, any>} changes
+     * @param {number} expectedVersion
+     */
+    updateItem: async (_id, changes, expectedVersion) => {
+      if ((item.version || 0) !== expectedVersion) {
+        throw Object.assign(new Error("stale"), { name: "ConditionalCheckFailedException" });
+      }
+      Object.assign(item, changes, { version: expectedVersion + 1 });
+    },
+  };
+}
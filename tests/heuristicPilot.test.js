@@ -0,0 +1,60 @@
+// @ts-check
+import { describe, it, expect } from "vitest";
+import { Simulation } from "../js/core/Simulation.js";
+import { HeuristicPilot } from "../js/ai/HeuristicPilot.js";
+
+/**
+ * Run one headless game and return how many ticks the ship survived.
+ * @param {number} seed
+ * @param {HeuristicPilot|null} pilot
+ */
+function survive(seed, pilot) {
+  const sim = new Simulation({ seed, view: { width: 800, height: 600, dpr: 1 } });
+  sim.start(seed);
+  let ticks = 0;
+  while (sim.state.isRunning()) {
+    if (pilot) sim.input.applyAction(pilot.act(sim.observe()));
+    sim.step();
+    ticks++;
+  }
+  return ticks;
+}
+
+describe("HeuristicPilot", () => {
+  it("sees a frozen snapshot detached from live entities", () => {
+    const sim = new Simulation({ seed: 3 });
+    sim.start(3);
+    for (let i = 0; i < 120; i++) sim.step();
+    const obs = sim.observe();
+    expect(obs.asteroids.length).toBe(sim.asteroids.length);
+    expect(Object.isFrozen(obs)).toBe(true);
+    expect(Object.isFrozen(obs.player)).toBe(true);
+    expect(Object.isFrozen(obs.asteroids)).toBe(true);
+    expect(obs.player).not.toBe(sim.player);
+    expect(obs.timerRemaining).toBe(sim.timerRemaining);
+  });
+
+  it("drives the ship through the keyboard path", () => {
+    const sim = new Simulation({ seed: 1 });
+    sim.start(1);
+    sim.input.mouse.x = 10;
+    sim.input.mouse.y = 10;
+    const x0 = sim.player.x;
+    sim.input.applyAction({ left: true, fire: true });
+    expect(sim.input.keys.ArrowLeft).toBe(true);
+    expect(sim.input.mouse).toEqual({ x: 0, y: 0 });
+    sim.step();
+    expect(sim.player.x).toBeLessThan(x0);
+    expect(sim.bullets.length).toBe(1);
+  });
+
+  it("outlasts an idle ship", () => {
+    let piloted = 0;
+    let idle = 0;
+    for (let seed = 1; seed <= 4; seed++) {
+      piloted += survive(seed, new HeuristicPilot());
+      idle += survive(seed, null);
+    }
+    expect(piloted).toBeGreaterThan(idle * 2);
+  });
+});
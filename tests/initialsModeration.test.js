@@ -0,0 +1,108 @@
+// @ts-check
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { Initials } from "../js/core/Initials.js";
+import { LeaderboardPeriods } from "../js/core/LeaderboardPeriods.js";
+import { createHandler } from "../js/server/lambda/leaderboard-handler.js";
+import { verifySubmission } from "../js/server/lambda/verify-submission.js";
+import { memoryStore, submission } from "./helpers.js";
+
+/**
+ * @param {Record<string, any>} body
+ * @param {Record<string, string>} [headers]
+ * @param {Record<string, string>} [query]
+ */
+function removal(body, headers = {}, query = {}) {
+  return {
+    httpMethod: "DELETE",
+    headers,
+    queryStringParameters: { id: "1", ...query },
+    body: JSON.stringify(body),
+  };
+}
+
+describe("Initials", () => {
+  it("filters typed text and refuses blocked words", () => {
+    expect(Initials.normalize("a-b c9d")).toBe("ABC");
+    expect(Initials.isAllowed("ABC")).toBe(true);
+    expect(Initials.isAllowed("KKK")).toBe(false);
+    expect(Initials.isAllowed("abc")).toBe(false);
+    expect(Initials.isAllowed("ABCD")).toBe(false);
+  });
+
+  it("adds configured words to the built-in blocklist", () => {
+    const list = Initials.parseList("zzz, QQ bad-word");
+    expect(list).toEqual(expect.arrayContaining([...Initials.BLOCKLIST, "ZZZ", "QQ"]));
+    expect(list).not.toContain("BAD-WORD");
+    expect(Initials.parseList(undefined)).toEqual(Initials.BLOCKLIST);
+  });
+});
+
+describe("initials moderation on the leaderboard API", () => {
+  const run = submission("ABC", 17, { weave: 55 });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("rejects blocked initials before replaying", async () => {
+    const blocked = verifySubmission({ ...run, id: "ZZZ" }, { blocklist: ["ZZZ"] });
+    expect(blocked).toEqual({
+      ok: false,
+      statusCode: 422,
+      message: "Initials ZZZ are not allowed",
+    });
+    expect(verifySubmission({ ...run, id: "KKK" })).toMatchObject({ statusCode: 422 });
+
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    const store = memoryStore({ id: 1, scores: [] });
+    const handler = createHandler(store, { blocklist: ["ABC"] });
+    const res = await handler({
+      httpMethod: "POST",
+      queryStringParameters: { id: "1" },
+      body: JSON.stringify(run),
+    });
+    expect(res.statusCode).toBe(422);
+    expect(store.item.scores).toEqual([]);
+  });
+
+  it("lets only an admin with the shared secret remove entries", async () => {
+    const log = vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    const day = LeaderboardPeriods.key("day");
+    const week = LeaderboardPeriods.key("week");
+    const store = memoryStore({
+      id: 1,
+      scores: [
+        { id: "BAD", score: 90 },
+        { id: "ABC", score: 50 },
+      ],
+      periods: { day: { [day]: [{ id: "BAD", score: 90 }] }, week: { [week]: [] } },
+    });
+    const entry = { id: "BAD", score: 90, by: "Jo" };
+
+    const disabled = await createHandler(store)(removal(entry));
+    expect(disabled.statusCode).toBe(403);
+
+    const handler = createHandler(store, { adminSecret: "s3cret" });
+    expect((await handler(removal(entry))).statusCode).toBe(401);
+    expect((await handler(removal(entry, { Authorization: "Bearer wrong" }))).statusCode).toBe(401);
+    expect(store.item.scores).toHaveLength(2);
+
+    const res = await handler(removal(entry, { authorization: "Bearer s3cret" }));
+    expect(res.statusCode).toBe(200);
+    expect(JSON.parse(res.body)).toEqual({
+      removed: 2,
+      scores: [{ id: "ABC", score: 50 }],
+      version: 1,
+    });
+    expect(store.item.periods.day[day]).toEqual([]);
+    expect(log.mock.calls[0][0]).toMatch(/BAD 90 removed by Jo/);
+
+    const again = await handler(removal(entry, { authorization: "Bearer s3cret" }));
+    expect(again.statusCode).toBe(404);
+    const anonymous = await handler(
+      removal({ id: "ABC", score: 50 }, { authorization: "Bearer s3cret" })
+    );
+    expect(anonymous.statusCode).toBe(400);
+  });
+});
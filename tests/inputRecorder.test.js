@@ -0,0 +1,73 @@
+// @ts-check
+import { describe, it, expect } from "vitest";
+import { InputRecorder } from "../js/core/InputRecorder.js";
+import { InputPlayback } from "../js/core/InputPlayback.js";
+import { InputState } from "../js/core/InputState.js";
+
+/** @param {InputState} input */
+const snapshot = (input) => ({
+  keys: Object.fromEntries(Object.entries(input.keys).filter(([, v]) => v)),
+  mouse: { ...input.mouse },
+  fireHeld: input.fireHeld,
+});
+
+describe("InputRecorder / InputPlayback", () => {
+  it("only stores ticks where input changed", () => {
+    const input = new InputState();
+    const rec = new InputRecorder(42, { view: { width: 300, height: 200 }, isMobile: false });
+    rec.capture(input);
+    input.setKey("KeyD", true);
+    rec.capture(input);
+    rec.capture(input);
+    rec.capture(input);
+    input.setKey("KeyD", false);
+    rec.capture(input);
+    const out = rec.finish();
+    expect(out.seed).toBe(42);
+    expect(out.ticks).toBe(5);
+    expect(out.view).toEqual({ width: 300, height: 200 });
+    expect(out.frames).toEqual([
+      { t: 1, k: { KeyD: true } },
+      { t: 4, k: { KeyD: false } },
+    ]);
+  });
+
+  it("reconstructs the same per-tick input state and fire presses", () => {
+    const live = new InputState();
+    const rec = new InputRecorder(7);
+    /** @type {any[]} */
+    const expected = [];
+    const script = [
+      () => live.setKey("ArrowLeft", true),
+      () => {},
+      () => {
+        live.mouse.x = 120;
+        live.mouse.y = 80;
+        live.fireHeld = true;
+        rec.noteShot();
+      },
+      () => live.setKey("ArrowLeft", false),
+      () => {
+        live.fireHeld = false;
+        live.clearMouse();
+      },
+    ];
+    for (const step of script) {
+      step();
+      rec.capture(live);
+      expected.push(snapshot(live));
+    }
+
+    const playback = new InputPlayback(rec.finish());
+    const target = new InputState();
+    const shots = [];
+    for (let i = 0; i < expected.length; i++) {
+      // live input arriving during playback must not leak into the run
+      target.setKey("KeyW", true);
+      shots.push(playback.apply(target));
+      expect(snapshot(target)).toEqual(expected[i]);
+    }
+    expect(shots).toEqual([0, 0, 1, 0, 0]);
+    expect(playback.done).toBe(true);
+  });
+});
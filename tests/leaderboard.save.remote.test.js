@@ -51,4 +51,74 @@ describe("LeaderboardManager remote save", () => {
     expect(Array.isArray(eventDetail)).toBe(true);
     expect(eventDetail[0].id).toBe(parsed[0].id);
   });
+
+  it("merges into the newer board and retries when its version is stale", async () => {
+    LeaderboardManager._version = 3;
+    const submission = { id: "NEW", score: 150, replay: null };
+    /** @type {any[]} */
+    const sent = [];
+    globalThis.fetch = async (_url, opts) => {
+      const body = JSON.parse(opts.body);
+      sent.push(body);
+      if (body.version === 3) {
+        return {
+          ok: false,
+          status: 409,
+          json: async () => ({ scores: [{ id: "OTH", score: 200 }], version: 4 }),
+        };
+      }
+      return {
+        ok: true,
+        status: 200,
+        json: async () => ({ scores: body.scores, version: 5 }),
+      };
+    };
+
+    const res = await LeaderboardManager.save([{ id: "NEW", score: 150 }], {
+      remote: true,
+      submission,
+    });
+    expect(res).toBe(true);
+    expect(sent.map((b) => b.version)).toEqual([3, 4]);
+    expect(sent[1].scores).toEqual([
+      { id: "OTH", score: 200 },
+      { id: "NEW", score: 150 },
+    ]);
+    expect(LeaderboardManager._version).toBe(5);
+  });
+
+  it("gives up after a bounded number of conflicts", async () => {
+    let calls = 0;
+    globalThis.fetch = async () => {
+      calls++;
+      return {
+        ok: false,
+        status: 409,
+        json: async () => ({ scores: [], version: 10 + calls }),
+      };
+    };
+    const res = await LeaderboardManager.save([{ id: "NEW", score: 150 }], { remote: true });
+    expect(res).toBe(false);
+    expect(calls).toBe(LeaderboardManager.SAVE_ATTEMPTS);
+  });
+
+  it("drops an entry the server refuses and says why", async () => {
+    globalThis.fetch = async () => ({
+      ok: false,
+      status: 422,
+      json: async () => ({ message: "Score does not match its replay" }),
+    });
+    let detail = null;
+    window.addEventListener("leaderboard:rejected", (e) => {
+      detail = e.detail;
+    });
+    const submission = { id: "BAD", score: 150, replay: null };
+    const res = await LeaderboardManager.save([{ id: "BAD", score: 150 }], {
+      remote: true,
+      submission,
+    });
+    expect(res).toBe(false);
+    expect(localStorage.getItem(LeaderboardManager.KEY_LEADERBOARD)).toBeNull();
+    expect(detail).toEqual({ message: "Score does not match its replay", daily: null });
+  });
 });
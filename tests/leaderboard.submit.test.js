@@ -1,5 +1,6 @@
-import { beforeEach, describe, expect, it } from "vitest";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
 import { JSDOM } from "jsdom";
+import { DeviceIdentity } from "../js/managers/DeviceIdentity.js";
 import LeaderboardManager from "../js/managers/LeaderboardManager.js";
 
 describe("LeaderboardManager submit + render", () => {
@@ -15,6 +16,7 @@ describe("LeaderboardManager submit + render", () => {
     globalThis.window = dom.window;
     globalThis.document = dom.window.document;
     globalThis.localStorage = dom.window.localStorage;
+    LeaderboardManager._cacheEntries = null;
   });
 
   it("accepts 1-3 letter initials and renders them", () => {
@@ -28,4 +30,66 @@ describe("LeaderboardManager submit + render", () => {
     expect(li.textContent).toContain("ABC");
     expect(li.textContent).toContain("150");
   });
+
+  describe("remote", () => {
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    it("posts only the new score and keeps the board the server returns", async () => {
+      const board = [
+        { id: "SRV", score: 500 },
+        { id: "ABC", score: 150 },
+      ];
+      const fetchMock = vi.fn(async () => ({
+        ok: true,
+        json: async () => ({ scores: board, rank: 2 }),
+      }));
+      vi.stubGlobal("fetch", fetchMock);
+
+      const ok = await LeaderboardManager.submit(150.7, "ABC", { remote: true });
+      expect(ok).toBe(true);
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+      const [url, init] = fetchMock.mock.calls[0];
+      expect(url).toBe(LeaderboardManager.REMOTE_ENDPOINT);
+      expect(init.method).toBe("POST");
+      expect(JSON.parse(init.body)).toEqual({
+        id: "ABC",
+        score: 150,
+        replay: null,
+        device: DeviceIdentity.get(),
+      });
+      expect(LeaderboardManager.load({ remote: false })).toEqual(board);
+    });
+
+    it("drops a score the server rejects and tells the player why", async () => {
+      const message = "Replay does not reproduce the submitted score";
+      vi.stubGlobal(
+        "fetch",
+        vi.fn(async () => ({ ok: false, status: 422, json: async () => ({ message }) }))
+      );
+      /** @type {any[]} */
+      const rejections = [];
+      window.addEventListener("leaderboard:rejected", (e) => rejections.push(e.detail));
+      const ok = await LeaderboardManager.submit(90, "XYZ", { remote: true });
+      expect(ok).toBe(false);
+      expect(LeaderboardManager.load({ remote: false })).toEqual([]);
+      expect(rejections).toEqual([{ message, daily: null }]);
+      expect(LeaderboardManager.rejectionText(rejections[0])).toBe(
+        `Your score wasn't accepted: ${message}`
+      );
+    });
+
+    it("keeps the score locally while it is queued for a retry", async () => {
+      vi.stubGlobal(
+        "fetch",
+        vi.fn(async () => ({ ok: false, status: 503, json: async () => ({}) }))
+      );
+      const ok = await LeaderboardManager.submit(90, "XYZ", { remote: true });
+      expect(ok).toBe(false);
+      expect(LeaderboardManager.load({ remote: false })).toEqual([
+        { id: "XYZ", score: 90, device: DeviceIdentity.get() },
+      ]);
+    });
+  });
 });
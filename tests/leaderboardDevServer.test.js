@@ -0,0 +1,89 @@
+// @ts-check
+import { afterAll, beforeAll, describe, expect, it } from "vitest";
+import { mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { ReplayFormat } from "../js/core/ReplayFormat.js";
+import { DeviceIdentity } from "../js/managers/DeviceIdentity.js";
+import LeaderboardManager from "../js/managers/LeaderboardManager.js";
+import { startDevServer } from "../js/server/dev/leaderboard-dev-server.js";
+import { recordRun } from "./helpers.js";
+
+describe("leaderboard dev server", () => {
+  const dir = mkdtempSync(join(tmpdir(), "leaderboard-"));
+  const file = join(dir, "board.json");
+  /** @type {{ url: string, close: () => Promise<void> }} */
+  let server;
+  /** @type {Record<string, string>} */
+  const store = {};
+
+  beforeAll(async () => {
+    // @ts-ignore - minimal localStorage for the node test environment
+    globalThis.localStorage = {
+      getItem: (/** @type {string} */ k) => (k in store ? store[k] : null),
+      setItem: (/** @type {string} */ k, /** @type {string} */ v) => {
+        store[k] = String(v);
+      },
+    };
+    server = await startDevServer({ port: 0, file });
+    expect(LeaderboardManager.useEndpoint(server.url)).toBe(true);
+  });
+
+  afterAll(async () => {
+    await server.close();
+    rmSync(dir, { recursive: true, force: true });
+    // @ts-ignore
+    delete globalThis.localStorage;
+  });
+
+  it("runs the client's remote submit and load against the Lambda handler", async () => {
+    const run = recordRun(31);
+    expect(run.score).toBeGreaterThan(0);
+    const ok = await LeaderboardManager.submit(run.score, "DEV", {
+      remote: true,
+      replay: run.recording,
+    });
+    expect(ok).toBe(true);
+    expect(LeaderboardManager._version).toBe(1);
+    LeaderboardManager._cacheEntries = null;
+    expect(await LeaderboardManager.load({ remote: true })).toEqual([
+      { id: "DEV", score: run.score, own: true },
+    ]);
+    const saved = JSON.parse(readFileSync(file, "utf8"));
+    expect(saved["1"]).toMatchObject({
+      version: 1,
+      scores: [{ id: "DEV", score: run.score, device: DeviceIdentity.get() }],
+    });
+
+    const stranger = await fetch(server.url, { headers: { "X-Device-Id": "someone-else" } });
+    expect((await stranger.json()).scores).toEqual([{ id: "DEV", score: run.score }]);
+  });
+
+  it("answers preflights and stale PUTs the way the Lambda does", async () => {
+    const preflight = await fetch(server.url, { method: "OPTIONS" });
+    expect(preflight.status).toBe(204);
+    expect(preflight.headers.get("access-control-allow-origin")).toBe("*");
+
+    const run = recordRun(32);
+    const submission = { id: "OLD", score: run.score, replay: ReplayFormat.encode(run.recording) };
+    const stale = await fetch(server.url, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ scores: [], version: 0, submission }),
+    });
+    expect(stale.status).toBe(409);
+    expect(stale.headers.get("access-control-allow-origin")).toBe("*");
+    const current = await stale.json();
+    expect(current.version).toBe(1);
+    expect(current.scores.map((/** @type {{id:string}} */ e) => e.id)).toEqual(["DEV"]);
+  });
+
+  it("only lets the client point at servers on this machine", () => {
+    const current = LeaderboardManager.REMOTE_ENDPOINT;
+    expect(LeaderboardManager.useEndpoint("https://example.com/leaderboard?id=1")).toBe(false);
+    expect(LeaderboardManager.useEndpoint("not a url")).toBe(false);
+    expect(LeaderboardManager.REMOTE_ENDPOINT).toBe(current);
+    expect(LeaderboardManager.useEndpoint("dev")).toBe(true);
+    expect(LeaderboardManager.REMOTE_ENDPOINT).toBe(LeaderboardManager.DEV_ENDPOINT);
+  });
+});
@@ -0,0 +1,31 @@
+// @ts-check
+import { describe, expect, it } from "vitest";
+import { createHandler } from "../js/server/lambda/leaderboard-handler.js";
+
+describe("malformed requests on the leaderboard API", () => {
+  it("answer a body that isn't JSON with 400 and an error code", async () => {
+    /** @type {Record<string, any>} */
+    const item = { id: 1, scores: [] };
+    const store = {
+      getItem: async () => JSON.parse(JSON.stringify(item)),
+      updateItem: async () => {
+        throw new Error("nothing should be written");
+      },
+    };
+    const handler = createHandler(store, { adminSecret: "s3cret" });
+    for (const httpMethod of ["POST", "PUT", "DELETE"]) {
+      const res = await handler({
+        httpMethod,
+        headers: { Authorization: "Bearer s3cret" },
+        queryStringParameters: { id: "1" },
+        body: '{"id": "ABC", "score": ',
+      });
+      expect(res.statusCode).toBe(400);
+      expect(JSON.parse(res.body)).toEqual({
+        message: "Request body is not valid JSON",
+        error: "invalid_json",
+      });
+    }
+    expect(item.scores).toEqual([]);
+  });
+});
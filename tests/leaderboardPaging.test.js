@@ -0,0 +1,117 @@
+// @ts-check
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { DailyChallenge } from "../js/core/DailyChallenge.js";
+import { LeaderboardPeriods } from "../js/core/LeaderboardPeriods.js";
+import LeaderboardManager from "../js/managers/LeaderboardManager.js";
+import {
+  createHandler,
+  MAX_ENTRIES,
+  MAX_ITEM_BYTES,
+  RANKED_ENTRIES,
+} from "../js/server/lambda/leaderboard-handler.js";
+import { memoryStore, submission } from "./helpers.js";
+
+describe("extended all-time board", () => {
+  const run = submission("NEW", 23, { weave: 35 });
+  // 20 scores above the run and 15 below it, out of 1,203 ever ranked
+  const scores = [
+    ...Array.from({ length: 20 }, (_, i) => ({ id: "TOP", score: run.score + 100 - i })),
+    ...Array.from({ length: 15 }, (_, i) => ({ id: "LOW", score: run.score - 1 - i })),
+  ];
+
+  it("ranks scores outside the top page and counts every score", async () => {
+    const store = memoryStore({ id: 1, scores, total: 1203 });
+    const handler = createHandler(store);
+    const res = await handler({
+      httpMethod: "POST",
+      queryStringParameters: { id: "1" },
+      body: JSON.stringify(run),
+    });
+    expect(res.statusCode).toBe(200);
+    const body = JSON.parse(res.body);
+    expect(body).toMatchObject({ rank: 21, total: 1204 });
+    expect(body.scores).toHaveLength(LeaderboardManager.MAX_ENTRIES);
+    expect(store.item.scores).toHaveLength(36);
+    expect(LeaderboardManager.placementText(body)).toBe("You placed #21 of 1,204");
+  });
+
+  it("serves the board a page at a time", async () => {
+    const handler = createHandler(memoryStore({ id: 1, scores, total: 1203 }));
+    const res = await handler({
+      httpMethod: "GET",
+      queryStringParameters: { id: "1", offset: "20", limit: "10" },
+    });
+    expect(JSON.parse(res.body)).toEqual({
+      scores: scores.slice(20, 30),
+      offset: 20,
+      total: 1203,
+      version: 0,
+    });
+    const tooLong = await handler({
+      httpMethod: "GET",
+      queryStringParameters: { id: "1", limit: "500" },
+    });
+    expect(tooLong.statusCode).toBe(400);
+  });
+
+  it("fits every full board of every difficulty in one stored item", () => {
+    const entry = { id: "WWW", score: Number.MAX_SAFE_INTEGER, device: "d".repeat(64) };
+    /** @param {number} count */
+    const full = (count) => Array.from({ length: count }, () => ({ ...entry }));
+    /** @param {number} count */
+    const keyed = (count) =>
+      Object.fromEntries(
+        Array.from({ length: count }, (_, i) => [`2026-W${10 + i}`, full(MAX_ENTRIES)])
+      );
+    const boards = {
+      scores: full(RANKED_ENTRIES),
+      total: Number.MAX_SAFE_INTEGER,
+      survival: full(RANKED_ENTRIES),
+      periods: {
+        day: keyed(LeaderboardPeriods.ARCHIVE_COUNT),
+        week: keyed(LeaderboardPeriods.ARCHIVE_COUNT),
+      },
+      daily: keyed(DailyChallenge.OPEN_DAYS),
+    };
+    const item = {
+      id: 1,
+      version: Number.MAX_SAFE_INTEGER,
+      ...boards,
+      easyBoards: boards,
+      hardBoards: boards,
+    };
+    const bytes = new TextEncoder().encode(JSON.stringify(item)).length;
+    expect(bytes).toBeLessThan(MAX_ITEM_BYTES);
+  });
+});
+
+describe("LeaderboardManager pages", () => {
+  const realFetch = globalThis.fetch;
+  beforeEach(() => {
+    LeaderboardManager._total = null;
+  });
+  afterEach(() => {
+    globalThis.fetch = realFetch;
+  });
+
+  it("loads a later page of the server's board", async () => {
+    const fetchMock = vi.fn(async () => ({
+      ok: true,
+      json: async () => ({ scores: [{ id: "ABC", score: 40 }], offset: 10, total: 57 }),
+    }));
+    globalThis.fetch = /** @type {any} */ (fetchMock);
+    const page = await LeaderboardManager.loadPage(10);
+    expect(page).toEqual({ entries: [{ id: "ABC", score: 40 }], offset: 10, total: 57 });
+    expect(String(/** @type {any[]} */ (fetchMock.mock.calls[0])[0])).toMatch(
+      /&offset=10&limit=10$/
+    );
+    expect(LeaderboardManager._total).toBe(57);
+  });
+
+  it("describes scores that missed the ranked board", () => {
+    expect(LeaderboardManager.placementText({ rank: null, total: 12345 })).toBe(
+      "Your score didn't make the ranked board of 12,345"
+    );
+    expect(LeaderboardManager.placementText({ rank: 3, total: null })).toBe("You placed #3");
+  });
+});
@@ -0,0 +1,148 @@
+// @ts-check
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { LeaderboardPeriods } from "../js/core/LeaderboardPeriods.js";
+import { DeviceIdentity } from "../js/managers/DeviceIdentity.js";
+import LeaderboardManager from "../js/managers/LeaderboardManager.js";
+import { createHandler } from "../js/server/lambda/leaderboard-handler.js";
+import { insertPeriodEntry } from "../js/server/lambda/verify-submission.js";
+import { memoryStore, submission } from "./helpers.js";
+
+describe("LeaderboardPeriods", () => {
+  it("rolls days and ISO weeks over at UTC midnight", () => {
+    const sunday = new Date("2026-10-18T23:59:59Z");
+    const monday = new Date("2026-10-19T00:00:00Z");
+    expect(LeaderboardPeriods.key("day", sunday)).toBe("2026-10-18");
+    expect(LeaderboardPeriods.key("week", sunday)).toBe("2026-W42");
+    expect(LeaderboardPeriods.key("week", monday)).toBe("2026-W43");
+    expect(LeaderboardPeriods.key("week", new Date("2027-01-01T12:00:00Z"))).toBe("2026-W53");
+    expect(LeaderboardPeriods.key("week", new Date("2024-12-30T12:00:00Z"))).toBe("2025-W01");
+    expect(LeaderboardPeriods.key("all", monday)).toBe("all");
+  });
+
+  it("names the previous board of each period", () => {
+    const now = new Date("2026-10-19T08:00:00Z");
+    expect(LeaderboardPeriods.previousKey("day", now)).toBe("2026-10-18");
+    expect(LeaderboardPeriods.previousKey("week", now)).toBe("2026-W42");
+    expect(LeaderboardPeriods.previousKey("all", now)).toBeNull();
+    expect(LeaderboardPeriods.isKey("week", "2026-W42")).toBe(true);
+    expect(LeaderboardPeriods.isKey("week", "2026-W54")).toBe(false);
+    expect(LeaderboardPeriods.isKey("day", "2026-W42")).toBe(false);
+  });
+});
+
+describe("insertPeriodEntry", () => {
+  it("adds to the current day and week and keeps a bounded archive", () => {
+    const now = new Date("2026-10-19T08:00:00Z");
+    /** @type {Record<string, {id:string,score:number}[]>} */
+    const days = {};
+    for (let d = 1; d <= 18; d++) days[`2026-10-${String(d).padStart(2, "0")}`] = [];
+    days["2026-10-18"] = [{ id: "OLD", score: 500 }];
+    const { periods, results } = insertPeriodEntry(
+      { day: days, week: { "2026-W42": [{ id: "OLD", score: 500 }] } },
+      { id: "NEW", score: 90 },
+      10,
+      now
+    );
+    expect(results.day).toEqual({ scores: [{ id: "NEW", score: 90 }], rank: 1 });
+    expect(results.week.rank).toBe(1);
+    expect(Object.keys(periods.day)).toHaveLength(LeaderboardPeriods.ARCHIVE_COUNT);
+    expect(periods.day["2026-10-18"]).toEqual([{ id: "OLD", score: 500 }]);
+    expect(periods.day["2026-10-01"]).toBeUndefined();
+    expect(periods.week).toEqual({
+      "2026-W42": [{ id: "OLD", score: 500 }],
+      "2026-W43": [{ id: "NEW", score: 90 }],
+    });
+  });
+});
+
+describe("period boards on the leaderboard API", () => {
+  const run = submission("AAA", 11, { weave: 60 });
+
+  it("ranks a score on the requested period and keeps old periods read-only", async () => {
+    const store = memoryStore();
+    const yesterday = /** @type {string} */ (LeaderboardPeriods.previousKey("day"));
+    store.item.periods = { day: { [yesterday]: [{ id: "YDA", score: 1 }] } };
+    const handler = createHandler(store);
+
+    const post = await handler({
+      httpMethod: "POST",
+      queryStringParameters: { id: "1", period: "week" },
+      body: JSON.stringify(run),
+    });
+    expect(post.statusCode).toBe(200);
+    expect(JSON.parse(post.body)).toMatchObject({
+      scores: [{ id: "AAA", score: run.score }],
+      rank: 1,
+    });
+    expect(store.item.scores).toEqual([{ id: "AAA", score: run.score }]);
+
+    const today = await handler({
+      httpMethod: "GET",
+      queryStringParameters: { id: "1", period: "day" },
+    });
+    expect(JSON.parse(today.body)).toMatchObject({
+      period: "day",
+      key: LeaderboardPeriods.key("day"),
+      current: true,
+      scores: [{ id: "AAA", score: run.score }],
+    });
+
+    const archived = await handler({
+      httpMethod: "GET",
+      queryStringParameters: { id: "1", period: "day", key: yesterday },
+    });
+    expect(JSON.parse(archived.body)).toMatchObject({
+      current: false,
+      scores: [{ id: "YDA", score: 1 }],
+    });
+
+    const write = await handler({
+      httpMethod: "POST",
+      queryStringParameters: { id: "1", period: "day", key: yesterday },
+      body: JSON.stringify(run),
+    });
+    expect(write.statusCode).toBe(422);
+    expect(JSON.parse(write.body).message).toMatch(/archived and read-only/);
+
+    const bad = await handler({
+      httpMethod: "GET",
+      queryStringParameters: { id: "1", period: "month" },
+    });
+    expect(bad.statusCode).toBe(400);
+  });
+});
+
+describe("LeaderboardManager period boards", () => {
+  /** @type {Record<string, string>} */
+  let store;
+  beforeEach(() => {
+    store = {};
+    // @ts-ignore - minimal localStorage for the node test environment
+    globalThis.localStorage = {
+      getItem: (/** @type {string} */ k) => (k in store ? store[k] : null),
+      setItem: (/** @type {string} */ k, /** @type {string} */ v) => {
+        store[k] = String(v);
+      },
+    };
+    LeaderboardManager._cacheEntries = null;
+  });
+  afterEach(() => {
+    // @ts-ignore
+    delete globalThis.localStorage;
+  });
+
+  it("puts local scores on the current day and week boards too", () => {
+    LeaderboardManager.submit(120, "ABC");
+    LeaderboardManager.submit(80, "XYZ");
+    const device = DeviceIdentity.get();
+    const expected = [
+      { id: "ABC", score: 120, device },
+      { id: "XYZ", score: 80, device },
+    ];
+    expect(LeaderboardManager.loadPeriod("day", { remote: false })).toEqual(expected);
+    expect(LeaderboardManager.loadPeriod("week", { remote: false })).toEqual(expected);
+    expect(LeaderboardManager.loadPeriod("all", { remote: false })).toEqual(expected);
+    const lastWeek = /** @type {string} */ (LeaderboardPeriods.previousKey("week"));
+    expect(LeaderboardManager.loadPeriod("week", { remote: false, key: lastWeek })).toEqual([]);
+  });
+});
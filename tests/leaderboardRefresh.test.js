@@ -0,0 +1,164 @@
+// @ts-check
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { JSDOM } from "jsdom";
+import LeaderboardManager from "../js/managers/LeaderboardManager.js";
+import { createHandler } from "../js/server/lambda/leaderboard-handler.js";
+
+describe("leaderboard ETags", () => {
+  it("answer an unchanged board with an empty 304", async () => {
+    const item = { id: 1, scores: [{ id: "ABC", score: 50 }], version: 3 };
+    const handler = createHandler({
+      getItem: async () => JSON.parse(JSON.stringify(item)),
+      updateItem: async () => {},
+    });
+    const first = await handler({ httpMethod: "GET", queryStringParameters: { id: "1" } });
+    expect(first.statusCode).toBe(200);
+    const etag = first.headers.ETag;
+    expect(etag).toMatch(/^"[0-9a-f]+"$/);
+
+    const again = await handler({
+      httpMethod: "GET",
+      headers: { "if-none-match": etag },
+      queryStringParameters: { id: "1" },
+    });
+    expect(again).toMatchObject({ statusCode: 304, body: "" });
+
+    item.scores.push({ id: "XYZ", score: 20 });
+    const changed = await handler({
+      httpMethod: "GET",
+      headers: { "If-None-Match": etag },
+      queryStringParameters: { id: "1" },
+    });
+    expect(changed.statusCode).toBe(200);
+    expect(changed.headers.ETag).not.toBe(etag);
+  });
+});
+
+describe("LeaderboardManager.refreshBoard", () => {
+  const realFetch = globalThis.fetch;
+  /** @type {HTMLElement} */
+  let list;
+  /** @type {HTMLButtonElement} */
+  let restartBtn;
+
+  beforeEach(() => {
+    const dom = new JSDOM(
+      '<!doctype html><html><body><ol id="leaderboardList"></ol><button id="restartBtn"></button></body></html>',
+      { url: "http://localhost/", pretendToBeVisual: true }
+    );
+    // @ts-ignore - browser globals for the code under test
+    globalThis.window = dom.window;
+    globalThis.document = dom.window.document;
+    globalThis.localStorage = dom.window.localStorage;
+    list = /** @type {HTMLElement} */ (document.getElementById("leaderboardList"));
+    restartBtn = /** @type {HTMLButtonElement} */ (document.getElementById("restartBtn"));
+    LeaderboardManager._etags.clear();
+    LeaderboardManager._cacheEntries = null;
+  });
+  afterEach(() => {
+    LeaderboardManager.stopPolling();
+    globalThis.fetch = realFetch;
+    // @ts-ignore
+    delete globalThis.window;
+    // @ts-ignore
+    delete globalThis.document;
+    // @ts-ignore
+    delete globalThis.localStorage;
+  });
+
+  /**
+   * Fetch mock serving `boards` in turn; an `ETag` equal to the request's
+   * If-None-Match gets a 304.
+   * @param {{ etag: string, scores: any[] }[]} boards
+   */
+  function serve(boards) {
+    let call = 0;
+    return vi.fn(async (/** @type {string} */ _url, /** @type {any} */ init) => {
+      const board = boards[Math.min(call++, boards.length - 1)];
+      const notModified = init.headers["If-None-Match"] === board.etag;
+      return {
+        ok: !notModified,
+        status: notModified ? 304 : 200,
+        headers: { get: () => board.etag },
+        json: async () => ({ scores: board.scores, total: board.scores.length }),
+      };
+    });
+  }
+
+  it("updates the rows in place and highlights rank changes", async () => {
+    const before = [
+      { id: "AAA", score: 300 },
+      { id: "BBB", score: 200 },
+      { id: "CCC", score: 100 },
+      { id: "DDD", score: 50 },
+    ];
+    list.dataset.board = "all";
+    LeaderboardManager.render(list, before);
+    const rows = Array.from(list.children);
+    restartBtn.focus();
+
+    const fetchMock = serve([
+      {
+        etag: '"2"',
+        scores: [
+          { id: "BBB", score: 200 },
+          { id: "NEW", score: 150 },
+          { id: "CCC", score: 100 },
+          { id: "XXX", score: 75 },
+          { id: "DDD", score: 50 },
+        ],
+      },
+    ]);
+    globalThis.fetch = /** @type {any} */ (fetchMock);
+    expect(await LeaderboardManager.refreshBoard(list)).toBe(true);
+
+    expect(Array.from(list.children).slice(0, 4)).toEqual(rows);
+    expect(Array.from(list.children).map((li) => li.className)).toEqual([
+      "rank-up",
+      "rank-new",
+      "",
+      "rank-new",
+      "rank-down",
+    ]);
+    expect(list.children[1].textContent).toContain("NEW — 150");
+    expect(document.activeElement).toBe(restartBtn);
+    expect(LeaderboardManager._cacheEntries).toHaveLength(5);
+
+    // The next poll sends the ETag back and leaves the list alone on a 304
+    expect(await LeaderboardManager.refreshBoard(list)).toBe(false);
+    const init = /** @type {any[]} */ (fetchMock.mock.calls[1])[1];
+    expect(init.headers).toMatchObject({ "If-None-Match": '"2"' });
+    expect(list.children[1].className).toBe("rank-new");
+  });
+
+  it("skips archived boards and boards switched away from mid-request", async () => {
+    const fetchMock = serve([{ etag: '"1"', scores: [{ id: "ZZZ", score: 9 }] }]);
+    globalThis.fetch = /** @type {any} */ (fetchMock);
+    list.dataset.board = "day:2026-10-17";
+    expect(await LeaderboardManager.refreshBoard(list)).toBe(false);
+    expect(fetchMock).not.toHaveBeenCalled();
+
+    list.dataset.board = "week";
+    const refresh = LeaderboardManager.refreshBoard(list);
+    list.dataset.board = "day";
+    expect(await refresh).toBe(false);
+    expect(list.children).toHaveLength(0);
+  });
+
+  it("polls only while the Game Over screen is active", async () => {
+    vi.useFakeTimers();
+    try {
+      const fetchMock = serve([{ etag: '"1"', scores: [] }]);
+      globalThis.fetch = /** @type {any} */ (fetchMock);
+      let active = true;
+      LeaderboardManager.startPolling(list, { intervalMs: 1000, isActive: () => active });
+      await vi.advanceTimersByTimeAsync(2500);
+      expect(fetchMock).toHaveBeenCalledTimes(2);
+      active = false;
+      await vi.advanceTimersByTimeAsync(5000);
+      expect(fetchMock).toHaveBeenCalledTimes(2);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+});
@@ -2,6 +2,7 @@
 import { describe, it, expect } from "vitest";
 import { Player } from "../js/entities/Player.js";
 import { CONFIG } from "../js/constants.js";
+import { Simulation } from "../js/core/Simulation.js";
 
 /** Simple view helper */
 const view = (w, h) => ({ width: w, height: h });
@@ -36,3 +37,47 @@ describe("Player.update", () => {
     expect(Math.abs(p.y - (target.y - p.height / 2))).toBeLessThan(1e-6);
   });
 });
+
+describe("Player hull", () => {
+  it("deals more damage for bigger asteroids and planets", () => {
+    const rock = { x: 0, y: 0, width: 40, height: 40 };
+    const big = { ...rock, width: 80, height: 80 };
+    expect(Player.hitDamage(big)).toBeGreaterThan(Player.hitDamage(rock));
+    expect(Player.hitDamage({ ...rock, isIndestructible: true })).toBeGreaterThan(
+      Player.hitDamage(rock)
+    );
+  });
+
+  it("knocks the ship away and makes it briefly invulnerable", () => {
+    const p = new Player(100, 100, 20, 20, CONFIG.SPEEDS.PLAYER);
+    const hull = p.takeHit(30, { x: 100, y: 60, width: 20, height: 20 }, 5, view(400, 400));
+    expect(hull).toBe(p.maxHull - 30);
+    expect(p.y).toBe(100 + CONFIG.PLAYER.HULL.KNOCKBACK);
+    expect(p.isInvulnerable(5 + CONFIG.PLAYER.HULL.INVULNERABLE_SECONDS / 2)).toBe(true);
+    expect(p.isInvulnerable(5 + CONFIG.PLAYER.HULL.INVULNERABLE_SECONDS)).toBe(false);
+    expect(p.hitFlash).toBeGreaterThan(0);
+    p.update({}, { x: 0, y: 0 }, view(400, 400), CONFIG.PLAYER.HULL.HIT_FLASH_SECONDS);
+    expect(p.hitFlash).toBe(0);
+  });
+
+  it("ends a run only once the hull is depleted", () => {
+    const sim = new Simulation({ seed: 3 });
+    /** @type {number[]} */
+    const hulls = [];
+    sim.events.on("hullChanged", ({ hull }) => hulls.push(hull));
+    sim.start(3);
+    const { player } = sim;
+    const rock = { x: player.x, y: player.y - 30, width: 40, height: 40 };
+    const hit = () => sim.playerHit(/** @type {any} */ ({ ...rock }));
+    hit();
+    hit(); // ignored while invulnerable
+    expect(hulls).toEqual([player.maxHull, player.maxHull - Player.hitDamage(rock)]);
+    expect(sim.state.isRunning()).toBe(true);
+    while (sim.state.isRunning()) {
+      sim.timeSec = player.invulnerableUntil;
+      hit();
+    }
+    expect(player.hull).toBe(0);
+    expect(sim.state.isGameOver()).toBe(true);
+  });
+});
@@ -0,0 +1,104 @@
+// @ts-check
+import { describe, it, expect } from "vitest";
+import { ReplayFormat } from "../js/core/ReplayFormat.js";
+import { SurvivalMode } from "../js/core/SurvivalMode.js";
+import { CONFIG } from "../js/constants.js";
+
+/** @type {import('../js/types.js').InputRecording} */
+const recording = {
+  seed: 123456789,
+  ticks: 40,
+  view: { width: 800, height: 600 },
+  isMobile: false,
+  frames: [
+    { t: 0, k: { KeyD: true }, f: false },
+    { t: 5, m: [120.5, 80], f: true, s: 1 },
+    { t: 12, k: { KeyD: false, ArrowUp: true }, s: 1 },
+    { t: 39, f: false },
+  ],
+};
+
+describe("ReplayFormat", () => {
+  it("round-trips a recording through the file text", () => {
+    const text = ReplayFormat.stringify(recording);
+    const result = ReplayFormat.parse(text);
+    expect(result.error).toBeNull();
+    expect(result.recording).toEqual(recording);
+    const file = JSON.parse(text);
+    expect(file.version).toBe(ReplayFormat.VERSION);
+    expect(file.frames[2]).toEqual([7, "-KeyD", "+ArrowUp", "s1"]);
+  });
+
+  it("refuses files from another format version and says why", () => {
+    const file = ReplayFormat.encode(recording);
+    file.version = ReplayFormat.VERSION + 1;
+    const result = ReplayFormat.parse(JSON.stringify(file));
+    expect(result.recording).toBeNull();
+    expect(result.error).toContain(`format version ${ReplayFormat.VERSION + 1}`);
+    expect(result.error).toMatch(/newer release/);
+  });
+
+  it("refuses files recorded with a different CONFIG", () => {
+    const file = ReplayFormat.encode(recording);
+    file.config = ReplayFormat.fingerprint({ ...CONFIG, GAME: { TIMER_SECONDS: 1 } });
+    const result = ReplayFormat.parse(JSON.stringify(file));
+    expect(result.recording).toBeNull();
+    expect(result.error).toMatch(/different game settings/);
+  });
+
+  it("rejects unrelated or damaged files", () => {
+    expect(ReplayFormat.parse("not json").error).toMatch(/not an AI Horizon replay/);
+    const file = ReplayFormat.encode(recording);
+    file.frames.push([0, "?"]);
+    expect(ReplayFormat.parse(JSON.stringify(file)).error).toMatch(/damaged/);
+  });
+
+  it("rejects ticks with more shots than the fire cooldown allows", () => {
+    const file = ReplayFormat.encode(recording);
+    expect(ReplayFormat.maxShotsPerTick()).toBe(1);
+    file.frames[1] = [5, "s9007199254740991"];
+    expect(ReplayFormat.read(file).error).toMatch(/damaged/);
+    file.frames[1] = [5, "s2"];
+    expect(ReplayFormat.read(file).error).toMatch(/damaged/);
+  });
+
+  it("rejects runs longer than the timer, or the survival cap", () => {
+    const file = ReplayFormat.encode(recording);
+    file.ticks = ReplayFormat.maxTicks();
+    expect(ReplayFormat.read(file).error).toBeNull();
+    file.ticks = ReplayFormat.maxTicks() + 1;
+    expect(ReplayFormat.read(file).error).toMatch(/damaged/);
+    expect(ReplayFormat.maxTicks("timed", "easy")).toBe(
+      Math.ceil((CONFIG.PRESETS.EASY.TIMER_SECONDS * 1000) / CONFIG.TIME.STEP_MS) + 1
+    );
+
+    const survival = ReplayFormat.encode({ ...recording, mode: SurvivalMode.ID });
+    survival.ticks = ReplayFormat.maxTicks(SurvivalMode.ID);
+    expect(ReplayFormat.read(survival).error).toBeNull();
+    survival.ticks = Number.MAX_SAFE_INTEGER;
+    expect(ReplayFormat.read(survival).error).toMatch(/damaged/);
+  });
+
+  it("rejects views the game can't be played on", () => {
+    const { MIN_WIDTH, MIN_HEIGHT, MAX_WIDTH, MAX_HEIGHT } = CONFIG.VIEW;
+    const file = ReplayFormat.encode(recording);
+    for (const view of [
+      [MIN_WIDTH, MIN_HEIGHT],
+      [MAX_WIDTH, MAX_HEIGHT],
+    ]) {
+      file.view = /** @type {[number, number]} */ (view);
+      expect(ReplayFormat.read(file).error).toBeNull();
+    }
+    for (const view of [
+      [800, 1_000_000],
+      [MAX_WIDTH + 1, 600],
+      [800, MAX_HEIGHT + 1],
+      [MIN_WIDTH - 1, 600],
+      [800, MIN_HEIGHT - 1],
+      [800, Infinity],
+    ]) {
+      file.view = /** @type {[number, number]} */ (view);
+      expect(ReplayFormat.read(file).error).toMatch(/damaged/);
+    }
+  });
+});
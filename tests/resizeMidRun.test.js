@@ -0,0 +1,158 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { JSDOM } from "jsdom";
+import { CONFIG } from "../js/constants.js";
+import { Simulation } from "../js/core/Simulation.js";
+let AIHorizon;
+
+/**
+ * Set the window's inner size.
+ * @param {any} win
+ * @param {number} width
+ * @param {number} height
+ */
+function setWindowSize(win, width, height) {
+  Object.defineProperty(win, "innerWidth", { value: width, configurable: true });
+  Object.defineProperty(win, "innerHeight", { value: height, configurable: true });
+}
+
+/**
+ * Step the game one fixed tick with scripted input: weave side to side, firing.
+ * @param {any} game
+ * @param {number} t
+ * @param {boolean} [fire] - Hold fire.
+ */
+function step(game, t, fire = true) {
+  game.input.setKey("ArrowLeft", (t / 35) % 2 < 1);
+  game.input.setKey("ArrowRight", (t / 35) % 2 >= 1);
+  game.input.fireHeld = fire;
+  game.step(CONFIG.TIME.STEP_MS, CONFIG.TIME.STEP_MS / 1000);
+}
+
+describe("resizing during a recorded run", () => {
+  let dom;
+  beforeEach(() => {
+    dom = new JSDOM(
+      `<!doctype html><html><body>
+      <div class="game-container">
+        <canvas id="gameCanvas"></canvas>
+        <section id="gameInfo" class="hidden"></section>
+        <div id="gameOverScreen" class="hidden"></div>
+        <div id="pauseScreen" class="hidden"></div>
+        <button id="startBtn"></button>
+        <button id="restartBtn"></button>
+        <span id="currentScore"></span>
+        <span id="highScore"></span>
+        <span id="finalScore"></span>
+      </div>
+    </body></html>`,
+      { url: "http://localhost/?seed=2" }
+    );
+    global.window = dom.window;
+    global.document = dom.window.document;
+    global.localStorage = dom.window.localStorage;
+    global.requestAnimationFrame = (cb) => setTimeout(() => cb(0), 0);
+    global.cancelAnimationFrame = (id) => clearTimeout(id);
+    const noop = () => {};
+    dom.window.HTMLCanvasElement.prototype.getContext = function () {
+      return new Proxy(
+        { measureText: () => ({ width: 0 }) },
+        {
+          get: (target, key) => (key in target ? target[key] : () => ({ addColorStop: noop })),
+          set: () => true,
+        }
+      );
+    };
+    setWindowSize(dom.window, 900, 700);
+    return import("../js/game.js").then((m) => {
+      AIHorizon = m.AIHorizon;
+      // The game is a singleton; each test (and the resumed game) needs its own
+      AIHorizon._instance = null;
+    });
+  });
+
+  afterEach(() => {
+    dom.window.close();
+    delete global.window;
+    delete global.document;
+    delete global.localStorage;
+    delete global.requestAnimationFrame;
+    delete global.cancelAnimationFrame;
+  });
+
+  it("keeps the recorded view so the run still replays to the same score", () => {
+    const game = new AIHorizon();
+    game.resizeCanvas();
+    game.state.start();
+    game._beginRun();
+    expect(game.recorder.view).toEqual({ width: 900, height: 700 });
+
+    let t = 0;
+    for (; t < 600; t++) step(game, t);
+    expect(game.state.isRunning()).toBe(true);
+    const player = { x: game.player.x, y: game.player.y };
+
+    // The window shrinks mid-run (rotation, mobile address bar, window resize)
+    setWindowSize(dom.window, 450, 700);
+    game.resizeCanvas();
+    expect(game.view).toMatchObject({ width: 900, height: 700, scale: 0.5 });
+    expect({ x: game.player.x, y: game.player.y }).toEqual(player);
+    expect(game.canvas.style.width).toBe("450px");
+
+    for (; t < 1200 && game.state.isRunning(); t++) step(game, t);
+    const score = game.score;
+    game._endRun();
+    expect(Simulation.replay(game.lastRecording).score).toBe(score);
+  });
+
+  it("resumes a saved run on the view it was recorded on", () => {
+    const game = new AIHorizon();
+    game.resizeCanvas();
+    game.state.start();
+    game._beginRun();
+    let t = 0;
+    for (; t < 300; t++) step(game, t);
+    game.saveRun();
+    const player = { x: game.player.x, y: game.player.y };
+    const score = game.score;
+
+    // Resumed later in a smaller window
+    setWindowSize(dom.window, 450, 700);
+    AIHorizon._instance = null;
+    const resumed = new AIHorizon();
+    resumed.resumeGame();
+    resumed.loop.stop();
+    expect(resumed.view).toMatchObject({ width: 900, height: 700, scale: 0.5 });
+    expect({ x: resumed.player.x, y: resumed.player.y }).toEqual(player);
+    expect(resumed.score).toBe(score);
+
+    for (; t < 1200 && resumed.state.isRunning(); t++) step(resumed, t);
+    const final = resumed.score;
+    resumed._endRun();
+    expect(Simulation.replay(resumed.lastRecording).score).toBe(final);
+  });
+
+  it("keeps a shot fired just before saving", () => {
+    const game = new AIHorizon();
+    game.resizeCanvas();
+    game.state.start();
+    game._beginRun();
+    let t = 0;
+    for (; t < 60; t++) step(game, t, false);
+    game.handleFirePress();
+    expect(game.recorder.pendingShots()).toBe(1);
+    game.saveRun();
+
+    const end = t + 60;
+    for (let u = t; u < end; u++) step(game, u, false);
+    expect(game.state.isRunning()).toBe(true);
+    const recording = game.recorder.finish();
+
+    AIHorizon._instance = null;
+    const resumed = new AIHorizon();
+    resumed.resumeGame();
+    resumed.loop.stop();
+    for (; t < end; t++) step(resumed, t, false);
+    expect(resumed.recorder.finish()).toEqual(recording);
+    expect(Simulation.replay(recording).score).toBe(resumed.score);
+  });
+});
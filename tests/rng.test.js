@@ -1,6 +1,7 @@
 // @ts-check
 import { describe, it, expect } from "vitest";
 import { RNG } from "../js/utils/RNG.js";
+import { RandomStreams } from "../js/utils/RandomStreams.js";
 
 describe("RNG", () => {
   it("produces deterministic sequence for same seed", () => {
@@ -28,4 +29,46 @@ describe("RNG", () => {
       expect(n).toBeLessThan(10);
     }
   });
+
+  it("getState/setState resume the exact sequence", () => {
+    const r = new RNG(99);
+    r.nextFloat();
+    const state = r.getState();
+    const ahead = [r.nextFloat(), r.nextFloat()];
+    r.setState(state);
+    expect([r.nextFloat(), r.nextFloat()]).toEqual(ahead);
+  });
+});
+
+describe("RandomStreams", () => {
+  it("derives distinct, reproducible streams from one seed", () => {
+    const a = new RandomStreams(5);
+    const b = new RandomStreams(5);
+    expect(a.getState()).toEqual(b.getState());
+    const { gameplay, fx, background } = a.getState();
+    expect(new Set([gameplay, fx, background]).size).toBe(3);
+  });
+
+  it("keeps gameplay independent of fx and background draws", () => {
+    const quiet = new RandomStreams(7);
+    const busy = new RandomStreams(7);
+    for (let i = 0; i < 50; i++) {
+      busy.fx.nextFloat();
+      busy.background.nextFloat();
+    }
+    expect(busy.gameplay.nextFloat()).toBe(quiet.gameplay.nextFloat());
+  });
+
+  it("round-trips state and reseeds in place", () => {
+    const s = new RandomStreams(11);
+    const { gameplay } = s;
+    s.fx.nextFloat();
+    const saved = s.getState();
+    const next = s.fx.nextFloat();
+    s.setState(saved);
+    expect(s.fx.nextFloat()).toBe(next);
+    s.reseed(11);
+    expect(s.gameplay).toBe(gameplay);
+    expect(s.getState()).toEqual(new RandomStreams(11).getState());
+  });
 });
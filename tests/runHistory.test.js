@@ -0,0 +1,85 @@
+// @ts-check
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { JSDOM } from "jsdom";
+import { DeviceIdentity } from "../js/managers/DeviceIdentity.js";
+import LeaderboardManager from "../js/managers/LeaderboardManager.js";
+import { RunHistory } from "../js/managers/RunHistory.js";
+import { insertEntry, verifySubmission } from "../js/server/lambda/verify-submission.js";
+
+describe("device identity and run history", () => {
+  beforeEach(() => {
+    const dom = new JSDOM(
+      '<!doctype html><html><body><ol id="leaderboardList"></ol></body></html>',
+      { url: "http://localhost/" }
+    );
+    // @ts-ignore - browser globals for the code under test
+    globalThis.window = dom.window;
+    globalThis.document = dom.window.document;
+    globalThis.localStorage = dom.window.localStorage;
+    DeviceIdentity._id = null;
+    LeaderboardManager._cacheEntries = null;
+  });
+  afterEach(() => {
+    // @ts-ignore
+    delete globalThis.window;
+    // @ts-ignore
+    delete globalThis.document;
+    // @ts-ignore
+    delete globalThis.localStorage;
+  });
+
+  it("keeps one anonymous ID per device", () => {
+    const id = DeviceIdentity.get();
+    expect(id).toMatch(DeviceIdentity.PATTERN);
+    DeviceIdentity._id = null;
+    expect(DeviceIdentity.get()).toBe(id);
+    localStorage.clear();
+    DeviceIdentity._id = null;
+    expect(DeviceIdentity.get()).not.toBe(id);
+  });
+
+  it("highlights this device's entries among equal initials", () => {
+    const list = /** @type {HTMLElement} */ (document.getElementById("leaderboardList"));
+    LeaderboardManager.render(list, [
+      { id: "AAA", score: 300, device: "someone-elses-device" },
+      { id: "AAA", score: 200, device: DeviceIdentity.get() },
+      { id: "AAA", score: 150, own: true },
+      { id: "AAA", score: 100 },
+    ]);
+    const mine = Array.from(list.children).map((li) => li.classList.contains("mine"));
+    expect(mine).toEqual([false, true, true, false]);
+    expect(list.children[1].textContent).toContain("AAA — 200 — you");
+  });
+
+  it("records every run and keeps the personal best", () => {
+    const day = (/** @type {number} */ d) => new Date(Date.UTC(2026, 9, d));
+    RunHistory.record({ score: 120, seed: 7, mode: "standard" }, day(1));
+    RunHistory.record({ score: 900, seed: 8, mode: "pilot" }, day(2));
+    RunHistory.record({ score: 80, seed: 9, mode: "daily" }, day(3));
+    expect(RunHistory.list()).toEqual([
+      { score: 80, date: "2026-10-03T00:00:00.000Z", seed: 9, mode: "daily" },
+      { score: 900, date: "2026-10-02T00:00:00.000Z", seed: 8, mode: "pilot" },
+      { score: 120, date: "2026-10-01T00:00:00.000Z", seed: 7, mode: "standard" },
+    ]);
+    expect(RunHistory.best()).toMatchObject({ score: 120, seed: 7 });
+    expect(RunHistory.best(["pilot"])).toMatchObject({ score: 900 });
+
+    for (let i = 0; i < RunHistory.MAX_RUNS; i++) {
+      RunHistory.record({ score: 10, seed: i, mode: "standard" }, day(4));
+    }
+    expect(RunHistory.list()).toHaveLength(RunHistory.MAX_RUNS);
+    expect(RunHistory.best()).toMatchObject({ score: 120, seed: 7 });
+  });
+});
+
+describe("device IDs on the leaderboard server", () => {
+  it("are kept with the entry and must be well formed", () => {
+    const malformed = verifySubmission({ id: "ABC", score: 5, device: "not a device id" });
+    expect(malformed).toEqual({ ok: false, statusCode: 400, message: "Malformed device ID" });
+    const entry = { id: "ABC", score: 5, device: "0f3c2a9e-device" };
+    expect(insertEntry([{ id: "ABC", score: 9 }], entry)).toEqual({
+      scores: [{ id: "ABC", score: 9 }, entry],
+      rank: 2,
+    });
+  });
+});
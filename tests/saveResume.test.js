@@ -0,0 +1,125 @@
+// @ts-check
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { Simulation } from "../js/core/Simulation.js";
+import { InputRecorder } from "../js/core/InputRecorder.js";
+import { SaveManager } from "../js/managers/SaveManager.js";
+
+const VIEW = { width: 640, height: 480 };
+
+/**
+ * Scripted input for tick `t`: weave side to side, firing in bursts.
+ * @param {Simulation} sim
+ * @param {number} t
+ */
+function steer(sim, t) {
+  sim.input.setKey("ArrowLeft", (t / 40) % 2 < 1);
+  sim.input.setKey("ArrowRight", (t / 40) % 2 >= 1);
+  sim.input.fireHeld = t % 25 < 15;
+}
+
+/**
+ * Run until game over, optionally saving after `saveAt` ticks and continuing in a
+ * fresh simulation restored from a JSON round trip of the snapshot.
+ * @param {number} seed
+ * @param {number} [saveAt]
+ */
+function play(seed, saveAt = -1) {
+  let sim = new Simulation({ seed, view: { ...VIEW, dpr: 1 } });
+  let recorder = new InputRecorder(seed, { view: VIEW });
+  sim.start(seed);
+  /** @type {number[][]} */
+  const trace = [];
+  let t = 0;
+  while (sim.state.isRunning()) {
+    if (t === saveAt) {
+      const saved = JSON.parse(JSON.stringify({ snap: sim.snapshot(), rec: recorder.finish() }));
+      sim.dispose();
+      sim = new Simulation({ view: { ...VIEW, dpr: 1 } });
+      sim.restore(saved.snap);
+      sim.state.start();
+      recorder = InputRecorder.resume(saved.rec);
+    }
+    steer(sim, t);
+    recorder.capture(sim.input);
+    sim.step();
+    trace.push([sim.score, sim.player.x, sim.player.y, sim.asteroids.length, sim.stars.length]);
+    t++;
+  }
+  return { trace, score: sim.score, recording: recorder.finish() };
+}
+
+describe("Saved runs", () => {
+  it("continue exactly where they stopped", () => {
+    const full = play(21);
+    expect(full.trace.length).toBeGreaterThan(200);
+    const resumed = play(21, Math.floor(full.trace.length / 2));
+    expect(resumed.trace).toEqual(full.trace);
+    expect(resumed.recording).toEqual(full.recording);
+    expect(Simulation.replay(resumed.recording).score).toBe(full.score);
+  });
+
+  it("keep asteroid damage and spawn counters", () => {
+    const sim = new Simulation({ seed: 8, view: { ...VIEW, dpr: 1 } });
+    sim.start(8);
+    for (let t = 0; t < 600; t++) {
+      steer(sim, t);
+      sim.step();
+    }
+    const snap = sim.snapshot();
+    const copy = new Simulation({ view: { ...VIEW, dpr: 1 } });
+    copy.restore(JSON.parse(JSON.stringify(snap)));
+    expect(copy.snapshot()).toEqual(snap);
+    expect(copy.asteroids.map((a) => a._palette)).toEqual(sim.asteroids.map((a) => a._palette));
+  });
+});
+
+describe("SaveManager", () => {
+  /** @type {Record<string, string>} */
+  let store;
+  beforeEach(() => {
+    store = {};
+    // @ts-ignore - minimal localStorage for the node test environment
+    globalThis.localStorage = {
+      getItem: (/** @type {string} */ k) => (k in store ? store[k] : null),
+      setItem: (/** @type {string} */ k, /** @type {string} */ v) => {
+        store[k] = String(v);
+      },
+      removeItem: (/** @type {string} */ k) => {
+        delete store[k];
+      },
+    };
+  });
+  afterEach(() => {
+    // @ts-ignore
+    delete globalThis.localStorage;
+  });
+
+  it("stores one run until it is cleared", () => {
+    const sim = new Simulation({ seed: 4 });
+    const recorder = new InputRecorder(4);
+    sim.start(4);
+    for (let t = 0; t < 60; t++) {
+      recorder.capture(sim.input);
+      sim.step();
+    }
+    expect(SaveManager.has()).toBe(false);
+    expect(SaveManager.save(sim.snapshot(), recorder.finish())).toBe(true);
+    expect(SaveManager.load()).toEqual({
+      snapshot: sim.snapshot(),
+      recording: recorder.finish(),
+      daily: null,
+      shots: 0,
+    });
+    SaveManager.clear();
+    expect(SaveManager.load()).toBeNull();
+  });
+
+  it("ignores saves from another format version", () => {
+    const sim = new Simulation({ seed: 4 });
+    sim.start(4);
+    SaveManager.save(sim.snapshot(), new InputRecorder(4).finish());
+    const data = JSON.parse(store[SaveManager.KEY_SAVED_RUN]);
+    store[SaveManager.KEY_SAVED_RUN] = JSON.stringify({ ...data, version: 0 });
+    expect(SaveManager.has()).toBe(false);
+  });
+});
@@ -0,0 +1,68 @@
+// @ts-check
+import { describe, it, expect } from "vitest";
+import { Simulation } from "../js/core/Simulation.js";
+
+/**
+ * Play a scripted run headlessly and summarize the outcome.
+ * @param {number} seed
+ */
+function play(seed) {
+  const sim = new Simulation({ seed, view: { width: 480, height: 640 } });
+  /** @type {string[]} */
+  const log = [];
+  sim.events.on("gameOver", ({ score }) => log.push(`over:${score}`));
+  sim.start();
+  let ticks = 0;
+  while (sim.state.isRunning() && ticks < 10000) {
+    if (ticks % 40 === 0) sim.input.setKey("KeyA", (ticks / 40) % 2 === 0);
+    if (ticks % 40 === 20) sim.input.setKey("KeyD", (ticks / 40) % 2 === 0);
+    sim.input.fireHeld = ticks % 90 < 60;
+    sim.step();
+    ticks++;
+  }
+  return { ticks, score: sim.score, log, asteroids: sim.asteroids.map((a) => [a.x, a.y]) };
+}
+
+describe("Simulation (headless)", () => {
+  it("runs without a DOM and ends when the timer expires or the player is hit", () => {
+    expect(typeof document).toBe("undefined");
+    const run = play(1234);
+    expect(run.ticks).toBeGreaterThan(0);
+    expect(run.ticks).toBeLessThanOrEqual(Math.ceil(60 * 60) + 1);
+    expect(run.log).toEqual([`over:${run.score}`]);
+  });
+
+  it("is deterministic for a seed and input script", () => {
+    expect(play(99)).toEqual(play(99));
+  });
+
+  it("cosmetic randomness does not change gameplay", () => {
+    const plain = play(321);
+    const sim = new Simulation({ seed: 321, view: { width: 480, height: 640 } });
+    // Simulate a visual tweak that draws extra fx/background numbers every tick
+    const fxDraw = sim.fxRng.nextFloat.bind(sim.fxRng);
+    sim.fxRng.nextFloat = () => (sim.rngs.background.nextFloat(), fxDraw(), fxDraw());
+    sim.start();
+    let ticks = 0;
+    while (sim.state.isRunning() && ticks < 10000) {
+      if (ticks % 40 === 0) sim.input.setKey("KeyA", (ticks / 40) % 2 === 0);
+      if (ticks % 40 === 20) sim.input.setKey("KeyD", (ticks / 40) % 2 === 0);
+      sim.input.fireHeld = ticks % 90 < 60;
+      sim.step();
+      ticks++;
+    }
+    expect({ ticks, score: sim.score }).toEqual({ ticks: plain.ticks, score: plain.score });
+  });
+
+  it("reset() restores score, timer and entities for a fresh run", () => {
+    const sim = new Simulation({ seed: 5, timerSeconds: 2 });
+    sim.start();
+    for (let i = 0; i < 60; i++) sim.step();
+    sim.score = 50;
+    sim.reset(5);
+    expect(sim.score).toBe(0);
+    expect(sim.timerRemaining).toBe(2);
+    expect(sim.asteroids).toEqual([]);
+    expect(sim.timeMs).toBe(0);
+  });
+});
@@ -0,0 +1,118 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { JSDOM } from "jsdom";
+import LeaderboardManager from "../js/managers/LeaderboardManager.js";
+import { SubmissionQueue } from "../js/managers/SubmissionQueue.js";
+
+const replay = { seed: 5, ticks: 1200 };
+
+describe("SubmissionQueue", () => {
+  beforeEach(() => {
+    const dom = new JSDOM("<!doctype html><html><body></body></html>", {
+      url: "http://localhost/",
+    });
+    globalThis.localStorage = dom.window.localStorage;
+  });
+
+  it("keeps one entry per run", () => {
+    const submission = { id: "ABC", score: 120, replay };
+    expect(SubmissionQueue.enqueue(submission, null, 0)).toBe(true);
+    expect(SubmissionQueue.enqueue({ ...submission }, null, 50)).toBe(false);
+    expect(SubmissionQueue.enqueue(submission, "2026-10-18", 0)).toBe(true);
+    expect(SubmissionQueue.list().map((item) => item.daily)).toEqual([null, "2026-10-18"]);
+  });
+
+  it("backs off exponentially up to the cap", () => {
+    SubmissionQueue.enqueue({ id: "ABC", score: 120, replay }, null, 0);
+    const [{ key }] = SubmissionQueue.list();
+    expect(SubmissionQueue.nextDueAt()).toBe(SubmissionQueue.BASE_DELAY_MS);
+    SubmissionQueue.retryLater(key, 1000);
+    expect(SubmissionQueue.nextDueAt()).toBe(1000 + 2 * SubmissionQueue.BASE_DELAY_MS);
+    SubmissionQueue.retryLater(key, 1000);
+    expect(SubmissionQueue.nextDueAt()).toBe(1000 + 4 * SubmissionQueue.BASE_DELAY_MS);
+    expect(SubmissionQueue.delay(30)).toBe(SubmissionQueue.MAX_DELAY_MS);
+    SubmissionQueue.remove(key);
+    expect(SubmissionQueue.nextDueAt()).toBeNull();
+  });
+});
+
+describe("LeaderboardManager offline submissions", () => {
+  /** @type {JSDOM} */
+  let dom;
+  beforeEach(() => {
+    dom = new JSDOM('<!doctype html><html><body><ol id="list"></ol></body></html>', {
+      url: "http://localhost/",
+    });
+    globalThis.window = dom.window;
+    globalThis.document = dom.window.document;
+    globalThis.localStorage = dom.window.localStorage;
+    LeaderboardManager._cacheEntries = null;
+  });
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    if (LeaderboardManager._syncTimer !== null) clearTimeout(LeaderboardManager._syncTimer);
+    LeaderboardManager._syncTimer = null;
+  });
+
+  it("queues a score the server can't be reached for and shows it as pending", async () => {
+    vi.stubGlobal(
+      "fetch",
+      vi.fn(async () => {
+        throw new TypeError("Failed to fetch");
+      })
+    );
+    const ok = await LeaderboardManager.submit(150, "ABC", { remote: true });
+    expect(ok).toBe(false);
+    expect(SubmissionQueue.list()).toHaveLength(1);
+
+    const list = document.getElementById("list");
+    LeaderboardManager.render(list, [{ id: "TOP", score: 300 }]);
+    const rows = Array.from(list.children).map((li) => li.textContent);
+    expect(rows).toHaveLength(2);
+    expect(rows[1]).toContain("ABC — 150 — you — pending sync");
+    expect(list.children[1].classList.contains("pending")).toBe(true);
+  });
+
+  it("doesn't queue scores the server rejected", async () => {
+    vi.stubGlobal(
+      "fetch",
+      vi.fn(async () => ({ ok: false, status: 422, json: async () => ({}) }))
+    );
+    await LeaderboardManager.submit(150, "ABC", { remote: true });
+    expect(SubmissionQueue.list()).toHaveLength(0);
+  });
+
+  it("sends queued scores when the browser comes back online", async () => {
+    SubmissionQueue.enqueue({ id: "ABC", score: 150, replay }, null);
+    const board = [{ id: "ABC", score: 150 }];
+    const fetchMock = vi.fn(async () => ({
+      ok: true,
+      status: 200,
+      json: async () => ({ scores: board, rank: 1, version: 2 }),
+    }));
+    vi.stubGlobal("fetch", fetchMock);
+
+    LeaderboardManager._syncStarted = false;
+    expect(await LeaderboardManager.startPendingSync()).toBe(1);
+    expect(SubmissionQueue.list()).toHaveLength(0);
+    expect(LeaderboardManager.load({ remote: false })).toEqual(board);
+
+    SubmissionQueue.enqueue({ id: "XYZ", score: 90, replay }, null);
+    window.dispatchEvent(new window.Event("online"));
+    await LeaderboardManager._flushPromise;
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    expect(JSON.parse(fetchMock.mock.calls[1][1].body)).toMatchObject({ id: "XYZ", score: 90 });
+    expect(SubmissionQueue.list()).toHaveLength(0);
+  });
+
+  it("keeps failing scores queued with a later retry", async () => {
+    SubmissionQueue.enqueue({ id: "ABC", score: 150, replay }, null, 0);
+    vi.stubGlobal(
+      "fetch",
+      vi.fn(async () => ({ ok: false, status: 503, json: async () => ({}) }))
+    );
+    expect(await LeaderboardManager.flushPending({ now: SubmissionQueue.BASE_DELAY_MS })).toBe(0);
+    const [item] = SubmissionQueue.list();
+    expect(item.attempts).toBe(1);
+    expect(item.nextAt).toBeGreaterThan(Date.now());
+  });
+});
@@ -0,0 +1,114 @@
+// @ts-check
+import { describe, expect, it } from "vitest";
+import { ReplayFormat } from "../js/core/ReplayFormat.js";
+import { Simulation } from "../js/core/Simulation.js";
+import { SurvivalMode } from "../js/core/SurvivalMode.js";
+import { createHandler } from "../js/server/lambda/leaderboard-handler.js";
+import { verifySubmission } from "../js/server/lambda/verify-submission.js";
+import { recordRun } from "./helpers.js";
+
+/**
+ * Record a scripted run on `seed` in `mode` and return it as a submission, with the
+ * lives announced along the way.
+ * @param {number} seed
+ * @param {import('../js/types.js').GameMode} mode
+ */
+function survivalRun(seed, mode) {
+  /** @type {number[]} */
+  const lives = [];
+  const { replay, score, seconds } = recordRun(seed, {
+    mode,
+    weave: 35,
+    maxTicks: 60 * 600,
+    setup: (sim) => sim.events.on("livesChanged", ({ lives: left }) => lives.push(left)),
+  });
+  return { run: { id: "SRV", score, replay }, lives, seconds };
+}
+
+describe("survival mode", () => {
+  const survival = survivalRun(41, "survival");
+
+  it("has no timer and ends when the last life is lost", () => {
+    expect(survival.lives).toEqual([3, 2, 1, 0]);
+    expect(survival.seconds).toBeGreaterThan(0);
+    const sim = new Simulation({ seed: 1, mode: "survival" });
+    sim.start(1);
+    expect(sim.observe().timerRemaining).toBe(Infinity);
+    expect(sim.observe().lives).toBe(SurvivalMode.LIVES);
+  });
+
+  it("respawns the ship invulnerable after a hit", () => {
+    const sim = new Simulation({ seed: 5, mode: "survival" });
+    sim.start(5);
+    sim.playerHit();
+    expect(sim.lives).toBe(SurvivalMode.LIVES - 1);
+    expect(sim.isInvulnerable()).toBe(true);
+    sim.playerHit();
+    expect(sim.lives).toBe(SurvivalMode.LIVES - 1);
+    for (let t = 0; t < SurvivalMode.INVULNERABLE_SECONDS * 60 + 1; t++) sim.step();
+    expect(sim.isInvulnerable()).toBe(false);
+
+    const timed = new Simulation({ seed: 5 });
+    timed.start(5);
+    timed.playerHit();
+    expect(timed.state.isRunning()).toBe(false);
+  });
+
+  it("spawns asteroids faster the longer the run lasts", () => {
+    expect(SurvivalMode.spawnFactor(0)).toBe(1);
+    expect(SurvivalMode.spawnFactor(120)).toBe(2);
+    expect(SurvivalMode.spawnFactor(3600)).toBe(SurvivalMode.MAX_SPAWN_FACTOR);
+  });
+
+  it("keeps the mode in the replay and its fingerprint", () => {
+    const { recording } = ReplayFormat.read(survival.run.replay);
+    expect(recording && recording.mode).toBe("survival");
+    expect(ReplayFormat.fingerprint(undefined, "survival")).not.toBe(ReplayFormat.fingerprint());
+    const replayed = Simulation.replay(/** @type {any} */ (recording));
+    expect(Math.floor(replayed.score)).toBe(survival.run.score);
+  });
+
+  it("ranks survival runs only on the survival board", () => {
+    expect(verifySubmission(survival.run, { mode: "survival" })).toMatchObject({ ok: true });
+    expect(verifySubmission(survival.run)).toEqual({
+      ok: false,
+      statusCode: 422,
+      message: "Survival runs are ranked on the survival board",
+    });
+    const timed = survivalRun(41, "timed").run;
+    expect(verifySubmission(timed, { mode: "survival" })).toMatchObject({
+      statusCode: 422,
+      message: "Replay was not played in survival mode",
+    });
+  });
+
+  it("stores survival scores on their own board", async () => {
+    /** @type {Record<string, any>} */
+    const item = { id: 1, scores: [{ id: "TOP", score: 1 }], version: 0 };
+    const handler = createHandler({
+      getItem: async () => JSON.parse(JSON.stringify(item)),
+      updateItem: async (_id, changes) => {
+        Object.assign(item, changes, { version: item.version + 1 });
+      },
+    });
+    const res = await handler({
+      httpMethod: "POST",
+      queryStringParameters: { id: "1", mode: "survival" },
+      body: JSON.stringify(survival.run),
+    });
+    expect(res.statusCode).toBe(200);
+    expect(item.survival).toEqual([{ id: "SRV", score: survival.run.score }]);
+    expect(item.scores).toEqual([{ id: "TOP", score: 1 }]);
+
+    const board = await handler({
+      httpMethod: "GET",
+      queryStringParameters: { id: "1", mode: "survival" },
+    });
+    expect(JSON.parse(board.body)).toMatchObject({ mode: "survival", total: 1 });
+    const daily = await handler({
+      httpMethod: "GET",
+      queryStringParameters: { id: "1", mode: "survival", daily: "2026-10-18" },
+    });
+    expect(daily.statusCode).toBe(400);
+  });
+});
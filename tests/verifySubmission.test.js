@@ -0,0 +1,109 @@
+// @ts-check
+import { describe, it, expect } from "vitest";
+import {
+  insertEntry,
+  maxPlausibleScore,
+  verifySubmission,
+} from "../js/server/lambda/verify-submission.js";
+import { recordRun } from "./helpers.js";
+
+describe("verifySubmission", () => {
+  const run = recordRun(4242, {
+    view: { width: 480, height: 640 },
+    input: (sim, ticks) => {
+      if (ticks % 40 === 0) sim.input.setKey("KeyA", (ticks / 40) % 2 === 0);
+      if (ticks % 40 === 20) sim.input.setKey("KeyD", (ticks / 40) % 2 === 0);
+      sim.input.fireHeld = ticks % 90 < 60;
+    },
+  });
+
+  it("accepts a submission whose replay reproduces the claimed score", () => {
+    expect(run.score).toBeGreaterThan(0);
+    const result = verifySubmission({ id: "ABC", score: run.score, replay: run.replay });
+    expect(result).toEqual({ ok: true, entry: { id: "ABC", score: run.score } });
+  });
+
+  it("rejects an inflated score with the replayed value in the reason", () => {
+    const result = verifySubmission({ id: "ABC", score: run.score + 500, replay: run.replay });
+    expect(result.ok).toBe(false);
+    if (result.ok) return;
+    expect(result.statusCode).toBe(422);
+    expect(result.message).toContain(`replayed score ${run.score}`);
+  });
+
+  it("rejects missing, truncated and foreign replays", () => {
+    const missing = verifySubmission({ id: "ABC", score: 10 });
+    expect(missing).toMatchObject({ ok: false, statusCode: 400 });
+
+    const truncated = { ...run.replay, ticks: 30, frames: run.replay.frames.slice(0, 1) };
+    const short = verifySubmission({ id: "ABC", score: run.score, replay: truncated });
+    expect(short).toMatchObject({ ok: false, statusCode: 422 });
+    if (!short.ok) expect(short.message).toMatch(/before the run is over/);
+
+    const foreign = { ...run.replay, config: "00000000" };
+    const settings = verifySubmission({ id: "ABC", score: run.score, replay: foreign });
+    expect(settings).toMatchObject({ ok: false, statusCode: 422 });
+    if (!settings.ok) expect(settings.message).toMatch(/different game settings/);
+  });
+
+  it("rejects bad initials and non-integer scores before replaying", () => {
+    for (const id of ["", "abc", "ABCD", "A1", 7]) {
+      expect(verifySubmission({ id, score: run.score, replay: run.replay })).toMatchObject({
+        ok: false,
+        statusCode: 400,
+      });
+    }
+    for (const score of [-10, 10.5, "10", NaN]) {
+      expect(verifySubmission({ id: "ABC", score, replay: run.replay })).toMatchObject({
+        ok: false,
+        statusCode: 400,
+      });
+    }
+  });
+
+  it("rejects scores above the platform's ceiling", () => {
+    const desktop = maxPlausibleScore(false);
+    const mobile = maxPlausibleScore(true);
+    expect(run.score).toBeLessThan(mobile);
+    expect(mobile).toBeLessThan(desktop);
+    const result = verifySubmission({ id: "ABC", score: desktop + 1, replay: run.replay });
+    expect(result).toMatchObject({ ok: false, statusCode: 422 });
+    if (!result.ok) expect(result.message).toContain(`above the ${desktop} possible`);
+  });
+});
+
+describe("insertEntry", () => {
+  const stored = [
+    { id: "AAA", score: 300 },
+    { id: "BBB", score: 100 },
+  ];
+
+  it("adds the entry to the stored board and reports its rank", () => {
+    const result = insertEntry(JSON.stringify(stored), { id: "CCC", score: 200 });
+    expect(result).toEqual({
+      scores: [
+        { id: "AAA", score: 300 },
+        { id: "CCC", score: 200 },
+        { id: "BBB", score: 100 },
+      ],
+      rank: 2,
+    });
+  });
+
+  it("trims to the board size and gives no rank to entries that miss it", () => {
+    expect(insertEntry(stored, { id: "CCC", score: 50 }, 2)).toEqual({
+      scores: stored,
+      rank: null,
+    });
+    expect(insertEntry(null, { id: "CCC", score: 50 }, 2)).toEqual({
+      scores: [{ id: "CCC", score: 50 }],
+      rank: 1,
+    });
+  });
+
+  it("does not change the stored board", () => {
+    const before = JSON.parse(JSON.stringify(stored));
+    insertEntry(stored, { id: "CCC", score: 500 });
+    expect(stored).toEqual(before);
+  });
+});
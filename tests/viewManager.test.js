@@ -28,7 +28,7 @@ function makeGame() {
   return {
     canvas,
     ctx,
-    view: { width: 0, height: 0, dpr: 1 },
+    view: { width: 0, height: 0, dpr: 1, scale: 1 },
     player: { x: 0, y: 0, width: CONFIG.SIZES.PLAYER, height: CONFIG.SIZES.PLAYER },
     state: new GameStateMachine(),
   };
@@ -103,6 +103,26 @@ describe("ViewManager.resize", () => {
     expect(game.player.y).toBeGreaterThan(400);
   });
 
+  it("letterboxes windows larger than the playfield allows", () => {
+    const { MAX_WIDTH, MAX_HEIGHT } = CONFIG.VIEW;
+    Object.defineProperty(window, "innerWidth", { value: 800, configurable: true });
+    Object.defineProperty(window, "innerHeight", { value: MAX_HEIGHT * 2, configurable: true });
+    const game = makeGame();
+    ViewManager.resize(game);
+    expect(game.view.width).toBe(800);
+    expect(game.view.height).toBe(MAX_HEIGHT);
+    expect(game.view.scale).toBe(1);
+    expect(game.canvas.style.margin).toBe("auto");
+
+    Object.defineProperty(window, "innerWidth", { value: MAX_WIDTH * 2, configurable: true });
+    Object.defineProperty(window, "innerHeight", { value: MAX_HEIGHT * 2, configurable: true });
+    ViewManager.resize(game);
+    expect(game.view.width).toBe(MAX_WIDTH);
+    expect(game.view.height).toBe(MAX_HEIGHT);
+    expect(game.view.scale).toBe(2);
+    expect(game.canvas.style.width).toBe(MAX_WIDTH * 2 + "px");
+  });
+
   // restore globals
   afterAll(() => {
     if (globalThis.window) {
@@ -0,0 +1,11 @@
+// Minimal declarations for the code that runs on Node (the dev server and the Lambda
+// entry point); the project doesn't depend on @types/node. Only js/server/tsconfig.json
+// includes them, so browser code can't use Node APIs unnoticed.
+declare module "node:fs/promises";
+declare module "node:http";
+declare module "node:path";
+declare module "node:url";
+declare const process: {
+  argv: string[];
+  env: Record<string, string | undefined>;
+};